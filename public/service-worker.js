@@ -99,6 +99,11 @@ self.addEventListener('fetch', (event) => {
 
 // Handle API requests
 async function handleApiRequest(request) {
+	// Write requests are never cached: let network failures reach the app so it can queue them
+	if (request.method !== 'GET') {
+		return fetch(request);
+	}
+
 	// Try to fetch from network first for API requests
 	try {
 		const response = await fetch(request);
@@ -206,9 +211,18 @@ self.addEventListener('sync', (event) => {
 	}
 });
 
+// Replay settings, kept in line with src/api/offlineQueueService.js
+const MAX_RETRIES = 5;
+const BASE_RETRY_DELAY = 30 * 1000;
+const QUEUE_LOCK_NAME = 'wampums-offline-queue';
+
 // Function to sync offline data with server
+// Queued mutations are replayed one at a time in the order they were made
 async function syncOfflineData() {
-	try {
+	// Endpoints written to, so the app can refresh the cached queries they affect
+	const replayedEndpoints = [];
+
+	const sync = async () => {
 		// Open the database
 		const dbName = "ScoutsAppDB";
 		const db = await openIndexedDB(dbName);
@@ -223,14 +237,26 @@ async function syncOfflineData() {
 
 		console.log('[Service Worker] Syncing offline data:', offlineData);
 
-		// Process each offline record
+		// Process each offline record, stopping when one has to wait
 		for (const record of offlineData) {
-			await processOfflineRecord(record);
+			const processed = await processOfflineRecord(record, replayedEndpoints);
+			if (!processed) {
+				break;
+			}
 		}
 
 		console.log('[Service Worker] Offline data sync completed');
-	} catch (error) {
-		console.error('[Service Worker] Error syncing offline data:', error);
+	};
+
+	try {
+		// Share the queue lock with the app so a mutation is never sent twice
+		if (self.navigator.locks) {
+			await self.navigator.locks.request(QUEUE_LOCK_NAME, sync);
+		} else {
+			await sync();
+		}
+	} finally {
+		await notifyClients({ type: 'OFFLINE_QUEUE_UPDATED', endpoints: replayedEndpoints });
 	}
 }
 
@@ -244,155 +270,129 @@ function openIndexedDB(dbName) {
 	});
 }
 
-// Get offline data from IndexedDB
+// Get offline data from IndexedDB, oldest first
 function getOfflineData(db) {
 	return new Promise((resolve, reject) => {
 		const transaction = db.transaction('offlineData', 'readonly');
 		const store = transaction.objectStore('offlineData');
-		const index = store.index('type_idx');
+		const index = store.index('type');
 		const request = index.getAll('offline');
 
 		request.onerror = () => reject(request.error);
-		request.onsuccess = () => resolve(request.result || []);
+		request.onsuccess = () => resolve((request.result || []).sort((a, b) => a.id - b.id));
 	});
 }
 
-// Process an offline record
-async function processOfflineRecord(record) {
-	try {
-		const { action, data } = record;
-
-		// Handle different types of offline actions
-		switch (action) {
-			case 'saveParticipant':
-				await syncParticipant(data);
-				break;
-
-			case 'updateAttendance':
-				await syncAttendance(data);
-				break;
-
-			case 'saveGuardian':
-				await syncGuardian(data);
-				break;
-
-			// Add more cases for other offline actions
-
-			default:
-				console.warn(`[Service Worker] Unknown offline action type: ${action}`);
-		}
-
-		// Delete the processed record
-		await deleteOfflineRecord(record.key);
-
-	} catch (error) {
-		console.error(`[Service Worker] Error processing offline record:`, error);
-
-		// Increment retry count
-		if (record.retryCount < 3) {
-			await updateRetryCount(record.key, (record.retryCount || 0) + 1);
-		} else {
-			await deleteOfflineRecord(record.key);
-		}
+// Process an offline record, adding its endpoint to replayedEndpoints once sent
+// Returns false when the queue must stop so later records keep their order
+async function processOfflineRecord(record, replayedEndpoints) {
+	// Changes checked for conflicts wait for the app, which can ask the user to resolve them,
+	// and so do creations, whose temporary ids the app maps to the server ids.
+	// A failed change blocks the ones after it until the user retries or discards it in the app
+	if (record.status === 'failed' || record.status === 'conflict' || (record.base && !record.conflictResolved) || record.tempId) {
+		return false;
 	}
-}
 
-// Sync a participant record
-async function syncParticipant(data) {
-	const url = data.id 
-		? `https://wampums-api.replit.app/save_participant?id=${data.id}`
-		: `https://wampums-api.replit.app/save_participant`;
+	// Records saved before the generic queue only carry an action name
+	if (!record.url) {
+		await updateRetryCount(record.id, record.retryCount || 0, {
+			status: 'failed',
+			lastError: 'Unsupported offline record'
+		});
+		return false;
+	}
 
-	const method = data.id ? 'PUT' : 'POST';
+	if (record.nextRetryAt && record.nextRetryAt > Date.now()) {
+		return false;
+	}
 
-	const response = await fetch(url, {
-		method,
+	// A network error means we are still offline: it rejects the sync so the browser schedules another one
+	const response = await fetch(record.url, {
+		method: record.method,
 		headers: {
 			'Content-Type': 'application/json',
-			'Authorization': `Bearer ${localStorage.getItem('jwtToken')}`,
-			'X-Organization-ID': localStorage.getItem('currentOrganizationId')
+			...record.headers
 		},
-		body: JSON.stringify(data)
+		body: record.data ? JSON.stringify(record.data) : undefined
 	});
 
-	if (!response.ok) {
-		throw new Error(`HTTP error! status: ${response.status}`);
-	}
+	try {
+		const result = await response.json().catch(() => ({}));
 
-	return await response.json();
-}
+		// The token saved with the record may have expired: leave it to the app, which sends
+		// the current session, without using up its attempts
+		if (response.status === 401 || response.status === 403) {
+			return false;
+		}
 
-// Sync attendance record
-async function syncAttendance(data) {
-	const { participantIds, newStatus, date } = data;
+		// The server refused the change because the data changed since it was made: the app works
+		// out the conflicting fields from the server response and asks the user to resolve them
+		if (response.status === 409) {
+			await updateRetryCount(record.id, record.retryCount || 0, {
+				status: 'conflict',
+				conflict: { serverResponse: result, detectedAt: Date.now() }
+			});
+			return false;
+		}
 
-	const response = await fetch('https://wampums-api.replit.app/update_attendance', {
-		method: 'POST',
-		headers: {
-			'Content-Type': 'application/json',
-			'Authorization': `Bearer ${localStorage.getItem('jwtToken')}`,
-			'X-Organization-ID': localStorage.getItem('currentOrganizationId')
-		},
-		body: JSON.stringify({
-			participant_id: participantIds,
-			status: newStatus,
-			date
-		})
-	});
+		if (!response.ok || result.success === false) {
+			throw new Error(result.message || `HTTP error! status: ${response.status}`);
+		}
 
-	if (!response.ok) {
-		throw new Error(`HTTP error! status: ${response.status}`);
-	}
+		// Delete the processed record
+		await deleteOfflineRecord(record.id);
+		replayedEndpoints.push(record.endpoint);
+		return true;
+	} catch (error) {
+		console.error(`[Service Worker] Error processing offline record:`, error);
 
-	return await response.json();
-}
+		// Increment retry count and back off, or give up after too many attempts
+		const retryCount = (record.retryCount || 0) + 1;
+		const failed = retryCount >= MAX_RETRIES;
 
-// Sync guardian record
-async function syncGuardian(data) {
-	const response = await fetch('https://wampums-api.replit.app/save_parent', {
-		method: 'POST',
-		headers: {
-			'Content-Type': 'application/json',
-			'Authorization': `Bearer ${localStorage.getItem('jwtToken')}`,
-			'X-Organization-ID': localStorage.getItem('currentOrganizationId')
-		},
-		body: JSON.stringify(data)
-	});
+		await updateRetryCount(record.id, retryCount, {
+			status: failed ? 'failed' : 'pending',
+			nextRetryAt: failed ? 0 : Date.now() + BASE_RETRY_DELAY * Math.pow(2, retryCount - 1),
+			lastError: error.message
+		});
 
-	if (!response.ok) {
-		throw new Error(`HTTP error! status: ${response.status}`);
+		return false;
 	}
+}
 
-	return await response.json();
+// Tell open pages that the offline queue changed
+async function notifyClients(message) {
+	const clients = await self.clients.matchAll();
+	clients.forEach(client => client.postMessage(message));
 }
 
 // Delete an offline record
-function deleteOfflineRecord(key) {
+function deleteOfflineRecord(id) {
 	return new Promise(async (resolve, reject) => {
 		const db = await openIndexedDB("ScoutsAppDB");
 		const transaction = db.transaction('offlineData', 'readwrite');
 		const store = transaction.objectStore('offlineData');
-		const request = store.delete(key);
+		const request = store.delete(id);
 
 		request.onerror = () => reject(request.error);
 		request.onsuccess = () => resolve();
 	});
 }
 
-// Update retry count for a record
-function updateRetryCount(key, retryCount) {
+// Update retry count for a record, along with its backoff or failure details
+function updateRetryCount(id, retryCount, changes = {}) {
 	return new Promise(async (resolve, reject) => {
 		const db = await openIndexedDB("ScoutsAppDB");
 		const transaction = db.transaction('offlineData', 'readwrite');
 		const store = transaction.objectStore('offlineData');
 
 		// First get the record
-		const getRequest = store.get(key);
+		const getRequest = store.get(id);
 		getRequest.onerror = () => reject(getRequest.error);
 		getRequest.onsuccess = () => {
 			const record = getRequest.result;
 			if (record) {
-				record.retryCount = retryCount;
+				Object.assign(record, changes, { retryCount });
 
 				// Update the record
 				const updateRequest = store.put(record);
@@ -403,4 +403,4 @@ function updateRetryCount(key, retryCount) {
 			}
 		};
 	});
-}
\ No newline at end of file
+}
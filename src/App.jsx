@@ -5,6 +5,7 @@ import AppRouter from './routes';
 import LoadingSpinner from './components/common/LoadingSpinner/LoadingSpinner';
 import Notification from './components/common/Notification/Notification';
 import { organizationService } from './api/organizationService';
+import { startOfflineQueue } from './api/offlineQueueService';
 import './i18n/i18n';
 import './App.css';
 
@@ -31,6 +32,9 @@ function App() {
           // Don't block initialization if settings fail to load
         }
 
+        // 3. Replay changes queued while offline and watch for reconnects
+        startOfflineQueue();
+
         // App is initialized
         setIsInitialized(true);
       } catch (error) {
@@ -4,7 +4,7 @@
  * Priority: HIGH - Required for admin functionality
  */
 
-import { fetchFromApi, debugLog, debugError } from './apiService';
+import { fetchFromApi, queryApi, debugLog, debugError } from './apiService';
 import indexedDBService from '../lib/indexedDBService';
 
 /**
@@ -151,7 +151,7 @@ export async function fetchOrganizationId() {
 
 export async function registerForOrganization(registrationData) {
 	try {
-		const response = await fetchFromApi('register_organization', 'POST', registrationData);
+		const response = await fetchFromApi('register_organization', 'POST', registrationData, null, { queueOffline: false });
 
 		if (response.success) {
 			debugLog('Organization registration successful');
@@ -169,18 +169,30 @@ export async function registerForOrganization(registrationData) {
  * Notification Management
  */
 
-export async function sendNotification(title, body, subscriberIds = []) {
+/**
+ * Send a notification to subscribers
+ * options.target replaces subscriberIds to send by role, group or event (see lib/notifications.js),
+ * options.translations holds the text per language, options.sendAt (ISO date) schedules the sending
+ */
+export async function sendNotification(title, body, subscriberIds = [], options = {}) {
+	const { target = null, translations = null, sendAt = null, templateId = null } = options;
+
 	try {
 		const data = {
 			title,
 			body,
-			subscribers: subscriberIds
+			subscribers: subscriberIds,
+			...(target && { target }),
+			...(translations && { translations }),
+			...(sendAt && { send_at: sendAt }),
+			...(templateId && { template_id: templateId })
 		};
 
-		const response = await fetchFromApi('send_notification', 'POST', data);
+		// A scheduled notification must not be sent late by the offline queue
+		const response = await fetchFromApi('send_notification', 'POST', data, null, { queueOffline: !sendAt });
 
 		if (response.success) {
-			debugLog('Notification sent successfully');
+			debugLog(sendAt ? `Notification scheduled for ${sendAt}` : 'Notification sent successfully');
 			return response;
 		}
 
@@ -191,6 +203,93 @@ export async function sendNotification(title, body, subscriberIds = []) {
 	}
 }
 
+/**
+ * Get the notifications sent and scheduled, with the delivery status of each recipient
+ */
+export async function getNotificationHistory() {
+	try {
+		// Served from the query cache, refreshed once older than 1 minute
+		const response = await queryApi('get_notification_history', null, { staleTime: 60 * 1000 });
+
+		if (response.success) {
+			return response.notifications || [];
+		}
+
+		throw new Error(response.message || 'Failed to fetch notification history');
+	} catch (error) {
+		debugError('Error fetching notification history:', error);
+		throw error;
+	}
+}
+
+export async function cancelScheduledNotification(notificationId) {
+	try {
+		const response = await fetchFromApi('cancel_scheduled_notification', 'POST', { notification_id: notificationId }, null, { queueOffline: false });
+
+		if (response.success) {
+			debugLog(`Scheduled notification ${notificationId} cancelled`);
+			return response;
+		}
+
+		throw new Error(response.message || 'Failed to cancel scheduled notification');
+	} catch (error) {
+		debugError(`Error cancelling scheduled notification ${notificationId}:`, error);
+		throw error;
+	}
+}
+
+export async function getNotificationTemplates() {
+	try {
+		// Served from the query cache, refreshed once older than 10 minutes
+		const response = await queryApi('get_notification_templates', null, { staleTime: 10 * 60 * 1000 });
+
+		if (response.success) {
+			return response.templates || [];
+		}
+
+		throw new Error(response.message || 'Failed to fetch notification templates');
+	} catch (error) {
+		debugError('Error fetching notification templates:', error);
+		throw error;
+	}
+}
+
+/**
+ * Create a template, or update it when it has an id
+ * A template has a name and a title and body per language
+ */
+export async function saveNotificationTemplate(template) {
+	try {
+		const response = await fetchFromApi('save_notification_template', 'POST', template, null, { queueOffline: false });
+
+		if (response.success) {
+			debugLog(`Notification template ${template.name} saved`);
+			return response;
+		}
+
+		throw new Error(response.message || 'Failed to save notification template');
+	} catch (error) {
+		debugError('Error saving notification template:', error);
+		throw error;
+	}
+}
+
+export async function deleteNotificationTemplate(templateId) {
+	try {
+		const response = await fetchFromApi('delete_notification_template', 'POST', { template_id: templateId }, null, { queueOffline: false });
+
+		if (response.success) {
+			debugLog(`Notification template ${templateId} deleted`);
+			return response;
+		}
+
+		throw new Error(response.message || 'Failed to delete notification template');
+	} catch (error) {
+		debugError(`Error deleting notification template ${templateId}:`, error);
+		throw error;
+	}
+}
+
 /**
  * Mailing List Management
  */
@@ -319,6 +418,11 @@ export const administrativeService = {
 	fetchOrganizationId,
 	registerForOrganization,
 	sendNotification,
+	getNotificationHistory,
+	cancelScheduledNotification,
+	getNotificationTemplates,
+	saveNotificationTemplate,
+	deleteNotificationTemplate,
 	getMailingList,
 	getParentContactList,
 	getParticipantsWithUsers,
@@ -1,6 +1,10 @@
 // src/api/apiService.js
 import axios from 'axios';
 import { authService } from './authService';
+import indexedDBService from '../lib/indexedDBService';
+import { resolveTempIds } from '../lib/tempIds';
+import { fetchQuery, invalidateQueries } from '../lib/queryCache';
+import { QUERY_INVALIDATION_RULES } from './queryInvalidationRules';
 
 const API_URL = import.meta.env.REACT_APP_API_URL || 'https://wampums-api.replit.app';
 const DEBUG_MODE = import.meta.env.REACT_APP_DEBUG_MODE === 'true' || import.meta.env.DEV;
@@ -104,7 +108,17 @@ export function getAuthHeader() {
 }
 
 // Fetch from API helper for authenticated endpoints
-export async function fetchFromApi(endpoint, method = 'GET', data = null) {
+// Write requests failing because the device is offline are queued unless options.queueOffline is false
+// options.conflictBase is the server state the change was made from, checked before the queue replays it
+// options.tempId/idField identify an entity created offline so its server id can replace the temporary one
+// Successful writes invalidate the cached queries they affect, see queryInvalidationRules.js
+export async function fetchFromApi(endpoint, method = 'GET', data = null, params = null, options = {}) {
+	const { queueOffline = true, conflictBase = null, tempId = null, idField = null } = options;
+
+	// Entities created offline may already have their server id
+	data = resolveTempIds(data);
+	params = resolveTempIds(params);
+
 	try {
 		const url = getApiUrl(endpoint);
 		const config = {
@@ -119,23 +133,72 @@ export async function fetchFromApi(endpoint, method = 'GET', data = null) {
 		const response = await apiClient.request(config.method === 'GET' ? {
 			url,
 			method: 'GET',
-			headers: config.headers
+			headers: config.headers,
+			...(params && { params })
 		} : {
 			url,
 			method: config.method,
 			headers: config.headers,
 			data: config.data
 		});
+
+		if (method.toUpperCase() !== 'GET' && response.data?.success !== false) {
+			await invalidateAfterMutation(endpoint);
+		}
 		
 		return response.data;
 	} catch (error) {
-		if (!navigator.onLine) {
-			error.isOffline = true;
+		if (!isNetworkError(error)) {
+			throw error;
 		}
+
+		error.isOffline = true;
+
+		// Write requests are queued and replayed in order once back online
+		if (queueOffline && method.toUpperCase() !== 'GET') {
+			await indexedDBService.queueMutation({
+				endpoint,
+				method: method.toUpperCase(),
+				url: getApiUrl(endpoint),
+				data,
+				headers: authService.getAuthHeaders(),
+				base: conflictBase,
+				tempId,
+				idField
+			});
+			debugLog(`Queued offline ${method} ${endpoint}`);
+			return {
+				success: true,
+				offline: true,
+				queued: true,
+				message: 'Changes will be saved when online'
+			};
+		}
+
 		throw error;
 	}
 }
 
+// GET request through the query cache: the cached response is returned right away
+// and refreshed in the background once older than options.staleTime
+export function queryApi(endpoint, params = null, options = {}) {
+	return fetchQuery(endpoint, params, () => fetchFromApi(endpoint, 'GET', null, params), options);
+}
+
+// Invalidate the queries a write to this endpoint makes stale
+export async function invalidateAfterMutation(endpoint) {
+	const endpoints = QUERY_INVALIDATION_RULES[endpoint];
+	if (endpoints) {
+		await invalidateQueries(endpoints);
+		debugLog(`${endpoint} invalidated queries: ${endpoints.join(', ')}`);
+	}
+}
+
+// Whether a request failed because the server could not be reached
+export function isNetworkError(error) {
+	return !navigator.onLine || (!error.response && error.code === 'ERR_NETWORK');
+}
+
 // Fetch from public API helper (no authentication)
 export async function fetchFromPublicApi(endpoint, method = 'GET', data = null) {
 	try {
@@ -4,55 +4,30 @@
  * Priority: HIGH - Core functionality for tracking attendance
  */
 
-import { fetchFromApi, debugLog, debugError } from './apiService';
-import indexedDBService from '../lib/indexedDBService';
-
-const ATTENDANCE_CACHE_PREFIX = 'attendance_';
-const ATTENDANCE_DATES_CACHE_KEY = 'attendance_dates';
-const GUESTS_CACHE_PREFIX = 'guests_';
+import { fetchFromApi, queryApi, debugLog, debugError } from './apiService';
 
 /**
  * Get attendance data for a specific date
  */
 export async function getAttendance(date) {
-	const cacheKey = `${ATTENDANCE_CACHE_PREFIX}${date}`;
-	
-	// Try cache first (5 minute expiration)
-	const cachedData = await indexedDBService.getCachedData(cacheKey);
-	if (cachedData) {
-		debugLog(`Using cached attendance data for ${date}`);
-		return cachedData;
-	}
-
 	try {
-		const response = await fetchFromApi('attendance', 'GET');
-
-		if (response.success || response.attendance) {
-			const attendanceData = response.attendance || response;
-			// Cache for 5 minutes
-			await indexedDBService.setCachedData(cacheKey, attendanceData, 5 * 60 * 1000);
-			debugLog(`Attendance data fetched for ${date}`);
-			return attendanceData;
-		}
-
-		throw new Error(response.message || 'Failed to fetch attendance data');
+		// Served from the query cache, refreshed once older than 5 minutes
+		const response = await queryApi('attendance', { date }, {
+			staleTime: 5 * 60 * 1000,
+			isValid: result => Boolean(result) && Boolean(result.success || result.attendance)
+		});
+
+		debugLog(`Attendance data fetched for ${date}`);
+		return response.attendance || response;
 	} catch (error) {
 		debugError(`Error fetching attendance for ${date}:`, error);
-
-		// If offline, try to return expired cached data
-		if (error.isOffline) {
-			const expiredCache = await indexedDBService.getCachedData(cacheKey, true);
-			if (expiredCache) {
-				return { ...expiredCache, isOffline: true };
-			}
-		}
-
 		throw error;
 	}
 }
 
 /**
  * Update attendance for participants
+ * previousStatus is a status or an object of statuses by participant id
  */
 export async function updateAttendance(participantIds, status, date, previousStatus = null) {
 	try {
@@ -63,16 +38,20 @@ export async function updateAttendance(participantIds, status, date, previousSta
 			participant_ids: ids,
 			status,
 			date,
-			previous_status: previousStatus
+			previous_status: typeof previousStatus === 'object' ? null : previousStatus
 		};
 
-		const response = await fetchFromApi('update-attendance', 'POST', data);
+		// Statuses shown when the change was made, checked for conflicts if the change is replayed later
+		const conflictBase = previousStatus === null ? null : {
+			statuses: Object.fromEntries(ids.map(id => [
+				id,
+				typeof previousStatus === 'object' ? previousStatus[id] : previousStatus
+			]))
+		};
+
+		const response = await fetchFromApi('update-attendance', 'POST', data, null, { conflictBase });
 
 		if (response.success) {
-			// Clear attendance cache for the date to force refresh
-			const cacheKey = `${ATTENDANCE_CACHE_PREFIX}${date}`;
-			await indexedDBService.clearCachedData(cacheKey);
-			
 			debugLog(`Attendance updated for ${ids.length} participant(s) on ${date}`);
 			return response;
 		}
@@ -80,23 +59,6 @@ export async function updateAttendance(participantIds, status, date, previousSta
 		throw new Error(response.message || 'Failed to update attendance');
 	} catch (error) {
 		debugError('Error updating attendance:', error);
-
-		// Save for offline sync if device is offline
-		if (error.isOffline) {
-			await indexedDBService.saveOfflineData('updateAttendance', {
-				participantIds: Array.isArray(participantIds) ? participantIds : [participantIds],
-				status,
-				date,
-				previousStatus
-			}, 1);
-			
-			return {
-				success: true,
-				offline: true,
-				message: 'Attendance changes will be saved when online'
-			};
-		}
-
 		throw error;
 	}
 }
@@ -105,21 +67,11 @@ export async function updateAttendance(participantIds, status, date, previousSta
  * Get available attendance dates
  */
 export async function getAttendanceDates() {
-	const cacheKey = ATTENDANCE_DATES_CACHE_KEY;
-	
-	// Try cache first (30 minute expiration)
-	const cachedData = await indexedDBService.getCachedData(cacheKey);
-	if (cachedData) {
-		debugLog('Using cached attendance dates');
-		return { success: true, dates: cachedData };
-	}
-
 	try {
-		const response = await fetchFromApi('attendance-dates', 'GET');
+		// Served from the query cache, refreshed once older than 30 minutes
+		const response = await queryApi('attendance-dates', null, { staleTime: 30 * 60 * 1000 });
 
 		if (response.success && response.dates) {
-			// Cache for 30 minutes
-			await indexedDBService.setCachedData(cacheKey, response.dates, 30 * 60 * 1000);
 			debugLog('Attendance dates fetched successfully');
 			return response;
 		}
@@ -127,15 +79,6 @@ export async function getAttendanceDates() {
 		throw new Error(response.message || 'Failed to fetch attendance dates');
 	} catch (error) {
 		debugError('Error fetching attendance dates:', error);
-
-		// If offline, try to return expired cached data
-		if (error.isOffline) {
-			const expiredCache = await indexedDBService.getCachedData(cacheKey, true);
-			if (expiredCache) {
-				return { success: true, dates: expiredCache, isOffline: true };
-			}
-		}
-
 		throw error;
 	}
 }
@@ -163,22 +106,11 @@ export async function getAvailableDates() {
  * Get reunion/meeting dates
  */
 export async function getReunionDates() {
-	const cacheKey = 'reunion_dates';
-	
-	// Try cache first (60 minute expiration)
-	const cachedData = await indexedDBService.getCachedData(cacheKey);
-	if (cachedData) {
-		debugLog('Using cached reunion dates');
-		return { success: true, dates: cachedData };
-	}
-
 	try {
-		const response = await fetchFromApi('get_reunion_dates', 'GET');
+		// Served from the query cache, refreshed once older than 60 minutes
+		const response = await queryApi('get_reunion_dates', null, { staleTime: 60 * 60 * 1000 });
 
 		if (response.success && response.dates) {
-			// Cache for 60 minutes
-			await indexedDBService.setCachedData(cacheKey, response.dates, 60 * 60 * 1000);
-			debugLog('Reunion dates fetched successfully');
 			return response;
 		}
 
@@ -198,11 +130,6 @@ export async function saveGuest(guestData) {
 		const response = await fetchFromApi('save-guest', 'POST', guestData);
 
 		if (response.success) {
-			// Clear guests cache for the date
-			const date = guestData.attendance_date;
-			const cacheKey = `${GUESTS_CACHE_PREFIX}${date}`;
-			await indexedDBService.clearCachedData(cacheKey);
-			
 			debugLog('Guest saved successfully');
 			return response;
 		}
@@ -210,59 +137,26 @@ export async function saveGuest(guestData) {
 		throw new Error(response.message || 'Failed to save guest');
 	} catch (error) {
 		debugError('Error saving guest:', error);
-
-		// Save for offline sync if device is offline
-		if (error.isOffline) {
-			await indexedDBService.saveOfflineData('saveGuest', guestData, 2);
-			return {
-				success: true,
-				offline: true,
-				message: 'Guest will be saved when online'
-			};
-		}
-
 		throw error;
 	}
 }
 
 export async function getGuestsByDate(date) {
-	const cacheKey = `${GUESTS_CACHE_PREFIX}${date}`;
-	
-	// Try cache first (10 minute expiration)
-	const cachedData = await indexedDBService.getCachedData(cacheKey);
-	if (cachedData) {
-		debugLog(`Using cached guests data for ${date}`);
-		return cachedData;
-	}
-
 	try {
-		const response = await fetchFromApi('guests-by-date', 'GET');
+		// Served from the query cache, refreshed once older than 10 minutes
+		const response = await queryApi('guests-by-date', { date }, {
+			staleTime: 10 * 60 * 1000,
+			isValid: result => Array.isArray(result) || Boolean(result?.success)
+		});
 
 		// Handle both response formats
-		let guestsData;
-		if (response.success && response.guests) {
-			guestsData = response.guests;
-		} else if (Array.isArray(response)) {
-			guestsData = response;
-		} else {
-			guestsData = [];
+		if (Array.isArray(response)) {
+			return response;
 		}
-
-		// Cache for 10 minutes
-		await indexedDBService.setCachedData(cacheKey, guestsData, 10 * 60 * 1000);
-		debugLog(`Guests data fetched for ${date}`);
-		return guestsData;
+		return response.guests || [];
 	} catch (error) {
 		debugError(`Error fetching guests for ${date}:`, error);
 
-		// If offline, try to return expired cached data
-		if (error.isOffline) {
-			const expiredCache = await indexedDBService.getCachedData(cacheKey, true);
-			if (expiredCache) {
-				return expiredCache;
-			}
-		}
-
 		// Return empty array on error
 		return [];
 	}
@@ -284,38 +178,16 @@ export async function saveReunionPreparation(formData) {
 		throw new Error(response.message || 'Failed to save reunion preparation');
 	} catch (error) {
 		debugError('Error saving reunion preparation:', error);
-
-		// Save for offline sync if device is offline
-		if (error.isOffline) {
-			await indexedDBService.saveOfflineData('saveReunionPreparation', formData, 2);
-			return {
-				success: true,
-				offline: true,
-				message: 'Reunion preparation will be saved when online'
-			};
-		}
-
 		throw error;
 	}
 }
 
 export async function getReunionPreparation(date) {
-	const cacheKey = `reunion_prep_${date}`;
-	
-	// Try cache first (15 minute expiration)
-	const cachedData = await indexedDBService.getCachedData(cacheKey);
-	if (cachedData) {
-		debugLog(`Using cached reunion preparation for ${date}`);
-		return { success: true, data: cachedData };
-	}
-
 	try {
-		const response = await fetchFromApi('get_reunion_preparation', 'GET', null, { date });
+		// Served from the query cache, refreshed once older than 15 minutes
+		const response = await queryApi('get_reunion_preparation', { date }, { staleTime: 15 * 60 * 1000 });
 
 		if (response.success) {
-			// Cache for 15 minutes
-			await indexedDBService.setCachedData(cacheKey, response.data, 15 * 60 * 1000);
-			debugLog(`Reunion preparation fetched for ${date}`);
 			return response;
 		}
 
@@ -331,22 +203,11 @@ export async function getReunionPreparation(date) {
  */
 
 export async function getActivitesRencontre() {
-	const cacheKey = 'activites_rencontre';
-	
-	// Try cache first (30 minute expiration)
-	const cachedData = await indexedDBService.getCachedData(cacheKey);
-	if (cachedData) {
-		debugLog('Using cached activites rencontre');
-		return { success: true, activities: cachedData };
-	}
-
 	try {
-		const response = await fetchFromApi('get_activites_rencontre', 'GET');
+		// Served from the query cache, refreshed once older than 30 minutes
+		const response = await queryApi('get_activites_rencontre', null, { staleTime: 30 * 60 * 1000 });
 
 		if (response.success && response.activities) {
-			// Cache for 30 minutes
-			await indexedDBService.setCachedData(cacheKey, response.activities, 30 * 60 * 1000);
-			debugLog('Activites rencontre fetched successfully');
 			return response;
 		}
 
@@ -358,22 +219,11 @@ export async function getActivitesRencontre() {
 }
 
 export async function getAnimateurs() {
-	const cacheKey = 'animateurs';
-	
-	// Try cache first (30 minute expiration)
-	const cachedData = await indexedDBService.getCachedData(cacheKey);
-	if (cachedData) {
-		debugLog('Using cached animateurs');
-		return { success: true, animateurs: cachedData };
-	}
-
 	try {
-		const response = await fetchFromApi('get_animateurs', 'GET');
+		// Served from the query cache, refreshed once older than 30 minutes
+		const response = await queryApi('get_animateurs', null, { staleTime: 30 * 60 * 1000 });
 
 		if (response.success && response.animateurs) {
-			// Cache for 30 minutes
-			await indexedDBService.setCachedData(cacheKey, response.animateurs, 30 * 60 * 1000);
-			debugLog('Animateurs fetched successfully');
 			return response;
 		}
 
@@ -385,57 +235,213 @@ export async function getAnimateurs() {
 }
 
 /**
- * Sync offline attendance data when back online
+ * Absence alerts already followed up with the guardians, see lib/absenceAlerts.js
  */
-export async function syncOfflineAttendanceData() {
+export async function getAbsenceFollowUps() {
 	try {
-		const pendingData = await indexedDBService.getPendingOfflineData();
-		const attendanceOperations = pendingData.filter(item => 
-			['updateAttendance', 'saveGuest', 'saveReunionPreparation'].includes(item.action)
-		);
-
-		debugLog(`Syncing ${attendanceOperations.length} offline attendance operations`);
-
-		const results = [];
-		for (const operation of attendanceOperations) {
-			try {
-				await indexedDBService.updateOfflineDataStatus(operation.id, 'processing');
-
-				let result;
-				switch (operation.action) {
-					case 'updateAttendance':
-						result = await updateAttendance(
-							operation.data.participantIds,
-							operation.data.status,
-							operation.data.date,
-							operation.data.previousStatus
-						);
-						break;
-					case 'saveGuest':
-						result = await saveGuest(operation.data);
-						break;
-					case 'saveReunionPreparation':
-						result = await saveReunionPreparation(operation.data);
-						break;
-				}
-
-				if (result.success && !result.offline) {
-					await indexedDBService.updateOfflineDataStatus(operation.id, 'completed');
-					results.push({ operation: operation.action, status: 'success' });
-				} else {
-					throw new Error(result.message || 'Operation failed');
-				}
-			} catch (error) {
-				debugError(`Error syncing operation ${operation.action}:`, error);
-				await indexedDBService.updateOfflineDataStatus(operation.id, 'failed', error);
-				results.push({ operation: operation.action, status: 'failed', error: error.message });
-			}
+		// Served from the query cache, refreshed once older than 10 minutes
+		const response = await queryApi('absence-follow-ups', null, { staleTime: 10 * 60 * 1000 });
+
+		if (response.success) {
+			return response.follow_ups || [];
 		}
 
-		return { success: true, results };
+		throw new Error(response.message || 'Failed to fetch absence follow-ups');
 	} catch (error) {
-		debugError('Error syncing offline attendance data:', error);
-		return { success: false, error: error.message };
+		debugError('Error fetching absence follow-ups:', error);
+		throw error;
+	}
+}
+
+/**
+ * Send a message about an absence alert to the guardians of the participant, by email and/or push notification
+ */
+export async function sendAbsenceFollowUp({ participantId, ruleId, dates, lastDate, channels, message }) {
+	try {
+		const response = await fetchFromApi('send-absence-follow-up', 'POST', {
+			participant_id: participantId,
+			rule: ruleId,
+			dates,
+			last_date: lastDate,
+			channels,
+			message
+		});
+
+		if (response.success) {
+			debugLog(`Absence follow-up sent for participant ${participantId} (${channels.join(', ')})`);
+			return response;
+		}
+
+		throw new Error(response.message || 'Failed to send absence follow-up');
+	} catch (error) {
+		debugError(`Error sending absence follow-up for participant ${participantId}:`, error);
+		throw error;
+	}
+}
+
+/**
+ * Absence notices declared by the guardians
+ * A date gives the notices of every participant for that meeting, otherwise the notices
+ * of the participants of the guardian for the upcoming meetings
+ */
+export async function getAbsenceNotices(date = null) {
+	try {
+		// Served from the query cache, refreshed once older than 5 minutes
+		const response = await queryApi('absence-notices', date ? { date } : null, { staleTime: 5 * 60 * 1000 });
+
+		if (response.success) {
+			return (response.notices || []).map(notice => ({ ...notice, date: String(notice.date).slice(0, 10) }));
+		}
+
+		throw new Error(response.message || 'Failed to fetch absence notices');
+	} catch (error) {
+		debugError('Error fetching absence notices:', error);
+		throw error;
+	}
+}
+
+/**
+ * Declare that a participant will miss a meeting, the leaders see the participant as excused on that date
+ */
+export async function submitAbsenceNotice({ participantId, date, reason }) {
+	try {
+		const response = await fetchFromApi('submit-absence-notice', 'POST', {
+			participant_id: participantId,
+			date,
+			reason
+		});
+
+		if (response.success) {
+			debugLog(`Absence notice submitted for participant ${participantId} on ${date}`);
+			return response;
+		}
+
+		throw new Error(response.message || 'Failed to submit absence notice');
+	} catch (error) {
+		debugError(`Error submitting absence notice for participant ${participantId}:`, error);
+		throw error;
+	}
+}
+
+/**
+ * Withdraw an absence notice, for a participant who will attend the meeting after all
+ */
+export async function cancelAbsenceNotice(noticeId) {
+	try {
+		const response = await fetchFromApi('cancel-absence-notice', 'POST', { notice_id: noticeId });
+
+		if (response.success) {
+			debugLog(`Absence notice ${noticeId} cancelled`);
+			return response;
+		}
+
+		throw new Error(response.message || 'Failed to cancel absence notice');
+	} catch (error) {
+		debugError(`Error cancelling absence notice ${noticeId}:`, error);
+		throw error;
+	}
+}
+
+/**
+ * Who may pick up each participant: the listed guardians and the leave-alone authorization, see lib/checkIn.js
+ */
+export async function getPickupAuthorizations() {
+	try {
+		// Served from the query cache, refreshed once older than 10 minutes
+		const response = await queryApi('pickup-authorizations', null, { staleTime: 10 * 60 * 1000 });
+
+		if (response.success) {
+			return response.authorizations || [];
+		}
+
+		throw new Error(response.message || 'Failed to fetch pickup authorizations');
+	} catch (error) {
+		debugError('Error fetching pickup authorizations:', error);
+		throw error;
+	}
+}
+
+/**
+ * Departures recorded for a meeting date
+ */
+export async function getDismissals(date) {
+	try {
+		// Served from the query cache, refreshed once older than 1 minute
+		const response = await queryApi('dismissals', { date }, { staleTime: 60 * 1000 });
+
+		if (response.success) {
+			return response.dismissals || [];
+		}
+
+		throw new Error(response.message || 'Failed to fetch dismissals');
+	} catch (error) {
+		debugError(`Error fetching dismissals for ${date}:`, error);
+		throw error;
+	}
+}
+
+/**
+ * Record the departure of a participant, alone or with the adult picking the participant up
+ */
+export async function recordDismissal({ participantId, date, leftAlone = false, guardianId = null, pickedUpBy = null }) {
+	try {
+		const response = await fetchFromApi('record-dismissal', 'POST', {
+			participant_id: participantId,
+			date,
+			left_alone: leftAlone,
+			guardian_id: guardianId,
+			picked_up_by: pickedUpBy
+		});
+
+		if (response.success) {
+			debugLog(`Dismissal recorded for participant ${participantId} on ${date}`);
+			return response;
+		}
+
+		throw new Error(response.message || 'Failed to record dismissal');
+	} catch (error) {
+		debugError(`Error recording dismissal for participant ${participantId}:`, error);
+		throw error;
+	}
+}
+
+/**
+ * Preparations of the meetings of the season with their place, activities and cancellation, for the calendar
+ */
+export async function getMeetingPreparations() {
+	try {
+		// Served from the query cache, refreshed once older than 30 minutes
+		const response = await queryApi('meeting-preparations', null, { staleTime: 30 * 60 * 1000 });
+
+		if (response.success) {
+			return response.preparations || [];
+		}
+
+		throw new Error(response.message || 'Failed to fetch meeting preparations');
+	} catch (error) {
+		debugError('Error fetching meeting preparations:', error);
+		throw error;
+	}
+}
+
+/**
+ * Addresses of the iCalendar feeds of the organization and of the family of the user
+ */
+export async function getCalendarFeeds() {
+	try {
+		const response = await queryApi('calendar-feeds', null, { staleTime: 60 * 60 * 1000 });
+
+		if (response.success) {
+			return {
+				organizationUrl: response.organization_url || null,
+				familyUrl: response.family_url || null
+			};
+		}
+
+		throw new Error(response.message || 'Failed to fetch calendar feeds');
+	} catch (error) {
+		debugError('Error fetching calendar feeds:', error);
+		throw error;
 	}
 }
 
@@ -451,7 +457,16 @@ export const attendanceService = {
 	getReunionPreparation,
 	getActivitesRencontre,
 	getAnimateurs,
-	syncOfflineAttendanceData
+	getAbsenceFollowUps,
+	sendAbsenceFollowUp,
+	getAbsenceNotices,
+	submitAbsenceNotice,
+	cancelAbsenceNotice,
+	getPickupAuthorizations,
+	getDismissals,
+	recordDismissal,
+	getMeetingPreparations,
+	getCalendarFeeds
 };
 
 export default attendanceService;
\ No newline at end of file
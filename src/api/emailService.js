@@ -0,0 +1,90 @@
+// src/api/emailService.js
+/**
+ * Service for the bulk emails written in the app (see lib/bulkEmail.js and lib/mailTransport.js)
+ * Priority: MEDIUM - Required for emails to families and leaders
+ */
+
+import { fetchFromApi, queryApi, debugLog, debugError } from './apiService';
+
+/**
+ * Get the people emails can be sent to: leaders and admins by role, guardians with their participants
+ */
+export async function getEmailRecipients() {
+	try {
+		// Served from the query cache, refreshed once older than 5 minutes
+		const response = await queryApi('email-recipients', null, { staleTime: 5 * 60 * 1000 });
+
+		if (response.success) {
+			return response.recipients || [];
+		}
+
+		throw new Error(response.message || 'Failed to fetch email recipients');
+	} catch (error) {
+		debugError('Error fetching email recipients:', error);
+		throw error;
+	}
+}
+
+/**
+ * Deliver messages through the mail account of the organization
+ * Each message is { to, name, subject, body }
+ */
+export async function sendEmails(messages) {
+	try {
+		const response = await fetchFromApi('send-emails', 'POST', { messages }, null, { queueOffline: false });
+
+		if (response.success) {
+			debugLog(`${messages.length} emails sent`);
+			return response;
+		}
+
+		throw new Error(response.message || 'Failed to send emails');
+	} catch (error) {
+		debugError('Error sending emails:', error);
+		throw error;
+	}
+}
+
+/**
+ * Record a sending in the email log, with the result for each recipient
+ */
+export async function logEmail(entry) {
+	try {
+		const response = await fetchFromApi('log-email', 'POST', entry);
+
+		if (response.success) {
+			debugLog(`Email ${entry.subject} logged`);
+			return response;
+		}
+
+		throw new Error(response.message || 'Failed to log email');
+	} catch (error) {
+		debugError('Error logging email:', error);
+		throw error;
+	}
+}
+
+export async function getEmailLog() {
+	try {
+		// Served from the query cache, refreshed once older than 1 minute
+		const response = await queryApi('email-log', null, { staleTime: 60 * 1000 });
+
+		if (response.success) {
+			return response.emails || [];
+		}
+
+		throw new Error(response.message || 'Failed to fetch email log');
+	} catch (error) {
+		debugError('Error fetching email log:', error);
+		throw error;
+	}
+}
+
+export const emailService = {
+	getEmailRecipients,
+	sendEmails,
+	logEmail,
+	getEmailLog
+};
+
+export default emailService;
@@ -0,0 +1,153 @@
+// src/api/eventsService.js
+/**
+ * Service for special events with their own registration (see lib/events.js)
+ * Priority: MEDIUM - Required for camps and outings
+ */
+
+import { fetchFromApi, queryApi, debugLog, debugError } from './apiService';
+
+/**
+ * Get the events of the organization with their number of confirmed and waitlisted registrations
+ */
+export async function getEvents() {
+	try {
+		// Served from the query cache, refreshed once older than 5 minutes
+		const response = await queryApi('events', null, { staleTime: 5 * 60 * 1000 });
+
+		if (response.success) {
+			return response.events || [];
+		}
+
+		throw new Error(response.message || 'Failed to fetch events');
+	} catch (error) {
+		debugError('Error fetching events:', error);
+		throw error;
+	}
+}
+
+/**
+ * Create an event, or update it when it has an id
+ */
+export async function saveEvent(event) {
+	try {
+		const response = await fetchFromApi('save-event', 'POST', event, null, { queueOffline: false });
+
+		if (response.success) {
+			debugLog(`Event ${event.name} saved`);
+			return response;
+		}
+
+		throw new Error(response.message || 'Failed to save event');
+	} catch (error) {
+		debugError('Error saving event:', error);
+		throw error;
+	}
+}
+
+/**
+ * Cancel an event, the registered families are told by the server
+ */
+export async function cancelEvent(eventId) {
+	try {
+		const response = await fetchFromApi('cancel-event', 'POST', { event_id: eventId }, null, { queueOffline: false });
+
+		if (response.success) {
+			debugLog(`Event ${eventId} cancelled`);
+			return response;
+		}
+
+		throw new Error(response.message || 'Failed to cancel event');
+	} catch (error) {
+		debugError(`Error cancelling event ${eventId}:`, error);
+		throw error;
+	}
+}
+
+/**
+ * Get the registrations of an event with the health and dietary information of each participant
+ */
+export async function getEventRoster(eventId) {
+	try {
+		// Served from the query cache, refreshed once older than 30 seconds
+		const response = await queryApi('event-roster', { event_id: eventId }, { staleTime: 30 * 1000 });
+
+		if (response.success) {
+			return { event: response.event || null, registrations: response.registrations || [] };
+		}
+
+		throw new Error(response.message || 'Failed to fetch event roster');
+	} catch (error) {
+		debugError(`Error fetching roster of event ${eventId}:`, error);
+		throw error;
+	}
+}
+
+/**
+ * Get the upcoming events with the registrations of the participants of the current parent
+ */
+export async function getFamilyEvents() {
+	try {
+		const response = await queryApi('family-events', null, { staleTime: 60 * 1000 });
+
+		if (response.success) {
+			return { events: response.events || [], registrations: response.registrations || [] };
+		}
+
+		throw new Error(response.message || 'Failed to fetch family events');
+	} catch (error) {
+		debugError('Error fetching family events:', error);
+		throw error;
+	}
+}
+
+/**
+ * Register a participant, confirmed or waitlisted depending on the places left
+ * The server refuses the registration when a required form is missing
+ */
+export async function registerParticipant(eventId, participantId, notes = '') {
+	try {
+		const response = await fetchFromApi('register-event', 'POST', {
+			event_id: eventId,
+			participant_id: participantId,
+			notes
+		}, null, { queueOffline: false });
+
+		if (response.success) {
+			debugLog(`Participant ${participantId} registered to event ${eventId}`);
+			return response;
+		}
+
+		throw new Error(response.message || 'Failed to register to event');
+	} catch (error) {
+		debugError(`Error registering participant ${participantId} to event ${eventId}:`, error);
+		throw error;
+	}
+}
+
+export async function cancelRegistration(registrationId) {
+	try {
+		const response = await fetchFromApi('cancel-event-registration', 'POST', { registration_id: registrationId }, null, { queueOffline: false });
+
+		if (response.success) {
+			debugLog(`Event registration ${registrationId} cancelled`);
+			return response;
+		}
+
+		throw new Error(response.message || 'Failed to cancel event registration');
+	} catch (error) {
+		debugError(`Error cancelling event registration ${registrationId}:`, error);
+		throw error;
+	}
+}
+
+export const eventsService = {
+	getEvents,
+	saveEvent,
+	cancelEvent,
+	getEventRoster,
+	getFamilyEvents,
+	registerParticipant,
+	cancelRegistration
+};
+
+export default eventsService;
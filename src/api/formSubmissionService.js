@@ -0,0 +1,98 @@
+// src/api/formSubmissionService.js
+/**
+ * Service for the answers to organization forms (health form, risk acceptance, ...)
+ * Priority: HIGH - Required for parents to fill the forms of their children
+ */
+
+import { fetchFromApi, queryApi, uploadToApi, debugLog, debugError } from './apiService';
+import { updateQueryData } from '../lib/queryCache';
+
+/**
+ * Get the answers of a participant to a form, or an empty object if the form was never filled
+ */
+export async function getFormSubmission(participantId, formType) {
+	try {
+		// Cached so the form can be reviewed offline, refreshed once older than 10 minutes
+		const response = await queryApi('form-submission', { participant_id: participantId, form_type: formType }, {
+			staleTime: 10 * 60 * 1000,
+			isValid: result => Boolean(result) && result.success !== false
+		});
+
+		debugLog(`Form submission fetched for ${formType}, participant ${participantId}`);
+		return response.form_data || {};
+	} catch (error) {
+		debugError(`Error fetching ${formType} submission for participant ${participantId}:`, error);
+		throw error;
+	}
+}
+
+/**
+ * Save the answers of a participant to a form
+ */
+export async function saveFormSubmission(formType, participantId, submissionData) {
+	try {
+		const response = await fetchFromApi('save-form-submission', 'POST', {
+			form_type: formType,
+			participant_id: participantId,
+			submission_data: submissionData
+		});
+
+		// Queued while offline: show the new answers when the form is opened again
+		if (response.offline) {
+			await updateQueryData('form-submission', { participant_id: participantId, form_type: formType }, cached => ({
+				...cached,
+				form_data: submissionData
+			}));
+			return response;
+		}
+
+		if (response.success) {
+			debugLog(`Form submission saved for ${formType}, participant ${participantId}`);
+			return response;
+		}
+
+		throw new Error(response.message || 'Failed to save form submission');
+	} catch (error) {
+		debugError(`Error saving ${formType} submission for participant ${participantId}:`, error);
+		throw error;
+	}
+}
+
+/**
+ * Upload a file answering a form field, resolves to the { url, name } stored as the answer
+ */
+export async function uploadFormFile(formType, participantId, fieldName, file, progressCallback = null) {
+	try {
+		const formData = new FormData();
+		formData.append('form_type', formType);
+		formData.append('participant_id', participantId);
+		formData.append('field_name', fieldName);
+		formData.append('file', file);
+
+		const response = await uploadToApi('upload_form_file', formData, progressCallback);
+
+		if (response.success) {
+			debugLog(`File uploaded for ${formType} field ${fieldName}`);
+			return { url: response.url || response.file_url, name: file.name };
+		}
+
+		throw new Error(response.message || 'Failed to upload file');
+	} catch (error) {
+		debugError(`Error uploading file for ${formType} field ${fieldName}:`, error);
+
+		// Files cannot be queued while offline
+		if (error.isOffline) {
+			throw new Error('Cannot upload files while offline');
+		}
+
+		throw error;
+	}
+}
+
+export const formSubmissionService = {
+	getFormSubmission,
+	saveFormSubmission,
+	uploadFormFile
+};
+
+export default formSubmissionService;
@@ -0,0 +1,135 @@
+// src/api/fundraiserService.js
+/**
+ * Service for fundraising campaigns (calendars, chocolate, trees...)
+ * Tracks stock issued and returned per participant and individual payment entries
+ * Priority: MEDIUM - Replaces the single amount/paid columns of the calendar sales
+ */
+
+import { fetchFromApi, queryApi, debugLog, debugError } from './apiService';
+
+/**
+ * Campaigns
+ */
+
+export async function getCampaigns() {
+	try {
+		// Served from the query cache, refreshed once older than 30 minutes
+		const response = await queryApi('fundraisers', null, { staleTime: 30 * 60 * 1000 });
+
+		if (response.success && response.campaigns) {
+			return response;
+		}
+
+		throw new Error(response.message || 'Failed to fetch fundraiser campaigns');
+	} catch (error) {
+		debugError('Error fetching fundraiser campaigns:', error);
+		throw error;
+	}
+}
+
+export async function saveCampaign(campaign) {
+	try {
+		const response = await fetchFromApi('save-fundraiser', 'POST', campaign);
+
+		if (response.success) {
+			debugLog('Fundraiser campaign saved successfully');
+			return response;
+		}
+
+		throw new Error(response.message || 'Failed to save fundraiser campaign');
+	} catch (error) {
+		debugError('Error saving fundraiser campaign:', error);
+		throw error;
+	}
+}
+
+/**
+ * Ledger: participants, stock movements and payments of a campaign
+ */
+
+export async function getLedger(campaignId) {
+	try {
+		// Served from the query cache, refreshed once older than 5 minutes
+		const response = await queryApi('fundraiser-ledger', { campaign_id: campaignId }, { staleTime: 5 * 60 * 1000 });
+
+		if (response.success) {
+			return {
+				success: true,
+				participants: response.participants || [],
+				stock_movements: response.stock_movements || [],
+				payments: response.payments || []
+			};
+		}
+
+		throw new Error(response.message || 'Failed to fetch fundraiser ledger');
+	} catch (error) {
+		debugError(`Error fetching ledger for fundraiser ${campaignId}:`, error);
+		throw error;
+	}
+}
+
+export async function recordStockMovement(movement) {
+	try {
+		const response = await fetchFromApi('fundraiser-stock-movement', 'POST', movement);
+
+		if (response.success) {
+			debugLog(`Stock movement recorded for participant ${movement.participant_id}`);
+			return response;
+		}
+
+		throw new Error(response.message || 'Failed to record stock movement');
+	} catch (error) {
+		debugError('Error recording stock movement:', error);
+		throw error;
+	}
+}
+
+export async function recordPayment(payment) {
+	try {
+		const response = await fetchFromApi('fundraiser-payment', 'POST', payment);
+
+		if (response.success) {
+			debugLog(`Payment recorded for participant ${payment.participant_id}`);
+			return response;
+		}
+
+		throw new Error(response.message || 'Failed to record payment');
+	} catch (error) {
+		debugError('Error recording payment:', error);
+		throw error;
+	}
+}
+
+/**
+ * Delete a stock movement or payment entered by mistake
+ */
+export async function deleteLedgerEntry(campaignId, entryType, entryId) {
+	try {
+		const response = await fetchFromApi('delete-fundraiser-entry', 'POST', {
+			campaign_id: campaignId,
+			entry_type: entryType,
+			entry_id: entryId
+		});
+
+		if (response.success) {
+			debugLog(`Fundraiser ${entryType} ${entryId} deleted`);
+			return response;
+		}
+
+		throw new Error(response.message || 'Failed to delete fundraiser entry');
+	} catch (error) {
+		debugError(`Error deleting fundraiser ${entryType} ${entryId}:`, error);
+		throw error;
+	}
+}
+
+export const fundraiserService = {
+	getCampaigns,
+	saveCampaign,
+	getLedger,
+	recordStockMovement,
+	recordPayment,
+	deleteLedgerEntry
+};
+
+export default fundraiserService;
@@ -4,34 +4,22 @@
  * Priority: HIGH - Required for organizing participants
  */
 
-import { fetchFromApi, debugLog, debugError } from './apiService';
+import { fetchFromApi, queryApi, debugLog, debugError } from './apiService';
 import indexedDBService from '../lib/indexedDBService';
-
-const GROUPS_CACHE_KEY = 'groups_list';
+import { updateQueryData } from '../lib/queryCache';
+import { createTempId } from '../lib/tempIds';
 
 /**
  * Get all groups
  */
 export async function getGroups() {
-	const cacheKey = GROUPS_CACHE_KEY;
-	
-	// Try cache first (10 minute expiration)
-	const cachedData = await indexedDBService.getCachedData(cacheKey);
-	if (cachedData) {
-		debugLog('Using cached groups data');
-		return { success: true, groups: cachedData };
-	}
-
 	try {
-		const response = await fetchFromApi('get_groups', 'GET');
+		// Served from the query cache, refreshed once older than 10 minutes
+		const response = await queryApi('get_groups', null, { staleTime: 10 * 60 * 1000 });
 
 		if (response.success && response.data) {
 			// Sort groups alphabetically by name
-			const sortedGroups = response.data.sort((a, b) => a.name.localeCompare(b.name));
-			console.log("Fetched groups: ", sortedGroups);
-
-			// Cache for 10 minutes
-			await indexedDBService.setCachedData(cacheKey, sortedGroups, 10 * 60 * 1000);
+			const sortedGroups = [...response.data].sort((a, b) => a.name.localeCompare(b.name));
 			debugLog('Groups fetched successfully');
 			return { success: true, groups: sortedGroups };
 		}
@@ -39,15 +27,6 @@ export async function getGroups() {
 		throw new Error(response.message || 'Failed to fetch groups');
 	} catch (error) {
 		debugError('Error fetching groups:', error);
-
-		// If offline, try to return expired cached data
-		if (error.isOffline) {
-			const expiredCache = await indexedDBService.getCachedData(cacheKey, true);
-			if (expiredCache) {
-				return { success: true, groups: expiredCache, isOffline: true };
-			}
-		}
-
 		throw error;
 	}
 }
@@ -56,12 +35,22 @@ export async function getGroups() {
  * Add a new group
  */
 export async function addGroup(groupName) {
+	// Used until the server id is known if the group is created offline
+	const tempId = createTempId('temp_group');
+
 	try {
-		const response = await fetchFromApi('add-group', 'POST', { group_name: groupName });
+		const response = await fetchFromApi('add-group', 'POST', { group_name: groupName }, null, { tempId, idField: 'group_id' });
 
 		if (response.success) {
-			// Clear groups cache to force refresh
-			await indexedDBService.clearCachedData(GROUPS_CACHE_KEY);
+			// Queued while offline: list the group under its temporary id so participants can be assigned to it
+			if (response.offline) {
+				await updateQueryData('get_groups', null, cached => ({
+					...cached,
+					data: [...(cached.data || []), { id: tempId, name: groupName }]
+				}));
+				return { ...response, tempId };
+			}
+
 			debugLog(`Group "${groupName}" added successfully`);
 			return response;
 		}
@@ -69,18 +58,6 @@ export async function addGroup(groupName) {
 		throw new Error(response.message || 'Failed to add group');
 	} catch (error) {
 		debugError(`Error adding group "${groupName}":`, error);
-
-		// Save for offline sync if device is offline
-		if (error.isOffline) {
-			await indexedDBService.saveOfflineData('addGroup', { groupName }, 2);
-			return {
-				success: true,
-				offline: true,
-				message: 'Group will be created when online',
-				tempId: `temp_group_${Date.now()}`
-			};
-		}
-
 		throw error;
 	}
 }
@@ -90,11 +67,9 @@ export async function addGroup(groupName) {
  */
 export async function removeGroup(groupId) {
 	try {
-		const response = await fetchFromApi('remove-group', 'POST', { group_id: groupId });
+		const response = await fetchFromApi('remove-group', 'POST', { group_id: groupId }, null, { queueOffline: false });
 
 		if (response.success) {
-			// Clear groups cache to force refresh
-			await indexedDBService.clearCachedData(GROUPS_CACHE_KEY);
 			debugLog(`Group ${groupId} removed successfully`);
 			return response;
 		}
@@ -123,8 +98,6 @@ export async function updateGroupName(groupId, newName) {
 		});
 
 		if (response.success) {
-			// Clear groups cache to force refresh
-			await indexedDBService.clearCachedData(GROUPS_CACHE_KEY);
 			debugLog(`Group ${groupId} name updated to "${newName}"`);
 			return response;
 		}
@@ -132,17 +105,6 @@ export async function updateGroupName(groupId, newName) {
 		throw new Error(response.message || 'Failed to update group name');
 	} catch (error) {
 		debugError(`Error updating group ${groupId} name:`, error);
-
-		// Save for offline sync if device is offline
-		if (error.isOffline) {
-			await indexedDBService.saveOfflineData('updateGroupName', { groupId, newName }, 2);
-			return {
-				success: true,
-				offline: true,
-				message: 'Group name changes will be saved when online'
-			};
-		}
-
 		throw error;
 	}
 }
@@ -162,10 +124,6 @@ export async function updateParticipantGroup(participantId, groupId, isLeader =
 		const response = await fetchFromApi('update-participant-group', 'POST', data);
 
 		if (response.success || response.status === 'success') {
-			// Clear participants and groups cache to force refresh
-			await indexedDBService.clearCachedData(GROUPS_CACHE_KEY);
-			await indexedDBService.clearCachedData('participants_list');
-			
 			debugLog(`Participant ${participantId} group updated successfully`);
 			return response;
 		}
@@ -173,22 +131,6 @@ export async function updateParticipantGroup(participantId, groupId, isLeader =
 		throw new Error(response.message || 'Failed to update participant group');
 	} catch (error) {
 		debugError(`Error updating participant ${participantId} group:`, error);
-
-		// Save for offline sync if device is offline
-		if (error.isOffline) {
-			await indexedDBService.saveOfflineData('updateParticipantGroup', {
-				participantId,
-				groupId,
-				isLeader,
-				isSecondLeader
-			}, 1);
-			return {
-				success: true,
-				offline: true,
-				message: 'Participant group changes will be saved when online'
-			};
-		}
-
 		throw error;
 	}
 }
@@ -251,10 +193,6 @@ export async function batchUpdateParticipantGroups(updates) {
 		const response = await fetchFromApi('batch_update_participant_groups', 'POST', { updates });
 
 		if (response.success) {
-			// Clear relevant caches
-			await indexedDBService.clearCachedData(GROUPS_CACHE_KEY);
-			await indexedDBService.clearCachedData('participants_list');
-			
 			debugLog(`Batch updated ${updates.length} participant group assignments`);
 			return response;
 		}
@@ -262,79 +200,10 @@ export async function batchUpdateParticipantGroups(updates) {
 		throw new Error(response.message || 'Failed to batch update participant groups');
 	} catch (error) {
 		debugError('Error batch updating participant groups:', error);
-
-		// Save for offline sync if device is offline
-		if (error.isOffline) {
-			await indexedDBService.saveOfflineData('batchUpdateParticipantGroups', { updates }, 1);
-			return {
-				success: true,
-				offline: true,
-				message: 'Group assignments will be saved when online'
-			};
-		}
-
 		throw error;
 	}
 }
 
-/**
- * Sync offline groups data when back online
- */
-export async function syncOfflineGroupsData() {
-	try {
-		const pendingData = await indexedDBService.getPendingOfflineData();
-		const groupsOperations = pendingData.filter(item => 
-			['addGroup', 'updateGroupName', 'updateParticipantGroup', 'batchUpdateParticipantGroups'].includes(item.action)
-		);
-
-		debugLog(`Syncing ${groupsOperations.length} offline groups operations`);
-
-		const results = [];
-		for (const operation of groupsOperations) {
-			try {
-				await indexedDBService.updateOfflineDataStatus(operation.id, 'processing');
-
-				let result;
-				switch (operation.action) {
-					case 'addGroup':
-						result = await addGroup(operation.data.groupName);
-						break;
-					case 'updateGroupName':
-						result = await updateGroupName(operation.data.groupId, operation.data.newName);
-						break;
-					case 'updateParticipantGroup':
-						result = await updateParticipantGroup(
-							operation.data.participantId,
-							operation.data.groupId,
-							operation.data.isLeader,
-							operation.data.isSecondLeader
-						);
-						break;
-					case 'batchUpdateParticipantGroups':
-						result = await batchUpdateParticipantGroups(operation.data.updates);
-						break;
-				}
-
-				if (result.success && !result.offline) {
-					await indexedDBService.updateOfflineDataStatus(operation.id, 'completed');
-					results.push({ operation: operation.action, status: 'success' });
-				} else {
-					throw new Error(result.message || 'Operation failed');
-				}
-			} catch (error) {
-				debugError(`Error syncing operation ${operation.action}:`, error);
-				await indexedDBService.updateOfflineDataStatus(operation.id, 'failed', error);
-				results.push({ operation: operation.action, status: 'failed', error: error.message });
-			}
-		}
-
-		return { success: true, results };
-	} catch (error) {
-		debugError('Error syncing offline groups data:', error);
-		return { success: false, error: error.message };
-	}
-}
-
 export const groupsService = {
 	getGroups,
 	addGroup,
@@ -343,8 +212,7 @@ export const groupsService = {
 	updateParticipantGroup,
 	getParticipantsByGroupWithRoles,
 	getGroupStatistics,
-	batchUpdateParticipantGroups,
-	syncOfflineGroupsData
+	batchUpdateParticipantGroups
 };
 
 export default groupsService;
\ No newline at end of file
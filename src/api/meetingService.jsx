@@ -1,38 +1,16 @@
 // src/api/meetingService.js
-import apiService from './apiService';
+import { fetchFromApi, queryApi } from './apiService';
 import { authService } from './authService';
-import indexedDBService from '../lib/indexedDBService';
 
 const API_BASE_URL = import.meta.env.REACT_APP_API_URL || 'https://wampums-api.replit.app';
-const REUNION_DATES_CACHE_KEY = 'reunion_dates';
-const REUNION_PREPARATION_CACHE_PREFIX = 'reunion_preparation_';
 
 export const meetingService = {
 	// Get all available meeting dates
 	getReunionDates: async () => {
-		// Try to get cached data first
-		const cachedData = await indexedDBService.getCachedData(REUNION_DATES_CACHE_KEY);
-		if (cachedData) {
-			console.log('Using cached reunion dates');
-			return cachedData;
-		}
-
 		try {
-			const response = await fetch(`${API_BASE_URL}/get_reunion_dates`, {
-				headers: authService.getAuthHeaders()
-			});
-
-			if (!response.ok) {
-				throw new Error(`HTTP error! status: ${response.status}`);
-			}
-
-			const data = await response.json();
-			const dates = data.dates || [];
-
-			// Cache dates for 30 minutes
-			await indexedDBService.setCachedData(REUNION_DATES_CACHE_KEY, dates, 30 * 60 * 1000);
-
-			return dates;
+			// Served from the query cache, refreshed once older than 30 minutes
+			const data = await queryApi('get_reunion_dates', null, { staleTime: 30 * 60 * 1000 });
+			return data.dates || [];
 		} catch (error) {
 			console.error('Error fetching reunion dates:', error);
 			throw error;
@@ -45,29 +23,9 @@ export const meetingService = {
 		// If no date provided, use today's date
 		const targetDate = date || new Date().toISOString().split('T')[0];
 
-		// Try to get cached data first
-		const cacheKey = `${REUNION_PREPARATION_CACHE_PREFIX}${targetDate}`;
-		const cachedData = await indexedDBService.getCachedData(cacheKey);
-		if (cachedData) {
-			console.log(`Using cached reunion preparation for ${targetDate}`);
-			return cachedData;
-		}
-
 		try {
-			const response = await fetch(`${API_BASE_URL}/get_reunion_preparation?date=${targetDate}`, {
-				headers: authService.getAuthHeaders()
-			});
-
-			if (!response.ok) {
-				throw new Error(`HTTP error! status: ${response.status}`);
-			}
-
-			const data = await response.json();
-
-			// Cache data for 15 minutes
-			await indexedDBService.setCachedData(cacheKey, data, 15 * 60 * 1000);
-
-			return data;
+			// Served from the query cache, refreshed once older than 15 minutes
+			return await queryApi('get_reunion_preparation', { date: targetDate }, { staleTime: 15 * 60 * 1000 });
 		} catch (error) {
 			console.error(`Error fetching reunion preparation for ${targetDate}:`, error);
 			throw error;
@@ -75,40 +33,12 @@ export const meetingService = {
 	},
 
 	// Save meeting preparation
+	// Queued with the other offline changes when the network is unreachable
 	saveReunionPreparation: async (formData) => {
 		try {
-			const response = await fetch(`${API_BASE_URL}/save_reunion_preparation`, {
-				method: 'POST',
-				headers: {
-					...authService.getAuthHeaders(),
-					'Content-Type': 'application/json'
-				},
-				body: JSON.stringify(formData)
-			});
-
-			if (!response.ok) {
-				throw new Error(`HTTP error! status: ${response.status}`);
-			}
-
-			const result = await response.json();
-
-			// Invalidate cache for this date
-			const cacheKey = `${REUNION_PREPARATION_CACHE_PREFIX}${formData.date}`;
-			await indexedDBService.deleteOfflineRecord(cacheKey);
-
-			// Invalidate reunion dates cache
-			await indexedDBService.deleteOfflineRecord(REUNION_DATES_CACHE_KEY);
-
-			return result;
+			return await fetchFromApi('save_reunion_preparation', 'POST', formData);
 		} catch (error) {
 			console.error('Error saving reunion preparation:', error);
-
-			// If offline, save for later sync
-			if (!navigator.onLine) {
-				await indexedDBService.saveOfflineData('saveReunionPreparation', formData);
-				return { success: true, offline: true, message: 'Saved offline. Will sync when online.' };
-			}
-
 			throw error;
 		}
 	},
@@ -116,15 +46,8 @@ export const meetingService = {
 	// Get activities for meetings
 	getActivitesRencontre: async () => {
 		try {
-			const response = await fetch(`${API_BASE_URL}/get_activites_rencontre`, {
-				headers: authService.getAuthHeaders()
-			});
-
-			if (!response.ok) {
-				throw new Error(`HTTP error! status: ${response.status}`);
-			}
-
-			const data = await response.json();
+			// Served from the query cache, refreshed once older than 30 minutes
+			const data = await queryApi('get_activites_rencontre', null, { staleTime: 30 * 60 * 1000 });
 			return data.activites || [];
 		} catch (error) {
 			console.error('Error fetching activites rencontre:', error);
@@ -135,7 +58,19 @@ export const meetingService = {
 	// Get animateurs (meeting leaders)
 	getAnimateurs: async () => {
 		try {
-			const response = await fetch(`${API_BASE_URL}/get_animateurs`, {
+			// Served from the query cache, refreshed once older than 30 minutes
+			const data = await queryApi('get_animateurs', null, { staleTime: 30 * 60 * 1000 });
+			return data.animateurs || [];
+		} catch (error) {
+			console.error('Error fetching animateurs:', error);
+			throw error;
+		}
+	},
+
+	// Get the organization meeting reminder
+	getReminder: async () => {
+		try {
+			const response = await fetch(`${API_BASE_URL}/get_reminder`, {
 				headers: authService.getAuthHeaders()
 			});
 
@@ -144,4 +79,22 @@ export const meetingService = {
 			}
 
 			const data = await response.json();
-			return data.animateurs ||
\ No newline at end of file
+			return data.success ? data.reminder : null;
+		} catch (error) {
+			console.error('Error fetching reminder:', error);
+			return null;
+		}
+	},
+
+	// Save the organization meeting reminder
+	saveReminder: async (reminderData) => {
+		try {
+			return await fetchFromApi('save_reminder', 'POST', reminderData);
+		} catch (error) {
+			console.error('Error saving reminder:', error);
+			throw error;
+		}
+	}
+};
+
+export default meetingService;
@@ -0,0 +1,222 @@
+// src/api/offlineConflictService.js
+/**
+ * Service detecting conflicts between changes queued offline and changes made
+ * on the server in the meantime (participants, attendance and points)
+ * Each queued mutation carries the state the user saw when making it (its base, including
+ * their own earlier queued changes); before replaying it, the current server state is
+ * fetched and compared with that base
+ * Priority: HIGH - Prevents an animateur's offline edits from silently overwriting another's
+ */
+
+import { fetchFromApi, debugLog } from './apiService';
+
+export const CONFLICT_CHOICES = {
+	MINE: 'mine',
+	THEIRS: 'theirs'
+};
+
+/**
+ * Compare two field values, treating null, undefined and empty strings alike
+ */
+function valuesEqual(a, b) {
+	const normalize = (value) => (value === undefined || value === '' ? null : value);
+	return JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+}
+
+/**
+ * Three-way merge of two versions of an object
+ * Fields changed on one side only are merged, fields changed differently on both sides conflict
+ */
+export function mergeObjectVersions(base, mine, theirs, ignoredKeys = []) {
+	const data = { ...mine };
+	const fields = [];
+
+	Object.keys(mine).forEach(key => {
+		if (ignoredKeys.includes(key) || !(key in theirs)) return;
+
+		const baseValue = base ? base[key] : undefined;
+
+		if (valuesEqual(mine[key], theirs[key]) || (base && valuesEqual(theirs[key], baseValue))) {
+			return;
+		}
+
+		if (base && valuesEqual(mine[key], baseValue)) {
+			// Only changed on the server: keep their value instead of reverting it
+			data[key] = theirs[key];
+			return;
+		}
+
+		fields.push({ key, base: baseValue, mine: mine[key], theirs: theirs[key] });
+	});
+
+	return { data, fields };
+}
+
+function extractParticipants(response) {
+	const list = response.participants || response.data?.participants || response.data || [];
+	return Array.isArray(list) ? list : [];
+}
+
+/**
+ * Conflict handlers by endpoint
+ * fetchCurrent: current server state, detect: auto-merged payload and conflicting fields,
+ * resolve: payload after the user's choices (null drops the mutation)
+ */
+const CONFLICT_HANDLERS = {
+	update_participant: {
+		entity: 'participant',
+		async fetchCurrent(record) {
+			const response = await fetchFromApi('get_participant', 'GET', null, { participant_id: record.data.participant_id });
+			return response.participant || null;
+		},
+		detect(record, current) {
+			// Same version on both sides: nothing changed on the server
+			if (record.base.updated_at && record.base.updated_at === current.updated_at) {
+				return { data: record.data, fields: [] };
+			}
+			return mergeObjectVersions(record.base, record.data, current, ['participant_id', 'id', 'updated_at']);
+		},
+		resolve(record, resolution) {
+			const data = { ...record.data };
+			record.conflict.fields.forEach(field => {
+				if (resolution[field.key] === CONFLICT_CHOICES.THEIRS) {
+					data[field.key] = field.theirs;
+				}
+			});
+			return data;
+		}
+	},
+
+	'update-attendance': {
+		entity: 'attendance',
+		async fetchCurrent(record) {
+			const response = await fetchFromApi('attendance', 'GET', null, { date: record.data.date });
+			return response.attendance || response;
+		},
+		detect(record, current) {
+			const fields = record.data.participant_ids
+				.filter(id => id in record.base.statuses)
+				.map(id => ({
+					key: String(id),
+					base: record.base.statuses[id],
+					mine: record.data.status,
+					theirs: current[id] ?? null
+				}))
+				.filter(field => !valuesEqual(field.theirs, field.base) && !valuesEqual(field.theirs, field.mine));
+
+			return { data: record.data, fields };
+		},
+		resolve(record, resolution) {
+			const participantIds = record.data.participant_ids.filter(id => resolution[String(id)] !== CONFLICT_CHOICES.THEIRS);
+			return participantIds.length > 0 ? { ...record.data, participant_ids: participantIds } : null;
+		}
+	},
+
+	'update-points': {
+		entity: 'points',
+		async fetchCurrent() {
+			const response = await fetchFromApi('participants', 'GET');
+			const totals = {};
+			extractParticipants(response).forEach(participant => {
+				totals[participant.id] = parseInt(participant.total_points, 10) || 0;
+			});
+			return totals;
+		},
+		detect(record, current) {
+			const fields = record.data.updates
+				.filter(update => update.participant_id in record.base.totals && update.participant_id in current)
+				.filter(update => current[update.participant_id] !== record.base.totals[update.participant_id])
+				.map(update => ({
+					key: String(update.participant_id),
+					base: record.base.totals[update.participant_id],
+					mine: record.base.totals[update.participant_id] + update.points_change,
+					theirs: current[update.participant_id],
+					change: update.points_change
+				}));
+
+			return { data: record.data, fields };
+		},
+		resolve(record, resolution) {
+			const updates = record.data.updates
+				.map(update => {
+					const choice = resolution[String(update.participant_id)];
+					if (choice === CONFLICT_CHOICES.THEIRS) return null;
+					if (choice && typeof choice === 'object') {
+						return { ...update, points_change: parseInt(choice.value, 10) || 0 };
+					}
+					return update;
+				})
+				.filter(update => update && update.points_change !== 0);
+
+			return updates.length > 0 ? { ...record.data, updates } : null;
+		}
+	}
+};
+
+export function getConflictHandler(endpoint) {
+	return CONFLICT_HANDLERS[endpoint] || null;
+}
+
+/**
+ * Compare a queued mutation with the current server state
+ * Returns the payload to send and the conflicting fields (empty when it can be replayed)
+ */
+export async function checkForConflict(record) {
+	const handler = getConflictHandler(record.endpoint);
+	if (!handler || !record.base || record.conflictResolved) {
+		return { data: record.data, fields: [] };
+	}
+
+	const current = await handler.fetchCurrent(record);
+	if (!current) {
+		return { data: record.data, fields: [] };
+	}
+
+	const result = handler.detect(record, current);
+	if (result.fields.length > 0) {
+		debugLog(`Conflict detected on ${record.endpoint}:`, result.fields);
+	}
+	return { ...result, entity: handler.entity, theirs: current };
+}
+
+/**
+ * Conflict reported by the server itself (HTTP 409 with its current version)
+ */
+export function conflictFromServerResponse(record, responseData) {
+	const theirs = responseData?.current || {};
+	const { fields } = mergeObjectVersions(record.base, record.data, theirs);
+	return {
+		entity: getConflictHandler(record.endpoint)?.entity || record.endpoint,
+		fields,
+		theirs,
+		message: responseData?.message || null
+	};
+}
+
+/**
+ * Payload of a conflicting mutation once the user chose, field by field, which version to keep
+ * resolution maps each field key to 'mine', 'theirs' or { value } for a merged value
+ */
+export function applyResolution(record, resolution) {
+	const handler = getConflictHandler(record.endpoint);
+	if (handler) {
+		return handler.resolve(record, resolution);
+	}
+
+	const data = { ...record.data };
+	record.conflict.fields.forEach(field => {
+		if (resolution[field.key] === CONFLICT_CHOICES.THEIRS) {
+			data[field.key] = field.theirs;
+		}
+	});
+	return data;
+}
+
+export const offlineConflictService = {
+	checkForConflict,
+	conflictFromServerResponse,
+	applyResolution,
+	getConflictHandler
+};
+
+export default offlineConflictService;
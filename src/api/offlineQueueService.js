@@ -0,0 +1,352 @@
+// src/api/offlineQueueService.js
+/**
+ * Service replaying write requests queued by fetchFromApi while offline
+ * Mutations are replayed one at a time in the order they were made, on reconnect
+ * or when the service worker receives a Background Sync event
+ * Priority: HIGH - Prevents losing attendance, points and other changes made offline
+ */
+
+import axios from 'axios';
+import { debugLog, debugError, invalidateAfterMutation, isNetworkError } from './apiService';
+import { authService } from './authService';
+import { applyResolution, checkForConflict, conflictFromServerResponse } from './offlineConflictService';
+import indexedDBService from '../lib/indexedDBService';
+import { registerResolvedTempId, resolveTempIds } from '../lib/tempIds';
+
+export const OFFLINE_SYNC_TAG = 'offlineSync';
+export const MAX_RETRIES = 5;
+const BASE_RETRY_DELAY = 30 * 1000;
+const QUEUE_LOCK_NAME = 'wampums-offline-queue';
+
+export const MUTATION_STATUS = {
+	PENDING: 'pending',
+	CONFLICT: 'conflict',
+	FAILED: 'failed'
+};
+
+const statusListeners = new Set();
+let queueStatus = { pending: 0, conflicts: 0, failed: 0, syncing: false, lastSyncAt: null, items: [] };
+let started = false;
+
+/**
+ * Delay before the next attempt of a mutation: 30s, 1min, 2min, 4min...
+ */
+export function getRetryDelay(retryCount) {
+	return BASE_RETRY_DELAY * Math.pow(2, Math.max(retryCount - 1, 0));
+}
+
+/**
+ * Queue status
+ */
+
+export function getQueueStatus() {
+	return queueStatus;
+}
+
+export function subscribeToQueue(listener) {
+	statusListeners.add(listener);
+	return () => statusListeners.delete(listener);
+}
+
+function setQueueStatus(changes) {
+	queueStatus = { ...queueStatus, ...changes };
+	statusListeners.forEach(listener => listener(queueStatus));
+}
+
+// Conflicts met by the service worker only carry the server response, the fields are worked out here
+async function completeWorkerConflicts(items) {
+	for (const item of items) {
+		if (item.status !== MUTATION_STATUS.CONFLICT || !item.conflict?.serverResponse) continue;
+
+		item.conflict = {
+			...conflictFromServerResponse(item, item.conflict.serverResponse),
+			detectedAt: item.conflict.detectedAt
+		};
+		await indexedDBService.updateOfflineRecord(item.id, { conflict: item.conflict });
+	}
+}
+
+export async function refreshQueueStatus() {
+	const items = await indexedDBService.getQueuedMutations();
+	await completeWorkerConflicts(items);
+	setQueueStatus({
+		items,
+		pending: items.filter(item => !item.status || item.status === MUTATION_STATUS.PENDING).length,
+		conflicts: items.filter(item => item.status === MUTATION_STATUS.CONFLICT).length,
+		failed: items.filter(item => item.status === MUTATION_STATUS.FAILED).length
+	});
+	return queueStatus;
+}
+
+/**
+ * Replay
+ */
+
+async function sendMutation(record) {
+	const response = await axios.request({
+		url: record.url,
+		method: record.method,
+		// Prefer the current session so an expired token saved with the record is not reused
+		headers: { 'Content-Type': 'application/json', ...record.headers, ...authService.getAuthHeaders() },
+		data: record.data
+	});
+
+	if (response.data && response.data.success === false) {
+		throw new Error(response.data.message || `Failed to replay ${record.endpoint}`);
+	}
+
+	return response.data;
+}
+
+/**
+ * Map the temporary id of an entity created offline to the id returned by the server,
+ * in later queued mutations and in cached data
+ */
+async function reconcileTempId(record, response) {
+	const realId = response?.[record.idField] ?? response?.data?.[record.idField] ?? response?.id ?? response?.data?.id;
+
+	if (realId === undefined || realId === null) {
+		debugError(`No server id returned for ${record.tempId} by ${record.endpoint}`);
+		return;
+	}
+
+	registerResolvedTempId(record.tempId, realId);
+	await indexedDBService.replaceTempIdInOfflineData(record.tempId, realId);
+	await indexedDBService.replaceTempIdInCache(record.tempId, realId);
+	debugLog(`Temporary id ${record.tempId} reconciled with ${realId}`);
+}
+
+async function processQueue() {
+	const records = await indexedDBService.getQueuedMutations();
+	let replayed = 0;
+
+	for (const queuedRecord of records) {
+		// Entities created earlier in this replay now have their server id
+		const record = {
+			...queuedRecord,
+			data: resolveTempIds(queuedRecord.data),
+			base: resolveTempIds(queuedRecord.base)
+		};
+
+		// The queue waits until the user resolves the conflict, or retries or discards the failed mutation:
+		// later mutations may depend on it, e.g. on the server id of an entity it creates
+		if (record.status === MUTATION_STATUS.CONFLICT || record.status === MUTATION_STATUS.FAILED) {
+			break;
+		}
+
+		// Records saved before the generic queue only carry an action name
+		if (!record.url) {
+			await indexedDBService.updateRetryCount(record.id, record.retryCount || 0, {
+				status: MUTATION_STATUS.FAILED,
+				lastError: 'Unsupported offline record'
+			});
+			break;
+		}
+
+		// Stop at the first mutation still backing off so later ones keep their order
+		if (record.nextRetryAt && record.nextRetryAt > Date.now()) {
+			break;
+		}
+
+		try {
+			const { data, fields, entity, theirs } = await checkForConflict(record);
+
+			if (fields.length > 0) {
+				await indexedDBService.updateOfflineRecord(record.id, {
+					status: MUTATION_STATUS.CONFLICT,
+					conflict: { entity, fields, theirs, detectedAt: Date.now() }
+				});
+				break;
+			}
+
+			const response = await sendMutation({ ...record, data });
+			await indexedDBService.deleteOfflineRecord(record.id);
+
+			if (record.tempId) {
+				await reconcileTempId(record, response);
+			}
+			await invalidateAfterMutation(record.endpoint);
+			replayed++;
+			debugLog(`Replayed offline ${record.method} ${record.endpoint}`);
+		} catch (error) {
+			if (isNetworkError(error)) {
+				debugLog('Still offline, stopping queue replay');
+				break;
+			}
+
+			// The server refused the change because the data changed since it was made
+			if (error.response?.status === 409) {
+				await indexedDBService.updateOfflineRecord(record.id, {
+					status: MUTATION_STATUS.CONFLICT,
+					conflict: { ...conflictFromServerResponse(record, error.response.data), detectedAt: Date.now() }
+				});
+				break;
+			}
+
+			const retryCount = (record.retryCount || 0) + 1;
+			const failed = retryCount >= MAX_RETRIES;
+			debugError(`Error replaying ${record.endpoint} (attempt ${retryCount}):`, error);
+
+			await indexedDBService.updateRetryCount(record.id, retryCount, {
+				status: failed ? MUTATION_STATUS.FAILED : MUTATION_STATUS.PENDING,
+				nextRetryAt: failed ? 0 : Date.now() + getRetryDelay(retryCount),
+				lastError: error.response?.data?.message || error.message
+			});
+			break;
+		}
+	}
+
+	return replayed;
+}
+
+/**
+ * Replay every pending mutation in order
+ * The page and the service worker share a lock so a mutation is never sent twice
+ */
+export async function replayOfflineQueue() {
+	if (queueStatus.syncing || !navigator.onLine) {
+		return { success: false, replayed: 0 };
+	}
+
+	setQueueStatus({ syncing: true });
+	try {
+		const replayed = navigator.locks
+			? await navigator.locks.request(QUEUE_LOCK_NAME, processQueue)
+			: await processQueue();
+
+		setQueueStatus({ lastSyncAt: Date.now() });
+		return { success: true, replayed };
+	} catch (error) {
+		debugError('Error replaying offline queue:', error);
+		return { success: false, replayed: 0, error: error.message };
+	} finally {
+		setQueueStatus({ syncing: false });
+		await refreshQueueStatus();
+		scheduleNextRetry();
+	}
+}
+
+let retryTimer = null;
+
+function scheduleNextRetry() {
+	clearTimeout(retryTimer);
+
+	// A conflict or a failed mutation blocks the queue until the user deals with it
+	const next = queueStatus.items[0];
+	if (!next || next.status !== MUTATION_STATUS.PENDING || !next.url || !navigator.onLine) return;
+
+	// Without a backoff the server was unreachable, try again after the base delay
+	const delay = next.nextRetryAt > Date.now() ? next.nextRetryAt - Date.now() : BASE_RETRY_DELAY;
+	retryTimer = setTimeout(replayOfflineQueue, delay);
+}
+
+/**
+ * Failed mutations stay in the queue until retried or discarded
+ */
+
+export async function retryMutation(id) {
+	await indexedDBService.updateRetryCount(id, 0, {
+		status: MUTATION_STATUS.PENDING,
+		nextRetryAt: 0,
+		lastError: null
+	});
+	return replayOfflineQueue();
+}
+
+export async function discardMutation(id) {
+	await indexedDBService.deleteOfflineRecord(id);
+	return replayOfflineQueue();
+}
+
+/**
+ * Resolve a conflicting mutation with the versions chosen by the user, then resume the queue
+ * resolution maps each conflicting field to 'mine', 'theirs' or { value }
+ */
+export async function resolveConflict(id, resolution) {
+	const record = queueStatus.items.find(item => item.id === id);
+	if (!record || record.status !== MUTATION_STATUS.CONFLICT) {
+		return { success: false };
+	}
+
+	const data = applyResolution(record, resolution);
+
+	// Keeping the server version for everything leaves nothing to send
+	if (data === null) {
+		await indexedDBService.deleteOfflineRecord(id);
+	} else {
+		await indexedDBService.updateOfflineRecord(id, {
+			data,
+			status: MUTATION_STATUS.PENDING,
+			conflict: null,
+			conflictResolved: true
+		});
+	}
+
+	return replayOfflineQueue();
+}
+
+/**
+ * Ask the service worker to replay the queue when connectivity returns,
+ * even if the app has been closed in the meantime
+ */
+export async function requestBackgroundSync() {
+	if (!('serviceWorker' in navigator) || !('SyncManager' in window)) {
+		return false;
+	}
+
+	try {
+		const registration = await navigator.serviceWorker.ready;
+		await registration.sync.register(OFFLINE_SYNC_TAG);
+		return true;
+	} catch (error) {
+		debugError('Error registering background sync:', error);
+		return false;
+	}
+}
+
+/**
+ * Start listening for reconnects and queue changes, called once at startup
+ */
+export function startOfflineQueue() {
+	if (started) return;
+	started = true;
+
+	indexedDBService.subscribeToOfflineData(() => {
+		refreshQueueStatus();
+		if (!navigator.onLine) {
+			requestBackgroundSync();
+		}
+	});
+
+	window.addEventListener('online', replayOfflineQueue);
+
+	if ('serviceWorker' in navigator) {
+		navigator.serviceWorker.addEventListener('message', (event) => {
+			if (event.data?.type === 'OFFLINE_QUEUE_UPDATED') {
+				(event.data.endpoints || []).forEach(invalidateAfterMutation);
+				// The worker leaves records it cannot send with the saved session to the app
+				refreshQueueStatus().then(scheduleNextRetry);
+			}
+		});
+	}
+
+	refreshQueueStatus().then(() => {
+		if (navigator.onLine) {
+			replayOfflineQueue();
+		}
+	});
+}
+
+export const offlineQueueService = {
+	getQueueStatus,
+	subscribeToQueue,
+	refreshQueueStatus,
+	replayOfflineQueue,
+	retryMutation,
+	discardMutation,
+	resolveConflict,
+	requestBackgroundSync,
+	startOfflineQueue
+};
+
+export default offlineQueueService;
@@ -1,5 +1,5 @@
 // src/api/organizationService.js
-import { publicApiService } from "./apiService";
+import { fetchFromApi, publicApiService } from "./apiService";
 import indexedDBService from "../lib/indexedDBService";
 
 const ORGANIZATION_ID_KEY = "currentOrganizationId";
@@ -10,7 +10,10 @@ const API_BASE_URL =
 export const organizationService = {
 	fetchOrganizationId,
 	getOrganizationSettings,
+	updateOrganizationSetting,
 	getOrganizationFormFormats,
+	getFormFormatVersions,
+	publishFormFormat,
 	setCurrentOrganizationId,
 	getCurrentOrganizationId,
 };
@@ -121,6 +124,42 @@ async function getOrganizationSettings() {
 	}
 }
 
+/**
+ * Save a single organization setting and refresh the cached settings
+ */
+async function updateOrganizationSetting(settingKey, settingValue) {
+	try {
+		if (!getCurrentOrganizationId()) {
+			await fetchOrganizationId();
+		}
+
+		// Queued with the other offline changes when the network is unreachable
+		const data = await fetchFromApi("update_organization_setting", "POST", {
+			setting_key: settingKey,
+			setting_value: settingValue,
+		});
+
+		if (!data.success) {
+			throw new Error(data.message || "Failed to update organization setting");
+		}
+
+		// Keep the cached settings in sync so every page sees the new value
+		const cachedSettings = await indexedDBService.getCachedData(SETTINGS_CACHE_KEY);
+		if (cachedSettings) {
+			await indexedDBService.setCachedData(
+				SETTINGS_CACHE_KEY,
+				{ ...cachedSettings, [settingKey]: settingValue },
+				60 * 60 * 1000,
+			);
+		}
+
+		return data;
+	} catch (error) {
+		console.error(`Error updating organization setting ${settingKey}:`, error);
+		throw error;
+	}
+}
+
 /**
  * Get organization form formats
  */
@@ -175,6 +214,75 @@ async function getOrganizationFormFormats(organizationId = null) {
 	}
 }
 
+/**
+ * Get the published versions of a form format, latest first
+ */
+async function getFormFormatVersions(formType) {
+	try {
+		const organizationId = getCurrentOrganizationId() || (await fetchOrganizationId());
+		const response = await fetch(
+			`${API_BASE_URL}/form_format_versions?form_type=${encodeURIComponent(formType)}`,
+			{
+				headers: {
+					Authorization: `Bearer ${localStorage.getItem("jwtToken")}`,
+					"Content-Type": "application/json",
+					"x-organization-id": organizationId.toString(),
+				},
+			},
+		);
+
+		if (!response.ok) {
+			throw new Error(`HTTP error! status: ${response.status}`);
+		}
+
+		const data = await response.json();
+
+		if (!data.success) {
+			throw new Error(data.message || "Failed to fetch form format versions");
+		}
+
+		return data.versions || data.data || [];
+	} catch (error) {
+		console.error(`Error fetching versions of form format ${formType}:`, error);
+		throw error;
+	}
+}
+
+/**
+ * Publish a form format as a new version
+ * Earlier versions are kept so existing submissions are still shown with the fields they were answered with
+ */
+async function publishFormFormat(formType, formStructure, note = "") {
+	try {
+		const organizationId = getCurrentOrganizationId() || (await fetchOrganizationId());
+
+		// A version is published online only, it is numbered by the server
+		const data = await fetchFromApi(
+			"publish_form_format",
+			"POST",
+			{
+				form_type: formType,
+				form_structure: formStructure,
+				note,
+			},
+			null,
+			{ queueOffline: false },
+		);
+
+		if (!data.success) {
+			throw new Error(data.message || "Failed to publish form format");
+		}
+
+		// Forms are rendered from the cached formats, which must not keep the previous version
+		await indexedDBService.clearCachedData(`form_formats_${organizationId}`);
+
+		return data;
+	} catch (error) {
+		console.error(`Error publishing form format ${formType}:`, error);
+		throw error;
+	}
+}
+
 /**
  * Set the current organization ID
  */
@@ -4,52 +4,38 @@
  * Priority: CRITICAL - Required for most app functionality
  */
 
-import { fetchFromApi, uploadToApi, getAuthHeader, debugLog, debugError } from './apiService';
-import indexedDBService from '../lib/indexedDBService';
+import { fetchFromApi, queryApi, uploadToApi, invalidateAfterMutation, getAuthHeader, debugLog, debugError } from './apiService';
+import { getQueryData, setQueryData, updateQueryData } from '../lib/queryCache';
+import { createTempId } from '../lib/tempIds';
 
-const PARTICIPANTS_CACHE_KEY = 'participants_list';
-const PARTICIPANT_CACHE_PREFIX = 'participant_';
+/**
+ * Participants listed in a response of the participants endpoint,
+ * also used with useApiQuery to subscribe to the list
+ */
+export function selectParticipants(response) {
+	return Array.isArray(response?.data) ? response.data : [];
+}
 
 /**
  * Get all participants with optional filtering
  */
 export async function getParticipants(filters = {}) {
-	const cacheKey = `${PARTICIPANTS_CACHE_KEY}_${JSON.stringify(filters)}`;
-
-	// Try cache first (5 minute expiration for participant lists)
-	const cachedData = await indexedDBService.getCachedData(cacheKey);
-	if (cachedData) {
-		debugLog('Using cached participants data');
-		return { success: true, participants: cachedData };
-	}
-
 	try {
 		const params = {};
 		if (filters.groupId) params.group_id = filters.groupId;
 		if (filters.active !== undefined) params.active = filters.active;
 		if (filters.search) params.search = filters.search;
 
-		const response = await fetchFromApi('participants', 'GET');
-		console.log(response);
+		// Served from the query cache, refreshed once older than 5 minutes
+		const response = await queryApi('participants', params, { staleTime: 5 * 60 * 1000 });
 
-		if (response.success && response.data) {
-			// Cache the results for 5 minutes
-			await indexedDBService.setCachedData(cacheKey, response.data, 5 * 60 * 1000);
-			return response.data;
+		if (response.success && Array.isArray(response.data)) {
+			return { success: true, participants: selectParticipants(response) };
 		}
 
 		throw new Error(response.message || 'Failed to fetch participants');
 	} catch (error) {
 		debugError('Error fetching participants:', error);
-
-		// If offline, try to return cached data even if expired
-		if (error.isOffline) {
-			const expiredCache = await indexedDBService.getCachedData(cacheKey, true);
-			if (expiredCache) {
-				return { success: true, participants: expiredCache, isOffline: true };
-			}
-		}
-
 		throw error;
 	}
 }
@@ -58,21 +44,11 @@ export async function getParticipants(filters = {}) {
  * Get participants for the current parent user
  */
 export async function fetchParticipantsForParent() {
-	const cacheKey = 'parent_participants';
-
-	// Try cache first (2 minute expiration for parent-specific data)
-	const cachedData = await indexedDBService.getCachedData(cacheKey);
-	if (cachedData) {
-		debugLog('Using cached parent participants data');
-		return cachedData;
-	}
-
 	try {
-		const response = await fetchFromApi('get_user_participants');
+		// Served from the query cache, refreshed once older than 2 minutes
+		const response = await queryApi('get_user_participants', null, { staleTime: 2 * 60 * 1000 });
 
 		if (response.success && response.participants) {
-			// Cache for 2 minutes
-			await indexedDBService.setCachedData(cacheKey, response.participants, 2 * 60 * 1000);
 			return response.participants;
 		}
 
@@ -93,21 +69,11 @@ export async function fetchParticipantsForParent() {
  * Get a single participant by ID
  */
 export async function getParticipant(participantId) {
-	const cacheKey = `${PARTICIPANT_CACHE_PREFIX}${participantId}`;
-
-	// Try cache first (10 minute expiration for individual participants)
-	const cachedData = await indexedDBService.getCachedData(cacheKey);
-	if (cachedData) {
-		debugLog(`Using cached participant data for ID: ${participantId}`);
-		return { success: true, participant: cachedData };
-	}
-
 	try {
-		const response = await fetchFromApi('get_participant', 'GET', null, { participant_id: participantId });
+		// Served from the query cache, refreshed once older than 10 minutes
+		const response = await queryApi('get_participant', { participant_id: participantId }, { staleTime: 10 * 60 * 1000 });
 
 		if (response.success && response.participant) {
-			// Cache for 10 minutes
-			await indexedDBService.setCachedData(cacheKey, response.participant, 10 * 60 * 1000);
 			return response;
 		}
 
@@ -122,12 +88,23 @@ export async function getParticipant(participantId) {
  * Create a new participant
  */
 export async function createParticipant(participantData) {
+	// Used until the server id is known if the participant is created offline
+	const tempId = createTempId();
+
 	try {
-		const response = await fetchFromApi('create_participant', 'POST', participantData);
+		const response = await fetchFromApi('create_participant', 'POST', participantData, null, { tempId, idField: 'participant_id' });
 
 		if (response.success) {
-			// Clear relevant caches
-			await clearParticipantCaches();
+			// Queued while offline: cache the participant under its temporary id so it can be used right away
+			if (response.offline) {
+				const participant = { ...participantData, id: tempId };
+				await setQueryData('get_participant', { participant_id: tempId }, { success: true, participant });
+				await updateQueryData('participants', null, cached => ({
+					...cached,
+					data: [...(cached.data || []), participant]
+				}));
+				return { ...response, tempId };
+			}
 
 			debugLog('Participant created successfully:', response.participant_id);
 			return response;
@@ -136,18 +113,6 @@ export async function createParticipant(participantData) {
 		throw new Error(response.message || 'Failed to create participant');
 	} catch (error) {
 		debugError('Error creating participant:', error);
-
-		// Save for offline sync if device is offline
-		if (error.isOffline) {
-			await indexedDBService.saveOfflineData('createParticipant', participantData, 2);
-			return {
-				success: true,
-				offline: true,
-				message: 'Participant will be created when online',
-				tempId: `temp_${Date.now()}`
-			};
-		}
-
 		throw error;
 	}
 }
@@ -156,14 +121,23 @@ export async function createParticipant(participantData) {
  * Update an existing participant
  */
 export async function updateParticipant(participantId, participantData) {
+	const params = { participant_id: participantId };
+
 	try {
-		const data = { participant_id: participantId, ...participantData };
-		const response = await fetchFromApi('update_participant', 'POST', data);
+		const data = { ...params, ...participantData };
+
+		// The version being edited lets an offline change be checked for conflicts before it is replayed
+		const base = (await getQueryData('get_participant', params))?.participant;
+		const response = await fetchFromApi('update_participant', 'POST', data, null, { conflictBase: base });
 
 		if (response.success) {
-			// Clear relevant caches
-			await clearParticipantCaches();
-			await indexedDBService.clearCachedData(`${PARTICIPANT_CACHE_PREFIX}${participantId}`);
+			// Queued while offline: keep the edited version as the one later edits start from
+			if (response.offline) {
+				await updateQueryData('get_participant', params, cached => ({
+					...cached,
+					participant: { ...cached.participant, ...participantData }
+				}));
+			}
 
 			debugLog(`Participant ${participantId} updated successfully`);
 			return response;
@@ -172,17 +146,6 @@ export async function updateParticipant(participantId, participantData) {
 		throw new Error(response.message || 'Failed to update participant');
 	} catch (error) {
 		debugError(`Error updating participant ${participantId}:`, error);
-
-		// Save for offline sync if device is offline
-		if (error.isOffline) {
-			await indexedDBService.saveOfflineData('updateParticipant', { participantId, ...participantData }, 2);
-			return {
-				success: true,
-				offline: true,
-				message: 'Participant changes will be saved when online'
-			};
-		}
-
 		throw error;
 	}
 }
@@ -192,13 +155,9 @@ export async function updateParticipant(participantId, participantData) {
  */
 export async function deleteParticipant(participantId) {
 	try {
-		const response = await fetchFromApi('delete_participant', 'POST', { participant_id: participantId });
+		const response = await fetchFromApi('delete_participant', 'POST', { participant_id: participantId }, null, { queueOffline: false });
 
 		if (response.success) {
-			// Clear relevant caches
-			await clearParticipantCaches();
-			await indexedDBService.clearCachedData(`${PARTICIPANT_CACHE_PREFIX}${participantId}`);
-
 			debugLog(`Participant ${participantId} deleted successfully`);
 			return response;
 		}
@@ -224,9 +183,6 @@ export async function linkUserParticipants(participantIds) {
 		const response = await fetchFromApi('link_user_participants', 'POST', { participant_ids: participantIds });
 
 		if (response.success) {
-			// Clear parent participants cache
-			await indexedDBService.clearCachedData('parent_participants');
-
 			debugLog('Participants linked successfully:', participantIds);
 			return response;
 		}
@@ -234,17 +190,6 @@ export async function linkUserParticipants(participantIds) {
 		throw new Error(response.message || 'Failed to link participants');
 	} catch (error) {
 		debugError('Error linking participants:', error);
-
-		// Save for offline sync if device is offline
-		if (error.isOffline) {
-			await indexedDBService.saveOfflineData('linkUserParticipants', { participantIds }, 2);
-			return {
-				success: true,
-				offline: true,
-				message: 'Participant links will be saved when online'
-			};
-		}
-
 		throw error;
 	}
 }
@@ -261,8 +206,8 @@ export async function uploadParticipantPhoto(participantId, photoFile, progressC
 		const response = await uploadToApi('upload_participant_photo', formData, progressCallback);
 
 		if (response.success) {
-			// Clear participant cache to refresh photo
-			await indexedDBService.clearCachedData(`${PARTICIPANT_CACHE_PREFIX}${participantId}`);
+			// Uploads do not go through fetchFromApi, which invalidates the queries after a write
+			await invalidateAfterMutation('upload_participant_photo');
 
 			debugLog(`Photo uploaded successfully for participant ${participantId}`);
 			return response;
@@ -308,9 +253,6 @@ export async function saveParticipantHealthForm(participantId, healthFormData) {
 		const response = await fetchFromApi('save_participant_health_form', 'POST', data);
 
 		if (response.success) {
-			// Clear participant cache
-			await indexedDBService.clearCachedData(`${PARTICIPANT_CACHE_PREFIX}${participantId}`);
-
 			debugLog(`Health form saved for participant ${participantId}`);
 			return response;
 		}
@@ -318,17 +260,6 @@ export async function saveParticipantHealthForm(participantId, healthFormData) {
 		throw new Error(response.message || 'Failed to save health form');
 	} catch (error) {
 		debugError(`Error saving health form for participant ${participantId}:`, error);
-
-		// Save for offline sync if device is offline
-		if (error.isOffline) {
-			await indexedDBService.saveOfflineData('saveParticipantHealthForm', { participantId, ...healthFormData }, 2);
-			return {
-				success: true,
-				offline: true,
-				message: 'Health form will be saved when online'
-			};
-		}
-
 		throw error;
 	}
 }
@@ -367,17 +298,6 @@ export async function updateParticipantBadgeProgress(participantId, badgeData) {
 		throw new Error(response.message || 'Failed to update badge progress');
 	} catch (error) {
 		debugError(`Error updating badge progress for participant ${participantId}:`, error);
-
-		// Save for offline sync if device is offline
-		if (error.isOffline) {
-			await indexedDBService.saveOfflineData('updateParticipantBadgeProgress', { participantId, ...badgeData }, 1);
-			return {
-				success: true,
-				offline: true,
-				message: 'Badge progress will be saved when online'
-			};
-		}
-
 		throw error;
 	}
 }
@@ -403,7 +323,7 @@ export async function searchParticipants(searchTerm, filters = {}) {
 
 		// If offline, try to search in cached participants
 		if (error.isOffline) {
-			const cachedParticipants = await indexedDBService.getCachedData(PARTICIPANTS_CACHE_KEY);
+			const cachedParticipants = (await getQueryData('participants'))?.data;
 			if (cachedParticipants) {
 				const filteredResults = cachedParticipants.filter(participant => 
 					participant.first_name.toLowerCase().includes(searchTerm.toLowerCase()) ||
@@ -421,21 +341,11 @@ export async function searchParticipants(searchTerm, filters = {}) {
  * Get participants by group ID
  */
 export async function getParticipantsByGroup(groupId) {
-	const cacheKey = `participants_group_${groupId}`;
-
-	// Try cache first (5 minute expiration)
-	const cachedData = await indexedDBService.getCachedData(cacheKey);
-	if (cachedData) {
-		debugLog(`Using cached participants data for group: ${groupId}`);
-		return { success: true, participants: cachedData };
-	}
-
 	try {
-		const response = await fetchFromApi('get_participants_by_group', 'GET', null, { group_id: groupId });
+		// Served from the query cache, refreshed once older than 5 minutes
+		const response = await queryApi('get_participants_by_group', { group_id: groupId }, { staleTime: 5 * 60 * 1000 });
 
 		if (response.success && response.participants) {
-			// Cache for 5 minutes
-			await indexedDBService.setCachedData(cacheKey, response.participants, 5 * 60 * 1000);
 			return response;
 		}
 
@@ -446,85 +356,6 @@ export async function getParticipantsByGroup(groupId) {
 	}
 }
 
-/**
- * Clear all participant-related caches
- */
-async function clearParticipantCaches() {
-	try {
-		// Clear main participants list cache
-		await indexedDBService.clearCachedData(PARTICIPANTS_CACHE_KEY);
-
-		// Clear parent participants cache
-		await indexedDBService.clearCachedData('parent_participants');
-
-		// Clear any group-specific caches (this is not perfect but will work for most cases)
-		// In a production app, you might want to track all cache keys more systematically
-		for (let i = 1; i <= 20; i++) {
-			await indexedDBService.clearCachedData(`participants_group_${i}`);
-		}
-
-		debugLog('Participant caches cleared');
-	} catch (error) {
-		debugError('Error clearing participant caches:', error);
-	}
-}
-
-/**
- * Sync offline participant data when back online
- */
-export async function syncOfflineParticipantData() {
-	try {
-		const pendingData = await indexedDBService.getPendingOfflineData();
-		const participantOperations = pendingData.filter(item => 
-			['createParticipant', 'updateParticipant', 'linkUserParticipants', 'saveParticipantHealthForm', 'updateParticipantBadgeProgress'].includes(item.action)
-		);
-
-		debugLog(`Syncing ${participantOperations.length} offline participant operations`);
-
-		const results = [];
-		for (const operation of participantOperations) {
-			try {
-				await indexedDBService.updateOfflineDataStatus(operation.id, 'processing');
-
-				let result;
-				switch (operation.action) {
-					case 'createParticipant':
-						result = await createParticipant(operation.data);
-						break;
-					case 'updateParticipant':
-						result = await updateParticipant(operation.data.participantId, operation.data);
-						break;
-					case 'linkUserParticipants':
-						result = await linkUserParticipants(operation.data.participantIds);
-						break;
-					case 'saveParticipantHealthForm':
-						result = await saveParticipantHealthForm(operation.data.participantId, operation.data);
-						break;
-					case 'updateParticipantBadgeProgress':
-						result = await updateParticipantBadgeProgress(operation.data.participantId, operation.data);
-						break;
-				}
-
-				if (result.success && !result.offline) {
-					await indexedDBService.updateOfflineDataStatus(operation.id, 'completed');
-					results.push({ operation: operation.action, status: 'success' });
-				} else {
-					throw new Error(result.message || 'Operation failed');
-				}
-			} catch (error) {
-				debugError(`Error syncing operation ${operation.action}:`, error);
-				await indexedDBService.updateOfflineDataStatus(operation.id, 'failed', error);
-				results.push({ operation: operation.action, status: 'failed', error: error.message });
-			}
-		}
-
-		return { success: true, results };
-	} catch (error) {
-		debugError('Error syncing offline participant data:', error);
-		return { success: false, error: error.message };
-	}
-}
-
 export const participantService = {
 	getParticipants,
 	fetchParticipantsForParent,
@@ -539,8 +370,7 @@ export const participantService = {
 	getParticipantBadgeProgress,
 	updateParticipantBadgeProgress,
 	searchParticipants,
-	getParticipantsByGroup,
-	syncOfflineParticipantData
+	getParticipantsByGroup
 };
 
 export default participantService;
\ No newline at end of file
@@ -4,23 +4,23 @@
  * Priority: HIGH - Core functionality for tracking achievements
  */
 
-import { fetchFromApi, debugLog, debugError } from './apiService';
-import indexedDBService from '../lib/indexedDBService';
-
-const HONORS_CACHE_KEY = 'honors_list';
-const POINTS_CACHE_PREFIX = 'points_';
+import { fetchFromApi, queryApi, debugLog, debugError } from './apiService';
 
 /**
  * Points Management
  */
 
-export async function updatePoints(updates) {
+/**
+ * updates are ledger entries built with buildLedgerEntries (lib/pointsLedger.js)
+ * baseTotals holds the totals shown when the points were given, by participant id,
+ * so the change can be checked for conflicts if it is replayed after being made offline
+ */
+export async function updatePoints(updates, baseTotals = null) {
 	try {
-		const response = await fetchFromApi('update-points', 'POST', { updates });
+		const conflictBase = baseTotals ? { totals: baseTotals } : null;
+		const response = await fetchFromApi('update-points', 'POST', { updates }, null, { conflictBase });
 
 		if (response.success) {
-			// Clear points-related caches
-			await clearPointsCaches();
 			debugLog(`Points updated for ${updates.length} participants`);
 			return response;
 		}
@@ -28,37 +28,60 @@ export async function updatePoints(updates) {
 		throw new Error(response.message || 'Failed to update points');
 	} catch (error) {
 		debugError('Error updating points:', error);
+		throw error;
+	}
+}
 
-		// Save for offline sync if device is offline
-		if (error.isOffline) {
-			await indexedDBService.saveOfflineData('updatePoints', { updates }, 1);
-			return {
-				success: true,
-				offline: true,
-				message: 'Points changes will be saved when online'
-			};
+/**
+ * Reverse the entries given with one tap to the given participants: opposite entries are added to the ledger
+ */
+export async function reversePoints(batchId, participantIds, reason = '') {
+	try {
+		const response = await fetchFromApi('reverse-points', 'POST', {
+			batch_id: batchId,
+			participant_ids: participantIds,
+			reason
+		});
+
+		if (response.success) {
+			debugLog(`Points batch ${batchId} reversed`);
+			return response;
 		}
 
+		throw new Error(response.message || 'Failed to reverse points');
+	} catch (error) {
+		debugError(`Error reversing points batch ${batchId}:`, error);
 		throw error;
 	}
 }
 
-export async function getPointsReport() {
-	const cacheKey = 'points_report';
-	
-	// Try cache first (5 minute expiration)
-	const cachedData = await indexedDBService.getCachedData(cacheKey);
-	if (cachedData) {
-		debugLog('Using cached points report');
-		return { success: true, report: cachedData };
+/**
+ * Ledger entries of a participant or of the participants of a group, see lib/pointsLedger.js
+ */
+export async function getPointsHistory({ participantId = null, groupId = null } = {}) {
+	try {
+		const params = participantId ? { participant_id: participantId } : { group_id: groupId };
+		// Served from the query cache, refreshed once older than 2 minutes
+		const response = await queryApi('points-history', params, { staleTime: 2 * 60 * 1000 });
+
+		if (response.success) {
+			debugLog(`Points history fetched for ${participantId ? `participant ${participantId}` : `group ${groupId}`}`);
+			return response.entries || [];
+		}
+
+		throw new Error(response.message || 'Failed to fetch points history');
+	} catch (error) {
+		debugError('Error fetching points history:', error);
+		throw error;
 	}
+}
 
+export async function getPointsReport() {
 	try {
-		const response = await fetchFromApi('points-report', 'GET');
+		// Served from the query cache, refreshed once older than 5 minutes
+		const response = await queryApi('points-report', null, { staleTime: 5 * 60 * 1000 });
 
 		if (response.success && response.report) {
-			// Cache for 5 minutes
-			await indexedDBService.setCachedData(cacheKey, response.report, 5 * 60 * 1000);
 			debugLog('Points report fetched successfully');
 			return response;
 		}
@@ -75,26 +98,12 @@ export async function getPointsReport() {
  */
 
 export async function getHonorsAndParticipants(date = null) {
-	const cacheKey = date ? `honors_participants_${date}` : 'honors_participants_all';
-	
-	// Try cache first (10 minute expiration)
-	const cachedData = await indexedDBService.getCachedData(cacheKey);
-	if (cachedData) {
-		debugLog(`Using cached honors and participants data${date ? ` for ${date}` : ''}`);
-		return { success: true, ...cachedData };
-	}
-
 	try {
-		const params = date ? { date } : {};
-		const response = await fetchFromApi('get_honors_and_participants', 'GET', null, params);
+		// Served from the query cache, refreshed once older than 10 minutes
+		const params = date ? { date } : null;
+		const response = await queryApi('get_honors_and_participants', params, { staleTime: 10 * 60 * 1000 });
 
 		if (response.success) {
-			// Cache for 10 minutes
-			const dataToCache = {
-				honors: response.honors,
-				participants: response.participants
-			};
-			await indexedDBService.setCachedData(cacheKey, dataToCache, 10 * 60 * 1000);
 			debugLog(`Honors and participants fetched${date ? ` for ${date}` : ''}`);
 			return response;
 		}
@@ -102,52 +111,22 @@ export async function getHonorsAndParticipants(date = null) {
 		throw new Error(response.message || 'Failed to fetch honors and participants');
 	} catch (error) {
 		debugError('Error fetching honors and participants:', error);
-
-		// If offline, try to return expired cached data
-		if (error.isOffline) {
-			const expiredCache = await indexedDBService.getCachedData(cacheKey, true);
-			if (expiredCache) {
-				return { success: true, ...expiredCache, isOffline: true };
-			}
-		}
-
 		throw error;
 	}
 }
 
 export async function getHonors(date) {
-	const cacheKey = `honors_${date}`;
-	
-	// Try cache first (15 minute expiration)
-	const cachedData = await indexedDBService.getCachedData(cacheKey);
-	if (cachedData) {
-		debugLog(`Using cached honors for ${date}`);
-		return cachedData;
-	}
-
 	try {
-		const response = await fetchFromApi('honors', 'GET');
-
-		if (response.success || Array.isArray(response)) {
-			const honorsData = response.success ? response.honors : response;
-			// Cache for 15 minutes
-			await indexedDBService.setCachedData(cacheKey, honorsData, 15 * 60 * 1000);
-			debugLog(`Honors fetched for ${date}`);
-			return honorsData;
-		}
+		// Served from the query cache, refreshed once older than 15 minutes
+		const response = await queryApi('honors', null, {
+			staleTime: 15 * 60 * 1000,
+			isValid: result => Boolean(result) && (result.success || Array.isArray(result))
+		});
 
-		throw new Error(response.message || 'Failed to fetch honors');
+		debugLog(`Honors fetched for ${date}`);
+		return response.success ? response.honors : response;
 	} catch (error) {
 		debugError(`Error fetching honors for ${date}:`, error);
-
-		// If offline, try to return expired cached data
-		if (error.isOffline) {
-			const expiredCache = await indexedDBService.getCachedData(cacheKey, true);
-			if (expiredCache) {
-				return expiredCache;
-			}
-		}
-
 		throw error;
 	}
 }
@@ -160,8 +139,6 @@ export async function awardHonor(honors) {
 		const response = await fetchFromApi('award-honor', 'POST', { honors: honorsArray });
 
 		if (response.success) {
-			// Clear honors-related caches
-			await clearHonorsCaches();
 			debugLog(`${honorsArray.length} honor(s) awarded successfully`);
 			return response;
 		}
@@ -169,39 +146,16 @@ export async function awardHonor(honors) {
 		throw new Error(response.message || 'Failed to award honor');
 	} catch (error) {
 		debugError('Error awarding honor:', error);
-
-		// Save for offline sync if device is offline
-		if (error.isOffline) {
-			await indexedDBService.saveOfflineData('awardHonor', { 
-				honors: Array.isArray(honors) ? honors : [honors] 
-			}, 1);
-			return {
-				success: true,
-				offline: true,
-				message: 'Honor awards will be saved when online'
-			};
-		}
-
 		throw error;
 	}
 }
 
 export async function getRecentHonors() {
-	const cacheKey = 'recent_honors';
-	
-	// Try cache first (5 minute expiration)
-	const cachedData = await indexedDBService.getCachedData(cacheKey);
-	if (cachedData) {
-		debugLog('Using cached recent honors');
-		return { success: true, honors: cachedData };
-	}
-
 	try {
-		const response = await fetchFromApi('recent-honors', 'GET');
+		// Served from the query cache, refreshed once older than 5 minutes
+		const response = await queryApi('recent-honors', null, { staleTime: 5 * 60 * 1000 });
 
 		if (response.success && response.honors) {
-			// Cache for 5 minutes
-			await indexedDBService.setCachedData(cacheKey, response.honors, 5 * 60 * 1000);
 			debugLog('Recent honors fetched successfully');
 			return response;
 		}
@@ -214,21 +168,11 @@ export async function getRecentHonors() {
 }
 
 export async function getHonorsReport() {
-	const cacheKey = 'honors_report';
-	
-	// Try cache first (10 minute expiration)
-	const cachedData = await indexedDBService.getCachedData(cacheKey);
-	if (cachedData) {
-		debugLog('Using cached honors report');
-		return { success: true, report: cachedData };
-	}
-
 	try {
-		const response = await fetchFromApi('honors-report', 'GET');
+		// Served from the query cache, refreshed once older than 10 minutes
+		const response = await queryApi('honors-report', null, { staleTime: 10 * 60 * 1000 });
 
 		if (response.success && response.report) {
-			// Cache for 10 minutes
-			await indexedDBService.setCachedData(cacheKey, response.report, 10 * 60 * 1000);
 			debugLog('Honors report fetched successfully');
 			return response;
 		}
@@ -245,21 +189,11 @@ export async function getHonorsReport() {
  */
 
 export async function getBadgeProgress(participantId) {
-	const cacheKey = `badge_progress_${participantId}`;
-	
-	// Try cache first (10 minute expiration)
-	const cachedData = await indexedDBService.getCachedData(cacheKey);
-	if (cachedData) {
-		debugLog(`Using cached badge progress for participant ${participantId}`);
-		return { success: true, badges: cachedData };
-	}
-
 	try {
-		const response = await fetchFromApi('badge-progress', 'GET');
+		// Served from the query cache, refreshed once older than 10 minutes
+		const response = await queryApi('badge-progress', { participant_id: participantId }, { staleTime: 10 * 60 * 1000 });
 
 		if (response.success && response.badges) {
-			// Cache for 10 minutes
-			await indexedDBService.setCachedData(cacheKey, response.badges, 10 * 60 * 1000);
 			debugLog(`Badge progress fetched for participant ${participantId}`);
 			return response;
 		}
@@ -276,11 +210,6 @@ export async function saveBadgeProgress(badgeData) {
 		const response = await fetchFromApi('save-badge-progress', 'POST', badgeData);
 
 		if (response.success) {
-			// Clear badge progress cache for the participant
-			if (badgeData.participant_id) {
-				await indexedDBService.clearCachedData(`badge_progress_${badgeData.participant_id}`);
-			}
-			
 			debugLog('Badge progress saved successfully');
 			return response;
 		}
@@ -288,37 +217,37 @@ export async function saveBadgeProgress(badgeData) {
 		throw new Error(response.message || 'Failed to save badge progress');
 	} catch (error) {
 		debugError('Error saving badge progress:', error);
+		throw error;
+	}
+}
+
+export async function getCurrentStars(participantId, territoire) {
+	try {
+		const response = await fetchFromApi('current-stars', 'GET', null, {
+			participant_id: participantId,
+			territoire
+		});
 
-		// Save for offline sync if device is offline
-		if (error.isOffline) {
-			await indexedDBService.saveOfflineData('saveBadgeProgress', badgeData, 2);
+		if (response.success !== false) {
 			return {
-				success: true,
-				offline: true,
-				message: 'Badge progress will be saved when online'
+				current_stars: response.current_stars || 0,
+				has_pending: Boolean(response.has_pending)
 			};
 		}
 
+		throw new Error(response.message || 'Failed to fetch current stars');
+	} catch (error) {
+		debugError(`Error fetching current stars for participant ${participantId}:`, error);
 		throw error;
 	}
 }
 
 export async function getPendingBadges() {
-	const cacheKey = 'pending_badges';
-	
-	// Try cache first (5 minute expiration)
-	const cachedData = await indexedDBService.getCachedData(cacheKey);
-	if (cachedData) {
-		debugLog('Using cached pending badges');
-		return { success: true, badges: cachedData };
-	}
-
 	try {
-		const response = await fetchFromApi('pending-badges', 'GET');
+		// Served from the query cache, refreshed once older than 5 minutes
+		const response = await queryApi('pending-badges', null, { staleTime: 5 * 60 * 1000 });
 
 		if (response.success && response.badges) {
-			// Cache for 5 minutes
-			await indexedDBService.setCachedData(cacheKey, response.badges, 5 * 60 * 1000);
 			debugLog('Pending badges fetched successfully');
 			return response;
 		}
@@ -330,16 +259,15 @@ export async function getPendingBadges() {
 	}
 }
 
-export async function updateBadgeStatus(badgeId, action) {
+export async function updateBadgeStatus(badgeId, action, comment = '') {
 	try {
 		const response = await fetchFromApi('update_badge_status', 'POST', {
 			badge_id: badgeId,
-			action
+			action,
+			comment
 		});
 
 		if (response.success) {
-			// Clear pending badges cache to force refresh
-			await indexedDBService.clearCachedData('pending_badges');
 			debugLog(`Badge ${badgeId} status updated with action: ${action}`);
 			return response;
 		}
@@ -347,17 +275,64 @@ export async function updateBadgeStatus(badgeId, action) {
 		throw new Error(response.message || 'Failed to update badge status');
 	} catch (error) {
 		debugError(`Error updating badge ${badgeId} status:`, error);
+		throw error;
+	}
+}
 
-		// Save for offline sync if device is offline
-		if (error.isOffline) {
-			await indexedDBService.saveOfflineData('updateBadgeStatus', { badgeId, action }, 2);
-			return {
-				success: true,
-				offline: true,
-				message: 'Badge status changes will be saved when online'
-			};
+/**
+ * Apply the same review action to several badge requests, one request at a time
+ */
+export async function bulkUpdateBadgeStatus(badgeIds, action, comment = '') {
+	const updated = [];
+	const failed = [];
+
+	for (const badgeId of badgeIds) {
+		try {
+			const result = await updateBadgeStatus(badgeId, action, comment);
+			updated.push({ badgeId, offline: Boolean(result.offline) });
+		} catch (error) {
+			failed.push({ badgeId, message: error.message });
+		}
+	}
+
+	debugLog(`Bulk badge review: ${updated.length} updated, ${failed.length} failed`);
+	return {
+		success: failed.length === 0,
+		updated,
+		failed
+	};
+}
+
+export async function getBadgeSummary() {
+	try {
+		// Served from the query cache, refreshed once older than 5 minutes
+		const response = await queryApi('badge-summary', null, { staleTime: 5 * 60 * 1000 });
+
+		if (response.success && response.summary) {
+			debugLog('Badge summary fetched successfully');
+			return response;
+		}
+
+		throw new Error(response.message || 'Failed to fetch badge summary');
+	} catch (error) {
+		debugError('Error fetching badge summary:', error);
+		throw error;
+	}
+}
+
+export async function getBadgeHistory(participantId) {
+	try {
+		// Served from the query cache, refreshed once older than 5 minutes
+		const response = await queryApi('badge-history', { participant_id: participantId }, { staleTime: 5 * 60 * 1000 });
+
+		if (response.success && response.history) {
+			debugLog(`Badge history fetched for participant ${participantId}`);
+			return response;
 		}
 
+		throw new Error(response.message || 'Failed to fetch badge history');
+	} catch (error) {
+		debugError(`Error fetching badge history for participant ${participantId}:`, error);
 		throw error;
 	}
 }
@@ -367,21 +342,11 @@ export async function updateBadgeStatus(badgeId, action) {
  */
 
 export async function getCalendars() {
-	const cacheKey = 'calendars';
-	
-	// Try cache first (10 minute expiration)
-	const cachedData = await indexedDBService.getCachedData(cacheKey);
-	if (cachedData) {
-		debugLog('Using cached calendars data');
-		return { success: true, calendars: cachedData };
-	}
-
 	try {
-		const response = await fetchFromApi('calendars', 'GET');
+		// Served from the query cache, refreshed once older than 10 minutes
+		const response = await queryApi('calendars', null, { staleTime: 10 * 60 * 1000 });
 
 		if (response.success && response.calendars) {
-			// Cache for 10 minutes
-			await indexedDBService.setCachedData(cacheKey, response.calendars, 10 * 60 * 1000);
 			debugLog('Calendars fetched successfully');
 			return response;
 		}
@@ -402,8 +367,6 @@ export async function updateCalendar(participantId, amount, amountPaid) {
 		});
 
 		if (response.success) {
-			// Clear calendars cache
-			await indexedDBService.clearCachedData('calendars');
 			debugLog(`Calendar updated for participant ${participantId}`);
 			return response;
 		}
@@ -411,21 +374,6 @@ export async function updateCalendar(participantId, amount, amountPaid) {
 		throw new Error(response.message || 'Failed to update calendar');
 	} catch (error) {
 		debugError(`Error updating calendar for participant ${participantId}:`, error);
-
-		// Save for offline sync if device is offline
-		if (error.isOffline) {
-			await indexedDBService.saveOfflineData('updateCalendar', {
-				participantId,
-				amount,
-				amountPaid
-			}, 2);
-			return {
-				success: true,
-				offline: true,
-				message: 'Calendar changes will be saved when online'
-			};
-		}
-
 		throw error;
 	}
 }
@@ -438,8 +386,6 @@ export async function updateCalendarPaid(participantId, paidStatus) {
 		});
 
 		if (response.success) {
-			// Clear calendars cache
-			await indexedDBService.clearCachedData('calendars');
 			debugLog(`Calendar paid status updated for participant ${participantId}`);
 			return response;
 		}
@@ -447,42 +393,16 @@ export async function updateCalendarPaid(participantId, paidStatus) {
 		throw new Error(response.message || 'Failed to update calendar paid status');
 	} catch (error) {
 		debugError(`Error updating calendar paid status for participant ${participantId}:`, error);
-
-		// Save for offline sync if device is offline
-		if (error.isOffline) {
-			await indexedDBService.saveOfflineData('updateCalendarPaid', {
-				participantId,
-				paidStatus
-			}, 2);
-			return {
-				success: true,
-				offline: true,
-				message: 'Calendar payment status will be saved when online'
-			};
-		}
-
 		throw error;
 	}
 }
 
 export async function getParticipantCalendar(participantId) {
-	const cacheKey = `participant_calendar_${participantId}`;
-	
-	// Try cache first (5 minute expiration)
-	const cachedData = await indexedDBService.getCachedData(cacheKey);
-	if (cachedData) {
-		debugLog(`Using cached calendar for participant ${participantId}`);
-		return { success: true, calendar: cachedData };
-	}
-
 	try {
-		const response = await fetchFromApi('get_participant_calendar', 'GET', null, {
-			participant_id: participantId
-		});
+		// Served from the query cache, refreshed once older than 5 minutes
+		const response = await queryApi('get_participant_calendar', { participant_id: participantId }, { staleTime: 5 * 60 * 1000 });
 
 		if (response.success && response.calendar) {
-			// Cache for 5 minutes
-			await indexedDBService.setCachedData(cacheKey, response.calendar, 5 * 60 * 1000);
 			debugLog(`Calendar fetched for participant ${participantId}`);
 			return response;
 		}
@@ -494,107 +414,10 @@ export async function getParticipantCalendar(participantId) {
 	}
 }
 
-/**
- * Cache management helpers
- */
-async function clearPointsCaches() {
-	try {
-		await indexedDBService.clearCachedData('points_report');
-		await indexedDBService.clearCachedData('participants_list');
-		debugLog('Points caches cleared');
-	} catch (error) {
-		debugError('Error clearing points caches:', error);
-	}
-}
-
-async function clearHonorsCaches() {
-	try {
-		await indexedDBService.clearCachedData(HONORS_CACHE_KEY);
-		await indexedDBService.clearCachedData('recent_honors');
-		await indexedDBService.clearCachedData('honors_report');
-		await indexedDBService.clearCachedData('pending_badges');
-		
-		// Clear date-specific honors caches (approximation)
-		const currentDate = new Date();
-		for (let i = -7; i <= 7; i++) {
-			const date = new Date(currentDate);
-			date.setDate(date.getDate() + i);
-			const dateStr = date.toISOString().split('T')[0];
-			await indexedDBService.clearCachedData(`honors_${dateStr}`);
-			await indexedDBService.clearCachedData(`honors_participants_${dateStr}`);
-		}
-		
-		debugLog('Honors caches cleared');
-	} catch (error) {
-		debugError('Error clearing honors caches:', error);
-	}
-}
-
-/**
- * Sync offline points and honors data when back online
- */
-export async function syncOfflinePointsData() {
-	try {
-		const pendingData = await indexedDBService.getPendingOfflineData();
-		const pointsOperations = pendingData.filter(item => 
-			['updatePoints', 'awardHonor', 'saveBadgeProgress', 'updateBadgeStatus', 'updateCalendar', 'updateCalendarPaid'].includes(item.action)
-		);
-
-		debugLog(`Syncing ${pointsOperations.length} offline points/honors operations`);
-
-		const results = [];
-		for (const operation of pointsOperations) {
-			try {
-				await indexedDBService.updateOfflineDataStatus(operation.id, 'processing');
-
-				let result;
-				switch (operation.action) {
-					case 'updatePoints':
-						result = await updatePoints(operation.data.updates);
-						break;
-					case 'awardHonor':
-						result = await awardHonor(operation.data.honors);
-						break;
-					case 'saveBadgeProgress':
-						result = await saveBadgeProgress(operation.data);
-						break;
-					case 'updateBadgeStatus':
-						result = await updateBadgeStatus(operation.data.badgeId, operation.data.action);
-						break;
-					case 'updateCalendar':
-						result = await updateCalendar(
-							operation.data.participantId,
-							operation.data.amount,
-							operation.data.amountPaid
-						);
-						break;
-					case 'updateCalendarPaid':
-						result = await updateCalendarPaid(operation.data.participantId, operation.data.paidStatus);
-						break;
-				}
-
-				if (result.success && !result.offline) {
-					await indexedDBService.updateOfflineDataStatus(operation.id, 'completed');
-					results.push({ operation: operation.action, status: 'success' });
-				} else {
-					throw new Error(result.message || 'Operation failed');
-				}
-			} catch (error) {
-				debugError(`Error syncing operation ${operation.action}:`, error);
-				await indexedDBService.updateOfflineDataStatus(operation.id, 'failed', error);
-				results.push({ operation: operation.action, status: 'failed', error: error.message });
-			}
-		}
-
-		return { success: true, results };
-	} catch (error) {
-		debugError('Error syncing offline points/honors data:', error);
-		return { success: false, error: error.message };
-	}
-}
-
 export const pointsService = {
 	updatePoints,
+	reversePoints,
+	getPointsHistory,
 	getPointsReport,
 	getHonorsAndParticipants,
 	getHonors,
@@ -603,13 +426,16 @@ export const pointsService = {
 	getHonorsReport,
 	getBadgeProgress,
 	saveBadgeProgress,
+	getCurrentStars,
 	getPendingBadges,
 	updateBadgeStatus,
+	bulkUpdateBadgeStatus,
+	getBadgeSummary,
+	getBadgeHistory,
 	getCalendars,
 	updateCalendar,
 	updateCalendarPaid,
-	getParticipantCalendar,
-	syncOfflinePointsData
+	getParticipantCalendar
 };
 
 export default pointsService;
\ No newline at end of file
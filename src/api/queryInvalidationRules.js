@@ -0,0 +1,90 @@
+// src/api/queryInvalidationRules.js
+/**
+ * Queries made stale by each write endpoint
+ * Priority: HIGH - Keeps cached reads in line with the changes made through the app
+ *
+ * When a write succeeds, or is replayed from the offline queue, every cached response of the
+ * listed endpoints is invalidated, whatever its params. Add an entry here when a new write
+ * changes data read through queryApi instead of clearing cache keys in the service.
+ */
+
+const PARTICIPANT_QUERIES = ['participants', 'get_participant', 'get_participants_by_group', 'get_user_participants', 'points-report', 'get_honors_and_participants'];
+const GROUP_QUERIES = ['get_groups', 'participants', 'get_participants_by_group', 'points-report'];
+const BADGE_QUERIES = ['badge-progress', 'badge-history', 'pending-badges', 'badge-summary'];
+const CALENDAR_QUERIES = ['calendars', 'get_participant_calendar'];
+const POINTS_QUERIES = ['points-report', 'points-history', 'participants', 'get_groups', 'get_honors_and_participants'];
+const REREGISTRATION_QUERIES = ['reregistration-campaign', 'reregistration-status', 'reregistration-family-status'];
+const EVENT_QUERIES = ['events', 'event-roster', 'family-events'];
+
+export const QUERY_INVALIDATION_RULES = {
+	// Points
+	'update-points': POINTS_QUERIES,
+	'reverse-points': POINTS_QUERIES,
+
+	// Honors add points to the participant honored
+	'award-honor': ['honors', 'recent-honors', 'honors-report', 'get_honors_and_participants', 'points-report', 'points-history', 'participants'],
+
+	// Badges
+	'save-badge-progress': BADGE_QUERIES,
+	'update_badge_status': BADGE_QUERIES,
+
+	// Attendance
+	'update-attendance': ['attendance', 'attendance-dates'],
+	'send-absence-follow-up': ['absence-follow-ups'],
+	'submit-absence-notice': ['absence-notices'],
+	'cancel-absence-notice': ['absence-notices'],
+	'record-dismissal': ['dismissals'],
+	'save-guest': ['guests-by-date'],
+	'save_reunion_preparation': ['meeting-preparations', 'get_reunion_preparation', 'get_reunion_dates'],
+
+	// Participants
+	'create_participant': PARTICIPANT_QUERIES,
+	'update_participant': PARTICIPANT_QUERIES,
+	'delete_participant': PARTICIPANT_QUERIES,
+	'link_user_participants': ['get_user_participants'],
+	'save_participant_health_form': ['get_participant'],
+	'upload_participant_photo': ['get_participant'],
+
+	// Form answers, participants carry a has_<form_type> flag per form
+	'save-form-submission': ['form-submission', 'participants', 'get_user_participants'],
+	'save-acceptation-risque': ['acceptation-risque', 'get_user_participants', ...REREGISTRATION_QUERIES],
+
+	// Re-registration, confirmed sections are saved as the participant's answers
+	'launch-reregistration-campaign': [...REREGISTRATION_QUERIES, 'reregistration-draft'],
+	'close-reregistration-campaign': REREGISTRATION_QUERIES,
+	'confirm-reregistration-section': [...REREGISTRATION_QUERIES, 'reregistration-draft', 'form-submission', 'acceptation-risque', 'participants', 'get_user_participants'],
+
+	// Fundraisers
+	'save-fundraiser': ['fundraisers'],
+	'fundraiser-stock-movement': ['fundraiser-ledger'],
+	'fundraiser-payment': ['fundraiser-ledger'],
+	'delete-fundraiser-entry': ['fundraiser-ledger'],
+
+	// Events, a cancelled registration can confirm the next one on the waiting list
+	'save-event': EVENT_QUERIES,
+	'cancel-event': EVENT_QUERIES,
+	'register-event': EVENT_QUERIES,
+	'cancel-event-registration': EVENT_QUERIES,
+
+	// Notifications
+	'send_notification': ['get_notification_history'],
+	'cancel_scheduled_notification': ['get_notification_history'],
+	'save_notification_template': ['get_notification_templates'],
+	'delete_notification_template': ['get_notification_templates'],
+
+	// Emails
+	'log-email': ['email-log'],
+
+	// Groups
+	'add-group': GROUP_QUERIES,
+	'remove-group': GROUP_QUERIES,
+	'update-group-name': GROUP_QUERIES,
+	'update-participant-group': GROUP_QUERIES,
+	'batch_update_participant_groups': GROUP_QUERIES,
+
+	// Calendars
+	'update-calendar': CALENDAR_QUERIES,
+	'update-calendar-paid': CALENDAR_QUERIES
+};
+
+export default QUERY_INVALIDATION_RULES;
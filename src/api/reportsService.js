@@ -6,8 +6,12 @@
 
 import { fetchFromApi, debugLog, debugError } from './apiService';
 import indexedDBService from '../lib/indexedDBService';
+import { getReportRows } from '../lib/emergencySheets';
 
 const REPORTS_CACHE_PREFIX = 'report_';
+const EMERGENCY_SHEETS_CACHE_KEY = `${REPORTS_CACHE_PREFIX}emergency_sheets`;
+// Generated sheets are kept for the whole camp season so they open without a connection
+const EMERGENCY_SHEETS_EXPIRATION = 120 * 24 * 60 * 60 * 1000;
 
 /**
  * Health and Medical Reports
@@ -148,6 +152,61 @@ export async function getHealthContactReport() {
 	}
 }
 
+/**
+ * Emergency Sheets
+ */
+
+/**
+ * Rows of the reports combined into emergency sheets, see lib/emergencySheets.js
+ */
+export async function getEmergencySheetReports() {
+	try {
+		const [health, allergies, medications, contacts] = await Promise.all([
+			getHealthReport(),
+			getAllergiesReport(),
+			getMedicationReport(),
+			getHealthContactReport()
+		]);
+
+		return {
+			success: true,
+			reports: {
+				health: getReportRows(health),
+				allergies: getReportRows(allergies),
+				medications: getReportRows(medications),
+				contacts: getReportRows(contacts)
+			}
+		};
+	} catch (error) {
+		debugError('Error fetching emergency sheet reports:', error);
+		throw error;
+	}
+}
+
+/**
+ * Keep generated sheets on this device so they can be printed at camp without signal
+ */
+export async function saveEmergencySheets(sheets, participantIds) {
+	const saved = {
+		sheets,
+		participant_ids: participantIds,
+		generated_at: new Date().toISOString()
+	};
+
+	await indexedDBService.setCachedData(EMERGENCY_SHEETS_CACHE_KEY, saved, EMERGENCY_SHEETS_EXPIRATION);
+	debugLog(`Emergency sheets saved for ${sheets.length} participant(s)`);
+	return saved;
+}
+
+export async function getSavedEmergencySheets() {
+	return indexedDBService.getCachedData(EMERGENCY_SHEETS_CACHE_KEY);
+}
+
+// Health information should not stay on a shared device once the outing is over
+export async function clearSavedEmergencySheets() {
+	return indexedDBService.clearCachedData(EMERGENCY_SHEETS_CACHE_KEY);
+}
+
 /**
  * Attendance Reports
  */
@@ -329,7 +388,7 @@ export async function getMediaAuthorizationReport() {
 export async function exportReport(reportType, format = 'csv', params = {}) {
 	try {
 		const data = { report_type: reportType, format, ...params };
-		const response = await fetchFromApi('export_report', 'POST', data);
+		const response = await fetchFromApi('export_report', 'POST', data, null, { queueOffline: false });
 
 		if (response.success) {
 			debugLog(`Report ${reportType} exported successfully in ${format} format`);
@@ -371,6 +430,10 @@ export const reportsService = {
 	getMedicationReport,
 	getVaccineReport,
 	getHealthContactReport,
+	getEmergencySheetReports,
+	saveEmergencySheets,
+	getSavedEmergencySheets,
+	clearSavedEmergencySheets,
 	getAttendanceReport,
 	getParticipantAgeReport,
 	getParticipantsWithDocuments,
@@ -0,0 +1,160 @@
+// src/api/reregistrationService.js
+/**
+ * Service for the annual re-registration campaigns (see lib/reregistration.js)
+ * Priority: MEDIUM - Required for the families to renew their forms every fall
+ */
+
+import { fetchFromApi, queryApi, debugLog, debugError } from './apiService';
+
+/**
+ * Get the campaign in progress, or null if none is
+ */
+export async function getActiveCampaign() {
+	try {
+		const response = await queryApi('reregistration-campaign', null, { staleTime: 5 * 60 * 1000 });
+
+		if (response.success) {
+			return response.campaign || null;
+		}
+
+		throw new Error(response.message || 'Failed to fetch re-registration campaign');
+	} catch (error) {
+		debugError('Error fetching re-registration campaign:', error);
+		throw error;
+	}
+}
+
+/**
+ * Launch a campaign: last season's answers to the given sections are copied as drafts
+ */
+export async function launchCampaign({ season, deadline, sections, message }) {
+	try {
+		const response = await fetchFromApi('launch-reregistration-campaign', 'POST', {
+			season,
+			deadline,
+			sections,
+			message
+		}, null, { queueOffline: false });
+
+		if (response.success) {
+			debugLog(`Re-registration campaign ${season} launched`);
+			return response;
+		}
+
+		throw new Error(response.message || 'Failed to launch re-registration campaign');
+	} catch (error) {
+		debugError('Error launching re-registration campaign:', error);
+		throw error;
+	}
+}
+
+export async function closeCampaign(campaignId) {
+	try {
+		const response = await fetchFromApi('close-reregistration-campaign', 'POST', { campaign_id: campaignId });
+
+		if (response.success) {
+			debugLog(`Re-registration campaign ${campaignId} closed`);
+			return response;
+		}
+
+		throw new Error(response.message || 'Failed to close re-registration campaign');
+	} catch (error) {
+		debugError(`Error closing re-registration campaign ${campaignId}:`, error);
+		throw error;
+	}
+}
+
+/**
+ * Get the completion of every family, as { families: [{ name, email, participants: [{ sections }] }] }
+ */
+export async function getCampaignStatus(campaignId) {
+	try {
+		const response = await queryApi('reregistration-status', { campaign_id: campaignId }, { staleTime: 60 * 1000 });
+
+		if (response.success) {
+			return response.families || [];
+		}
+
+		throw new Error(response.message || 'Failed to fetch re-registration status');
+	} catch (error) {
+		debugError(`Error fetching status of re-registration campaign ${campaignId}:`, error);
+		throw error;
+	}
+}
+
+/**
+ * Get the campaign in progress with the sections to review for the participants of the current parent
+ */
+export async function getFamilyCampaign() {
+	try {
+		const response = await queryApi('reregistration-family-status', null, { staleTime: 60 * 1000 });
+
+		if (response.success) {
+			return response.campaign ? { campaign: response.campaign, participants: response.participants || [] } : null;
+		}
+
+		throw new Error(response.message || 'Failed to fetch re-registration status');
+	} catch (error) {
+		debugError('Error fetching family re-registration status:', error);
+		throw error;
+	}
+}
+
+/**
+ * Get the draft of a section copied from last season, or an empty object if there was nothing to copy
+ */
+export async function getSectionDraft(campaignId, participantId, section) {
+	try {
+		const response = await queryApi('reregistration-draft', {
+			campaign_id: campaignId,
+			participant_id: participantId,
+			section
+		});
+
+		if (response.success) {
+			return response.form_data || {};
+		}
+
+		throw new Error(response.message || 'Failed to fetch re-registration draft');
+	} catch (error) {
+		debugError(`Error fetching ${section} draft for participant ${participantId}:`, error);
+		throw error;
+	}
+}
+
+/**
+ * Confirm a section of a participant, with the answers edited by the parent if changed is true
+ */
+export async function confirmSection(campaignId, participantId, section, submissionData, changed) {
+	try {
+		const response = await fetchFromApi('confirm-reregistration-section', 'POST', {
+			campaign_id: campaignId,
+			participant_id: participantId,
+			section,
+			submission_data: submissionData,
+			changed
+		});
+
+		if (response.success) {
+			debugLog(`Re-registration section ${section} confirmed for participant ${participantId}`);
+			return response;
+		}
+
+		throw new Error(response.message || 'Failed to confirm re-registration section');
+	} catch (error) {
+		debugError(`Error confirming ${section} for participant ${participantId}:`, error);
+		throw error;
+	}
+}
+
+export const reregistrationService = {
+	getActiveCampaign,
+	launchCampaign,
+	closeCampaign,
+	getCampaignStatus,
+	getFamilyCampaign,
+	getSectionDraft,
+	confirmSection
+};
+
+export default reregistrationService;
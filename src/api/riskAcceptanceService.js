@@ -0,0 +1,59 @@
+// src/api/riskAcceptanceService.js
+/**
+ * Service for the risk acceptance signed for each participant
+ * Priority: MEDIUM - Required before participants take part in activities
+ */
+
+import { fetchFromApi, queryApi, debugLog, debugError } from './apiService';
+
+/**
+ * Get the risk acceptance of a participant, or null if none was signed
+ */
+export async function getRiskAcceptance(participantId) {
+	try {
+		const response = await queryApi('acceptation-risque', { participant_id: participantId }, {
+			staleTime: 10 * 60 * 1000,
+			isValid: result => Boolean(result) && (result.success || result.message === 'Acceptation risque not found')
+		});
+
+		if (response.success) {
+			debugLog(`Risk acceptance fetched for participant ${participantId}`);
+			return response.acceptation_risque || null;
+		}
+
+		if (response.message === 'Acceptation risque not found') {
+			return null;
+		}
+
+		throw new Error(response.message || 'Failed to fetch risk acceptance');
+	} catch (error) {
+		debugError(`Error fetching risk acceptance for participant ${participantId}:`, error);
+		throw error;
+	}
+}
+
+/**
+ * Save a signed risk acceptance, with the signature and the snapshot of the consent text accepted
+ */
+export async function saveRiskAcceptance(acceptanceData) {
+	try {
+		const response = await fetchFromApi('save-acceptation-risque', 'POST', acceptanceData);
+
+		if (response.success) {
+			debugLog(`Risk acceptance saved for participant ${acceptanceData.participant_id}`);
+			return response;
+		}
+
+		throw new Error(response.message || 'Failed to save risk acceptance');
+	} catch (error) {
+		debugError(`Error saving risk acceptance for participant ${acceptanceData.participant_id}:`, error);
+		throw error;
+	}
+}
+
+export const riskAcceptanceService = {
+	getRiskAcceptance,
+	saveRiskAcceptance
+};
+
+export default riskAcceptanceService;
@@ -0,0 +1,195 @@
+// src/components/common/AbsenceAlerts/AbsenceAlerts.jsx
+import React, { useState, useEffect, useMemo } from 'react';
+import { useTranslation } from 'react-i18next';
+import { attendanceService } from '../../../api/attendanceService';
+import { organizationService } from '../../../api/organizationService';
+import { reportsService } from '../../../api/reportsService';
+import {
+	FOLLOW_UP_CHANNELS,
+	computeAbsenceAlerts,
+	getAbsenceAlertRules,
+	getAlertKey,
+	getRuleLabel
+} from '../../../lib/absenceAlerts';
+import { getSeasonStart } from '../../../lib/season';
+import { getContentLanguage } from '../../../lib/language';
+import './AbsenceAlerts.css';
+
+const formatDate = (date, locale) => new Date(`${date}T00:00:00`).toLocaleDateString(locale, { day: 'numeric', month: 'short' });
+
+/**
+ * Absence patterns of the season for the leaders, with a message to send to the guardians of each participant
+ */
+const AbsenceAlerts = () => {
+	const { t, i18n } = useTranslation();
+	const [alerts, setAlerts] = useState([]);
+	const [followUps, setFollowUps] = useState([]);
+	const [composing, setComposing] = useState(null);
+	const [sending, setSending] = useState(false);
+	const [error, setError] = useState('');
+
+	const language = getContentLanguage(i18n);
+
+	useEffect(() => {
+		const fetchAlerts = async () => {
+			const today = new Date().toLocaleDateString('en-CA');
+			try {
+				const [reportResponse, settings, sentFollowUps] = await Promise.all([
+					reportsService.getAttendanceReport(getSeasonStart(today), today),
+					organizationService.getOrganizationSettings().catch(() => ({})),
+					attendanceService.getAbsenceFollowUps().catch(() => [])
+				]);
+				setAlerts(computeAbsenceAlerts(reportResponse.report, getAbsenceAlertRules(settings), today));
+				setFollowUps(sentFollowUps);
+			} catch (error) {
+				// Alerts are a convenience, the dashboard stays usable without them
+				console.error('Error loading absence alerts:', error);
+			}
+		};
+
+		fetchAlerts();
+	}, []);
+
+	// Follow-ups by alert key, alerts still to follow up first
+	const followUpsByKey = useMemo(() => Object.fromEntries(followUps.map(followUp => [
+		getAlertKey({ rule: { id: followUp.rule }, participantId: followUp.participant_id, lastDate: followUp.last_date }),
+		followUp
+	])), [followUps]);
+
+	const sortedAlerts = useMemo(() => [...alerts].sort((a, b) => (
+		Number(Boolean(followUpsByKey[getAlertKey(a)])) - Number(Boolean(followUpsByKey[getAlertKey(b)]))
+	)), [alerts, followUpsByKey]);
+
+	if (alerts.length === 0) {
+		return null;
+	}
+
+	const openCount = alerts.filter(alert => !followUpsByKey[getAlertKey(alert)]).length;
+
+	const startFollowUp = (alert) => {
+		setError('');
+		setComposing({
+			key: getAlertKey(alert),
+			channels: ['email'],
+			message: t('absence_follow_up_message', {
+				name: alert.firstName,
+				rule: getRuleLabel(alert.rule, t, language).toLowerCase(),
+				dates: alert.dates.map(date => formatDate(date, t('locale'))).join(', ')
+			})
+		});
+	};
+
+	const toggleChannel = (channel, checked) => {
+		setComposing(prev => ({
+			...prev,
+			channels: checked ? [...prev.channels, channel] : prev.channels.filter(item => item !== channel)
+		}));
+	};
+
+	const sendFollowUp = async (alert) => {
+		if (composing.channels.length === 0 || !composing.message.trim()) {
+			setError(t('absence_follow_up_incomplete'));
+			return;
+		}
+
+		setSending(true);
+		try {
+			await attendanceService.sendAbsenceFollowUp({
+				participantId: alert.participantId,
+				ruleId: alert.rule.id,
+				dates: alert.dates,
+				lastDate: alert.lastDate,
+				channels: composing.channels,
+				message: composing.message.trim()
+			});
+			setFollowUps(prev => [...prev, {
+				participant_id: alert.participantId,
+				rule: alert.rule.id,
+				last_date: alert.lastDate,
+				channels: composing.channels,
+				sent_at: new Date().toISOString()
+			}]);
+			setComposing(null);
+		} catch (error) {
+			console.error('Error sending absence follow-up:', error);
+			setError(t('error_sending_absence_follow_up'));
+		} finally {
+			setSending(false);
+		}
+	};
+
+	return (
+		<section className="absence-alerts">
+			<h2>
+				{t('absence_alerts')}
+				{openCount > 0 && <span className="absence-alerts-count">{openCount}</span>}
+			</h2>
+
+			<ul>
+				{sortedAlerts.map(alert => {
+					const key = getAlertKey(alert);
+					const followUp = followUpsByKey[key];
+
+					return (
+						<li key={key} className={followUp ? 'followed-up' : ''}>
+							<div className="absence-alert-info">
+								<strong>{alert.firstName} {alert.lastName}</strong>
+								{alert.groupName && <span className="absence-alert-group">{alert.groupName}</span>}
+								<span className="absence-alert-rule">{getRuleLabel(alert.rule, t, language)}</span>
+								<span className="absence-alert-dates">
+									{alert.dates.map(date => formatDate(date, t('locale'))).join(', ')}
+								</span>
+							</div>
+
+							{followUp ? (
+								<span className="absence-alert-status">
+									{t('absence_followed_up', {
+										date: new Date(followUp.sent_at).toLocaleDateString(t('locale'))
+									})}
+								</span>
+							) : composing?.key !== key && (
+								<button type="button" onClick={() => startFollowUp(alert)} disabled={!alert.participantId}>
+									{t('follow_up_with_guardians')}
+								</button>
+							)}
+
+							{composing?.key === key && (
+								<div className="absence-follow-up">
+									<div className="follow-up-channels">
+										{FOLLOW_UP_CHANNELS.map(channel => (
+											<label key={channel}>
+												<input
+													type="checkbox"
+													checked={composing.channels.includes(channel)}
+													onChange={(e) => toggleChannel(channel, e.target.checked)}
+												/>
+												{t(`follow_up_channel_${channel}`)}
+											</label>
+										))}
+									</div>
+									<textarea
+										rows={4}
+										value={composing.message}
+										onChange={(e) => setComposing(prev => ({ ...prev, message: e.target.value }))}
+										aria-label={t('message')}
+									/>
+									{error && <p className="absence-follow-up-error">{error}</p>}
+									<div className="follow-up-actions">
+										<button type="button" className="secondary" onClick={() => setComposing(null)}>
+											{t('cancel')}
+										</button>
+										<button type="button" onClick={() => sendFollowUp(alert)} disabled={sending}>
+											{sending ? t('sending') : t('send')}
+										</button>
+									</div>
+								</div>
+							)}
+						</li>
+					);
+				})}
+			</ul>
+		</section>
+	);
+};
+
+export default AbsenceAlerts;
@@ -0,0 +1,146 @@
+// src/components/common/AbsenceNoticeForm/AbsenceNoticeForm.jsx
+import React, { useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { attendanceService } from '../../../api/attendanceService';
+import './AbsenceNoticeForm.css';
+
+const formatDate = (date, locale) => new Date(`${date}T00:00:00`).toLocaleDateString(locale, {
+	weekday: 'long',
+	day: 'numeric',
+	month: 'long'
+});
+
+/**
+ * Upcoming absences declared for a participant by the guardian, with a form to declare another one
+ * notices are those of the participant, meetingDates the upcoming meeting dates
+ */
+const AbsenceNoticeForm = ({ participant, meetingDates, notices, onChange }) => {
+	const { t } = useTranslation();
+	const [open, setOpen] = useState(false);
+	const [date, setDate] = useState('');
+	const [reason, setReason] = useState('');
+	const [saving, setSaving] = useState(false);
+	const [error, setError] = useState('');
+
+	const declaredDates = notices.map(notice => notice.date);
+	const availableDates = meetingDates.filter(meetingDate => !declaredDates.includes(meetingDate));
+
+	const openForm = () => {
+		setDate(availableDates[0] || '');
+		setReason('');
+		setError('');
+		setOpen(true);
+	};
+
+	const handleSubmit = async (e) => {
+		e.preventDefault();
+		if (!date || !reason.trim()) {
+			setError(t('absence_notice_incomplete'));
+			return;
+		}
+
+		setSaving(true);
+		try {
+			const response = await attendanceService.submitAbsenceNotice({
+				participantId: participant.id,
+				date,
+				reason: reason.trim()
+			});
+			// Queued offline, the notice gets its id once sent
+			onChange([...notices, response.notice || {
+				id: null,
+				participant_id: participant.id,
+				date,
+				reason: reason.trim()
+			}]);
+			setOpen(false);
+		} catch (error) {
+			console.error('Error submitting absence notice:', error);
+			setError(t('error_submitting_absence_notice'));
+		} finally {
+			setSaving(false);
+		}
+	};
+
+	const handleCancelNotice = async (notice) => {
+		if (!window.confirm(t('confirm_cancel_absence_notice', { date: formatDate(notice.date, t('locale')) }))) {
+			return;
+		}
+
+		try {
+			await attendanceService.cancelAbsenceNotice(notice.id);
+			onChange(notices.filter(item => item.id !== notice.id));
+		} catch (error) {
+			console.error('Error cancelling absence notice:', error);
+			setError(t('error_cancelling_absence_notice'));
+		}
+	};
+
+	return (
+		<div className="absence-notices">
+			{notices.length > 0 && (
+				<ul>
+					{[...notices].sort((a, b) => a.date.localeCompare(b.date)).map(notice => (
+						<li key={notice.id || notice.date}>
+							<div>
+								<strong>{t('absent_on', { date: formatDate(notice.date, t('locale')) })}</strong>
+								<span className="absence-notice-reason">{notice.reason}</span>
+							</div>
+							<button
+								type="button"
+								className="secondary"
+								onClick={() => handleCancelNotice(notice)}
+								disabled={!notice.id}
+							>
+								{t('withdraw')}
+							</button>
+						</li>
+					))}
+				</ul>
+			)}
+
+			{open ? (
+				<form onSubmit={handleSubmit}>
+					<label>
+						{t('meeting_date')}
+						<select value={date} onChange={(e) => setDate(e.target.value)} required>
+							{availableDates.map(meetingDate => (
+								<option key={meetingDate} value={meetingDate}>
+									{formatDate(meetingDate, t('locale'))}
+								</option>
+							))}
+						</select>
+					</label>
+					<label>
+						{t('absence_reason')}
+						<textarea
+							rows={2}
+							value={reason}
+							onChange={(e) => setReason(e.target.value)}
+							placeholder={t('absence_reason_placeholder')}
+							required
+						/>
+					</label>
+					{error && <p className="absence-notice-error">{error}</p>}
+					<div className="absence-notice-actions">
+						<button type="button" className="secondary" onClick={() => setOpen(false)}>
+							{t('cancel')}
+						</button>
+						<button type="submit" disabled={saving}>
+							{saving ? t('saving') : t('declare_absence')}
+						</button>
+					</div>
+				</form>
+			) : (
+				<>
+					{error && <p className="absence-notice-error">{error}</p>}
+					<button type="button" onClick={openForm} disabled={availableDates.length === 0}>
+						{t('declare_absence')}
+					</button>
+				</>
+			)}
+		</div>
+	);
+};
+
+export default AbsenceNoticeForm;
@@ -0,0 +1,309 @@
+// src/components/common/CheckInScanner/CheckInScanner.jsx
+import React, { useState, useEffect, useRef } from 'react';
+import { useTranslation } from 'react-i18next';
+import jsQR from 'jsqr';
+import { attendanceService } from '../../../api/attendanceService';
+import {
+	RESCAN_DELAY,
+	SCAN_MODES,
+	canLeaveAlone,
+	findGuardian,
+	getDismissalWarning,
+	getGuardianName,
+	parseCheckInCode
+} from '../../../lib/checkIn';
+import './CheckInScanner.css';
+
+const SCAN_INTERVAL = 250;
+
+/**
+ * Camera reading the participant QR cards, marking arrivals and recording who picks each participant up
+ * onArrival receives the participant scanned at arrival and records the attendance
+ */
+const CheckInScanner = ({ participants, date, onArrival, onClose }) => {
+	const { t } = useTranslation();
+	const videoRef = useRef(null);
+	const canvasRef = useRef(null);
+	const lastScanRef = useRef({ code: null, time: 0 });
+	const handleCodeRef = useRef(null);
+	const [mode, setMode] = useState('arrival');
+	const [cameraError, setCameraError] = useState('');
+	const [authorizations, setAuthorizations] = useState({});
+	const [dismissals, setDismissals] = useState([]);
+	const [departing, setDeparting] = useState(null);
+	const [otherAdult, setOtherAdult] = useState('');
+	const [warning, setWarning] = useState('');
+	const [feedback, setFeedback] = useState(null);
+	const [saving, setSaving] = useState(false);
+
+	useEffect(() => {
+		const fetchAuthorizations = async () => {
+			const [authorizationsResponse, dismissalsResponse] = await Promise.all([
+				attendanceService.getPickupAuthorizations().catch(() => []),
+				attendanceService.getDismissals(date).catch(() => [])
+			]);
+			setAuthorizations(Object.fromEntries(authorizationsResponse.map(item => [String(item.participant_id), item])));
+			setDismissals(dismissalsResponse);
+		};
+
+		fetchAuthorizations();
+	}, [date]);
+
+	// Read a frame of the camera a few times per second
+	useEffect(() => {
+		let stream = null;
+		let interval = null;
+		let cancelled = false;
+
+		const startCamera = async () => {
+			if (!navigator.mediaDevices?.getUserMedia) {
+				setCameraError(t('camera_unavailable'));
+				return;
+			}
+
+			try {
+				stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' }, audio: false });
+				if (cancelled) {
+					stream.getTracks().forEach(track => track.stop());
+					return;
+				}
+
+				const video = videoRef.current;
+				video.srcObject = stream;
+				await video.play();
+
+				interval = setInterval(() => {
+					if (video.readyState < video.HAVE_ENOUGH_DATA) return;
+
+					const canvas = canvasRef.current;
+					canvas.width = video.videoWidth;
+					canvas.height = video.videoHeight;
+					const context = canvas.getContext('2d', { willReadFrequently: true });
+					context.drawImage(video, 0, 0, canvas.width, canvas.height);
+
+					const image = context.getImageData(0, 0, canvas.width, canvas.height);
+					const code = jsQR(image.data, image.width, image.height, { inversionAttempts: 'dontInvert' });
+					if (code) {
+						handleCodeRef.current(code.data);
+					}
+				}, SCAN_INTERVAL);
+			} catch (error) {
+				console.error('Error starting camera:', error);
+				setCameraError(t('camera_unavailable'));
+			}
+		};
+
+		startCamera();
+
+		return () => {
+			cancelled = true;
+			clearInterval(interval);
+			stream?.getTracks().forEach(track => track.stop());
+		};
+	}, [t]);
+
+	const getParticipantName = participant => `${participant.first_name} ${participant.last_name}`;
+
+	const handleParticipant = async (participant) => {
+		setFeedback(null);
+
+		if (mode === 'arrival') {
+			try {
+				await onArrival(participant);
+				setFeedback({ type: 'success', message: t('check_in_arrived', { name: getParticipantName(participant) }) });
+			} catch (error) {
+				setFeedback({ type: 'error', message: t('error_updating_attendance') });
+			}
+			return;
+		}
+
+		setOtherAdult('');
+		setWarning('');
+		setDeparting(participant);
+	};
+
+	// Latest state for the camera interval
+	handleCodeRef.current = (code) => {
+		const now = Date.now();
+		if (departing || saving) return;
+		if (lastScanRef.current.code === code && now - lastScanRef.current.time < RESCAN_DELAY) return;
+		lastScanRef.current = { code, time: now };
+
+		const participantId = parseCheckInCode(code);
+		const participant = participantId && participants.find(item => String(item.id) === participantId);
+		if (!participant) {
+			setFeedback({ type: 'error', message: t('check_in_unknown_card') });
+			return;
+		}
+
+		handleParticipant(participant);
+	};
+
+	const recordDeparture = async (pickup) => {
+		const authorization = authorizations[String(departing.id)];
+		const blockingWarning = getDismissalWarning(authorization, pickup);
+		if (blockingWarning) {
+			setWarning(t(blockingWarning, { name: getParticipantName(departing) }));
+			return;
+		}
+
+		const guardian = pickup.leftAlone ? null : findGuardian(authorization, pickup);
+		setSaving(true);
+		try {
+			await attendanceService.recordDismissal({
+				participantId: departing.id,
+				date,
+				leftAlone: Boolean(pickup.leftAlone),
+				guardianId: guardian?.id || null,
+				pickedUpBy: guardian ? getGuardianName(guardian) : null
+			});
+			setDismissals(prev => [...prev, {
+				participant_id: departing.id,
+				left_alone: Boolean(pickup.leftAlone),
+				picked_up_by: guardian ? getGuardianName(guardian) : null,
+				created_at: new Date().toISOString()
+			}]);
+			setFeedback({
+				type: 'success',
+				message: pickup.leftAlone
+					? t('check_in_left_alone', { name: getParticipantName(departing) })
+					: t('check_in_picked_up', { name: getParticipantName(departing), adult: getGuardianName(guardian) })
+			});
+			setDeparting(null);
+		} catch (error) {
+			console.error('Error recording dismissal:', error);
+			setWarning(t('error_recording_dismissal'));
+		} finally {
+			setSaving(false);
+		}
+	};
+
+	const renderDeparture = () => {
+		const authorization = authorizations[String(departing.id)];
+		const dismissal = dismissals.find(item => String(item.participant_id) === String(departing.id));
+
+		return (
+			<div className="check-in-departure">
+				<h3>{getParticipantName(departing)}</h3>
+				<p className={canLeaveAlone(authorization) ? 'leave-alone-yes' : 'leave-alone-no'}>
+					{canLeaveAlone(authorization) ? t('may_leave_alone') : t('may_not_leave_alone')}
+				</p>
+
+				{dismissal && (
+					<p className="check-in-already-left">
+						{t('check_in_already_left', {
+							time: new Date(dismissal.created_at).toLocaleTimeString(t('locale'), { hour: '2-digit', minute: '2-digit' }),
+							adult: dismissal.left_alone ? t('alone') : dismissal.picked_up_by
+						})}
+					</p>
+				)}
+
+				{warning && <p className="check-in-warning" role="alert">⚠️ {warning}</p>}
+
+				<div className="check-in-guardians">
+					{(authorization?.guardians || []).map(guardian => (
+						<button
+							key={guardian.id}
+							type="button"
+							onClick={() => recordDeparture({ guardianId: guardian.id })}
+							disabled={saving}
+						>
+							{getGuardianName(guardian)}
+							{guardian.relationship && <small>{guardian.relationship}</small>}
+						</button>
+					))}
+					<button
+						type="button"
+						className="secondary"
+						onClick={() => recordDeparture({ leftAlone: true })}
+						disabled={saving}
+					>
+						{t('leaves_alone')}
+					</button>
+				</div>
+
+				<div className="check-in-other-adult">
+					<input
+						type="text"
+						value={otherAdult}
+						onChange={(e) => setOtherAdult(e.target.value)}
+						placeholder={t('other_adult_name')}
+					/>
+					<button
+						type="button"
+						className="secondary"
+						onClick={() => recordDeparture({ name: otherAdult })}
+						disabled={saving || !otherAdult.trim()}
+					>
+						{t('record_pickup')}
+					</button>
+				</div>
+
+				<button type="button" className="secondary" onClick={() => setDeparting(null)}>
+					{t('cancel')}
+				</button>
+			</div>
+		);
+	};
+
+	return (
+		<div className="check-in-scanner-overlay">
+			<div className="check-in-scanner">
+				<div className="check-in-header">
+					<h2>{t('check_in_scan')}</h2>
+					<button type="button" className="close-button" onClick={onClose} aria-label={t('close')}>
+						✕
+					</button>
+				</div>
+
+				<div className="check-in-modes">
+					{SCAN_MODES.map(scanMode => (
+						<button
+							key={scanMode}
+							type="button"
+							className={mode === scanMode ? 'active' : ''}
+							onClick={() => {
+								setMode(scanMode);
+								setDeparting(null);
+								setFeedback(null);
+							}}
+						>
+							{t(`check_in_mode_${scanMode}`)}
+						</button>
+					))}
+				</div>
+
+				{cameraError ? (
+					<p className="check-in-camera-error">{cameraError}</p>
+				) : (
+					<video ref={videoRef} className="check-in-video" muted playsInline />
+				)}
+				<canvas ref={canvasRef} hidden />
+
+				{feedback && <p className={`check-in-feedback ${feedback.type}`}>{feedback.message}</p>}
+
+				{departing ? renderDeparture() : (
+					<select
+						className="check-in-manual"
+						value=""
+						onChange={(e) => {
+							const participant = participants.find(item => String(item.id) === e.target.value);
+							if (participant) handleParticipant(participant);
+						}}
+					>
+						<option value="">{t('check_in_choose_participant')}</option>
+						{[...participants]
+							.sort((a, b) => a.first_name.localeCompare(b.first_name))
+							.map(participant => (
+								<option key={participant.id} value={participant.id}>
+									{getParticipantName(participant)}
+								</option>
+							))}
+					</select>
+				)}
+			</div>
+		</div>
+	);
+};
+
+export default CheckInScanner;
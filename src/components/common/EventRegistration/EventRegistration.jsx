@@ -0,0 +1,170 @@
+// src/components/common/EventRegistration/EventRegistration.jsx
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import { useApiQuery } from '../../../hooks/useApiQuery';
+import { eventsService } from '../../../api/eventsService';
+import {
+	REGISTRATION_STATUS,
+	formatEventDates,
+	getFormPath,
+	getMissingForms,
+	getRemainingPlaces,
+	getRequiredFormLabelKey,
+	isRegistrationOpen
+} from '../../../lib/events';
+import './EventRegistration.css';
+
+const selectFamilyEvents = response => ({
+	events: response.events || [],
+	registrations: (response.registrations || []).filter(registration => registration.status !== REGISTRATION_STATUS.CANCELLED)
+});
+
+/**
+ * Upcoming camps and outings with the registration of each participant of the parent
+ * A participant can only be registered once the forms required by the event are filled
+ * consentVersion is the current wording of the risk acceptance (see lib/riskAcceptance.js)
+ */
+const EventRegistration = ({ participants, consentVersion }) => {
+	const { t } = useTranslation();
+	// Registering or cancelling invalidates the query, places left and statuses are refreshed with it
+	const { data } = useApiQuery('family-events', null, { select: selectFamilyEvents, staleTime: 60 * 1000 });
+	const [pending, setPending] = useState(null);
+	const [error, setError] = useState('');
+
+	const events = data?.events || [];
+	if (events.length === 0) return null;
+
+	const findRegistration = (event, participant) => data.registrations.find(registration => (
+		String(registration.event_id) === String(event.id)
+		&& String(registration.participant_id) === String(participant.id)
+	));
+
+	const handleRegister = async (event, participant) => {
+		setPending(`${event.id}-${participant.id}`);
+		setError('');
+		try {
+			await eventsService.registerParticipant(event.id, participant.id);
+		} catch (error) {
+			console.error('Error registering to event:', error);
+			setError(error.message || t('error_registering_event'));
+		} finally {
+			setPending(null);
+		}
+	};
+
+	const handleCancel = async (event, participant, registration) => {
+		if (!window.confirm(t('confirm_cancel_event_registration', {
+			name: participant.first_name,
+			event: event.name
+		}))) return;
+
+		setPending(`${event.id}-${participant.id}`);
+		setError('');
+		try {
+			await eventsService.cancelRegistration(registration.id);
+		} catch (error) {
+			console.error('Error cancelling event registration:', error);
+			setError(t('error_cancelling_event_registration'));
+		} finally {
+			setPending(null);
+		}
+	};
+
+	const renderParticipant = (event, participant) => {
+		const registration = findRegistration(event, participant);
+		const isPending = pending === `${event.id}-${participant.id}`;
+
+		if (registration) {
+			return (
+				<li key={participant.id}>
+					<span>
+						{participant.first_name}
+						<span className={`event-registration-status ${registration.status}`}>
+							{t(`event_status_${registration.status}`)}
+						</span>
+					</span>
+					{isRegistrationOpen(event) && (
+						<button
+							type="button"
+							className="secondary"
+							onClick={() => handleCancel(event, participant, registration)}
+							disabled={isPending}
+						>
+							{t('cancel_registration')}
+						</button>
+					)}
+				</li>
+			);
+		}
+
+		if (!isRegistrationOpen(event)) return null;
+
+		const missingForms = getMissingForms(event, participant, consentVersion);
+		const remaining = getRemainingPlaces(event);
+
+		return (
+			<li key={participant.id}>
+				<span>
+					{participant.first_name}
+					{missingForms.length > 0 && (
+						<span className="event-missing-forms">
+							{t('event_missing_forms')}{' '}
+							{missingForms.map(form => (
+								<Link key={form} to={getFormPath(form, participant.id)}>
+									{t(getRequiredFormLabelKey(form))}
+								</Link>
+							))}
+						</span>
+					)}
+				</span>
+				<button
+					type="button"
+					onClick={() => handleRegister(event, participant)}
+					disabled={missingForms.length > 0 || isPending}
+				>
+					{remaining === 0 ? t('join_waiting_list') : t('register')}
+				</button>
+			</li>
+		);
+	};
+
+	return (
+		<section className="event-registration">
+			<h2>{t('upcoming_events')}</h2>
+			{error && <p className="event-registration-error">{error}</p>}
+
+			{events.map(event => {
+				const remaining = getRemainingPlaces(event);
+				const open = isRegistrationOpen(event);
+
+				return (
+					<article key={event.id} className="event-registration-card">
+						<h3>{event.name}</h3>
+						<p className="event-registration-details">
+							{formatEventDates(event, t('locale'))}
+							{event.location && ` · ${event.location}`}
+							{Number(event.cost) > 0 && ` · ${t('event_cost_amount', { cost: Number(event.cost).toFixed(2) })}`}
+						</p>
+						{event.description && <p>{event.description}</p>}
+						<p className="event-registration-places">
+							{!open
+								? t('event_registration_closed')
+								: [
+									remaining !== null && (remaining > 0 ? t('event_places_left', { count: remaining }) : t('event_full')),
+									event.deadline && t('event_register_before', {
+										date: new Date(`${String(event.deadline).slice(0, 10)}T00:00:00`).toLocaleDateString(t('locale'))
+									})
+								].filter(Boolean).join(' · ')}
+						</p>
+						<ul>
+							{participants.map(participant => renderParticipant(event, participant))}
+						</ul>
+					</article>
+				);
+			})}
+		</section>
+	);
+};
+
+export default EventRegistration;
@@ -0,0 +1,295 @@
+// src/components/common/JsonFormRenderer/JsonFormRenderer.jsx
+import React, { useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import {
+	formatPhoneNumber,
+	formatPostalCode,
+	getSectionItems,
+	isCheckedValue,
+	isFieldVisible,
+	validateFile
+} from '../../../lib/formRules';
+import './JsonFormRenderer.css';
+
+/**
+ * Controlled renderer of an organization form format (see lib/formFormats.js and lib/formRules.js)
+ * values holds the answers by field name and onChange receives them all after each change.
+ * errors are keyed by field path, as returned by validateFormValues.
+ * onUploadFile(field, file) uploads a file and resolves to the { url, name } stored as its answer.
+ */
+const JsonFormRenderer = ({
+	fields,
+	values,
+	onChange,
+	errors = {},
+	onUploadFile = null,
+	disabled = false,
+	idPrefix = 'form'
+}) => {
+	const { t } = useTranslation();
+	const [uploading, setUploading] = useState({});
+	const [fileErrors, setFileErrors] = useState({});
+
+	const rootScope = {
+		values,
+		get: name => values[name],
+		set: (name, value) => onChange({ ...values, [name]: value }),
+		path: name => name
+	};
+
+	const renderError = (path) => {
+		const error = fileErrors[path] || errors[path];
+		if (!error) return null;
+		return <span className="field-error" role="alert">{t(error.key, error.params)}</span>;
+	};
+
+	const handleFileChange = async (field, scope, file) => {
+		const path = scope.path(field.name);
+		if (!file) return;
+
+		const error = validateFile(field, file);
+		setFileErrors(prev => ({ ...prev, [path]: error }));
+		if (error || !onUploadFile) return;
+
+		setUploading(prev => ({ ...prev, [path]: true }));
+		try {
+			scope.set(field.name, await onUploadFile(field, file));
+		} catch (uploadError) {
+			console.error(`Error uploading file for ${field.name}:`, uploadError);
+			setFileErrors(prev => ({ ...prev, [path]: { key: 'error_uploading_file' } }));
+		} finally {
+			setUploading(prev => ({ ...prev, [path]: false }));
+		}
+	};
+
+	const renderInput = (field, scope, id) => {
+		const value = scope.get(field.name);
+		const rules = field.validation || {};
+		const common = {
+			id,
+			name: scope.path(field.name),
+			disabled,
+			required: Boolean(field.required),
+			'aria-invalid': Boolean(errors[scope.path(field.name)])
+		};
+
+		switch (field.type) {
+			case 'textarea':
+				return <textarea {...common} rows={4} maxLength={rules.maxLength} value={value ?? ''} onChange={(e) => scope.set(field.name, e.target.value)} />;
+
+			case 'select':
+				return (
+					<select {...common} value={value ?? ''} onChange={(e) => scope.set(field.name, e.target.value)}>
+						<option value="">{t('select_option')}</option>
+						{(field.options || []).map(option => (
+							<option key={option.value} value={option.value}>{t(option.label || option.value)}</option>
+						))}
+					</select>
+				);
+
+			case 'radio':
+				return (
+					<div className="radio-options" role="radiogroup" aria-labelledby={`${id}-label`}>
+						{(field.options || []).map(option => (
+							<label key={option.value}>
+								<input
+									type="radio"
+									name={common.name}
+									value={option.value}
+									checked={String(value ?? '') === String(option.value)}
+									disabled={disabled}
+									onChange={(e) => scope.set(field.name, e.target.value)}
+								/>
+								{t(option.label || option.value)}
+							</label>
+						))}
+					</div>
+				);
+
+			case 'checkbox':
+				return (
+					<input
+						{...common}
+						type="checkbox"
+						checked={isCheckedValue(value)}
+						onChange={(e) => scope.set(field.name, e.target.checked ? 'yes' : 'no')}
+					/>
+				);
+
+			case 'tel':
+				return (
+					<input
+						{...common}
+						type="tel"
+						autoComplete="tel"
+						value={value ?? ''}
+						onChange={(e) => scope.set(field.name, e.target.value)}
+						onBlur={(e) => e.target.value && scope.set(field.name, formatPhoneNumber(e.target.value))}
+					/>
+				);
+
+			case 'postal_code':
+				return (
+					<input
+						{...common}
+						type="text"
+						autoComplete="postal-code"
+						maxLength={7}
+						value={value ?? ''}
+						onChange={(e) => scope.set(field.name, e.target.value)}
+						onBlur={(e) => e.target.value && scope.set(field.name, formatPostalCode(e.target.value))}
+					/>
+				);
+
+			case 'number':
+				return (
+					<input
+						{...common}
+						type="number"
+						min={rules.min}
+						max={rules.max}
+						step={rules.step || 'any'}
+						value={value ?? ''}
+						onChange={(e) => scope.set(field.name, e.target.value)}
+					/>
+				);
+
+			case 'date':
+				return (
+					<input
+						{...common}
+						type="date"
+						min={rules.minDate}
+						max={rules.maxDate}
+						value={value ?? ''}
+						onChange={(e) => scope.set(field.name, e.target.value)}
+					/>
+				);
+
+			case 'file': {
+				const path = scope.path(field.name);
+				return (
+					<div className="file-field">
+						{value?.url && (
+							<div className="uploaded-file">
+								<a href={value.url} target="_blank" rel="noopener noreferrer">{value.name || t('view_file')}</a>
+								{!disabled && (
+									<button type="button" className="remove-file-btn" onClick={() => scope.set(field.name, '')}>
+										{t('remove')}
+									</button>
+								)}
+							</div>
+						)}
+						<input
+							{...common}
+							type="file"
+							required={Boolean(field.required) && !value?.url}
+							accept={rules.accept}
+							disabled={disabled || uploading[path]}
+							onChange={(e) => handleFileChange(field, scope, e.target.files[0])}
+						/>
+						{uploading[path] && <span className="field-info">{t('uploading')}</span>}
+					</div>
+				);
+			}
+
+			default:
+				return (
+					<input
+						{...common}
+						type={['email', 'text'].includes(field.type) ? field.type : 'text'}
+						minLength={rules.minLength}
+						maxLength={rules.maxLength}
+						value={value ?? ''}
+						onChange={(e) => scope.set(field.name, e.target.value)}
+					/>
+				);
+		}
+	};
+
+	const renderRepeatableSection = (section, scope, key) => {
+		const items = getSectionItems(section, scope.values);
+		const maxItems = section.validation?.maxItems;
+		const minItems = section.validation?.minItems || 0;
+		const setItems = nextItems => scope.set(section.name, nextItems);
+
+		return (
+			<fieldset key={key} className="form-section repeatable-section">
+				<legend>{t(section.label || section.name)}</legend>
+				{section.infoText && <div className="field-info">{t(section.infoText)}</div>}
+
+				{items.map((item, index) => {
+					const itemScope = {
+						values: { ...scope.values, ...item },
+						get: name => item[name],
+						set: (name, value) => setItems(items.map((current, i) => (i === index ? { ...current, [name]: value } : current))),
+						path: name => `${scope.path(section.name)}.${index}.${name}`
+					};
+
+					return (
+						<div key={index} className="repeatable-item">
+							<div className="repeatable-item-header">
+								<h4>{t(section.itemLabel || section.label || section.name)} {index + 1}</h4>
+								{!disabled && items.length > minItems && (
+									<button type="button" className="remove-item-btn" onClick={() => setItems(items.filter((_, i) => i !== index))}>
+										{t('remove')}
+									</button>
+								)}
+							</div>
+							{renderFields(section.fields || [], itemScope)}
+						</div>
+					);
+				})}
+
+				{!disabled && (!maxItems || items.length < maxItems) && (
+					<button type="button" className="add-item-btn" onClick={() => setItems([...items, {}])}>
+						+ {t(section.addLabel || 'add_item')}
+					</button>
+				)}
+				{renderError(scope.path(section.name))}
+			</fieldset>
+		);
+	};
+
+	const renderField = (field, scope, index) => {
+		const key = field.name || `info-${index}`;
+
+		if (!isFieldVisible(field, fields, scope.values)) return null;
+
+		if (field.type === 'infoText') {
+			return <div key={key} className="info-text">{t(field.infoText)}</div>;
+		}
+
+		if (field.type === 'section') {
+			if (field.repeatable) return renderRepeatableSection(field, scope, key);
+
+			return (
+				<fieldset key={key} className="form-section">
+					<legend>{t(field.label || field.name)}</legend>
+					{field.infoText && <div className="field-info">{t(field.infoText)}</div>}
+					{renderFields(field.fields || [], scope)}
+				</fieldset>
+			);
+		}
+
+		const id = `${idPrefix}-${scope.path(field.name).replace(/\./g, '-')}`;
+
+		return (
+			<div key={key} className={`form-field form-field-${field.type}`}>
+				<label htmlFor={id} id={`${id}-label`}>
+					{t(field.label || field.name)}
+					{field.required && <span className="required-marker" aria-hidden="true"> *</span>}
+				</label>
+				{renderInput(field, scope, id)}
+				{field.infoText && <div className="field-info">{t(field.infoText)}</div>}
+				{renderError(scope.path(field.name))}
+			</div>
+		);
+	};
+
+	const renderFields = (fieldList, scope) => fieldList.map((field, index) => renderField(field, scope, index));
+
+	return <div className="json-form">{renderFields(fields, rootScope)}</div>;
+};
+
+export default JsonFormRenderer;
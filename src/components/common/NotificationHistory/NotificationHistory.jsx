@@ -0,0 +1,127 @@
+// src/components/common/NotificationHistory/NotificationHistory.jsx
+import React, { useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { useApiQuery } from '../../../hooks/useApiQuery';
+import { administrativeService } from '../../../api/administrativeService';
+import { NOTIFICATION_STATUS, summarizeDeliveries } from '../../../lib/notifications';
+import './NotificationHistory.css';
+
+const selectNotifications = response => [...(response.notifications || [])]
+	.sort((a, b) => String(b.send_at || b.created_at).localeCompare(String(a.send_at || a.created_at)));
+
+/**
+ * Notifications sent and scheduled from the admin panel, with who received each of them
+ * Scheduled notifications can be cancelled until they are sent
+ */
+const NotificationHistory = () => {
+	const { t } = useTranslation();
+	// Sending or cancelling a notification invalidates the query, the history is refreshed with it
+	const { data: notifications, loading } = useApiQuery('get_notification_history', null, {
+		select: selectNotifications,
+		staleTime: 60 * 1000
+	});
+	const [expandedId, setExpandedId] = useState(null);
+	const [error, setError] = useState('');
+
+	const formatDateTime = date => (date
+		? new Date(date).toLocaleString(t('locale'), { dateStyle: 'medium', timeStyle: 'short' })
+		: '-');
+
+	const describeTarget = (notification) => {
+		const type = notification.target?.type || 'subscribers';
+		if (notification.target_label) return `${t(`notification_target_${type}`)}: ${notification.target_label}`;
+		if (type === 'roles') return `${t('notification_target_roles')}: ${(notification.target.roles || []).map(role => t(role)).join(', ')}`;
+		return t(`notification_target_${type}`);
+	};
+
+	const handleCancel = async (notification) => {
+		if (!window.confirm(t('confirm_cancel_scheduled_notification', { title: notification.title }))) return;
+
+		setError('');
+		try {
+			await administrativeService.cancelScheduledNotification(notification.id);
+		} catch (error) {
+			console.error('Error cancelling scheduled notification:', error);
+			setError(t('error_cancelling_scheduled_notification'));
+		}
+	};
+
+	return (
+		<div className="admin-section notification-history">
+			<h2>{t('notification_history')}</h2>
+			{error && <p className="notification-history-error">{error}</p>}
+
+			{loading ? (
+				<p>{t('loading')}</p>
+			) : !notifications || notifications.length === 0 ? (
+				<div className="no-data">
+					<p>{t('no_notifications_sent')}</p>
+				</div>
+			) : (
+				<ul className="notification-history-list">
+					{notifications.map(notification => {
+						const deliveries = summarizeDeliveries(notification.recipients);
+						const expanded = expandedId === notification.id;
+
+						return (
+							<li key={notification.id}>
+								<div className="notification-history-header">
+									<div>
+										<strong>{notification.title}</strong>
+										<span className={`notification-status ${notification.status}`}>
+											{t(`notification_status_${notification.status}`)}
+										</span>
+									</div>
+									<span className="notification-history-date">
+										{formatDateTime(notification.status === NOTIFICATION_STATUS.SCHEDULED
+											? notification.send_at
+											: notification.sent_at || notification.created_at)}
+									</span>
+								</div>
+								<p className="notification-history-body">{notification.body}</p>
+								<p className="notification-history-meta">
+									{describeTarget(notification)}
+									{notification.sent_by && ` · ${t('sent_by', { name: notification.sent_by })}`}
+									{notification.status === NOTIFICATION_STATUS.SENT && ` · ${t('notification_deliveries', deliveries)}`}
+								</p>
+
+								<div className="notification-history-actions">
+									{(notification.recipients || []).length > 0 && (
+										<button
+											type="button"
+											className="select-all-btn"
+											onClick={() => setExpandedId(expanded ? null : notification.id)}
+											aria-expanded={expanded}
+										>
+											{expanded ? t('hide_recipients') : t('show_recipients', { count: notification.recipients.length })}
+										</button>
+									)}
+									{notification.status === NOTIFICATION_STATUS.SCHEDULED && (
+										<button type="button" className="select-all-btn" onClick={() => handleCancel(notification)}>
+											{t('cancel')}
+										</button>
+									)}
+								</div>
+
+								{expanded && (
+									<ul className="notification-recipients">
+										{notification.recipients.map(recipient => (
+											<li key={recipient.subscriber_id || recipient.email}>
+												<span>{recipient.email}</span>
+												<span className={`delivery-status ${recipient.status || 'pending'}`}>
+													{t(`delivery_status_${recipient.status || 'pending'}`)}
+												</span>
+											</li>
+										))}
+									</ul>
+								)}
+							</li>
+						);
+					})}
+				</ul>
+			)}
+		</div>
+	);
+};
+
+export default NotificationHistory;
@@ -0,0 +1,96 @@
+// src/components/common/OfflineQueueStatus/OfflineQueueStatus.jsx
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import {
+	MUTATION_STATUS,
+	discardMutation,
+	getQueueStatus,
+	replayOfflineQueue,
+	retryMutation,
+	subscribeToQueue
+} from '../../../api/offlineQueueService';
+import './OfflineQueueStatus.css';
+
+/**
+ * Badge showing changes made offline that are waiting to be sent,
+ * with a panel to sync now, retry or discard failed changes and reach conflicts to resolve
+ */
+const OfflineQueueStatus = () => {
+	const { t } = useTranslation();
+	const [status, setStatus] = useState(getQueueStatus());
+	const [expanded, setExpanded] = useState(false);
+
+	useEffect(() => subscribeToQueue(setStatus), []);
+
+	if (status.pending === 0 && status.failed === 0 && status.conflicts === 0) {
+		return null;
+	}
+
+	const label = status.syncing
+		? t('offline_queue_syncing')
+		: t('offline_queue_pending', { total: status.pending });
+
+	return (
+		<div className={`offline-queue-status ${status.failed > 0 || status.conflicts > 0 ? 'has-failures' : ''}`}>
+			<button
+				type="button"
+				className="offline-queue-toggle"
+				onClick={() => setExpanded(!expanded)}
+				aria-expanded={expanded}
+			>
+				{status.syncing ? '⟳' : '⇅'} {label}
+				{status.conflicts > 0 && ` · ${t('offline_queue_conflicts', { total: status.conflicts })}`}
+				{status.failed > 0 && ` · ${t('offline_queue_failed', { total: status.failed })}`}
+			</button>
+
+			{expanded && (
+				<div className="offline-queue-panel">
+					<ul>
+						{status.items.map(item => (
+							<li key={item.id} className={item.status === MUTATION_STATUS.PENDING ? '' : 'failed'}>
+								<div className="offline-queue-item">
+									<strong>{item.endpoint || item.action}</strong>
+									<span>{new Date(item.timestamp).toLocaleString(t('locale'))}</span>
+									{item.retryCount > 0 && (
+										<span>{t('offline_queue_attempts', { total: item.retryCount })}</span>
+									)}
+									{item.lastError && <span className="offline-queue-error">{item.lastError}</span>}
+								</div>
+								{item.status === MUTATION_STATUS.CONFLICT && (
+									<div className="offline-queue-actions">
+										<Link to="/offline-conflicts" onClick={() => setExpanded(false)}>
+											{t('resolve_conflict')}
+										</Link>
+									</div>
+								)}
+								{item.status === MUTATION_STATUS.FAILED && (
+									<div className="offline-queue-actions">
+										{item.url && (
+											<button type="button" onClick={() => retryMutation(item.id)}>
+												{t('retry')}
+											</button>
+										)}
+										<button type="button" className="discard" onClick={() => discardMutation(item.id)}>
+											{t('discard')}
+										</button>
+									</div>
+								)}
+							</li>
+						))}
+					</ul>
+					<button
+						type="button"
+						className="offline-queue-sync"
+						onClick={replayOfflineQueue}
+						disabled={status.syncing || !navigator.onLine}
+					>
+						{t('sync_now')}
+					</button>
+				</div>
+			)}
+		</div>
+	);
+};
+
+export default OfflineQueueStatus;
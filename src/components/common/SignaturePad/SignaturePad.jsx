@@ -0,0 +1,97 @@
+// src/components/common/SignaturePad/SignaturePad.jsx
+import React, { useRef, useEffect, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import './SignaturePad.css';
+
+/**
+ * Canvas to sign with a finger, a stylus or the mouse
+ * onChange receives the signature as a PNG data URL, or null once cleared
+ */
+const SignaturePad = ({ onChange, disabled = false, height = 180 }) => {
+	const { t } = useTranslation();
+	const canvasRef = useRef(null);
+	const drawingRef = useRef(false);
+	const [isEmpty, setIsEmpty] = useState(true);
+
+	// Scale the canvas to the screen density so strokes stay sharp
+	useEffect(() => {
+		const canvas = canvasRef.current;
+		const ratio = window.devicePixelRatio || 1;
+		canvas.width = canvas.offsetWidth * ratio;
+		canvas.height = height * ratio;
+
+		const context = canvas.getContext('2d');
+		context.scale(ratio, ratio);
+		context.lineWidth = 2;
+		context.lineCap = 'round';
+		context.lineJoin = 'round';
+		context.strokeStyle = '#1a1a1a';
+	}, [height]);
+
+	const getPoint = (event) => {
+		const rect = canvasRef.current.getBoundingClientRect();
+		return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+	};
+
+	const handlePointerDown = (event) => {
+		if (disabled) return;
+		event.preventDefault();
+		canvasRef.current.setPointerCapture(event.pointerId);
+		drawingRef.current = true;
+
+		const context = canvasRef.current.getContext('2d');
+		const { x, y } = getPoint(event);
+		context.beginPath();
+		context.moveTo(x, y);
+		// A tap leaves a dot
+		context.lineTo(x + 0.1, y + 0.1);
+		context.stroke();
+	};
+
+	const handlePointerMove = (event) => {
+		if (!drawingRef.current) return;
+		event.preventDefault();
+
+		const context = canvasRef.current.getContext('2d');
+		const { x, y } = getPoint(event);
+		context.lineTo(x, y);
+		context.stroke();
+	};
+
+	const handlePointerUp = () => {
+		if (!drawingRef.current) return;
+		drawingRef.current = false;
+		setIsEmpty(false);
+		onChange(canvasRef.current.toDataURL('image/png'));
+	};
+
+	const clear = () => {
+		const canvas = canvasRef.current;
+		canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+		setIsEmpty(true);
+		onChange(null);
+	};
+
+	return (
+		<div className={`signature-pad ${disabled ? 'disabled' : ''}`}>
+			<canvas
+				ref={canvasRef}
+				style={{ height }}
+				role="img"
+				aria-label={t('signature_pad_label')}
+				onPointerDown={handlePointerDown}
+				onPointerMove={handlePointerMove}
+				onPointerUp={handlePointerUp}
+				onPointerCancel={handlePointerUp}
+			/>
+			<div className="signature-pad-footer">
+				<span className="signature-pad-hint">{isEmpty ? t('sign_here') : ''}</span>
+				<button type="button" onClick={clear} disabled={disabled || isEmpty}>
+					{t('clear_signature')}
+				</button>
+			</div>
+		</div>
+	);
+};
+
+export default SignaturePad;
@@ -0,0 +1,62 @@
+// src/hooks/useApiQuery.js
+import { useState, useEffect, useMemo, useRef, useCallback } from 'react';
+import { queryApi, debugError } from '../api/apiService';
+import { getQueryKey, getQuerySnapshot, subscribeToQuery } from '../lib/queryCache';
+
+/**
+ * Subscribe a component to a GET endpoint through the query cache
+ * Cached data is shown right away and the component re-renders when it is refreshed,
+ * in the background or after a write invalidated it (see api/queryInvalidationRules.js)
+ *
+ * options.select maps the response to the data used by the component
+ * options.enabled set to false delays the request, e.g. until a param is known
+ * options.staleTime is how long the response is used before being refreshed
+ */
+export function useApiQuery(endpoint, params = null, options = {}) {
+	const { select, enabled = true, staleTime } = options;
+	const key = getQueryKey(endpoint, params);
+
+	// Params and select are usually recreated on every render, the key is what identifies the query
+	const paramsRef = useRef(params);
+	const selectRef = useRef(select);
+	paramsRef.current = params;
+	selectRef.current = select;
+
+	const [snapshot, setSnapshot] = useState(() => getQuerySnapshot(endpoint, params));
+
+	const load = useCallback((force = false) => {
+		return queryApi(endpoint, paramsRef.current, { staleTime, force }).catch(error => {
+			debugError(`Error fetching ${endpoint}:`, error);
+		});
+	}, [endpoint, staleTime]);
+
+	useEffect(() => {
+		if (!enabled) return undefined;
+
+		setSnapshot(getQuerySnapshot(endpoint, paramsRef.current));
+		const unsubscribe = subscribeToQuery(endpoint, paramsRef.current, setSnapshot);
+		load();
+
+		return unsubscribe;
+	}, [key, enabled, load]);
+
+	// Fetch again even if the cached data is still fresh, e.g. from a refresh button
+	const refetch = useCallback(() => load(true), [load]);
+
+	const data = useMemo(() => {
+		if (snapshot.data === undefined) return undefined;
+		return selectRef.current ? selectRef.current(snapshot.data) : snapshot.data;
+	}, [snapshot.data]);
+
+	return {
+		data,
+		error: snapshot.error,
+		loading: enabled && snapshot.data === undefined && !snapshot.error,
+		isFetching: snapshot.isFetching,
+		isOffline: Boolean(snapshot.error?.isOffline),
+		updatedAt: snapshot.updatedAt,
+		refetch
+	};
+}
+
+export default useApiQuery;
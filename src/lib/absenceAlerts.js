@@ -0,0 +1,101 @@
+// src/lib/absenceAlerts.js
+/**
+ * Absence trend alerts
+ *
+ * Rules are checked against the most recent meetings of each participant in the attendance report:
+ * - consecutive: the last `count` meetings all have one of the statuses
+ * - window: at least `count` of the last `meetings` meetings have one of the statuses
+ * An organization can replace the default rules with its own under ABSENCE_ALERT_RULES_SETTING_KEY,
+ * a custom rule then gives its label as { fr, en }.
+ *
+ * An alert is identified by its rule, its participant and the last date matching the rule, so an
+ * alert followed up with the guardians comes back only if the pattern goes on at a later meeting.
+ */
+
+import { parseJsonList } from './jsonFields';
+
+export const ABSENCE_ALERT_RULES_SETTING_KEY = 'absence_alert_rules';
+
+export const UNEXCUSED_STATUSES = ['absent', 'non-motivated'];
+export const EXCUSED_STATUSES = ['excused', 'motivated'];
+
+export const DEFAULT_ABSENCE_ALERT_RULES = [
+	{ id: 'consecutive_unexcused', type: 'consecutive', statuses: UNEXCUSED_STATUSES, count: 3 },
+	{ id: 'frequent_absences', type: 'window', statuses: [...UNEXCUSED_STATUSES, ...EXCUSED_STATUSES], count: 4, meetings: 6 },
+	{ id: 'frequent_lateness', type: 'window', statuses: ['late'], count: 3, meetings: 5 }
+];
+
+export const FOLLOW_UP_CHANNELS = ['email', 'push'];
+
+export function getAbsenceAlertRules(settings) {
+	const rules = settings?.[ABSENCE_ALERT_RULES_SETTING_KEY];
+	return Array.isArray(rules) && rules.length > 0 ? rules : DEFAULT_ABSENCE_ALERT_RULES;
+}
+
+export const getAlertKey = alert => `${alert.rule.id}:${alert.participantId}:${alert.lastDate}`;
+
+// The report keeps the attendance of each participant as a JSON string of { date, status }
+function parseRecords(attendance, until) {
+	return parseJsonList(attendance)
+		.filter(record => record.date && record.status && record.date.slice(0, 10) <= until)
+		.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Records of the most recent meetings matching a rule, or null if the rule does not apply
+ */
+function matchRule(rule, records) {
+	if (rule.type === 'consecutive') {
+		const recent = records.slice(-rule.count);
+		return recent.length === rule.count && recent.every(record => rule.statuses.includes(record.status))
+			? recent
+			: null;
+	}
+
+	if (rule.type === 'window') {
+		const matching = records.slice(-rule.meetings).filter(record => rule.statuses.includes(record.status));
+		return matching.length >= rule.count ? matching : null;
+	}
+
+	return null;
+}
+
+/**
+ * Alerts raised by the attendance report, most recent first
+ * The report is the attendance_data list, or an object holding it
+ */
+export function computeAbsenceAlerts(report, rules, until = new Date().toLocaleDateString('en-CA')) {
+	const items = Array.isArray(report) ? report : report?.attendance_data || [];
+	const alerts = [];
+
+	items.forEach(item => {
+		const records = parseRecords(item.attendance, until);
+
+		rules.forEach(rule => {
+			const matches = matchRule(rule, records);
+			if (!matches) return;
+
+			alerts.push({
+				rule,
+				participantId: item.participant_id,
+				firstName: item.first_name,
+				lastName: item.last_name,
+				groupName: item.group_name,
+				dates: matches.map(record => record.date.slice(0, 10)),
+				lastDate: matches[matches.length - 1].date.slice(0, 10)
+			});
+		});
+	});
+
+	return alerts.sort((a, b) => b.lastDate.localeCompare(a.lastDate));
+}
+
+/**
+ * Label of a rule: a translation key with its params, or the label given with a custom rule
+ */
+export function getRuleLabel(rule, t, language) {
+	if (rule.label && typeof rule.label === 'object') {
+		return rule.label[language] || rule.label.fr || rule.label.en || rule.id;
+	}
+	return t(`absence_rule_${rule.id}`, { count: rule.count, meetings: rule.meetings });
+}
@@ -0,0 +1,117 @@
+// src/lib/badgeSystems.js
+/**
+ * Badge program definitions (territories/badges, star counts, images, requirements)
+ * An organization stores its own program in the organization settings under BADGE_SYSTEM_SETTING_KEY:
+ * { id, name, badge_label, max_stars, badges: [{ id, name, image, max_stars, requirements: [] }] }
+ * Badge progress rows reference a badge by its name (territoire_chasse column)
+ */
+
+export const BADGE_SYSTEM_SETTING_KEY = 'badge_system';
+
+const DEFAULT_MAX_STARS = 3;
+
+// Review statuses of a badge progress request
+export const BADGE_STATUS = {
+	PENDING: 'pending',
+	APPROVED: 'approved',
+	REJECTED: 'rejected',
+	CHANGES_REQUESTED: 'changes_requested'
+};
+
+// Louveteaux hunting territories, used until the organization defines its own program
+export const LOUVETEAUX_BADGE_SYSTEM = {
+	id: 'louveteaux',
+	name: 'Louveteaux',
+	badge_label: 'territoire_chasse',
+	max_stars: DEFAULT_MAX_STARS,
+	badges: [
+		{ id: 'kaa', name: 'Débrouillard comme Kaa', image: 'kaa.jpg', requirements: [] },
+		{ id: 'baloo', name: 'Vrai comme Baloo', image: 'baloo.jpg', requirements: [] },
+		{ id: 'rikki', name: 'Respectueux comme Rikki Tikki Tavi', image: 'rikki.jpg', requirements: [] },
+		{ id: 'bagheera', name: 'Dynamique comme Bagheera', image: 'bagheera.jpg', requirements: [] },
+		{ id: 'ferao', name: 'Heureux comme Ferao', image: 'ferao.jpg', requirements: [] },
+		{ id: 'frere_gris', name: 'Solidaire comme Frère Gris', image: 'frereGris.jpg', requirements: [] }
+	]
+};
+
+/**
+ * Build a stable ID from a badge name
+ */
+export function slugifyBadgeName(name = '') {
+	return String(name)
+		.normalize('NFD')
+		.replace(/[\u0300-\u036f]/g, '')
+		.toLowerCase()
+		.replace(/[^a-z0-9]+/g, '_')
+		.replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Fill in the optional fields of a badge program
+ */
+export function normalizeBadgeSystem(system) {
+	const maxStars = parseInt(system.max_stars, 10) || DEFAULT_MAX_STARS;
+
+	return {
+		id: system.id || slugifyBadgeName(system.name) || 'custom',
+		name: system.name || '',
+		badge_label: system.badge_label || 'badge',
+		max_stars: maxStars,
+		badges: (system.badges || []).map(badge => ({
+			id: badge.id || slugifyBadgeName(badge.name),
+			name: badge.name || '',
+			image: badge.image || '',
+			max_stars: parseInt(badge.max_stars, 10) || maxStars,
+			requirements: Array.isArray(badge.requirements) ? badge.requirements.filter(Boolean) : []
+		}))
+	};
+}
+
+/**
+ * Get the badge program of the organization, or the Louveteaux program
+ */
+export function getBadgeSystemFromSettings(settings) {
+	const saved = settings?.[BADGE_SYSTEM_SETTING_KEY];
+
+	if (saved && Array.isArray(saved.badges) && saved.badges.length > 0) {
+		return normalizeBadgeSystem(saved);
+	}
+
+	return normalizeBadgeSystem(LOUVETEAUX_BADGE_SYSTEM);
+}
+
+/**
+ * Find a badge by the name stored in badge progress rows
+ */
+export function findBadge(system, badgeName) {
+	return system.badges.find(badge => badge.name === badgeName) || null;
+}
+
+/**
+ * Maximum number of stars for a badge
+ */
+export function getBadgeMaxStars(system, badgeName) {
+	return findBadge(system, badgeName)?.max_stars || system.max_stars;
+}
+
+/**
+ * Image URL of a badge; plain file names are served from /images
+ */
+export function getBadgeImageUrl(badge) {
+	const image = badge?.image || 'default.jpg';
+	if (/^(https?:)?\/\//.test(image) || image.startsWith('/') || image.startsWith('data:')) {
+		return image;
+	}
+	return `/images/${image}`;
+}
+
+/**
+ * Star symbols for a badge: earned, pending then remaining
+ */
+export function getStarSymbols(maxStars, stars, pendingStars = 0) {
+	return Array.from({ length: maxStars }, (_, i) => {
+		if (i < stars) return '⭐';
+		if (i < stars + pendingStars) return '🕒';
+		return '☆';
+	});
+}
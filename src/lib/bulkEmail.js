@@ -0,0 +1,124 @@
+// src/lib/bulkEmail.js
+/**
+ * Bulk emails written in the app
+ *
+ * Recipients are picked by role, by group or by child. Each address receives one message, even when
+ * several of its children are selected: the child merge fields then list the children and the
+ * balance is their total. Messages are sent through a mail transport (see lib/mailTransport.js).
+ */
+
+import { fillPlaceholders } from './notifications';
+import { computeParticipantTotals, formatCurrency, roundCurrency } from './fundraiserLedger';
+
+export const RECIPIENT_MODES = ['roles', 'groups', 'participants'];
+
+export const EMAIL_ROLES = ['parent', 'animation', 'admin'];
+
+export const MERGE_FIELDS = ['guardian_name', 'child_first_name', 'child_name', 'group_name', 'balance', 'organization'];
+
+/**
+ * Merge fields used in a text that do not exist
+ */
+export function findUnknownFields(text) {
+	const used = [...text.matchAll(/\{\{(\w+)\}\}/g)].map(match => match[1]);
+	return [...new Set(used.filter(field => !MERGE_FIELDS.includes(field)))];
+}
+
+/**
+ * Participants a recipient is written about for the selection, or null when not selected
+ */
+function getSelectedChildren(recipient, { mode, roles, groupIds, participantIds }) {
+	const participants = recipient.participants || [];
+
+	switch (mode) {
+		case 'groups': {
+			const children = participants.filter(participant => groupIds.includes(String(participant.group_id)));
+			return children.length > 0 ? children : null;
+		}
+		case 'participants': {
+			const children = participants.filter(participant => participantIds.includes(String(participant.id)));
+			return children.length > 0 ? children : null;
+		}
+		default:
+			return roles.includes(recipient.role) ? participants : null;
+	}
+}
+
+/**
+ * One entry per address with the children selected for it, { to, name, children }
+ */
+export function selectRecipients(recipients, selection) {
+	const byEmail = new Map();
+
+	recipients.forEach(recipient => {
+		if (!recipient.email) return;
+		const children = getSelectedChildren(recipient, selection);
+		if (!children) return;
+
+		const key = recipient.email.trim().toLowerCase();
+		const entry = byEmail.get(key) || { to: recipient.email.trim(), name: recipient.name || '', children: [] };
+		children.forEach(child => {
+			if (!entry.children.some(existing => String(existing.id) === String(child.id))) {
+				entry.children.push(child);
+			}
+		});
+		byEmail.set(key, entry);
+	});
+
+	return [...byEmail.values()].sort((a, b) => a.to.localeCompare(b.to));
+}
+
+/**
+ * Outstanding fundraiser balance of each participant over the campaigns still open
+ * ledgers is a list of { campaign, ledger } (see api/fundraiserService.js)
+ */
+export function computeBalances(ledgers) {
+	const balances = {};
+
+	ledgers.forEach(({ campaign, ledger }) => {
+		ledger.participants.forEach(participant => {
+			const id = String(participant.participant_id);
+			const { balance } = computeParticipantTotals(id, ledger, campaign);
+			balances[id] = roundCurrency((balances[id] || 0) + balance);
+		});
+	});
+
+	return balances;
+}
+
+const joinNames = (names, conjunction) => (names.length > 1
+	? `${names.slice(0, -1).join(', ')} ${conjunction} ${names[names.length - 1]}`
+	: names[0] || '');
+
+/**
+ * Values of the merge fields for a recipient
+ */
+export function getMergeValues(entry, { balances = {}, organizationName = '', locale = 'fr-CA', conjunction = 'et' } = {}) {
+	const balance = entry.children.reduce((total, child) => total + (balances[String(child.id)] || 0), 0);
+
+	return {
+		guardian_name: entry.name,
+		child_first_name: joinNames(entry.children.map(child => child.first_name), conjunction),
+		child_name: joinNames(entry.children.map(child => `${child.first_name} ${child.last_name}`), conjunction),
+		group_name: [...new Set(entry.children.map(child => child.group_name).filter(Boolean))].join(', '),
+		balance: formatCurrency(balance, locale),
+		organization: organizationName
+	};
+}
+
+/**
+ * Messages ready for a transport, { to, name, subject, body, participant_ids }
+ */
+export function buildMessages(entries, { subject, body, ...options }) {
+	return entries.map(entry => {
+		const values = getMergeValues(entry, options);
+
+		return {
+			to: entry.to,
+			name: entry.name,
+			subject: fillPlaceholders(subject, values),
+			body: fillPlaceholders(body, values),
+			participant_ids: entry.children.map(child => child.id)
+		};
+	});
+}
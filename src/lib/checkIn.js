@@ -0,0 +1,66 @@
+// src/lib/checkIn.js
+/**
+ * QR-code check-in and dismissal
+ *
+ * Each participant card holds a QR code of CHECK_IN_CODE_PREFIX followed by the participant id.
+ * Scanning it at arrival marks the participant present. At dismissal the leader records who picks
+ * the participant up, which is refused when the participant leaves alone without the leave-alone
+ * authorization, or leaves with an adult who is not one of the listed guardians.
+ */
+
+import { isCheckedValue } from './formRules';
+
+export const CHECK_IN_CODE_PREFIX = 'wampums-participant:';
+
+export const SCAN_MODES = ['arrival', 'departure'];
+
+// Delay before the same card is read again, so a card held in front of the camera is recorded once
+export const RESCAN_DELAY = 3000;
+
+export const getCheckInCode = participantId => `${CHECK_IN_CODE_PREFIX}${participantId}`;
+
+/**
+ * Participant id of a scanned code, or null for a code that is not a participant card
+ */
+export function parseCheckInCode(text) {
+	if (typeof text !== 'string' || !text.startsWith(CHECK_IN_CODE_PREFIX)) return null;
+
+	const participantId = text.slice(CHECK_IN_CODE_PREFIX.length).trim();
+	return /^\d+$/.test(participantId) ? participantId : null;
+}
+
+// Read like every other flag of the forms
+export const canLeaveAlone = authorization => isCheckedValue(authorization?.can_leave_alone);
+
+const normalizeName = name => String(name || '')
+	.normalize('NFD')
+	.replace(/[\u0300-\u036f]/g, '')
+	.trim()
+	.toLowerCase();
+
+export const getGuardianName = guardian => guardian.name || `${guardian.first_name || ''} ${guardian.last_name || ''}`.trim();
+
+/**
+ * Listed guardian matching a pickup, by id or by name, or null
+ */
+export function findGuardian(authorization, pickup) {
+	const guardians = authorization?.guardians || [];
+	if (pickup.guardianId) {
+		return guardians.find(guardian => String(guardian.id) === String(pickup.guardianId)) || null;
+	}
+
+	const name = normalizeName(pickup.name);
+	return name ? guardians.find(guardian => normalizeName(getGuardianName(guardian)) === name) || null : null;
+}
+
+/**
+ * Reason to refuse a dismissal as a translation key, or null when it is allowed
+ * pickup is { leftAlone: true }, { guardianId } or { name } for an adult picking the participant up
+ */
+export function getDismissalWarning(authorization, pickup) {
+	if (pickup.leftAlone) {
+		return canLeaveAlone(authorization) ? null : 'dismissal_not_authorized_alone';
+	}
+
+	return findGuardian(authorization, pickup) ? null : 'dismissal_not_listed_guardian';
+}
@@ -0,0 +1,119 @@
+// src/lib/emergencySheets.js
+/**
+ * Per-participant emergency sheets for outings and camps
+ * The health, allergies, medication and health contact reports each list part of what
+ * a leader needs in an emergency; a sheet gathers all of it for one participant
+ */
+
+export const isChecked = value => value === true || value === 1 || value === '1' || value === 'true';
+
+// Reports are returned as { report: [...] } or { data: [...] } depending on the endpoint
+export function getReportRows(response) {
+	const report = response?.report ?? response?.data ?? response;
+	if (Array.isArray(report)) return report;
+	if (Array.isArray(report?.data)) return report.data;
+	return [];
+}
+
+const normalizeName = value => String(value || '').trim().toLowerCase();
+
+/**
+ * Index report rows by participant id, and by name for reports that only list names
+ */
+function indexRows(rows) {
+	const byId = new Map();
+	const byName = new Map();
+
+	rows.forEach(row => {
+		const id = row.participant_id ?? row.id;
+		if (id !== undefined && id !== null) byId.set(String(id), row);
+
+		const name = normalizeName(row.name || `${row.first_name || ''} ${row.last_name || ''}`);
+		if (name) byName.set(name, row);
+	});
+
+	return participant => byId.get(String(participant.id))
+		|| byName.get(normalizeName(`${participant.first_name} ${participant.last_name}`))
+		|| {};
+}
+
+function normalizeContacts(row) {
+	const contacts = Array.isArray(row.emergency_contacts) ? row.emergency_contacts : (row.contacts || []);
+
+	return contacts.map(contact => ({
+		name: contact.name || `${contact.prenom || contact.first_name || ''} ${contact.nom || contact.last_name || ''}`.trim(),
+		relationship: contact.relationship || contact.lien || '',
+		phones: [
+			contact.phone || contact.telephone_cellulaire,
+			contact.telephone_residence,
+			contact.telephone_travail
+		].filter(Boolean)
+	}));
+}
+
+/**
+ * Build the sheets of the given participants, sorted by last name
+ * reports holds the rows of the health, allergies, medications and contacts reports
+ */
+export function buildEmergencySheets(participants, reports) {
+	const findHealth = indexRows(reports.health || []);
+	const findAllergies = indexRows(reports.allergies || []);
+	const findMedications = indexRows(reports.medications || []);
+	const findContacts = indexRows(reports.contacts || []);
+
+	return participants
+		.map(participant => {
+			const health = findHealth(participant);
+			const allergies = findAllergies(participant);
+			const medications = findMedications(participant);
+			const contacts = findContacts(participant);
+
+			return {
+				participant_id: participant.id,
+				first_name: participant.first_name,
+				last_name: participant.last_name,
+				group_name: participant.group_name || allergies.group_name || medications.group_name || '',
+				date_naissance: participant.date_naissance || health.date_naissance || '',
+				photo_url: participant.photo_url || participant.photo || health.photo_url || '',
+				allergies: allergies.allergies || health.allergies || '',
+				epipen: isChecked(allergies.epipen) || isChecked(health.epipen),
+				medication: medications.medication || health.medication || '',
+				health_issues: health.health_issues || '',
+				injuries: health.injuries || '',
+				swimming_level: health.swimming_level || '',
+				doctor_name: contacts.nom_medecin || contacts.doctor_name || health.nom_medecin || '',
+				doctor_phone: contacts.telephone_medecin || contacts.doctor_phone || '',
+				health_card_number: contacts.health_card_number || health.health_card_number || participant.health_card_number || '',
+				emergency_contacts: normalizeContacts(contacts)
+			};
+		})
+		.sort((a, b) => a.last_name.localeCompare(b.last_name));
+}
+
+/**
+ * Replace photo URLs with data URLs so the sheets can be printed without a connection
+ * Photos that cannot be downloaded keep their URL
+ */
+export async function embedPhotos(sheets) {
+	return Promise.all(sheets.map(async sheet => {
+		if (!sheet.photo_url || sheet.photo_url.startsWith('data:')) return sheet;
+
+		try {
+			const response = await fetch(sheet.photo_url);
+			if (!response.ok) return sheet;
+
+			const blob = await response.blob();
+			const dataUrl = await new Promise((resolve, reject) => {
+				const reader = new FileReader();
+				reader.onload = () => resolve(reader.result);
+				reader.onerror = () => reject(reader.error);
+				reader.readAsDataURL(blob);
+			});
+
+			return { ...sheet, photo_url: dataUrl };
+		} catch (error) {
+			console.error(`Error downloading photo of participant ${sheet.participant_id}:`, error);
+			return sheet;
+		}
+	}));
+}
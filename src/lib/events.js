@@ -0,0 +1,97 @@
+// src/lib/events.js
+/**
+ * Special events (camps, outings) with their own registration
+ *
+ * Leaders create an event with its dates, capacity, cost, registration deadline and the forms each
+ * participant must have before a registration is confirmed. Parents register their participants
+ * until the deadline; once the event is full, new registrations go on the waiting list.
+ */
+
+import { RISK_ACCEPTANCE_SECTION, getCampaignSectionChoices, getSectionLabelKey } from './reregistration';
+import { isCheckedValue } from './formRules';
+
+export const EVENT_TYPES = ['camp', 'outing', 'other'];
+
+export const REGISTRATION_STATUS = {
+	CONFIRMED: 'confirmed',
+	WAITLISTED: 'waitlisted',
+	CANCELLED: 'cancelled'
+};
+
+// Forms an event can require: the organization forms and the risk acceptance
+export const getRequiredFormChoices = getCampaignSectionChoices;
+
+export const getRequiredFormLabelKey = getSectionLabelKey;
+
+export const EMPTY_EVENT = {
+	name: '',
+	type: 'camp',
+	start_date: '',
+	end_date: '',
+	location: '',
+	capacity: '',
+	cost: '',
+	deadline: '',
+	required_forms: ['fiche_sante', RISK_ACCEPTANCE_SECTION],
+	description: ''
+};
+
+const toDay = date => (date ? String(date).slice(0, 10) : '');
+
+/**
+ * Required forms a participant still has to fill before being registered
+ * consentVersion is the current wording of the risk acceptance, an older signature does not count
+ */
+export function getMissingForms(event, participant, consentVersion = null) {
+	return (event.required_forms || []).filter(form => {
+		if (form === RISK_ACCEPTANCE_SECTION) {
+			const signed = isCheckedValue(participant.has_acceptation_risque);
+			return !signed || Boolean(consentVersion && participant.acceptation_risque_version !== consentVersion);
+		}
+		return !isCheckedValue(participant[`has_${form}`]);
+	});
+}
+
+/**
+ * Page where a parent fills a required form of a participant
+ */
+export const getFormPath = (form, participantId) => (form === RISK_ACCEPTANCE_SECTION
+	? `/acceptation-risque/${participantId}`
+	: `/dynamic-form/${form}/${participantId}`);
+
+export function isRegistrationOpen(event, today = new Date().toLocaleDateString('en-CA')) {
+	if (event.cancelled) return false;
+	const lastDay = toDay(event.deadline) || toDay(event.start_date);
+	return !lastDay || today <= lastDay;
+}
+
+/**
+ * Places left, or null for an event without a capacity
+ */
+export function getRemainingPlaces(event) {
+	const capacity = Number(event.capacity);
+	if (!capacity) return null;
+	return Math.max(0, capacity - (Number(event.confirmed_count) || 0));
+}
+
+/**
+ * Health and dietary information the leaders must know about a registered participant
+ * Returns a list of { key, value }, key being the translation key of the flag
+ */
+export function getHealthFlags(registration) {
+	const flags = [];
+	if (registration.allergies) flags.push({ key: 'allergies', value: registration.allergies });
+	if (isCheckedValue(registration.epipen)) flags.push({ key: 'epipen', value: '' });
+	if (registration.dietary_restrictions) flags.push({ key: 'dietary_restrictions', value: registration.dietary_restrictions });
+	if (registration.medication) flags.push({ key: 'medication', value: registration.medication });
+	if (registration.health_issues) flags.push({ key: 'health_issues', value: registration.health_issues });
+	if (registration.swimming_level === 'ne_sait_pas_nager') flags.push({ key: 'doit_porter_vfi', value: '' });
+	return flags;
+}
+
+export const formatEventDates = (event, locale) => {
+	const format = date => new Date(`${toDay(date)}T00:00:00`).toLocaleDateString(locale, { day: 'numeric', month: 'long', year: 'numeric' });
+	return toDay(event.end_date) && toDay(event.end_date) !== toDay(event.start_date)
+		? `${format(event.start_date)} – ${format(event.end_date)}`
+		: format(event.start_date);
+};
@@ -0,0 +1,154 @@
+// src/lib/formFormats.js
+/**
+ * Organization form formats, served by /organization-form-formats as { form_type: { fields: [] } }
+ * A field is { type, name, label, required, options: [{ value, label }], dependsOn: { field, value }, infoText }
+ * and infoText items only show a translated text. Sections hold their own fields, and fields may declare
+ * validation rules and richer dependsOn conditions (see lib/formRules.js). Submissions store answers by
+ * field name, so a published field keeps its name: renaming it would orphan the answers already given
+ */
+
+import { getConditionFields } from './formRules';
+
+export const FORM_FIELD_TYPES = ['text', 'textarea', 'select', 'radio', 'checkbox', 'date', 'email', 'tel', 'postal_code', 'number', 'file', 'infoText'];
+
+// Field types whose answers are picked from a list of options
+export const OPTION_FIELD_TYPES = ['select', 'radio'];
+
+const FIELD_NAME_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+/**
+ * Parse a form structure as returned by the API, which may be a JSON string
+ */
+export function normalizeFormFormat(structure) {
+	const parsed = typeof structure === 'string' ? JSON.parse(structure) : (structure || {});
+
+	return {
+		...parsed,
+		fields: Array.isArray(parsed.fields) ? parsed.fields : []
+	};
+}
+
+/**
+ * New field with a name not used yet in the form
+ */
+export function createFormField(type, existingNames = []) {
+	if (type === 'infoText') {
+		return { type, infoText: '' };
+	}
+
+	let counter = existingNames.length + 1;
+	while (existingNames.includes(`field_${counter}`)) counter++;
+
+	return {
+		type,
+		name: `field_${counter}`,
+		label: '',
+		required: false,
+		...(OPTION_FIELD_TYPES.includes(type) && { options: [{ value: 'option_1', label: '' }] })
+	};
+}
+
+/**
+ * Drop the properties that do not apply to the field's type and empty optional ones
+ * Properties the form builder does not edit, like validation rules or section fields, are kept
+ */
+export function cleanFormField(field) {
+	if (field.type === 'infoText') {
+		return { type: 'infoText', infoText: (field.infoText || '').trim() };
+	}
+
+	const { locked, required, options, dependsOn, infoText, ...rest } = field;
+	const name = (field.name || '').trim();
+	const cleaned = {
+		...rest,
+		type: field.type,
+		name,
+		label: (field.label || '').trim() || name
+	};
+
+	if (field.required) cleaned.required = true;
+	if (OPTION_FIELD_TYPES.includes(field.type)) {
+		cleaned.options = (field.options || []).map(option => ({
+			value: String(option.value).trim(),
+			label: (option.label || '').trim() || String(option.value).trim()
+		}));
+	}
+	if (getConditionFields(field.dependsOn).length > 0) {
+		cleaned.dependsOn = field.dependsOn;
+	}
+	if (field.infoText?.trim()) cleaned.infoText = field.infoText.trim();
+
+	return cleaned;
+}
+
+/**
+ * Problems preventing a form format from being published, as { index, error } with a translation key
+ */
+export function validateFormFormat(structure) {
+	const errors = [];
+	const seenNames = [];
+
+	structure.fields.forEach((field, index) => {
+		if (field.type === 'infoText') {
+			if (!field.infoText?.trim()) errors.push({ index, error: 'form_info_text_required' });
+			return;
+		}
+
+		const name = (field.name || '').trim();
+		if (!name) {
+			errors.push({ index, error: 'form_field_name_required' });
+		} else if (!FIELD_NAME_PATTERN.test(name)) {
+			errors.push({ index, error: 'form_field_name_invalid' });
+		} else if (seenNames.includes(name)) {
+			errors.push({ index, error: 'form_field_name_duplicate' });
+		}
+
+		if (OPTION_FIELD_TYPES.includes(field.type)) {
+			const values = (field.options || []).map(option => String(option.value).trim());
+			if (values.length === 0 || values.some(value => !value) || new Set(values).size !== values.length) {
+				errors.push({ index, error: 'form_field_options_invalid' });
+			}
+		}
+
+		if (field.type === 'section' && (field.fields || []).length === 0) {
+			errors.push({ index, error: 'form_section_fields_required' });
+		}
+
+		// A field can only depend on a field shown before it
+		if (getConditionFields(field.dependsOn).some(dependency => !seenNames.includes(dependency))) {
+			errors.push({ index, error: 'form_field_depends_on_invalid' });
+		}
+
+		seenNames.push(name);
+		if (field.type === 'section' && !field.repeatable) {
+			seenNames.push(...getAnswerFields(field.fields || []).map(child => child.name));
+		}
+	});
+
+	return errors;
+}
+
+/**
+ * Fields whose answers are stored at the top level of a submission, including those of sections that do not repeat
+ */
+export function getAnswerFields(fields) {
+	return fields.flatMap(field => {
+		if (field.type === 'infoText') return [];
+		if (field.type === 'section' && !field.repeatable) return getAnswerFields(field.fields || []);
+		return field.name ? [field] : [];
+	});
+}
+
+/**
+ * Fields added, removed, or whose type changed between two versions of a form
+ */
+export function diffFormFormats(previous, next) {
+	const previousFields = new Map(getAnswerFields(previous.fields).map(f => [f.name, f]));
+	const nextFields = new Map(getAnswerFields(next.fields).map(f => [f.name, f]));
+
+	return {
+		added: [...nextFields.keys()].filter(name => !previousFields.has(name)),
+		removed: [...previousFields.keys()].filter(name => !nextFields.has(name)),
+		changed: [...nextFields.keys()].filter(name => previousFields.has(name) && previousFields.get(name).type !== nextFields.get(name).type)
+	};
+}
@@ -0,0 +1,307 @@
+// src/lib/formRules.js
+/**
+ * Visibility and validation rules of organization form fields, see lib/formFormats.js for the format
+ *
+ * dependsOn shows a field only when its conditions are met. It is a single condition, a list of
+ * conditions that must all be met, or { all: [...] } / { any: [...] }, which can be nested.
+ * A condition is { field, value } like in the first forms, or uses values (one of), notValue or filled.
+ * Checkboxes are compared as 'yes' or 'no', like in the legacy renderer.
+ *
+ * validation declares the constraints of an answer: min, max, minLength, maxLength, pattern,
+ * minDate, maxDate, maxSizeMb, accept, minItems and maxItems. Errors are { key, params } to translate,
+ * and messages: { rule: 'translation_key' } on a field replaces the default message of a rule.
+ *
+ * Sections group fields whose answers stay at the top level of the submission,
+ * unless the section is repeatable: its answers are then a list of { field: value } items.
+ */
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const POSTAL_CODE_PATTERN = /^[ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z] ?\d[ABCEGHJ-NPRSTV-Z]\d$/i;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const DEFAULT_MESSAGES = {
+	required: 'validation_required',
+	email: 'validation_email',
+	tel: 'validation_phone',
+	postal_code: 'validation_postal_code',
+	date: 'validation_date',
+	number: 'validation_number',
+	min: 'validation_min',
+	max: 'validation_max',
+	minLength: 'validation_min_length',
+	maxLength: 'validation_max_length',
+	pattern: 'validation_pattern',
+	minDate: 'validation_min_date',
+	maxDate: 'validation_max_date',
+	maxSizeMb: 'validation_file_size',
+	accept: 'validation_file_type',
+	minItems: 'validation_min_items',
+	maxItems: 'validation_max_items'
+};
+
+// Checkbox answers and the boolean flags of the API, stored as booleans, numbers or text
+// ('oui' in some answers of the legacy French forms)
+export const isCheckedValue = value => [true, 1, '1', 'true', 'yes', 'oui', 'on'].includes(value);
+
+const isEmpty = value => value === undefined || value === null || value === ''
+	|| (typeof value === 'string' && !value.trim())
+	|| (Array.isArray(value) && value.length === 0);
+
+const fieldError = (field, rule, params = {}) => ({
+	key: field.messages?.[rule] || DEFAULT_MESSAGES[rule],
+	params
+});
+
+// A pattern that does not compile is ignored rather than breaking the form
+const compilePattern = (pattern) => {
+	try {
+		return new RegExp(pattern);
+	} catch (error) {
+		return null;
+	}
+};
+
+/**
+ * Answers of a repeatable section, with at least the minimum number of items
+ */
+export function getSectionItems(section, values) {
+	const items = Array.isArray(values[section.name]) ? values[section.name] : [];
+	const minItems = section.validation?.minItems || 0;
+
+	return items.length >= minItems
+		? items
+		: [...items, ...Array.from({ length: minItems - items.length }, () => ({}))];
+}
+
+function findField(fields, name) {
+	for (const field of fields) {
+		if (field.name === name) return field;
+		if (field.type === 'section') {
+			const child = findField(field.fields || [], name);
+			if (child) return child;
+		}
+	}
+	return null;
+}
+
+function getComparableValue(fields, values, name) {
+	const field = findField(fields, name);
+	const value = values[name];
+
+	if (field?.type === 'checkbox') return isCheckedValue(value) ? 'yes' : 'no';
+	return value === undefined || value === null ? '' : String(value);
+}
+
+function evaluateCondition(condition, fields, values) {
+	if (Array.isArray(condition)) {
+		return condition.every(item => evaluateCondition(item, fields, values));
+	}
+	if (condition.all) {
+		return condition.all.every(item => evaluateCondition(item, fields, values));
+	}
+	if (condition.any) {
+		return condition.any.some(item => evaluateCondition(item, fields, values));
+	}
+
+	const value = getComparableValue(fields, values, condition.field);
+
+	if (condition.filled !== undefined) {
+		return Boolean(condition.filled) === (value !== '' && value !== 'no');
+	}
+	if (condition.values) {
+		return condition.values.map(String).includes(value);
+	}
+	if (condition.notValue !== undefined) {
+		return value !== String(condition.notValue);
+	}
+	return value === String(condition.value ?? '');
+}
+
+/**
+ * Whether a field is shown given the answers so far
+ * formFields are all the fields of the form, to know the type of the fields it depends on
+ */
+export function isFieldVisible(field, formFields, values) {
+	if (!field.dependsOn) return true;
+	return evaluateCondition(field.dependsOn, formFields, values);
+}
+
+/**
+ * Names of the fields a dependsOn rule refers to
+ */
+export function getConditionFields(condition) {
+	if (!condition) return [];
+	if (Array.isArray(condition)) return condition.flatMap(getConditionFields);
+	if (condition.all) return condition.all.flatMap(getConditionFields);
+	if (condition.any) return condition.any.flatMap(getConditionFields);
+	return condition.field ? [condition.field] : [];
+}
+
+/**
+ * Whether a dependsOn rule is a single { field, value } condition, the only one the form builder edits
+ */
+export const isSimpleCondition = condition => !condition
+	|| (!Array.isArray(condition) && !condition.all && !condition.any && condition.values === undefined
+		&& condition.notValue === undefined && condition.filled === undefined);
+
+export function formatPostalCode(value) {
+	const compact = String(value || '').replace(/\s+/g, '').toUpperCase();
+	return compact.length === 6 ? `${compact.slice(0, 3)} ${compact.slice(3)}` : String(value || '').toUpperCase();
+}
+
+export function formatPhoneNumber(value) {
+	const digits = String(value || '').replace(/\D/g, '');
+	const local = digits.length === 11 && digits.startsWith('1') ? digits.slice(1) : digits;
+	return local.length === 10 ? `${local.slice(0, 3)}-${local.slice(3, 6)}-${local.slice(6)}` : value;
+}
+
+/**
+ * Check a selected file against the field's accept and maxSizeMb rules before uploading it
+ */
+export function validateFile(field, file) {
+	const rules = field.validation || {};
+
+	if (rules.accept) {
+		const accepted = rules.accept.split(',').map(type => type.trim().toLowerCase()).filter(Boolean);
+		const name = file.name.toLowerCase();
+		const type = (file.type || '').toLowerCase();
+		const matches = accepted.some(pattern => (pattern.startsWith('.')
+			? name.endsWith(pattern)
+			: pattern.endsWith('/*') ? type.startsWith(pattern.slice(0, -1)) : type === pattern));
+
+		if (!matches) return fieldError(field, 'accept', { accept: rules.accept });
+	}
+
+	if (rules.maxSizeMb && file.size > rules.maxSizeMb * 1024 * 1024) {
+		return fieldError(field, 'maxSizeMb', { max: rules.maxSizeMb });
+	}
+
+	return null;
+}
+
+/**
+ * First rule broken by the answer of a field, or null
+ */
+export function validateFieldValue(field, value) {
+	const rules = field.validation || {};
+
+	if (field.type === 'checkbox') {
+		return field.required && !isCheckedValue(value) ? fieldError(field, 'required') : null;
+	}
+	if (isEmpty(value)) {
+		return field.required ? fieldError(field, 'required') : null;
+	}
+	if (field.type === 'file') return null;
+
+	const text = String(value).trim();
+
+	switch (field.type) {
+		case 'email':
+			if (!EMAIL_PATTERN.test(text)) return fieldError(field, 'email');
+			break;
+		case 'tel': {
+			const digits = text.replace(/\D/g, '');
+			if (digits.length !== 10 && !(digits.length === 11 && digits.startsWith('1'))) return fieldError(field, 'tel');
+			break;
+		}
+		case 'postal_code':
+			if (!POSTAL_CODE_PATTERN.test(text)) return fieldError(field, 'postal_code');
+			break;
+		case 'date':
+			if (!DATE_PATTERN.test(text)) return fieldError(field, 'date');
+			if (rules.minDate && text < rules.minDate) return fieldError(field, 'minDate', { min: rules.minDate });
+			if (rules.maxDate && text > rules.maxDate) return fieldError(field, 'maxDate', { max: rules.maxDate });
+			break;
+		case 'number': {
+			const number = Number(text);
+			if (Number.isNaN(number)) return fieldError(field, 'number');
+			if (rules.min !== undefined && number < rules.min) return fieldError(field, 'min', { min: rules.min });
+			if (rules.max !== undefined && number > rules.max) return fieldError(field, 'max', { max: rules.max });
+			break;
+		}
+		default:
+			break;
+	}
+
+	if (rules.minLength && text.length < rules.minLength) return fieldError(field, 'minLength', { min: rules.minLength });
+	if (rules.maxLength && text.length > rules.maxLength) return fieldError(field, 'maxLength', { max: rules.maxLength });
+	const pattern = rules.pattern && compilePattern(rules.pattern);
+	if (pattern && !pattern.test(text)) return fieldError(field, 'pattern');
+
+	return null;
+}
+
+function validateFieldList(fields, formFields, values, scopeValues, pathPrefix, errors) {
+	fields.forEach(field => {
+		if (field.type === 'infoText' || !isFieldVisible(field, formFields, scopeValues)) return;
+
+		if (field.type === 'section' && !field.repeatable) {
+			validateFieldList(field.fields || [], formFields, values, scopeValues, pathPrefix, errors);
+			return;
+		}
+
+		if (field.type === 'section') {
+			const items = getSectionItems(field, scopeValues);
+			const rules = field.validation || {};
+			const answeredItems = items.filter(item => Object.values(item).some(value => !isEmpty(value)));
+
+			if (rules.minItems && answeredItems.length < rules.minItems) {
+				errors[`${pathPrefix}${field.name}`] = fieldError(field, 'minItems', { min: rules.minItems });
+			} else if (rules.maxItems && items.length > rules.maxItems) {
+				errors[`${pathPrefix}${field.name}`] = fieldError(field, 'maxItems', { max: rules.maxItems });
+			}
+
+			items.forEach((item, index) => {
+				validateFieldList(field.fields || [], formFields, item, { ...scopeValues, ...item }, `${pathPrefix}${field.name}.${index}.`, errors);
+			});
+			return;
+		}
+
+		const error = validateFieldValue(field, values[field.name]);
+		if (error) errors[`${pathPrefix}${field.name}`] = error;
+	});
+
+	return errors;
+}
+
+/**
+ * Errors of the visible fields, keyed by field path: the field name, or section.index.field in repeatable sections
+ */
+export function validateFormValues(fields, values) {
+	return validateFieldList(fields, fields, values, values, '', {});
+}
+
+// Names under which the answers of a field are stored
+const getAnswerNames = fields => fields
+	.flatMap(field => (field.type === 'section' && !field.repeatable ? getAnswerNames(field.fields || []) : [field.name]))
+	.filter(Boolean);
+
+function prepareAnswers(fields, formFields, submitted, scopeValues) {
+	fields.forEach(field => {
+		if (field.type === 'infoText') return;
+
+		if (!isFieldVisible(field, formFields, scopeValues)) {
+			getAnswerNames([field]).forEach(name => delete submitted[name]);
+		} else if (field.type === 'checkbox') {
+			submitted[field.name] = isCheckedValue(submitted[field.name]) ? 'yes' : 'no';
+		} else if (field.type === 'section' && field.repeatable) {
+			submitted[field.name] = getSectionItems(field, scopeValues).map(item => {
+				const itemValues = { ...item };
+				prepareAnswers(field.fields || [], formFields, itemValues, { ...scopeValues, ...item });
+				return itemValues;
+			});
+		} else if (field.type === 'section') {
+			prepareAnswers(field.fields || [], formFields, submitted, scopeValues);
+		}
+	});
+}
+
+/**
+ * Answers to submit: those of hidden fields are left out, like the disabled fields of the legacy forms,
+ * checkboxes are 'yes' or 'no' like in the legacy renderer, and answers to fields no longer in the form are kept
+ */
+export function getSubmittedValues(fields, values) {
+	const submitted = { ...values };
+	prepareAnswers(fields, fields, submitted, values);
+	return submitted;
+}
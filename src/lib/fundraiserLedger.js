@@ -0,0 +1,110 @@
+// src/lib/fundraiserLedger.js
+/**
+ * Balance computations for fundraising campaigns
+ * Stock and payments are recorded per participant; families group siblings
+ * so a single receipt covers everything a household sold and paid
+ */
+
+export const STOCK_MOVEMENT_TYPES = {
+	ISSUED: 'issued',
+	RETURNED: 'returned'
+};
+
+export const PAYMENT_METHODS = ['cash', 'cheque', 'e_transfer', 'card', 'other'];
+
+/**
+ * Round to cents to avoid floating point drift in totals
+ */
+export function roundCurrency(amount) {
+	return Math.round((parseFloat(amount) || 0) * 100) / 100;
+}
+
+/**
+ * Format an amount in Canadian dollars for the current language
+ */
+export function formatCurrency(amount, locale = 'fr-CA') {
+	return new Intl.NumberFormat(locale, { style: 'currency', currency: 'CAD' }).format(roundCurrency(amount));
+}
+
+/**
+ * Compute stock and balance totals of a participant
+ */
+export function computeParticipantTotals(participantId, ledger, campaign) {
+	const id = String(participantId);
+	const movements = ledger.stock_movements.filter(m => String(m.participant_id) === id);
+	const payments = ledger.payments.filter(p => String(p.participant_id) === id);
+
+	const issued = movements
+		.filter(m => m.type === STOCK_MOVEMENT_TYPES.ISSUED)
+		.reduce((sum, m) => sum + (parseInt(m.quantity, 10) || 0), 0);
+	const returned = movements
+		.filter(m => m.type === STOCK_MOVEMENT_TYPES.RETURNED)
+		.reduce((sum, m) => sum + (parseInt(m.quantity, 10) || 0), 0);
+	const sold = Math.max(issued - returned, 0);
+	const amountDue = roundCurrency(sold * (parseFloat(campaign?.unit_price) || 0));
+	const paid = roundCurrency(payments.reduce((sum, p) => sum + (parseFloat(p.amount) || 0), 0));
+
+	return {
+		issued,
+		returned,
+		sold,
+		amountDue,
+		paid,
+		balance: roundCurrency(amountDue - paid),
+		movements,
+		payments
+	};
+}
+
+/**
+ * Add up the totals of several participants
+ */
+export function sumTotals(totalsList) {
+	const sum = totalsList.reduce((acc, totals) => ({
+		issued: acc.issued + totals.issued,
+		returned: acc.returned + totals.returned,
+		sold: acc.sold + totals.sold,
+		amountDue: acc.amountDue + totals.amountDue,
+		paid: acc.paid + totals.paid
+	}), { issued: 0, returned: 0, sold: 0, amountDue: 0, paid: 0 });
+
+	return {
+		...sum,
+		amountDue: roundCurrency(sum.amountDue),
+		paid: roundCurrency(sum.paid),
+		balance: roundCurrency(sum.amountDue - sum.paid)
+	};
+}
+
+/**
+ * Group the participants of a campaign by family
+ * Participants without a family_id form their own family
+ */
+export function groupByFamily(ledger, campaign) {
+	const families = {};
+
+	ledger.participants.forEach(participant => {
+		const familyId = participant.family_id ? `family_${participant.family_id}` : `participant_${participant.participant_id}`;
+
+		if (!families[familyId]) {
+			families[familyId] = {
+				id: familyId,
+				name: participant.family_name || participant.last_name,
+				members: []
+			};
+		}
+
+		families[familyId].members.push({
+			...participant,
+			totals: computeParticipantTotals(participant.participant_id, ledger, campaign)
+		});
+	});
+
+	return Object.values(families)
+		.map(family => ({
+			...family,
+			members: family.members.sort((a, b) => a.first_name.localeCompare(b.first_name)),
+			totals: sumTotals(family.members.map(member => member.totals))
+		}))
+		.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+}
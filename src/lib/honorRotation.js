@@ -0,0 +1,87 @@
+// src/lib/honorRotation.js
+/**
+ * Fair rotation of the louveteau d'honneur
+ *
+ * Present participants not honored yet on the date are suggested first when they were honored the
+ * least this season, then when their last honor is the oldest (never honored comes first), then when
+ * they attend the most. Honoring someone honored within RECENT_HONOR_DAYS asks for a confirmation.
+ */
+
+import { parseJsonList } from './jsonFields';
+import { getSeasonStart } from './season';
+
+export const RECENT_HONOR_DAYS = 28;
+
+const ABSENT_STATUSES = ['absent', 'non-motivated', 'excused', 'motivated'];
+const DAY = 24 * 60 * 60 * 1000;
+
+const toDate = date => new Date(`${String(date).slice(0, 10)}T00:00:00`);
+
+/**
+ * Share of the meetings attended by each participant, by participant id, from the attendance report
+ */
+export function getAttendanceRates(report) {
+	const rates = {};
+	const items = Array.isArray(report) ? report : report?.attendance_data || [];
+
+	items.forEach(item => {
+		if (!item.participant_id) return;
+
+		const records = parseJsonList(item.attendance);
+		if (records.length === 0) return;
+
+		const attended = records.filter(record => !ABSENT_STATUSES.includes(record.status)).length;
+		rates[item.participant_id] = attended / records.length;
+	});
+
+	return rates;
+}
+
+/**
+ * Honors of a participant before or on a date, most recent first
+ */
+function getParticipantHonors(participantId, honors, date) {
+	return honors
+		.filter(honor => honor.participant_id === participantId && toDate(honor.date) <= toDate(date))
+		.sort((a, b) => toDate(b.date) - toDate(a.date));
+}
+
+/**
+ * Date of the last honor of a participant within RECENT_HONOR_DAYS before a date, or null
+ */
+export function getRecentHonorDate(participantId, honors, date) {
+	const lastHonor = getParticipantHonors(participantId, honors, date)
+		.find(honor => honor.date.slice(0, 10) !== date);
+	if (!lastHonor) return null;
+
+	return (toDate(date) - toDate(lastHonor.date)) / DAY <= RECENT_HONOR_DAYS ? lastHonor.date : null;
+}
+
+/**
+ * Participants to suggest for an honor on a date, best candidates first
+ * attendance holds the status of each participant on the date, participants without one are present
+ */
+export function rankHonorCandidates({ participants, honors, attendance = {}, attendanceRates = {}, date }) {
+	const seasonStart = toDate(getSeasonStart(date));
+
+	return participants
+		.filter(participant => !ABSENT_STATUSES.includes(attendance[participant.participant_id]))
+		.map(participant => {
+			const participantHonors = getParticipantHonors(participant.participant_id, honors, date);
+			if (participantHonors.some(honor => honor.date.slice(0, 10) === date)) return null;
+
+			const lastHonor = participantHonors[0];
+			return {
+				participant,
+				daysSinceLastHonor: lastHonor ? Math.round((toDate(date) - toDate(lastHonor.date)) / DAY) : null,
+				seasonHonors: participantHonors.filter(honor => toDate(honor.date) >= seasonStart).length,
+				attendanceRate: attendanceRates[participant.participant_id] ?? null
+			};
+		})
+		.filter(Boolean)
+		.sort((a, b) => (
+			a.seasonHonors - b.seasonHonors
+			|| (b.daysSinceLastHonor ?? Infinity) - (a.daysSinceLastHonor ?? Infinity)
+			|| (b.attendanceRate ?? 0) - (a.attendanceRate ?? 0)
+		));
+}
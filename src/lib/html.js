@@ -0,0 +1,12 @@
+// src/lib/html.js
+/**
+ * Helpers for the HTML documents written by the pages, such as the print windows
+ */
+
+// Text safe to insert in HTML content and attribute values
+export const escapeHtml = (value) => String(value ?? '')
+	.replace(/&/g, '&amp;')
+	.replace(/</g, '&lt;')
+	.replace(/>/g, '&gt;')
+	.replace(/"/g, '&quot;')
+	.replace(/'/g, '&#39;');
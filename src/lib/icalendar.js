@@ -0,0 +1,149 @@
+// src/lib/icalendar.js
+/**
+ * iCalendar (.ics) file of the meetings
+ *
+ * Each meeting date becomes an event lasting from the first activity of its preparation to the end of
+ * the last one, or over the default meeting template when the meeting is not prepared yet. Meetings
+ * marked cancelled in their preparation stay in the file as cancelled events, so calendars that
+ * imported them before remove them. Times are local to the organization (floating times).
+ */
+
+import { durationToMinutes, getScheduleEndTime, addDurationToTime } from './meetingSchedule';
+import { downloadBlob } from './reportExport';
+import { parseJsonList } from './jsonFields';
+
+/**
+ * Start and end time ("HH:MM") of a meeting from its activities, or from the template without them
+ * Returns null when neither gives a start time
+ */
+export function getMeetingTimes(activities, template = null) {
+	const planned = [...parseJsonList(activities)].sort((a, b) => (a.position ?? 0) - (b.position ?? 0));
+	if (planned[0]?.time) {
+		return { start: planned[0].time, end: getScheduleEndTime(planned) || planned[0].time };
+	}
+
+	if (template?.start_time) {
+		const minutes = (template.activities || [])
+			.reduce((total, activity) => total + (durationToMinutes(activity.duration) || 0), 0);
+		return { start: template.start_time, end: addDurationToTime(template.start_time, minutes) };
+	}
+
+	return null;
+}
+
+/**
+ * Events of the meeting dates, completed with the preparation of each date when there is one
+ */
+export function buildMeetingEvents(dates, preparations, { organizationId, organizationName, template, defaultLocation = '' }) {
+	const preparationsByDate = Object.fromEntries(preparations.map(preparation => [
+		String(preparation.date).slice(0, 10),
+		preparation
+	]));
+	const allDates = [...new Set([...dates, ...Object.keys(preparationsByDate)].map(date => String(date).slice(0, 10)))].sort();
+
+	return allDates.map(date => {
+		const preparation = preparationsByDate[date] || {};
+		const activities = parseJsonList(preparation.activities);
+
+		return {
+			uid: `meeting-${organizationId || 'organization'}-${date}@wampums`,
+			date,
+			times: getMeetingTimes(activities, template),
+			summary: organizationName,
+			location: preparation.endroit || defaultLocation,
+			description: activities
+				.filter(activity => activity.activity)
+				.map(activity => `${activity.time ? `${activity.time} ` : ''}${activity.activity}`)
+				.join('\n'),
+			cancelled: Boolean(preparation.cancelled),
+			updatedAt: preparation.updated_at || null
+		};
+	});
+}
+
+const escapeText = value => String(value ?? '')
+	.replace(/\\/g, '\\\\')
+	.replace(/;/g, '\\;')
+	.replace(/,/g, '\\,')
+	.replace(/\r?\n/g, '\\n');
+
+const toDateValue = date => date.replace(/-/g, '');
+
+const toDateTimeValue = (date, time) => `${toDateValue(date)}T${time.replace(':', '')}00`;
+
+const toUtcValue = date => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const addDays = (date, days) => {
+	const next = new Date(`${date}T00:00:00`);
+	next.setDate(next.getDate() + days);
+	return next.toLocaleDateString('en-CA');
+};
+
+// Content lines are folded at 75 octets, continuation lines start with a space
+function foldLine(line) {
+	const encoder = new TextEncoder();
+	const parts = [];
+	let current = '';
+
+	for (const character of line) {
+		if (encoder.encode(current + character).length > (parts.length === 0 ? 75 : 74)) {
+			parts.push(current);
+			current = '';
+		}
+		current += character;
+	}
+	parts.push(current);
+
+	return parts.join('\r\n ');
+}
+
+function eventLines(event, stamp, cancelledLabel) {
+	const timing = event.times
+		? [
+			`DTSTART:${toDateTimeValue(event.date, event.times.start)}`,
+			// A meeting ending after midnight ends the next day
+			`DTEND:${toDateTimeValue(event.times.end >= event.times.start ? event.date : addDays(event.date, 1), event.times.end)}`
+		]
+		: [`DTSTART;VALUE=DATE:${toDateValue(event.date)}`, `DTEND;VALUE=DATE:${toDateValue(addDays(event.date, 1))}`];
+
+	return [
+		'BEGIN:VEVENT',
+		`UID:${event.uid}`,
+		`DTSTAMP:${stamp}`,
+		...(event.updatedAt ? [`LAST-MODIFIED:${toUtcValue(new Date(event.updatedAt))}`] : []),
+		...timing,
+		`SUMMARY:${escapeText(event.cancelled ? `${cancelledLabel} ${event.summary}` : event.summary)}`,
+		...(event.location ? [`LOCATION:${escapeText(event.location)}`] : []),
+		...(event.description ? [`DESCRIPTION:${escapeText(event.description)}`] : []),
+		`STATUS:${event.cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+		'END:VEVENT'
+	];
+}
+
+/**
+ * Text of an iCalendar file of events, cancelledLabel is put before the summary of cancelled events
+ */
+export function buildICalendar(events, { name, cancelledLabel = '' }) {
+	const stamp = toUtcValue(new Date());
+	const lines = [
+		'BEGIN:VCALENDAR',
+		'VERSION:2.0',
+		'PRODID:-//Wampums//Meetings//FR',
+		'CALSCALE:GREGORIAN',
+		'METHOD:PUBLISH',
+		`X-WR-CALNAME:${escapeText(name)}`,
+		...events.flatMap(event => eventLines(event, stamp, cancelledLabel)),
+		'END:VCALENDAR'
+	];
+
+	return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+export function downloadICalendar(content, fileName) {
+	downloadBlob(new Blob([content], { type: 'text/calendar;charset=utf-8' }), fileName);
+}
+
+/**
+ * Address for calendar apps to subscribe to a feed, which they refresh on their own
+ */
+export const getSubscriptionUrl = url => String(url || '').replace(/^https?:\/\//, 'webcal://');
@@ -1,5 +1,6 @@
 // src/lib/indexedDBService.js
 import Dexie from 'dexie';
+import { replaceTempId } from './tempIds';
 
 class IndexedDBService {
 	constructor() {
@@ -8,6 +9,25 @@ class IndexedDBService {
 			offlineData: '++id, key, type, timestamp, expiration',
 			cacheData: 'key, data, timestamp, expiration'
 		});
+
+		// Listeners notified whenever the offline mutation queue changes
+		this.offlineDataListeners = new Set();
+	}
+
+	// Subscribe to offline queue changes, returns an unsubscribe function
+	subscribeToOfflineData(listener) {
+		this.offlineDataListeners.add(listener);
+		return () => this.offlineDataListeners.delete(listener);
+	}
+
+	notifyOfflineDataChange() {
+		this.offlineDataListeners.forEach(listener => {
+			try {
+				listener();
+			} catch (error) {
+				console.error('Error in offline data listener:', error);
+			}
+		});
 	}
 
 	// Cache data with expiration time
@@ -30,18 +50,18 @@ class IndexedDBService {
 	}
 
 	// Get cached data if not expired
-	async getCachedData(key) {
+	async getCachedData(key, ignoreExpiration = false) {
 		try {
 			const record = await this.db.cacheData.get(key);
 
-			if (record && record.expiration > Date.now()) {
-				console.log(`Retrieved valid cached data for key: ${key}`);
+			if (record && (ignoreExpiration || record.expiration > Date.now())) {
+				console.log(`Retrieved ${ignoreExpiration ? 'possibly expired' : 'valid'} cached data for key: ${key}`);
 				return record.data;
 			} 
 
 			if (record) {
+				// Expired data is kept so it can still be served while offline
 				console.log(`Data expired for key: ${key}`);
-				await this.db.cacheData.delete(key);
 			} else {
 				console.log(`No data found for key: ${key}`);
 			}
@@ -53,6 +73,50 @@ class IndexedDBService {
 		}
 	}
 
+	// Get a cached record with its timestamp, expired or not
+	async getCachedRecord(key) {
+		try {
+			return (await this.db.cacheData.get(key)) || null;
+		} catch (error) {
+			console.error(`Error retrieving cached record for key ${key}:`, error);
+			return null;
+		}
+	}
+
+	// Replace cached data, keeping its timestamp and expiration
+	async updateCachedData(key, data) {
+		try {
+			await this.db.cacheData.update(key, { data });
+			return true;
+		} catch (error) {
+			console.error(`Error updating cached data for key ${key}:`, error);
+			return false;
+		}
+	}
+
+	// Reset the timestamp of the entries whose key matches so they are refreshed before use
+	async markCachedDataStale(matchKey) {
+		try {
+			await this.db.cacheData.filter(record => matchKey(record.key)).modify({ timestamp: 0 });
+			return true;
+		} catch (error) {
+			console.error('Error marking cached data as stale:', error);
+			return false;
+		}
+	}
+
+	// Remove a cached entry so the next read fetches fresh data
+	async clearCachedData(key) {
+		try {
+			await this.db.cacheData.delete(key);
+			console.log(`Cleared cached data for key: ${key}`);
+			return true;
+		} catch (error) {
+			console.error(`Error clearing cached data for key ${key}:`, error);
+			return false;
+		}
+	}
+
 	// Store offline data for sync later
 	async saveOfflineData(action, data) {
 		try {
@@ -67,6 +131,7 @@ class IndexedDBService {
 
 			await this.db.offlineData.add(record);
 			console.log(`Saved offline data for action: ${action}`);
+			this.notifyOfflineDataChange();
 			return true;
 		} catch (error) {
 			console.error(`Error saving offline data for action ${action}:`, error);
@@ -74,6 +139,53 @@ class IndexedDBService {
 		}
 	}
 
+	// Queue a write request made while offline so it can be replayed in order
+	// base holds the server state the change was made from, used to detect conflicts on replay
+	// tempId is the temporary id of an entity created offline, idField the response field holding its server id
+	async queueMutation({ endpoint, method, url, data, headers, base = null, tempId = null, idField = null }) {
+		try {
+			const record = {
+				key: `${endpoint}_${Date.now()}`,
+				type: 'offline',
+				action: endpoint,
+				endpoint,
+				method,
+				url,
+				data,
+				headers,
+				base,
+				tempId,
+				idField,
+				timestamp: Date.now(),
+				retryCount: 0,
+				nextRetryAt: 0,
+				status: 'pending',
+				lastError: null
+			};
+
+			record.id = await this.db.offlineData.add(record);
+			console.log(`Queued offline mutation: ${method} ${endpoint}`);
+			this.notifyOfflineDataChange();
+			return record;
+		} catch (error) {
+			console.error(`Error queueing offline mutation ${method} ${endpoint}:`, error);
+			throw error;
+		}
+	}
+
+	// Get queued offline records in the order they were made
+	async getQueuedMutations() {
+		try {
+			return await this.db.offlineData
+				.where('type')
+				.equals('offline')
+				.sortBy('id');
+		} catch (error) {
+			console.error('Error retrieving queued mutations:', error);
+			return [];
+		}
+	}
+
 	// Get all offline data
 	async getOfflineData() {
 		try {
@@ -94,6 +206,7 @@ class IndexedDBService {
 				.where('type')
 				.equals('offline')
 				.delete();
+			this.notifyOfflineDataChange();
 			return true;
 		} catch (error) {
 			console.error('Error clearing offline data:', error);
@@ -105,6 +218,7 @@ class IndexedDBService {
 	async deleteOfflineRecord(key) {
 		try {
 			await this.db.offlineData.delete(key);
+			this.notifyOfflineDataChange();
 			return true;
 		} catch (error) {
 			console.error(`Error deleting offline record with key ${key}:`, error);
@@ -112,10 +226,64 @@ class IndexedDBService {
 		}
 	}
 
-	// Update retry count for a record
-	async updateRetryCount(key, retryCount) {
+	// Rewrite queued records referring to an entity created offline with its server id
+	async replaceTempIdInOfflineData(tempId, realId) {
+		try {
+			const records = await this.getQueuedMutations();
+			for (const record of records) {
+				const data = replaceTempId(record.data, tempId, realId);
+				const base = replaceTempId(record.base, tempId, realId);
+				if (JSON.stringify(data) !== JSON.stringify(record.data) || JSON.stringify(base) !== JSON.stringify(record.base)) {
+					await this.db.offlineData.update(record.id, { data, base });
+				}
+			}
+			this.notifyOfflineDataChange();
+			return true;
+		} catch (error) {
+			console.error(`Error replacing temporary id ${tempId} in offline data:`, error);
+			return false;
+		}
+	}
+
+	// Rewrite cached data (and cache keys) referring to an entity created offline with its server id
+	async replaceTempIdInCache(tempId, realId) {
+		try {
+			const records = await this.db.cacheData.toArray();
+			for (const record of records) {
+				const data = replaceTempId(record.data, tempId, realId);
+				const key = record.key.includes(tempId) ? record.key.replace(tempId, realId) : record.key;
+
+				if (key !== record.key) {
+					await this.db.cacheData.delete(record.key);
+				}
+				if (key !== record.key || JSON.stringify(data) !== JSON.stringify(record.data)) {
+					await this.db.cacheData.put({ ...record, key, data });
+				}
+			}
+			return true;
+		} catch (error) {
+			console.error(`Error replacing temporary id ${tempId} in cache:`, error);
+			return false;
+		}
+	}
+
+	// Update fields of an offline record, such as its payload or conflict details
+	async updateOfflineRecord(key, changes) {
+		try {
+			await this.db.offlineData.update(key, changes);
+			this.notifyOfflineDataChange();
+			return true;
+		} catch (error) {
+			console.error(`Error updating offline record with key ${key}:`, error);
+			return false;
+		}
+	}
+
+	// Update retry count for a record, along with its backoff or failure details
+	async updateRetryCount(key, retryCount, changes = {}) {
 		try {
-			await this.db.offlineData.update(key, { retryCount });
+			await this.db.offlineData.update(key, { retryCount, ...changes });
+			this.notifyOfflineDataChange();
 			return true;
 		} catch (error) {
 			console.error(`Error updating retry count for key ${key}:`, error);
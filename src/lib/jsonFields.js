@@ -0,0 +1,18 @@
+// src/lib/jsonFields.js
+/**
+ * Fields the API returns either decoded or as JSON strings, such as the attendance of a
+ * participant in the reports or the activities of a meeting preparation
+ */
+
+// List held by a field, empty when it is missing or not valid JSON
+export function parseJsonList(value) {
+	let list = value;
+	if (typeof list === 'string') {
+		try {
+			list = JSON.parse(list);
+		} catch (error) {
+			return [];
+		}
+	}
+	return Array.isArray(list) ? list : [];
+}
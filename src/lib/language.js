@@ -0,0 +1,9 @@
+// src/lib/language.js
+/**
+ * Language of the texts kept in both languages, such as consent texts or custom alert rules ({ fr, en })
+ */
+
+// 'en' when the interface is in English, 'fr' otherwise
+export const getContentLanguage = i18n => (
+	(i18n.resolvedLanguage || i18n.language || 'fr').startsWith('en') ? 'en' : 'fr'
+);
@@ -0,0 +1,84 @@
+// src/lib/mailTransport.js
+/**
+ * Transports the bulk email composer sends its messages through
+ *
+ * A transport has a send(messages, options) method resolving to one result per message,
+ * { to, status: 'sent' | 'failed', error }. The server transport hands the messages to the API,
+ * which delivers them through the SMTP account of the organization. The file transport sends
+ * nothing: it downloads the messages as an mbox file, to check merge fields and recipients
+ * before a real sending. Other transports can be added with registerMailTransport.
+ */
+
+import { emailService } from '../api/emailService';
+import { downloadBlob } from './reportExport';
+
+export const DEFAULT_MAIL_TRANSPORT = 'server';
+
+// Encoded word for non-ASCII header values (RFC 2047)
+const encodeHeader = (value) => {
+	if (/^[\x20-\x7e]*$/.test(value)) return value;
+	const bytes = new TextEncoder().encode(value);
+	return `=?UTF-8?B?${btoa(String.fromCharCode(...bytes))}?=`;
+};
+
+const formatAddress = (name, email) => (name ? `${encodeHeader(name)} <${email}>` : email);
+
+/**
+ * Message in the mbox format, lines of the body starting with "From " are quoted
+ */
+export function toMboxMessage(message, { fromName = '', fromEmail = 'no-reply@wampums.app', date = new Date() } = {}) {
+	const body = message.body.replace(/\r?\n/g, '\n').replace(/^(>*From )/gm, '>$1');
+
+	return [
+		`From ${fromEmail} ${date.toUTCString()}`,
+		`From: ${formatAddress(fromName, fromEmail)}`,
+		`To: ${formatAddress(message.name, message.to)}`,
+		`Subject: ${encodeHeader(message.subject)}`,
+		`Date: ${date.toUTCString()}`,
+		'MIME-Version: 1.0',
+		'Content-Type: text/plain; charset=UTF-8',
+		'Content-Transfer-Encoding: 8bit',
+		'',
+		body,
+		''
+	].join('\n');
+}
+
+const serverTransport = {
+	async send(messages) {
+		const response = await emailService.sendEmails(messages);
+		const results = response.results || [];
+
+		// Servers answering without per-message results delivered everything
+		return messages.map((message, index) => results[index] || { to: message.to, status: 'sent' });
+	}
+};
+
+const fileTransport = {
+	async send(messages, { fromName = '' } = {}) {
+		const date = new Date();
+		const mbox = messages.map(message => toMboxMessage(message, { fromName, date })).join('\n');
+		downloadBlob(new Blob([mbox], { type: 'application/mbox;charset=utf-8' }), `emails-${date.toLocaleDateString('en-CA')}.mbox`);
+
+		return messages.map(message => ({ to: message.to, status: 'sent' }));
+	}
+};
+
+const transports = {
+	server: serverTransport,
+	file: fileTransport
+};
+
+export function registerMailTransport(name, transport) {
+	transports[name] = transport;
+}
+
+export const getMailTransportNames = () => Object.keys(transports);
+
+export function getMailTransport(name = DEFAULT_MAIL_TRANSPORT) {
+	const transport = transports[name];
+	if (!transport) {
+		throw new Error(`Unknown mail transport: ${name}`);
+	}
+	return transport;
+}
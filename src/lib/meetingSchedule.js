@@ -0,0 +1,142 @@
+// src/lib/meetingSchedule.js
+/**
+ * Time helpers for the weekly meeting planner (ported from legacy/preparation_reunions.js)
+ */
+
+const DAYS_OF_WEEK = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Parse a "HH:MM" string into hours and minutes
+ */
+export function parseTime(timeString = '') {
+	const [hours, minutes] = String(timeString).split(':').map(Number);
+	return {
+		hours: Number.isNaN(hours) ? 0 : hours,
+		minutes: Number.isNaN(minutes) || minutes === undefined ? 0 : minutes
+	};
+}
+
+/**
+ * Format hours and minutes back into "HH:MM"
+ */
+export function formatTime(hours, minutes) {
+	return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+/**
+ * Format a number of minutes into "HH:MM"
+ */
+export function formatMinutesToHHMM(minutes) {
+	const hours = Math.floor(minutes / 60);
+	const mins = minutes % 60;
+	return formatTime(hours, mins);
+}
+
+/**
+ * Convert a duration ("HH:MM" or a plain number of minutes) to minutes
+ * Returns NaN when the value cannot be understood
+ */
+export function durationToMinutes(duration) {
+	if (duration === null || duration === undefined || duration === '') {
+		return 0;
+	}
+
+	if (String(duration).includes(':')) {
+		const [hours, mins] = String(duration).split(':').map(Number);
+		return hours * 60 + (mins || 0);
+	}
+
+	return parseInt(duration, 10);
+}
+
+/**
+ * Add a duration ("HH:MM") to a start time ("HH:MM"), wrapping at midnight
+ */
+export function addDurationToTime(startTime, duration) {
+	const timeParts = parseTime(startTime);
+	const durationMinutes = durationToMinutes(duration) || 0;
+
+	const total = timeParts.hours * 60 + timeParts.minutes + durationMinutes;
+	return formatMinutesToHHMM(total % (24 * 60));
+}
+
+/**
+ * Recompute start times of every activity after `fromIndex` so each one
+ * starts when the previous one ends (legacy updateFollowingTimes)
+ */
+export function cascadeActivityTimes(activities, fromIndex = 0) {
+	const updated = activities.map(activity => ({ ...activity }));
+
+	for (let i = Math.max(fromIndex, 0); i < updated.length - 1; i++) {
+		if (!updated[i].time) {
+			continue;
+		}
+		updated[i + 1].time = addDurationToTime(updated[i].time, updated[i].duration);
+	}
+
+	return updated;
+}
+
+/**
+ * Move an activity to a new index, keep the meeting start time on the first
+ * row, reassign positions and cascade the start times
+ */
+export function moveActivity(activities, fromIndex, toIndex) {
+	if (fromIndex === toIndex || fromIndex < 0 || toIndex < 0 ||
+		fromIndex >= activities.length || toIndex >= activities.length) {
+		return activities;
+	}
+
+	const meetingStart = activities[0]?.time;
+	const reordered = [...activities];
+	const [moved] = reordered.splice(fromIndex, 1);
+	reordered.splice(toIndex, 0, { ...moved, isDefault: false });
+
+	const withPositions = reordered.map((activity, index) => ({
+		...activity,
+		position: index,
+		time: index === 0 && meetingStart ? meetingStart : activity.time
+	}));
+
+	return cascadeActivityTimes(withPositions, 0);
+}
+
+/**
+ * Reassign positions after rows were added or removed
+ */
+export function recalculatePositions(activities) {
+	return activities.map((activity, index) => ({ ...activity, position: index }));
+}
+
+/**
+ * Get the end time of a list of activities
+ */
+export function getScheduleEndTime(activities) {
+	const last = activities[activities.length - 1];
+	if (!last || !last.time) {
+		return null;
+	}
+	return addDurationToTime(last.time, last.duration);
+}
+
+/**
+ * Get the next meeting date ("YYYY-MM-DD") for the organization meeting day
+ * If today is the meeting day and it is after 8 PM, the following week is used
+ */
+export function getNextMeetingDate(meetingDay = 'Tuesday', today = new Date()) {
+	const meetingDayIndex = DAYS_OF_WEEK.indexOf(meetingDay) === -1 ? 2 : DAYS_OF_WEEK.indexOf(meetingDay);
+	let daysUntilNextMeeting = (meetingDayIndex - today.getDay() + 7) % 7;
+
+	if (daysUntilNextMeeting === 0 && today.getHours() >= 20) {
+		daysUntilNextMeeting = 7;
+	}
+
+	const nextMeeting = new Date(today);
+	nextMeeting.setDate(today.getDate() + daysUntilNextMeeting);
+
+	const year = nextMeeting.getFullYear();
+	const month = String(nextMeeting.getMonth() + 1).padStart(2, '0');
+	const day = String(nextMeeting.getDate()).padStart(2, '0');
+
+	return `${year}-${month}-${day}`;
+}
@@ -0,0 +1,142 @@
+// src/lib/meetingTemplates.js
+/**
+ * Meeting templates used to seed new meetings in the planner
+ * Templates are stored in the organization settings under MEETING_TEMPLATES_SETTING_KEY:
+ * { default_template_id, templates: [{ id, name, start_time, activities: [{ activity, type, duration }] }] }
+ */
+
+import { cascadeActivityTimes, recalculatePositions } from './meetingSchedule';
+
+export const MEETING_TEMPLATES_SETTING_KEY = 'meeting_templates';
+
+// Built-in templates offered until the organization saves its own
+export const DEFAULT_MEETING_TEMPLATES = [
+	{
+		id: 'regular',
+		name: 'Réunion régulière',
+		start_time: '18:45',
+		activities: [
+			{ duration: '00:10', activity: 'Accueil des louveteaux', type: 'Préparation' },
+			{ duration: '00:30', activity: 'Grand Jeu', type: 'Jeu' },
+			{ duration: '00:05', activity: "Trêve de l'eau", type: 'Pause' },
+			{ duration: '00:20', activity: 'Technique', type: 'Technique' },
+			{ duration: '00:20', activity: 'Discussion', type: 'Discussion' },
+			{ duration: '00:30', activity: 'Jeu court', type: 'Jeu' },
+			{ duration: '00:05', activity: 'Prière et départ', type: 'Conclusion' }
+		]
+	},
+	{
+		id: 'outdoor',
+		name: 'Réunion extérieure',
+		start_time: '18:45',
+		activities: [
+			{ duration: '00:10', activity: 'Accueil et consignes de sécurité', type: 'Préparation' },
+			{ duration: '00:45', activity: 'Grand Jeu extérieur', type: 'Jeu' },
+			{ duration: '00:10', activity: "Trêve de l'eau", type: 'Pause' },
+			{ duration: '00:30', activity: 'Technique de plein air', type: 'Technique' },
+			{ duration: '00:20', activity: 'Jeu court', type: 'Jeu' },
+			{ duration: '00:05', activity: 'Prière et départ', type: 'Conclusion' }
+		]
+	},
+	{
+		id: 'camp_day',
+		name: 'Journée de camp',
+		start_time: '08:00',
+		activities: [
+			{ duration: '00:45', activity: 'Lever et déjeuner', type: 'Préparation' },
+			{ duration: '00:15', activity: 'Cérémonie du matin', type: 'Cérémonie' },
+			{ duration: '01:30', activity: 'Grand Jeu', type: 'Jeu' },
+			{ duration: '01:00', activity: 'Dîner', type: 'Pause' },
+			{ duration: '01:30', activity: 'Atelier technique', type: 'Technique' },
+			{ duration: '00:30', activity: 'Collation', type: 'Pause' },
+			{ duration: '01:30', activity: 'Activité libre', type: 'Jeu' },
+			{ duration: '01:00', activity: 'Souper', type: 'Pause' },
+			{ duration: '01:30', activity: 'Feu de camp', type: 'Veillée' },
+			{ duration: '00:15', activity: 'Prière du soir', type: 'Conclusion' }
+		]
+	},
+	{
+		id: 'sixer_council',
+		name: 'Conseil des sizeniers',
+		start_time: '18:45',
+		activities: [
+			{ duration: '00:10', activity: 'Accueil des sizeniers', type: 'Préparation' },
+			{ duration: '00:20', activity: 'Retour sur les dernières réunions', type: 'Discussion' },
+			{ duration: '00:30', activity: 'Planification des prochaines activités', type: 'Discussion' },
+			{ duration: '00:15', activity: 'Points et honneurs', type: 'Discussion' },
+			{ duration: '00:05', activity: 'Prière et départ', type: 'Conclusion' }
+		]
+	}
+];
+
+/**
+ * Get the templates saved in the organization settings, or the built-in ones
+ */
+export function getMeetingTemplatesFromSettings(settings) {
+	const saved = settings?.[MEETING_TEMPLATES_SETTING_KEY];
+
+	if (saved && Array.isArray(saved.templates) && saved.templates.length > 0) {
+		return {
+			default_template_id: saved.default_template_id || saved.templates[0].id,
+			templates: saved.templates
+		};
+	}
+
+	return {
+		default_template_id: DEFAULT_MEETING_TEMPLATES[0].id,
+		templates: DEFAULT_MEETING_TEMPLATES
+	};
+}
+
+/**
+ * Find a template by ID, falling back to the default template
+ */
+export function findMeetingTemplate(templatesSetting, templateId = null) {
+	const { templates, default_template_id } = templatesSetting;
+	return templates.find(template => template.id === templateId)
+		|| templates.find(template => template.id === default_template_id)
+		|| templates[0]
+		|| null;
+}
+
+/**
+ * Build planner activity rows from a template, completed with matching catalog activities
+ */
+export function buildActivitiesFromTemplate(template, catalog = []) {
+	if (!template) {
+		return [];
+	}
+
+	const rows = (template.activities || []).map((templateActivity, index) => {
+		const matchingActivity = catalog.find(a => a.type === templateActivity.type) || {};
+		return {
+			...matchingActivity,
+			...templateActivity,
+			id: `default-${index}`,
+			time: index === 0 ? template.start_time : '',
+			responsable: templateActivity.responsable || '',
+			materiel: templateActivity.materiel || '',
+			isDefault: true
+		};
+	});
+
+	return cascadeActivityTimes(recalculatePositions(rows), 0);
+}
+
+/**
+ * Build a template from planner activity rows
+ */
+export function createTemplateFromActivities(name, activities) {
+	return {
+		id: `template_${Date.now()}`,
+		name,
+		start_time: activities[0]?.time || '18:45',
+		activities: activities.map(({ activity, type, duration, responsable, materiel }) => ({
+			activity: activity || '',
+			type: type || '',
+			duration: duration || '00:00',
+			responsable: responsable || '',
+			materiel: materiel || ''
+		}))
+	};
+}
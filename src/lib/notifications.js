@@ -0,0 +1,110 @@
+// src/lib/notifications.js
+/**
+ * Push notifications sent from the admin panel
+ *
+ * A notification is written in French and/or English, each subscriber receives it in their language
+ * (or the other one when theirs is missing). It targets hand-picked subscribers, roles, groups or the
+ * roster of an event, the server resolving the subscribers of a group or event from the guardians of
+ * its participants. It is sent right away or scheduled, and saved templates prefill its text.
+ */
+
+export const NOTIFICATION_LANGUAGES = ['fr', 'en'];
+
+export const NOTIFICATION_TARGETS = ['subscribers', 'roles', 'groups', 'event'];
+
+export const NOTIFICATION_ROLES = ['parent', 'animation', 'admin'];
+
+export const NOTIFICATION_STATUS = {
+	SCHEDULED: 'scheduled',
+	SENT: 'sent',
+	CANCELLED: 'cancelled',
+	FAILED: 'failed'
+};
+
+// Placeholders a template can use, filled in when the notification is sent
+export const NOTIFICATION_PLACEHOLDERS = ['organization', 'meeting_date'];
+
+const emptyTranslations = () => Object.fromEntries(NOTIFICATION_LANGUAGES.map(language => [
+	language,
+	{ title: '', body: '' }
+]));
+
+export const createNotificationForm = () => ({
+	translations: emptyTranslations(),
+	target: 'subscribers',
+	subscriberIds: [],
+	roles: [],
+	groupIds: [],
+	eventId: '',
+	sendAt: ''
+});
+
+/**
+ * Languages with both a title and a body, trimmed
+ */
+export function getFilledTranslations(translations) {
+	return Object.fromEntries(NOTIFICATION_LANGUAGES
+		.map(language => [language, {
+			title: (translations[language]?.title || '').trim(),
+			body: (translations[language]?.body || '').trim()
+		}])
+		.filter(([, text]) => text.title && text.body));
+}
+
+/**
+ * Recipients of the notification as sent to the server, or null when none is selected
+ */
+export function buildNotificationTarget(form) {
+	switch (form.target) {
+		case 'roles':
+			return form.roles.length > 0 ? { type: 'roles', roles: form.roles } : null;
+		case 'groups':
+			return form.groupIds.length > 0 ? { type: 'groups', group_ids: form.groupIds } : null;
+		case 'event':
+			return form.eventId ? { type: 'event', event_id: form.eventId } : null;
+		default:
+			return form.subscriberIds.length > 0 ? { type: 'subscribers', subscriber_ids: form.subscriberIds } : null;
+	}
+}
+
+export const fillPlaceholders = (text, values) => text.replace(/\{\{(\w+)\}\}/g, (placeholder, name) => (
+	values[name] !== undefined && values[name] !== null ? values[name] : placeholder
+));
+
+/**
+ * Next meeting date ("YYYY-MM-DD") on or after a day, or null
+ */
+export function getNextMeetingDate(meetingDates, day) {
+	return [...meetingDates].sort().find(date => date >= day) || null;
+}
+
+/**
+ * Send time ("YYYY-MM-DDTHH:MM", local) of a reminder the day before the next meeting
+ * Returns null when no upcoming meeting leaves time for it
+ */
+export function getDayBeforeReminderTime(meetingDates, time = '18:00', now = new Date()) {
+	const today = now.toLocaleDateString('en-CA');
+	const currentTime = now.toTimeString().slice(0, 5);
+
+	for (const date of [...meetingDates].sort()) {
+		const dayBefore = new Date(`${date}T00:00:00`);
+		dayBefore.setDate(dayBefore.getDate() - 1);
+		const reminderDay = dayBefore.toLocaleDateString('en-CA');
+
+		if (reminderDay > today || (reminderDay === today && time > currentTime)) {
+			return `${reminderDay}T${time}`;
+		}
+	}
+
+	return null;
+}
+
+/**
+ * Delivery counts of a sent notification from its recipients
+ */
+export function summarizeDeliveries(recipients = []) {
+	return recipients.reduce((summary, recipient) => {
+		const key = recipient.status === 'delivered' || recipient.status === 'failed' ? recipient.status : 'pending';
+		return { ...summary, [key]: summary[key] + 1 };
+	}, { delivered: 0, failed: 0, pending: 0 });
+}
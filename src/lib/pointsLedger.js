@@ -0,0 +1,94 @@
+// src/lib/pointsLedger.js
+/**
+ * Points ledger
+ *
+ * Every point change is kept as a ledger entry for one participant, with a category, a reason, the
+ * meeting it was given at and its author. The entries given with one tap share a batch_id, so the
+ * points given to a whole group are listed and reversed together. A reversal adds opposite entries
+ * pointing to the batch they cancel (reverses_batch_id); entries are never edited nor deleted.
+ * Entries recorded without a batch stand alone, as batch entry_<id>.
+ */
+
+export const POINT_CATEGORIES = ['participation', 'game', 'behaviour', 'uniform', 'inspection', 'other'];
+
+export const DEFAULT_POINT_CATEGORY = 'participation';
+
+export function createBatchId() {
+	return `batch_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Ledger entries of one tap, for a participant or for every participant of a group
+ */
+export function buildLedgerEntries(participantIds, points, { category, reason, meetingDate, groupId = null }) {
+	const batchId = createBatchId();
+	return participantIds.map(participantId => ({
+		participant_id: participantId,
+		points_change: points,
+		category,
+		reason,
+		meeting_date: meetingDate,
+		group_id: groupId,
+		batch_id: batchId
+	}));
+}
+
+/**
+ * Point change of each participant of a list of entries, by participant id
+ */
+export function getPointsByParticipant(entries, sign = 1) {
+	return entries.reduce((totals, entry) => {
+		const id = String(entry.participant_id);
+		totals[id] = (totals[id] || 0) + sign * (parseInt(entry.points_change ?? entry.points, 10) || 0);
+		return totals;
+	}, {});
+}
+
+/**
+ * Ledger entries grouped by batch, most recent first
+ * A reversal may cancel a batch for some of its participants only, so each batch keeps the
+ * participants still to reverse; reversals themselves are not reversed
+ */
+export function groupLedgerBatches(entries) {
+	const batches = new Map();
+	const reversedParticipants = {};
+
+	entries.forEach(entry => {
+		const batchId = entry.batch_id || `entry_${entry.id}`;
+		if (!batches.has(batchId)) {
+			batches.set(batchId, {
+				batch_id: batchId,
+				points: parseInt(entry.points_change ?? entry.points, 10) || 0,
+				category: entry.category || 'other',
+				reason: entry.reason || '',
+				meeting_date: entry.meeting_date,
+				author_name: entry.author_name,
+				created_at: entry.created_at,
+				group_id: entry.group_id,
+				reverses_batch_id: entry.reverses_batch_id || null,
+				participantIds: []
+			});
+		}
+		batches.get(batchId).participantIds.push(entry.participant_id);
+
+		if (entry.reverses_batch_id) {
+			reversedParticipants[entry.reverses_batch_id] = reversedParticipants[entry.reverses_batch_id] || new Set();
+			reversedParticipants[entry.reverses_batch_id].add(String(entry.participant_id));
+		}
+	});
+
+	return [...batches.values()]
+		.map(batch => {
+			const reversed = reversedParticipants[batch.batch_id] || new Set();
+			const remainingIds = batch.participantIds.filter(id => !reversed.has(String(id)));
+			return {
+				...batch,
+				total: batch.points * batch.participantIds.length,
+				remainingIds,
+				reversed: remainingIds.length === 0
+			};
+		})
+		.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+}
+
+export const canReverseBatch = batch => !batch.reversed && !batch.reverses_batch_id;
@@ -0,0 +1,245 @@
+// src/lib/queryCache.js
+/**
+ * Stale-while-revalidate cache for API reads, keyed by endpoint and params
+ * A read returns the cached response right away and refreshes it in the background once
+ * it is older than its staleTime. Invalidated queries are refetched before being used again,
+ * and subscribed screens are refreshed as soon as a write invalidates what they show.
+ * Responses are kept in IndexedDB long after going stale so they are still available offline
+ */
+import indexedDBService from './indexedDBService';
+import { debugLog } from '../api/apiService';
+
+const QUERY_CACHE_PREFIX = 'query:';
+const DEFAULT_STALE_TIME = 5 * 60 * 1000;
+const DEFAULT_CACHE_TIME = 7 * 24 * 60 * 60 * 1000;
+
+// Queries used during this session, by key
+const queries = new Map();
+
+// Params are sorted so { a, b } and { b, a } share a cache entry
+function serializeParams(params) {
+	if (!params) return '';
+
+	const entries = Object.entries(params)
+		.filter(([, value]) => value !== undefined && value !== null)
+		.sort(([a], [b]) => a.localeCompare(b));
+
+	return entries.length > 0 ? JSON.stringify(Object.fromEntries(entries)) : '';
+}
+
+export function getQueryKey(endpoint, params = null) {
+	const serializedParams = serializeParams(params);
+	return `${QUERY_CACHE_PREFIX}${endpoint}${serializedParams ? `?${serializedParams}` : ''}`;
+}
+
+function getQuery(endpoint, params) {
+	const key = getQueryKey(endpoint, params);
+
+	if (!queries.has(key)) {
+		queries.set(key, {
+			key,
+			endpoint,
+			fetcher: null,
+			staleTime: DEFAULT_STALE_TIME,
+			cacheTime: DEFAULT_CACHE_TIME,
+			isValid: response => Boolean(response) && response.success !== false,
+			data: undefined,
+			updatedAt: 0,
+			invalidated: false,
+			// Bumped on invalidation so a response requested before it is not taken as fresh
+			version: 0,
+			loaded: false,
+			promise: null,
+			error: null,
+			listeners: new Set()
+		});
+	}
+
+	return queries.get(key);
+}
+
+function getSnapshot(query) {
+	return {
+		data: query.data,
+		updatedAt: query.updatedAt,
+		isFetching: Boolean(query.promise),
+		error: query.error
+	};
+}
+
+function notify(query) {
+	const snapshot = getSnapshot(query);
+	query.listeners.forEach(listener => {
+		try {
+			listener(snapshot);
+		} catch (error) {
+			console.error('Error in query listener:', error);
+		}
+	});
+}
+
+// Read the response persisted by a previous session, once
+async function loadQuery(query) {
+	if (query.loaded) return;
+	query.loaded = true;
+
+	const record = await indexedDBService.getCachedRecord(query.key);
+	if (record && query.data === undefined) {
+		query.data = record.data;
+		query.updatedAt = record.timestamp;
+		// Invalidated entries are persisted with a timestamp of 0
+		query.invalidated = record.timestamp === 0;
+		notify(query);
+	}
+}
+
+function revalidate(query) {
+	if (query.promise) return query.promise;
+
+	const version = query.version;
+
+	query.promise = (async () => {
+		try {
+			const response = await query.fetcher();
+
+			if (!query.isValid(response)) {
+				throw new Error(response?.message || `Failed to fetch ${query.endpoint}`);
+			}
+
+			query.data = response;
+			query.updatedAt = Date.now();
+			query.invalidated = version !== query.version;
+			query.error = null;
+			await indexedDBService.setCachedData(query.key, response, query.cacheTime);
+			return response;
+		} catch (error) {
+			query.error = error;
+			throw error;
+		} finally {
+			query.promise = null;
+			notify(query);
+
+			// Invalidated while the request was in flight: the screen showing it needs newer data
+			if (query.invalidated && !query.error && query.listeners.size > 0) {
+				revalidate(query).catch(error => {
+					debugLog(`Refresh of invalidated ${query.key} failed:`, error.message);
+				});
+			}
+		}
+	})();
+
+	notify(query);
+	return query.promise;
+}
+
+/**
+ * Get the response of a GET request through the cache
+ * fetcher performs the request; options are staleTime, cacheTime, isValid(response)
+ * and force, to refetch even if the cached response is still fresh
+ */
+export async function fetchQuery(endpoint, params, fetcher, options = {}) {
+	const query = getQuery(endpoint, params);
+	query.fetcher = fetcher;
+	if (options.staleTime !== undefined) query.staleTime = options.staleTime;
+	if (options.cacheTime !== undefined) query.cacheTime = options.cacheTime;
+	if (options.isValid) query.isValid = options.isValid;
+
+	await loadQuery(query);
+
+	if (query.data !== undefined && !query.invalidated && !options.force) {
+		if (Date.now() - query.updatedAt > query.staleTime) {
+			revalidate(query).catch(error => {
+				debugLog(`Background refresh of ${query.key} failed:`, error.message);
+			});
+		}
+		return query.data;
+	}
+
+	try {
+		return await revalidate(query);
+	} catch (error) {
+		// Offline, an invalidated response is still better than nothing
+		if (error.isOffline && query.data !== undefined) {
+			return query.data;
+		}
+		throw error;
+	}
+}
+
+/**
+ * Subscribe to a query's data, returns an unsubscribe function
+ * The listener receives { data, updatedAt, isFetching, error }
+ */
+export function subscribeToQuery(endpoint, params, listener) {
+	const query = getQuery(endpoint, params);
+	query.listeners.add(listener);
+	return () => query.listeners.delete(listener);
+}
+
+export function getQuerySnapshot(endpoint, params = null) {
+	return getSnapshot(getQuery(endpoint, params));
+}
+
+// Cached response of a query, stale or not, without any request
+export async function getQueryData(endpoint, params = null) {
+	const query = getQuery(endpoint, params);
+	await loadQuery(query);
+	return query.data;
+}
+
+/**
+ * Change a cached response without a request, e.g. to list an entity created offline
+ * updater receives the cached response and returns the new one; nothing happens if none is cached
+ */
+export async function updateQueryData(endpoint, params, updater) {
+	const query = getQuery(endpoint, params);
+	await loadQuery(query);
+
+	if (query.data === undefined) return false;
+
+	query.data = updater(query.data);
+	await indexedDBService.updateCachedData(query.key, query.data);
+	notify(query);
+	return true;
+}
+
+/**
+ * Cache a response without a request, e.g. for an entity created offline that was never read
+ */
+export async function setQueryData(endpoint, params, data) {
+	const query = getQuery(endpoint, params);
+	await loadQuery(query);
+
+	query.data = data;
+	query.updatedAt = Date.now();
+	query.invalidated = false;
+	await indexedDBService.setCachedData(query.key, data, query.cacheTime);
+	notify(query);
+}
+
+/**
+ * Mark every cached query of the given endpoints as stale, whatever its params
+ * Queries a screen is subscribed to are refetched right away, others on their next read
+ */
+export async function invalidateQueries(endpoints) {
+	const matches = key => endpoints.some(endpoint => {
+		const prefix = `${QUERY_CACHE_PREFIX}${endpoint}`;
+		return key === prefix || key.startsWith(`${prefix}?`);
+	});
+
+	queries.forEach(query => {
+		if (!matches(query.key)) return;
+
+		query.invalidated = true;
+		query.version++;
+
+		if (query.listeners.size > 0 && query.fetcher) {
+			revalidate(query).catch(error => {
+				debugLog(`Refresh of invalidated ${query.key} failed:`, error.message);
+			});
+		}
+	});
+
+	// Also covers responses persisted by a previous session and not read yet
+	await indexedDBService.markCachedDataStale(matches);
+}
@@ -0,0 +1,285 @@
+// src/lib/reportExport.js
+/**
+ * Report export
+ *
+ * Each report response is turned into a table of { columns: [{ key, label }], rows } by the
+ * builder of its report, or from the keys of its rows for a report without one. The table is
+ * then written entirely in the browser as CSV, XLSX or a paginated PDF with the organization name
+ * and the report title at the top of each page.
+ */
+
+import { getReportRows } from './emergencySheets';
+import { isCheckedValue } from './formRules';
+import { parseJsonList } from './jsonFields';
+
+export const EXPORT_FORMATS = ['csv', 'xlsx', 'pdf'];
+
+// Keys of a row that are identifiers rather than information to export
+const HIDDEN_KEYS = ['id', 'participant_id', 'group_id', 'organization_id', 'user_id'];
+
+const yesNo = (value, t) => (isCheckedValue(value) ? t('yes') : t('no'));
+
+const column = (key, label) => ({ key, label });
+
+const getName = row => row.name || `${row.first_name || ''} ${row.last_name || ''}`.trim();
+
+// Attendance statuses as the letters of the paper attendance sheet
+const ATTENDANCE_CODES = {
+	present: 'P',
+	absent: 'A',
+	'non-motivated': 'A',
+	excused: 'M',
+	motivated: 'M',
+	late: 'R'
+};
+
+/**
+ * Text of a value for a cell, numbers are kept as numbers for spreadsheets
+ */
+export function formatCell(value, t) {
+	if (value === null || value === undefined) return '';
+	if (typeof value === 'number') return value;
+	if (typeof value === 'boolean') return yesNo(value, t);
+	if (Array.isArray(value)) return value.map(item => formatCell(item, t)).join(', ');
+	if (typeof value === 'object') return Object.values(value).map(item => formatCell(item, t)).join(', ');
+	return String(value);
+}
+
+const fromRows = (rows, columns) => ({ columns, rows });
+
+// Participant reports give their rows as participants
+const getRows = response => (Array.isArray(response?.participants) ? response.participants : getReportRows(response));
+
+/**
+ * Table of any report, with a column per key of its rows
+ */
+function buildGenericTable(response, t) {
+	const rows = getRows(response);
+	const keys = [...new Set(rows.flatMap(row => Object.keys(row)))].filter(key => !HIDDEN_KEYS.includes(key));
+
+	return fromRows(
+		rows.map(row => Object.fromEntries(keys.map(key => [key, formatCell(row[key], t)]))),
+		keys.map(key => column(key, t(key)))
+	);
+}
+
+/**
+ * Attendance of each participant with a column per meeting date, dates outside the period are left out
+ */
+function buildAttendanceTable(response, t, { startDate, endDate } = {}) {
+	const report = response?.report ?? response;
+	const items = Array.isArray(report) ? report : report?.attendance_data || [];
+
+	const records = items.map(item => parseJsonList(item.attendance)
+		.filter(record => record.date)
+		.map(record => ({ ...record, date: record.date.slice(0, 10) }))
+		.filter(record => (!startDate || record.date >= startDate) && (!endDate || record.date <= endDate)));
+	const dates = [...new Set(records.flat().map(record => record.date))].sort();
+
+	return fromRows(
+		items.map((item, index) => {
+			const statuses = Object.fromEntries(records[index].map(record => [record.date, ATTENDANCE_CODES[record.status] || '']));
+			return {
+				name: getName(item),
+				group_name: item.group_name || t('no_group'),
+				...Object.fromEntries(dates.map(date => [date, statuses[date] || '']))
+			};
+		}),
+		[column('name', t('name')), column('group_name', t('group')), ...dates.map(date => column(date, date))]
+	);
+}
+
+/**
+ * Points of each participant, the report gives the participants by group name
+ */
+function buildPointsTable(response, t) {
+	const report = response?.report ?? response?.data ?? {};
+
+	return fromRows(
+		Object.entries(report).flatMap(([groupName, participants]) => (participants || []).map(participant => ({
+			name: participant.name,
+			group_name: groupName,
+			points: Number(participant.points) || 0
+		}))),
+		[column('name', t('name')), column('group_name', t('group')), column('points', t('points'))]
+	);
+}
+
+/**
+ * Table of a report with the columns of the printed report and a value per column
+ */
+const namedTable = (...columns) => (response, t) => fromRows(
+	getReportRows(response).map(row => ({
+		name: getName(row),
+		group_name: row.group_name || t('no_group'),
+		...Object.fromEntries(columns.map(([key, , format]) => [key, format ? format(row[key], t, row) : formatCell(row[key], t)]))
+	})),
+	[
+		column('name', t('name')),
+		column('group_name', t('group')),
+		...columns.map(([key, labelKey]) => column(key, t(labelKey)))
+	]
+);
+
+const REPORT_TABLE_BUILDERS = {
+	attendance: buildAttendanceTable,
+	points: buildPointsTable,
+	allergies: namedTable(['allergies', 'allergies'], ['epipen', 'epipen', yesNo]),
+	medication: namedTable(['medication', 'medication']),
+	vaccines: namedTable(['vaccines_up_to_date', 'vaccines_up_to_date', yesNo]),
+	leave_alone: namedTable(['can_leave_alone', 'can_leave_alone', yesNo]),
+	media_authorization: namedTable(['media_authorized', 'media_authorized', yesNo]),
+	missing_documents: namedTable(['missing_documents', 'missing_documents']),
+	honors: namedTable(['honors_count', 'honors_count', value => Number(value) || 0]),
+	participant_age: (response, t) => {
+		return fromRows(
+			getRows(response).map(row => ({
+				name: getName(row),
+				date_naissance: row.date_naissance ? String(row.date_naissance).slice(0, 10) : t('unknown'),
+				age: row.age ?? t('unknown')
+			})),
+			[column('name', t('name')), column('date_naissance', t('date_naissance_label')), column('age', t('age'))]
+		);
+	}
+};
+
+/**
+ * Table of a report response, params holds the period of reports filtered by date
+ */
+export function buildReportTable(reportId, response, t, params = {}) {
+	const builder = REPORT_TABLE_BUILDERS[reportId] || buildGenericTable;
+	return builder(response, t, params);
+}
+
+/**
+ * Keep the selected columns of a table, in the order of the table
+ */
+export function selectColumns(table, columnKeys) {
+	return { ...table, columns: table.columns.filter(item => columnKeys.includes(item.key)) };
+}
+
+const getFileName = (title, extension) => {
+	const slug = String(title)
+		.normalize('NFD')
+		.replace(/[\u0300-\u036f]/g, '')
+		.replace(/[^a-zA-Z0-9]+/g, '_')
+		.replace(/^_|_$/g, '')
+		.toLowerCase();
+	return `${slug || 'report'}_${new Date().toLocaleDateString('en-CA')}.${extension}`;
+};
+
+export function downloadBlob(blob, fileName) {
+	const url = URL.createObjectURL(blob);
+	const link = document.createElement('a');
+	link.href = url;
+	link.download = fileName;
+	document.body.appendChild(link);
+	link.click();
+	link.remove();
+	URL.revokeObjectURL(url);
+}
+
+// Lines above the table: organization, title, period and generation date
+const getHeaderLines = ({ organizationName, title, period, generatedOn }) => (
+	[organizationName, title, period, generatedOn].filter(Boolean)
+);
+
+// Text starting with one of these runs as a formula when the file is opened in a spreadsheet,
+// a leading quote keeps it as text (answers typed by parents end up in the cells)
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const neutralizeFormula = value => (typeof value === 'string' && FORMULA_START.test(value) ? `'${value}` : value);
+
+const escapeCsv = (value) => {
+	const text = String(neutralizeFormula(value) ?? '');
+	return /[",\n\r;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+function exportCsv(table, header) {
+	const lines = [
+		...getHeaderLines(header).map(line => escapeCsv(line)),
+		'',
+		table.columns.map(item => escapeCsv(item.label)).join(','),
+		...table.rows.map(row => table.columns.map(item => escapeCsv(row[item.key])).join(','))
+	];
+
+	// The byte order mark lets spreadsheets open accented names as UTF-8
+	downloadBlob(new Blob([`\uFEFF${lines.join('\r\n')}`], { type: 'text/csv;charset=utf-8' }), getFileName(header.title, 'csv'));
+}
+
+// Numbers stay numbers, anything else is a text cell so it is never read as a formula
+const toSheetCell = value => (typeof value === 'number' ? value : { t: 's', v: String(value ?? '') });
+
+async function exportXlsx(table, header) {
+	const XLSX = await import('xlsx');
+
+	const headerLines = getHeaderLines(header);
+	const sheet = XLSX.utils.aoa_to_sheet([
+		...headerLines.map(line => [toSheetCell(line)]),
+		[],
+		table.columns.map(item => toSheetCell(item.label)),
+		...table.rows.map(row => table.columns.map(item => toSheetCell(row[item.key])))
+	]);
+	sheet['!cols'] = table.columns.map(item => ({
+		wch: Math.min(50, Math.max(10, String(item.label).length, ...table.rows.map(row => String(row[item.key] ?? '').length)))
+	}));
+
+	const workbook = XLSX.utils.book_new();
+	// Sheet names are limited to 31 characters without some punctuation
+	XLSX.utils.book_append_sheet(workbook, sheet, String(header.title).replace(/[\\/?*[\]:]/g, ' ').slice(0, 31));
+	XLSX.writeFile(workbook, getFileName(header.title, 'xlsx'));
+}
+
+async function exportPdf(table, header, t) {
+	const [{ jsPDF }, { autoTable }] = await Promise.all([import('jspdf'), import('jspdf-autotable')]);
+
+	const doc = new jsPDF({ orientation: table.columns.length > 6 ? 'landscape' : 'portrait', unit: 'pt', format: 'letter' });
+	const margin = 40;
+	const headerLines = getHeaderLines(header);
+	const headerHeight = 20 + headerLines.length * 14;
+
+	autoTable(doc, {
+		head: [table.columns.map(item => item.label)],
+		body: table.rows.map(row => table.columns.map(item => String(row[item.key] ?? ''))),
+		startY: margin + headerHeight,
+		margin: { top: margin + headerHeight, left: margin, right: margin, bottom: margin },
+		styles: { fontSize: 9, cellPadding: 4 },
+		headStyles: { fillColor: [76, 101, 174] },
+		didDrawPage: () => {
+			headerLines.forEach((line, index) => {
+				doc.setFontSize(line === header.title ? 14 : 10);
+				doc.text(line, margin, margin + index * 14);
+			});
+		}
+	});
+
+	const pageCount = doc.getNumberOfPages();
+	for (let page = 1; page <= pageCount; page++) {
+		doc.setPage(page);
+		doc.setFontSize(8);
+		doc.text(
+			t('page_of', { page, total: pageCount }),
+			doc.internal.pageSize.getWidth() - margin,
+			doc.internal.pageSize.getHeight() - margin / 2,
+			{ align: 'right' }
+		);
+	}
+
+	doc.save(getFileName(header.title, 'pdf'));
+}
+
+/**
+ * Download a table in a format of EXPORT_FORMATS
+ * header holds the organizationName, title and period written above the table
+ */
+export async function exportTable(table, format, header, t) {
+	const fullHeader = {
+		...header,
+		generatedOn: t('generated_on', { date: new Date().toLocaleString(t('locale')) })
+	};
+
+	if (format === 'csv') return exportCsv(table, fullHeader);
+	if (format === 'xlsx') return exportXlsx(table, fullHeader);
+	if (format === 'pdf') return exportPdf(table, fullHeader, t);
+	throw new Error(`Unknown export format: ${format}`);
+}
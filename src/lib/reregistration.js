@@ -0,0 +1,74 @@
+// src/lib/reregistration.js
+/**
+ * Annual re-registration campaigns
+ *
+ * When an admin launches a campaign, last season's answers to each section (fiche santé, risk acceptance
+ * and the organization forms) are copied as drafts for every participant. Parents confirm each draft
+ * as is or edit it, and a family is done once every section of each of its participants is.
+ * Section statuses: draft (copied, waiting for the parent), missing (nothing to copy, to be filled),
+ * confirmed (kept as is) and updated (edited before confirming).
+ */
+
+export const SECTION_STATUS = {
+	DRAFT: 'draft',
+	MISSING: 'missing',
+	CONFIRMED: 'confirmed',
+	UPDATED: 'updated'
+};
+
+export const RISK_ACCEPTANCE_SECTION = 'acceptation_risque';
+
+// Forms filled once at registration rather than every season
+const EXCLUDED_FORM_TYPES = ['participant_registration', 'parent_guardian'];
+
+export const isSectionDone = status => status === SECTION_STATUS.CONFIRMED || status === SECTION_STATUS.UPDATED;
+
+export const SECTION_STATUS_ICONS = {
+	[SECTION_STATUS.DRAFT]: '📝',
+	[SECTION_STATUS.MISSING]: '❌',
+	[SECTION_STATUS.CONFIRMED]: '✅',
+	[SECTION_STATUS.UPDATED]: '✅'
+};
+
+/**
+ * Sections an admin can include in a campaign: the organization forms and the risk acceptance
+ */
+export function getCampaignSectionChoices(formFormats) {
+	return [
+		...Object.keys(formFormats || {}).filter(formType => !EXCLUDED_FORM_TYPES.includes(formType)),
+		RISK_ACCEPTANCE_SECTION
+	];
+}
+
+export const getSectionLabelKey = section => (section === RISK_ACCEPTANCE_SECTION ? 'formulaire_acceptation_risque' : section);
+
+/**
+ * Page where a parent reviews a section of a participant for a campaign
+ */
+export function getSectionPath(section, participantId, campaignId) {
+	const path = section === RISK_ACCEPTANCE_SECTION
+		? `/acceptation-risque/${participantId}`
+		: `/dynamic-form/${section}/${participantId}`;
+	return `${path}?campaign=${campaignId}`;
+}
+
+/**
+ * Sections done out of the sections of every participant of a family
+ */
+export function getFamilyProgress(family) {
+	const statuses = (family.participants || []).flatMap(participant => Object.values(participant.sections || {}));
+	return {
+		done: statuses.filter(isSectionDone).length,
+		total: statuses.length
+	};
+}
+
+export function isFamilyComplete(family) {
+	const { done, total } = getFamilyProgress(family);
+	return total > 0 && done === total;
+}
+
+/**
+ * Deadline of a campaign as a local date, so YYYY-MM-DD is not shifted by the UTC offset
+ */
+export const getCampaignDeadline = campaign => new Date(`${String(campaign.deadline).slice(0, 10)}T00:00:00`);
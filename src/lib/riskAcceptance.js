@@ -0,0 +1,117 @@
+// src/lib/riskAcceptance.js
+/**
+ * Risk acceptance consent and its versions
+ *
+ * The consent is a list of sections with paragraphs, risks and statements to check, followed by the
+ * attestation of the signer. Texts are translation keys, or { fr, en } for the wording an organization
+ * stores in its settings under RISK_ACCEPTANCE_SETTING_KEY to replace the default one.
+ *
+ * Each signature keeps a snapshot of the exact text shown, in the language it was read in, with its
+ * SHA-256 hash. The version of the consent is the hash of its text in every language, so any change
+ * of wording gives a new version and the consents given for an earlier one must be signed again.
+ */
+
+export const RISK_ACCEPTANCE_SETTING_KEY = 'risk_acceptance_consent';
+
+export const CONSENT_LANGUAGES = ['fr', 'en'];
+
+export const DEFAULT_RISK_ACCEPTANCE = {
+	sections: [
+		{
+			title: 'risques_inherents',
+			paragraphs: ['paragraphe_acceptation_risque'],
+			items: [
+				'risque_blessures_chutes',
+				'risque_blessures_objets',
+				'risque_blessures_contact',
+				'risque_hypothermie',
+				'risque_brulures',
+				'risque_allergies',
+				'risque_animaux_plantes',
+				'risque_vol_perte_objets',
+				'risque_defaillance_equipements',
+				'risque_comportements_negligents',
+				'risque_deces'
+			],
+			statements: [
+				{ name: 'accepte_risques', text: 'jaccepte_risques_activites' }
+			]
+		},
+		{
+			title: 'covid19_et_autres_maladies',
+			paragraphs: ['texte_covid19'],
+			items: [],
+			statements: [
+				{ name: 'participation_volontaire', text: 'participation_volontaire' },
+				{ name: 'declaration_sante', text: 'declaration_sante' },
+				{ name: 'declaration_voyage', text: 'declaration_voyage' },
+				{ name: 'accepte_covid19', text: 'jaccepte_risques_covid19' }
+			]
+		}
+	],
+	attestation: 'parent_tuteur_confirmation'
+};
+
+export function getRiskAcceptanceConsent(settings) {
+	const consent = settings?.[RISK_ACCEPTANCE_SETTING_KEY];
+	return consent?.sections?.length ? consent : DEFAULT_RISK_ACCEPTANCE;
+}
+
+/**
+ * Names of the statements the signer must check
+ */
+export const getConsentStatements = consent => consent.sections.flatMap(section => section.statements || []);
+
+/**
+ * Text of a translation key or of a { fr, en } wording in the given language
+ */
+export function resolveConsentText(text, t, language) {
+	if (text && typeof text === 'object') {
+		return text[language] || text.fr || text.en || '';
+	}
+	return t(text, { lng: language });
+}
+
+/**
+ * Plain text of the consent as read by the signer
+ */
+export function buildConsentSnapshot(consent, t, language) {
+	const text = value => resolveConsentText(value, t, language);
+	const lines = [];
+
+	consent.sections.forEach(section => {
+		lines.push(text(section.title), '');
+		(section.paragraphs || []).forEach(paragraph => lines.push(text(paragraph), ''));
+		(section.items || []).forEach(item => lines.push(`- ${text(item)}`));
+		if (section.items?.length) lines.push('');
+		(section.statements || []).forEach(statement => lines.push(`[x] ${text(statement.text)}`));
+		lines.push('');
+	});
+	lines.push(text(consent.attestation));
+
+	return lines.join('\n');
+}
+
+export async function hashText(text) {
+	const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+	return Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Version of the consent: the hash of its wording in every language
+ * Translations are loaded on demand, so the languages not shown yet are loaded first
+ */
+export async function getConsentVersion(consent, i18n) {
+	await i18n.loadLanguages(CONSENT_LANGUAGES);
+	const t = i18n.t.bind(i18n);
+	const snapshots = CONSENT_LANGUAGES.map(language => buildConsentSnapshot(consent, t, language));
+	return hashText(snapshots.join('\n\n'));
+}
+
+/**
+ * Whether a participant's risk acceptance must be signed, or signed again for the current wording
+ * Acceptances recorded before signatures have no version and are signed again too
+ */
+export function needsConsent(acceptance, currentVersion) {
+	return !acceptance || !acceptance.signature || acceptance.consent_version !== currentVersion;
+}
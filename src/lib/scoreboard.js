@@ -0,0 +1,36 @@
+// src/lib/scoreboard.js
+/**
+ * Group standings shown on the scoreboard
+ * The points report lists the participants of each group with their points, keyed by group name
+ */
+
+/**
+ * Groups sorted by total points, groups with the same total share their rank
+ */
+export function getGroupStandings(report) {
+	const groups = Object.entries(report || {}).map(([name, participants]) => ({
+		name,
+		total: (participants || []).reduce((sum, participant) => sum + (parseInt(participant.points, 10) || 0), 0),
+		participantCount: (participants || []).length
+	}));
+
+	groups.sort((a, b) => b.total - a.total || a.name.localeCompare(b.name));
+
+	// Groups with the same total take the rank of the first of them
+	let rank = 0;
+	return groups.map((group, index) => {
+		if (index === 0 || groups[index - 1].total !== group.total) rank = index + 1;
+		return { ...group, rank };
+	});
+}
+
+/**
+ * Points won or lost by each group since the previous standings, only for the groups that changed
+ */
+export function getStandingChanges(previous, next) {
+	const previousTotals = Object.fromEntries((previous || []).map(group => [group.name, group.total]));
+
+	return Object.fromEntries(next
+		.filter(group => group.name in previousTotals && previousTotals[group.name] !== group.total)
+		.map(group => [group.name, group.total - previousTotals[group.name]]));
+}
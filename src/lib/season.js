@@ -0,0 +1,30 @@
+// src/lib/season.js
+/**
+ * Scout seasons, from September 1 to August 31, named after their two years (e.g. 2026-2027)
+ */
+
+// Month the seasons start on the first of, 9 for September
+const SEASON_START_MONTH = 9;
+
+const toDate = date => (date instanceof Date ? date : new Date(`${String(date).slice(0, 10)}T00:00:00`));
+
+// First year of the season of a date
+const getSeasonYear = (date) => {
+	const day = toDate(date);
+	return day.getMonth() + 1 >= SEASON_START_MONTH ? day.getFullYear() : day.getFullYear() - 1;
+};
+
+/**
+ * First day of the season of a date, as YYYY-MM-DD
+ */
+export function getSeasonStart(date = new Date()) {
+	return `${getSeasonYear(date)}-${String(SEASON_START_MONTH).padStart(2, '0')}-01`;
+}
+
+/**
+ * Name of the season after the one of a date, e.g. 2027-2028 during 2026-2027, the one families re-register for
+ */
+export function getUpcomingSeason(date = new Date()) {
+	const year = getSeasonYear(date) + 1;
+	return `${year}-${year + 1}`;
+}
@@ -0,0 +1,59 @@
+// src/lib/tempIds.js
+/**
+ * Temporary ids of entities created offline (temp_1700000000000, temp_group_1700000000000)
+ * Once the creation is replayed, the server id replaces the temporary one in queued
+ * mutations, cached data and any request still made with it
+ */
+
+const TEMP_ID_PREFIX = 'temp_';
+
+// Server ids of temporary ids already reconciled during this session
+const resolvedTempIds = new Map();
+
+export function createTempId(prefix = 'temp') {
+	return `${prefix}_${Date.now()}`;
+}
+
+export function isTempId(value) {
+	return typeof value === 'string' && value.startsWith(TEMP_ID_PREFIX);
+}
+
+/**
+ * Replace temporary ids found in a value, its nested objects and arrays, and object keys
+ * lookup maps a temporary id to its server id, or returns undefined when unknown
+ */
+function replaceIds(value, lookup) {
+	if (isTempId(value)) {
+		const realId = lookup(value);
+		return realId === undefined ? value : realId;
+	}
+
+	if (Array.isArray(value)) {
+		return value.map(item => replaceIds(item, lookup));
+	}
+
+	if (value && Object.getPrototypeOf(value) === Object.prototype) {
+		return Object.fromEntries(Object.entries(value).map(([key, item]) => {
+			const realKey = isTempId(key) ? lookup(key) : undefined;
+			return [realKey === undefined ? key : String(realKey), replaceIds(item, lookup)];
+		}));
+	}
+
+	return value;
+}
+
+export function replaceTempId(value, tempId, realId) {
+	return replaceIds(value, id => (id === tempId ? realId : undefined));
+}
+
+export function registerResolvedTempId(tempId, realId) {
+	resolvedTempIds.set(tempId, realId);
+}
+
+/**
+ * Replace every temporary id already reconciled, e.g. ids still held in a page's state
+ */
+export function resolveTempIds(value) {
+	if (resolvedTempIds.size === 0) return value;
+	return replaceIds(value, id => resolvedTempIds.get(id));
+}
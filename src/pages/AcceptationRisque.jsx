@@ -0,0 +1,327 @@
+// src/pages/AcceptationRisque.jsx
+import React, { useState, useEffect } from 'react';
+import { Link, useParams, useSearchParams } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import { useAuth } from '../contexts/AuthContext';
+import LoadingSpinner from '../components/common/LoadingSpinner/LoadingSpinner';
+import Notification from '../components/common/Notification/Notification';
+import SignaturePad from '../components/common/SignaturePad/SignaturePad';
+import { participantService } from '../api/participantService';
+import { organizationService } from '../api/organizationService';
+import { riskAcceptanceService } from '../api/riskAcceptanceService';
+import {
+	buildConsentSnapshot,
+	getConsentStatements,
+	getConsentVersion,
+	getRiskAcceptanceConsent,
+	hashText,
+	needsConsent,
+	resolveConsentText
+} from '../lib/riskAcceptance';
+import { getContentLanguage } from '../lib/language';
+import './AcceptationRisque.css';
+
+const SIGNER_RELATIONSHIPS = ['parent', 'guardian', 'other'];
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const calculateAge = (dateOfBirth) => {
+	if (!dateOfBirth) return '';
+	const now = new Date();
+	const birthDate = new Date(dateOfBirth);
+	let age = now.getFullYear() - birthDate.getFullYear();
+	const monthDiff = now.getMonth() - birthDate.getMonth();
+	if (monthDiff < 0 || (monthDiff === 0 && now.getDate() < birthDate.getDate())) {
+		age--;
+	}
+	return age;
+};
+
+const AcceptationRisque = () => {
+	const { t, i18n } = useTranslation();
+	const { currentUser } = useAuth();
+	const { id: participantId } = useParams();
+	// A re-registration campaign asks for a new signature every season
+	const [searchParams] = useSearchParams();
+	const campaignId = searchParams.get('campaign');
+
+	const [loading, setLoading] = useState(true);
+	const [saving, setSaving] = useState(false);
+	const [notification, setNotification] = useState({ message: '', type: '' });
+	const [participant, setParticipant] = useState(null);
+	const [acceptance, setAcceptance] = useState(null);
+	const [consent, setConsent] = useState(null);
+	const [consentVersion, setConsentVersion] = useState('');
+	const [signing, setSigning] = useState(false);
+	const [showSignedText, setShowSignedText] = useState(false);
+	const [form, setForm] = useState({
+		groupe_district: '',
+		statements: {},
+		signer_name: '',
+		signer_relationship: 'parent',
+		signature: null
+	});
+
+	const language = getContentLanguage(i18n);
+	const dashboardPath = currentUser?.role === 'parent' ? '/parent-dashboard' : '/dashboard';
+
+	useEffect(() => {
+		const fetchData = async () => {
+			setLoading(true);
+			try {
+				const [participantResponse, existingAcceptance, settings] = await Promise.all([
+					participantService.getParticipant(participantId),
+					riskAcceptanceService.getRiskAcceptance(participantId),
+					organizationService.getOrganizationSettings().catch(() => ({}))
+				]);
+
+				const currentConsent = getRiskAcceptanceConsent(settings);
+				const version = await getConsentVersion(currentConsent, i18n);
+
+				setParticipant(participantResponse.participant);
+				setAcceptance(existingAcceptance);
+				setConsent(currentConsent);
+				setConsentVersion(version);
+				setSigning(Boolean(campaignId) || needsConsent(existingAcceptance, version));
+				setForm(prev => ({
+					...prev,
+					groupe_district: existingAcceptance?.groupe_district || '',
+					signer_name: currentUser?.fullName || '',
+					signer_relationship: existingAcceptance?.signer_relationship || prev.signer_relationship
+				}));
+			} catch (error) {
+				console.error('Error loading risk acceptance:', error);
+				setNotification({
+					message: t('error_loading_acceptation_risque'),
+					type: 'error'
+				});
+			} finally {
+				setLoading(false);
+			}
+		};
+
+		fetchData();
+	}, [participantId, campaignId, currentUser, i18n, t]);
+
+	const handleChange = (field, value) => {
+		setForm(prev => ({ ...prev, [field]: value }));
+	};
+
+	const handleStatementChange = (name, checked) => {
+		setForm(prev => ({ ...prev, statements: { ...prev.statements, [name]: checked } }));
+	};
+
+	const handleSubmit = async (e) => {
+		e.preventDefault();
+
+		const statements = getConsentStatements(consent);
+		if (!statements.every(statement => form.statements[statement.name])) {
+			setNotification({ message: t('all_statements_required'), type: 'error' });
+			return;
+		}
+		if (!form.signature) {
+			setNotification({ message: t('signature_required'), type: 'error' });
+			return;
+		}
+
+		setSaving(true);
+		try {
+			// The exact text read by the signer is kept with the signature
+			const consentText = buildConsentSnapshot(consent, t, language);
+			const signedAt = new Date().toISOString();
+
+			const acceptanceData = {
+				participant_id: participantId,
+				groupe_district: form.groupe_district.trim(),
+				...Object.fromEntries(statements.map(statement => [statement.name, form.statements[statement.name] ? 1 : 0])),
+				nom_parent_tuteur: form.signer_name.trim(),
+				date_signature: today(),
+				signer_name: form.signer_name.trim(),
+				signer_relationship: form.signer_relationship,
+				signer_user_id: currentUser?.id,
+				signature: form.signature,
+				signed_at: signedAt,
+				consent_version: consentVersion,
+				consent_language: language,
+				consent_text: consentText,
+				consent_hash: await hashText(consentText),
+				...(campaignId && { campaign_id: campaignId })
+			};
+
+			const result = await riskAcceptanceService.saveRiskAcceptance(acceptanceData);
+			setAcceptance(acceptanceData);
+			setSigning(false);
+			setNotification({
+				message: result.offline ? t('acceptation_risque_saved_offline') : t('acceptation_risque_saved'),
+				type: 'success'
+			});
+		} catch (error) {
+			console.error('Error saving risk acceptance:', error);
+			setNotification({
+				message: t('error_saving_acceptation_risque'),
+				type: 'error'
+			});
+		} finally {
+			setSaving(false);
+		}
+	};
+
+	if (loading) {
+		return <LoadingSpinner fullScreen text={t('loading')} />;
+	}
+
+	const text = value => resolveConsentText(value, t, language);
+	const outdated = acceptance?.signature && acceptance.consent_version !== consentVersion;
+
+	return (
+		<div className="acceptation-risque-page">
+			{notification.message && (
+				<Notification
+					message={notification.message}
+					type={notification.type}
+					onClose={() => setNotification({ message: '', type: '' })}
+				/>
+			)}
+
+			<div className="page-header">
+				<Link to={dashboardPath} className="back-link">{t('back_to_dashboard')}</Link>
+				<h1>{t('formulaire_acceptation_risque')}</h1>
+			</div>
+
+			{participant && (
+				<section className="participant-summary">
+					<p>{t('nom_participant')}: <strong>{participant.first_name} {participant.last_name}</strong></p>
+					{participant.date_naissance && (
+						<p>{t('age_participant')}: {calculateAge(participant.date_naissance)}</p>
+					)}
+				</section>
+			)}
+
+			{campaignId && signing && (
+				<div className="consent-banner">{t('reregistration_consent_notice')}</div>
+			)}
+			{!campaignId && acceptance && !acceptance.signature && signing && (
+				<div className="consent-banner warning">{t('acceptation_risque_signature_missing')}</div>
+			)}
+			{!campaignId && outdated && signing && (
+				<div className="consent-banner warning">
+					{t('acceptation_risque_wording_updated', {
+						date: new Date(acceptance.signed_at || acceptance.date_signature).toLocaleDateString(t('locale'))
+					})}
+				</div>
+			)}
+
+			{!signing && acceptance && (
+				<section className="signed-consent">
+					<h2>{t('acceptation_risque_signed')}</h2>
+					<dl>
+						<dt>{t('signed_by')}</dt>
+						<dd>{acceptance.signer_name || acceptance.nom_parent_tuteur} ({t(acceptance.signer_relationship || 'parent')})</dd>
+						<dt>{t('signed_on')}</dt>
+						<dd>{new Date(acceptance.signed_at || acceptance.date_signature).toLocaleString(t('locale'))}</dd>
+						<dt>{t('consent_version')}</dt>
+						<dd className="consent-hash">{acceptance.consent_version?.slice(0, 12)}</dd>
+					</dl>
+					<img src={acceptance.signature} alt={t('signature')} className="signature-image" />
+					<div className="signed-consent-actions">
+						<button type="button" className="secondary" onClick={() => setShowSignedText(!showSignedText)}>
+							{showSignedText ? t('hide_signed_text') : t('view_signed_text')}
+						</button>
+						<button type="button" className="secondary" onClick={() => setSigning(true)}>
+							{t('sign_again')}
+						</button>
+					</div>
+					{showSignedText && <pre className="signed-text">{acceptance.consent_text}</pre>}
+				</section>
+			)}
+
+			{signing && consent && (
+				<form onSubmit={handleSubmit} className="acceptation-risque-form">
+					<div className="form-group">
+						<label htmlFor="groupe_district">{t('groupe_district')}:</label>
+						<input
+							type="text"
+							id="groupe_district"
+							value={form.groupe_district}
+							onChange={(e) => handleChange('groupe_district', e.target.value)}
+							required
+						/>
+					</div>
+
+					{consent.sections.map((section, sectionIndex) => (
+						<section key={sectionIndex} className="consent-section">
+							<h2>{text(section.title)}</h2>
+							{(section.paragraphs || []).map((paragraph, index) => (
+								<p key={index}>{text(paragraph)}</p>
+							))}
+							{section.items?.length > 0 && (
+								<ul>
+									{section.items.map((item, index) => (
+										<li key={index}>{text(item)}</li>
+									))}
+								</ul>
+							)}
+							{(section.statements || []).map(statement => (
+								<label key={statement.name} className="consent-statement">
+									<input
+										type="checkbox"
+										checked={Boolean(form.statements[statement.name])}
+										onChange={(e) => handleStatementChange(statement.name, e.target.checked)}
+										required
+									/>
+									{text(statement.text)}
+								</label>
+							))}
+						</section>
+					))}
+
+					<section className="consent-section">
+						<h2>{t('signature')}</h2>
+						<p>{text(consent.attestation)}</p>
+
+						<div className="form-row">
+							<div className="form-group">
+								<label htmlFor="signer_name">{t('nom_parent_tuteur')}:</label>
+								<input
+									type="text"
+									id="signer_name"
+									value={form.signer_name}
+									onChange={(e) => handleChange('signer_name', e.target.value)}
+									required
+								/>
+							</div>
+							<div className="form-group">
+								<label htmlFor="signer_relationship">{t('relationship')}:</label>
+								<select
+									id="signer_relationship"
+									value={form.signer_relationship}
+									onChange={(e) => handleChange('signer_relationship', e.target.value)}
+								>
+									{SIGNER_RELATIONSHIPS.map(relationship => (
+										<option key={relationship} value={relationship}>{t(relationship)}</option>
+									))}
+								</select>
+							</div>
+						</div>
+
+						<SignaturePad onChange={(signature) => handleChange('signature', signature)} disabled={saving} />
+						<p className="signature-date">{t('date_signature')}: {new Date().toLocaleDateString(t('locale'))}</p>
+					</section>
+
+					<div className="form-actions">
+						{acceptance?.signature && !outdated && (
+							<button type="button" className="secondary" onClick={() => setSigning(false)}>
+								{t('cancel')}
+							</button>
+						)}
+						<button type="submit" disabled={saving}>
+							{saving ? t('saving') : t('soumettre_acceptation_risque')}
+						</button>
+					</div>
+				</form>
+			)}
+		</div>
+	);
+};
+
+export default AcceptationRisque;
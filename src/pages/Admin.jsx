@@ -5,11 +5,27 @@ import { useTranslation } from 'react-i18next';
 import { useAuth } from '../contexts/AuthContext';
 import LoadingSpinner from '../components/common/LoadingSpinner/LoadingSpinner';
 import Notification from '../components/common/Notification/Notification';
+import NotificationHistory from '../components/common/NotificationHistory/NotificationHistory';
 import { administrativeService } from '../api/administrativeService';
+import { groupsService } from '../api/groupsService';
+import { eventsService } from '../api/eventsService';
+import { attendanceService } from '../api/attendanceService';
+import {
+	NOTIFICATION_LANGUAGES,
+	NOTIFICATION_PLACEHOLDERS,
+	NOTIFICATION_ROLES,
+	NOTIFICATION_TARGETS,
+	buildNotificationTarget,
+	createNotificationForm,
+	fillPlaceholders,
+	getDayBeforeReminderTime,
+	getFilledTranslations,
+	getNextMeetingDate
+} from '../lib/notifications';
 import './Admin.css';
 
 const Admin = () => {
-	const { t } = useTranslation();
+	const { t, i18n } = useTranslation();
 	const { currentUser } = useAuth();
 	const navigate = useNavigate();
 	
@@ -17,13 +33,18 @@ const Admin = () => {
 	const [notification, setNotification] = useState({ message: '', type: '' });
 	const [users, setUsers] = useState([]);
 	const [subscribers, setSubscribers] = useState([]);
+	const [groups, setGroups] = useState([]);
+	const [events, setEvents] = useState([]);
+	const [meetingDates, setMeetingDates] = useState([]);
+	const [organizationName, setOrganizationName] = useState('');
+	const [templates, setTemplates] = useState([]);
 	
 	// Notification form state
-	const [notificationForm, setNotificationForm] = useState({
-		title: '',
-		body: '',
-		selectedSubscribers: []
-	});
+	const [notificationForm, setNotificationForm] = useState(createNotificationForm);
+	const [scheduled, setScheduled] = useState(false);
+	const [sending, setSending] = useState(false);
+	const [selectedTemplateId, setSelectedTemplateId] = useState('');
+	const [templateName, setTemplateName] = useState('');
 
 	// Initialize data
 	useEffect(() => {
@@ -38,7 +59,8 @@ const Admin = () => {
 			try {
 				await Promise.all([
 					fetchUsers(),
-					fetchSubscribers()
+					fetchSubscribers(),
+					fetchNotificationOptions()
 				]);
 			} catch (error) {
 				console.error('Error initializing admin panel:', error);
@@ -80,6 +102,24 @@ const Admin = () => {
 		}
 	};
 
+	// Groups, events, meetings and templates to target and write notifications, none of them is required
+	const fetchNotificationOptions = async () => {
+		const today = new Date().toLocaleDateString('en-CA');
+		const [groupsResponse, eventsList, reunionDates, settings, templatesList] = await Promise.all([
+			groupsService.getGroups().catch(() => ({ groups: [] })),
+			eventsService.getEvents().catch(() => []),
+			attendanceService.getReunionDates().catch(() => ({ dates: [] })),
+			administrativeService.getOrganizationSettings().catch(() => null),
+			administrativeService.getNotificationTemplates().catch(() => [])
+		]);
+
+		setGroups(groupsResponse.groups || []);
+		setEvents(eventsList.filter(event => !event.cancelled && String(event.end_date || event.start_date).slice(0, 10) >= today));
+		setMeetingDates((reunionDates.dates || []).map(date => String(date).slice(0, 10)).filter(date => date >= today));
+		setOrganizationName(settings?.organization_info?.name || '');
+		setTemplates(templatesList);
+	};
+
 	// Handle user role update
 	const handleRoleChange = async (userId, newRole) => {
 		try {
@@ -134,30 +174,115 @@ const Admin = () => {
 		}
 	};
 
-	// Handle subscriber selection for notifications
-	const handleSubscriberToggle = (subscriberId) => {
+	const updateNotificationForm = (field, value) => {
+		setNotificationForm(prev => ({ ...prev, [field]: value }));
+	};
+
+	const updateTranslation = (language, field, value) => {
+		setNotificationForm(prev => ({
+			...prev,
+			translations: {
+				...prev.translations,
+				[language]: { ...prev.translations[language], [field]: value }
+			}
+		}));
+	};
+
+	// Toggle a value of a multiple choice target (subscriberIds, roles or groupIds)
+	const toggleTargetValue = (field, value) => {
 		setNotificationForm(prev => ({
 			...prev,
-			selectedSubscribers: prev.selectedSubscribers.includes(subscriberId)
-				? prev.selectedSubscribers.filter(id => id !== subscriberId)
-				: [...prev.selectedSubscribers, subscriberId]
+			[field]: prev[field].includes(value)
+				? prev[field].filter(item => item !== value)
+				: [...prev[field], value]
 		}));
 	};
 
 	// Handle select all subscribers
 	const handleSelectAllSubscribers = () => {
-		const allSelected = notificationForm.selectedSubscribers.length === subscribers.length;
+		const allSelected = notificationForm.subscriberIds.length === subscribers.length;
+		updateNotificationForm('subscriberIds', allSelected ? [] : subscribers.map(sub => sub.id));
+	};
+
+	const handleTemplateSelect = (templateId) => {
+		setSelectedTemplateId(templateId);
+		const template = templates.find(item => String(item.id) === String(templateId));
+		if (!template) return;
+
 		setNotificationForm(prev => ({
 			...prev,
-			selectedSubscribers: allSelected ? [] : subscribers.map(sub => sub.id)
+			translations: Object.fromEntries(NOTIFICATION_LANGUAGES.map(language => [language, {
+				title: template.translations?.[language]?.title || '',
+				body: template.translations?.[language]?.body || ''
+			}]))
+		}));
+	};
+
+	const handleSaveTemplate = async () => {
+		const translations = getFilledTranslations(notificationForm.translations);
+		if (!templateName.trim() || Object.keys(translations).length === 0) {
+			setNotification({ message: t('template_name_and_text_required'), type: 'error' });
+			return;
+		}
+
+		try {
+			await administrativeService.saveNotificationTemplate({ name: templateName.trim(), translations });
+			setTemplates(await administrativeService.getNotificationTemplates());
+			setTemplateName('');
+			setNotification({ message: t('notification_template_saved'), type: 'success' });
+		} catch (error) {
+			console.error('Error saving notification template:', error);
+			setNotification({ message: t('error_saving_notification_template'), type: 'error' });
+		}
+	};
+
+	const handleDeleteTemplate = async () => {
+		const template = templates.find(item => String(item.id) === String(selectedTemplateId));
+		if (!template || !window.confirm(t('confirm_delete_notification_template', { name: template.name }))) return;
+
+		try {
+			await administrativeService.deleteNotificationTemplate(template.id);
+			setTemplates(prev => prev.filter(item => item.id !== template.id));
+			setSelectedTemplateId('');
+		} catch (error) {
+			console.error('Error deleting notification template:', error);
+			setNotification({ message: t('error_deleting_notification_template'), type: 'error' });
+		}
+	};
+
+	// Schedule the notification the evening before the next meeting
+	const handleDayBeforeReminder = () => {
+		const sendAt = getDayBeforeReminderTime(meetingDates);
+		if (!sendAt) {
+			setNotification({ message: t('no_upcoming_meeting_for_reminder'), type: 'error' });
+			return;
+		}
+
+		setScheduled(true);
+		updateNotificationForm('sendAt', sendAt);
+	};
+
+	// Placeholders are filled per language, the meeting being the next one from the sending day
+	const fillTranslations = (translations, sendDay) => {
+		const meetingDate = getNextMeetingDate(meetingDates, sendDay);
+
+		return Object.fromEntries(Object.entries(translations).map(([language, text]) => {
+			const values = {
+				organization: organizationName,
+				meeting_date: meetingDate
+					? new Date(`${meetingDate}T00:00:00`).toLocaleDateString(i18n.getFixedT(language)('locale'), { weekday: 'long', day: 'numeric', month: 'long' })
+					: null
+			};
+			return [language, { title: fillPlaceholders(text.title, values), body: fillPlaceholders(text.body, values) }];
 		}));
 	};
 
 	// Handle notification form submission
 	const handleNotificationSubmit = async (e) => {
 		e.preventDefault();
-		
-		if (!notificationForm.title.trim() || !notificationForm.body.trim()) {
+
+		const filledTranslations = getFilledTranslations(notificationForm.translations);
+		if (Object.keys(filledTranslations).length === 0) {
 			setNotification({
 				message: t('title_and_body_required'),
 				type: 'error'
@@ -165,33 +290,54 @@ const Admin = () => {
 			return;
 		}
 
-		if (notificationForm.selectedSubscribers.length === 0) {
+		const target = buildNotificationTarget(notificationForm);
+		if (!target) {
+			setNotification({
+				message: t('select_at_least_one_recipient'),
+				type: 'error'
+			});
+			return;
+		}
+
+		const sendAt = scheduled && notificationForm.sendAt ? new Date(notificationForm.sendAt) : null;
+		if (scheduled && (!sendAt || sendAt <= new Date())) {
 			setNotification({
-				message: t('select_at_least_one_subscriber'),
+				message: t('notification_send_at_in_past'),
 				type: 'error'
 			});
 			return;
 		}
 
+		const translations = fillTranslations(filledTranslations, (sendAt || new Date()).toLocaleDateString('en-CA'));
+		// Title and body in the current language, or the other one, for subscribers without a language
+		const { title, body } = translations[i18n.language] || Object.values(translations)[0];
+
+		setSending(true);
 		try {
 			const response = await administrativeService.sendNotification(
-				notificationForm.title.trim(),
-				notificationForm.body.trim(),
-				notificationForm.selectedSubscribers
+				title,
+				body,
+				target.type === 'subscribers' ? notificationForm.subscriberIds : [],
+				{
+					target,
+					translations,
+					sendAt: sendAt ? sendAt.toISOString() : null,
+					templateId: selectedTemplateId || null
+				}
 			);
 
 			if (response.success) {
 				setNotification({
-					message: t('notification_sent_successfully'),
+					message: sendAt
+						? t('notification_scheduled_successfully', { date: sendAt.toLocaleString(t('locale'), { dateStyle: 'medium', timeStyle: 'short' }) })
+						: t('notification_sent_successfully'),
 					type: 'success'
 				});
 				
 				// Reset form
-				setNotificationForm({
-					title: '',
-					body: '',
-					selectedSubscribers: []
-				});
+				setNotificationForm(createNotificationForm());
+				setScheduled(false);
+				setSelectedTemplateId('');
 			} else {
 				throw new Error(response.message || 'Failed to send notification');
 			}
@@ -201,6 +347,8 @@ const Admin = () => {
 				message: t('error_sending_notification'),
 				type: 'error'
 			});
+		} finally {
+			setSending(false);
 		}
 	};
 
@@ -237,81 +385,225 @@ const Admin = () => {
 					>
 						{t('create_new_organization')}
 					</button>
+					<Link to="/badge-system" className="admin-settings-link">
+						{t('badge_program')}
+					</Link>
+					<Link to="/form-formats" className="admin-settings-link">
+						{t('form_formats')}
+					</Link>
+					<Link to="/reregistration" className="admin-settings-link">
+						{t('reregistration_campaign')}
+					</Link>
 				</div>
 
 				{/* Send Notification Section */}
 				<div className="admin-section notification-section">
 					<h2>{t('send_notification')}</h2>
 					<form onSubmit={handleNotificationSubmit} className="notification-form">
-						<div className="form-group">
-							<label htmlFor="notification-title">{t('title')}</label>
-							<input
-								type="text"
-								id="notification-title"
-								value={notificationForm.title}
-								onChange={(e) => setNotificationForm(prev => ({
-									...prev,
-									title: e.target.value
-								}))}
-								required
-							/>
+						<div className="form-group notification-templates">
+							<label htmlFor="notification-template">{t('notification_template')}</label>
+							<div className="template-controls">
+								<select
+									id="notification-template"
+									value={selectedTemplateId}
+									onChange={(e) => handleTemplateSelect(e.target.value)}
+								>
+									<option value="">{t('no_template')}</option>
+									{templates.map(template => (
+										<option key={template.id} value={template.id}>{template.name}</option>
+									))}
+								</select>
+								{selectedTemplateId && (
+									<button type="button" className="select-all-btn" onClick={handleDeleteTemplate}>
+										{t('delete')}
+									</button>
+								)}
+							</div>
 						</div>
 
-						<div className="form-group">
-							<label htmlFor="notification-body">{t('body')}</label>
-							<textarea
-								id="notification-body"
-								rows={4}
-								value={notificationForm.body}
-								onChange={(e) => setNotificationForm(prev => ({
-									...prev,
-									body: e.target.value
-								}))}
-								required
+						<div className="notification-languages">
+							{NOTIFICATION_LANGUAGES.map(language => (
+								<fieldset key={language} className="notification-language">
+									<legend>{t(language === 'fr' ? 'french' : 'english')}</legend>
+									<div className="form-group">
+										<label htmlFor={`notification-title-${language}`}>{t('title')}</label>
+										<input
+											type="text"
+											id={`notification-title-${language}`}
+											value={notificationForm.translations[language].title}
+											onChange={(e) => updateTranslation(language, 'title', e.target.value)}
+										/>
+									</div>
+
+									<div className="form-group">
+										<label htmlFor={`notification-body-${language}`}>{t('body')}</label>
+										<textarea
+											id={`notification-body-${language}`}
+											rows={4}
+											value={notificationForm.translations[language].body}
+											onChange={(e) => updateTranslation(language, 'body', e.target.value)}
+										/>
+									</div>
+								</fieldset>
+							))}
+						</div>
+						<p className="notification-hint">
+							{t('notification_languages_hint')}{' '}
+							{t('notification_placeholders_hint', {
+								placeholders: NOTIFICATION_PLACEHOLDERS.map(placeholder => `{{${placeholder}}}`).join(', '),
+								interpolation: { escapeValue: false }
+							})}
+						</p>
+
+						<div className="template-controls">
+							<input
+								type="text"
+								value={templateName}
+								onChange={(e) => setTemplateName(e.target.value)}
+								placeholder={t('template_name')}
+								aria-label={t('template_name')}
 							/>
+							<button type="button" className="select-all-btn" onClick={handleSaveTemplate}>
+								{t('save_as_template')}
+							</button>
 						</div>
 
 						<div className="form-group">
 							<h3>{t('select_recipients')}</h3>
-							<div className="subscribers-controls">
-								<button
-									type="button"
-									className="select-all-btn"
-									onClick={handleSelectAllSubscribers}
-								>
-									{notificationForm.selectedSubscribers.length === subscribers.length
-										? t('deselect_all')
-										: t('select_all')
-									}
-								</button>
-								<span className="selected-count">
-									{notificationForm.selectedSubscribers.length} / {subscribers.length} {t('selected')}
-								</span>
-							</div>
-							
-							<div className="subscribers-list">
-								{subscribers.map(subscriber => (
-									<div key={subscriber.id} className="subscriber-item">
+							<div className="notification-targets">
+								{NOTIFICATION_TARGETS.map(target => (
+									<label key={target}>
 										<input
-											type="checkbox"
-											id={`subscriber-${subscriber.id}`}
-											checked={notificationForm.selectedSubscribers.includes(subscriber.id)}
-											onChange={() => handleSubscriberToggle(subscriber.id)}
+											type="radio"
+											name="notification-target"
+											value={target}
+											checked={notificationForm.target === target}
+											onChange={() => updateNotificationForm('target', target)}
 										/>
-										<label htmlFor={`subscriber-${subscriber.id}`}>
-											{subscriber.email}
-										</label>
-									</div>
+										{t(`notification_target_${target}`)}
+									</label>
 								))}
 							</div>
+
+							{notificationForm.target === 'subscribers' && (
+								<>
+									<div className="subscribers-controls">
+										<button
+											type="button"
+											className="select-all-btn"
+											onClick={handleSelectAllSubscribers}
+										>
+											{notificationForm.subscriberIds.length === subscribers.length
+												? t('deselect_all')
+												: t('select_all')
+											}
+										</button>
+										<span className="selected-count">
+											{notificationForm.subscriberIds.length} / {subscribers.length} {t('selected')}
+										</span>
+									</div>
+									
+									<div className="subscribers-list">
+										{subscribers.map(subscriber => (
+											<div key={subscriber.id} className="subscriber-item">
+												<input
+													type="checkbox"
+													id={`subscriber-${subscriber.id}`}
+													checked={notificationForm.subscriberIds.includes(subscriber.id)}
+													onChange={() => toggleTargetValue('subscriberIds', subscriber.id)}
+												/>
+												<label htmlFor={`subscriber-${subscriber.id}`}>
+													{subscriber.email}
+												</label>
+											</div>
+										))}
+									</div>
+								</>
+							)}
+
+							{notificationForm.target === 'roles' && (
+								<div className="subscribers-list">
+									{NOTIFICATION_ROLES.map(role => (
+										<div key={role} className="subscriber-item">
+											<input
+												type="checkbox"
+												id={`role-${role}`}
+												checked={notificationForm.roles.includes(role)}
+												onChange={() => toggleTargetValue('roles', role)}
+											/>
+											<label htmlFor={`role-${role}`}>{t(role)}</label>
+										</div>
+									))}
+								</div>
+							)}
+
+							{notificationForm.target === 'groups' && (
+								<div className="subscribers-list">
+									{groups.length === 0 && <p className="no-data">{t('no_groups')}</p>}
+									{groups.map(group => (
+										<div key={group.id} className="subscriber-item">
+											<input
+												type="checkbox"
+												id={`group-${group.id}`}
+												checked={notificationForm.groupIds.includes(group.id)}
+												onChange={() => toggleTargetValue('groupIds', group.id)}
+											/>
+											<label htmlFor={`group-${group.id}`}>{group.name}</label>
+										</div>
+									))}
+								</div>
+							)}
+
+							{notificationForm.target === 'event' && (
+								<select
+									className="notification-event-select"
+									value={notificationForm.eventId}
+									onChange={(e) => updateNotificationForm('eventId', e.target.value)}
+									aria-label={t('notification_target_event')}
+								>
+									<option value="">{t('select_event')}</option>
+									{events.map(event => (
+										<option key={event.id} value={event.id}>{event.name}</option>
+									))}
+								</select>
+							)}
+						</div>
+
+						<div className="form-group">
+							<h3>{t('notification_sending')}</h3>
+							<div className="notification-targets">
+								<label>
+									<input type="radio" name="notification-schedule" checked={!scheduled} onChange={() => setScheduled(false)} />
+									{t('send_now')}
+								</label>
+								<label>
+									<input type="radio" name="notification-schedule" checked={scheduled} onChange={() => setScheduled(true)} />
+									{t('send_later')}
+								</label>
+							</div>
+							{scheduled && (
+								<div className="template-controls">
+									<input
+										type="datetime-local"
+										value={notificationForm.sendAt}
+										onChange={(e) => updateNotificationForm('sendAt', e.target.value)}
+										aria-label={t('send_at')}
+									/>
+									<button type="button" className="select-all-btn" onClick={handleDayBeforeReminder}>
+										{t('day_before_next_meeting')}
+									</button>
+								</div>
+							)}
 						</div>
 
-						<button type="submit" className="send-notification-btn">
-							{t('send_notification')}
+						<button type="submit" className="send-notification-btn" disabled={sending}>
+							{scheduled ? t('schedule_notification') : t('send_notification')}
 						</button>
 					</form>
 				</div>
 
+				<NotificationHistory />
+
 				{/* User Management Section */}
 				<div className="admin-section user-management-section">
 					<h2>{t('user_management')}</h2>
@@ -0,0 +1,306 @@
+// src/pages/ApproveBadges.jsx
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import LoadingSpinner from '../components/common/LoadingSpinner/LoadingSpinner';
+import Notification from '../components/common/Notification/Notification';
+import { pointsService } from '../api/pointsService';
+import { organizationService } from '../api/organizationService';
+import {
+	BADGE_STATUS,
+	findBadge,
+	getBadgeImageUrl,
+	getBadgeMaxStars,
+	getBadgeSystemFromSettings,
+	getStarSymbols
+} from '../lib/badgeSystems';
+import './ApproveBadges.css';
+
+const ApproveBadges = () => {
+	const { t } = useTranslation();
+
+	const [loading, setLoading] = useState(true);
+	const [notification, setNotification] = useState({ message: '', type: '' });
+	const [badgeSystem, setBadgeSystem] = useState(getBadgeSystemFromSettings(null));
+	const [pendingBadges, setPendingBadges] = useState([]);
+	const [processingIds, setProcessingIds] = useState([]);
+	const [selectedIds, setSelectedIds] = useState([]);
+	const [comments, setComments] = useState({});
+	const [bulkComment, setBulkComment] = useState('');
+
+	// Load the badge program and pending badges
+	useEffect(() => {
+		const fetchData = async () => {
+			setLoading(true);
+			try {
+				const settings = await organizationService.getOrganizationSettings().catch(() => ({}));
+				setBadgeSystem(getBadgeSystemFromSettings(settings));
+				await fetchPendingBadges();
+			} catch (error) {
+				console.error('Error loading approve badges:', error);
+				setNotification({
+					message: t('error_loading_approve_badges'),
+					type: 'error'
+				});
+			} finally {
+				setLoading(false);
+			}
+		};
+
+		fetchData();
+	}, [t]);
+
+	const fetchPendingBadges = async () => {
+		const response = await pointsService.getPendingBadges();
+		const badges = Array.isArray(response?.badges) ? response.badges : [];
+		setPendingBadges(badges);
+		setSelectedIds(prev => prev.filter(id => badges.some(badge => badge.id === id)));
+	};
+
+	// Remove reviewed requests, or reload the queue when the server answered
+	const refreshQueue = async (reviewedIds, offline) => {
+		if (offline) {
+			setPendingBadges(prev => prev.filter(badge => !reviewedIds.includes(badge.id)));
+			setSelectedIds(prev => prev.filter(id => !reviewedIds.includes(id)));
+		} else {
+			await fetchPendingBadges();
+		}
+
+		setComments(prev => {
+			const updated = { ...prev };
+			reviewedIds.forEach(id => delete updated[id]);
+			return updated;
+		});
+	};
+
+	// Approve, reject or request changes on a single request
+	const handleBadgeAction = async (badgeId, action) => {
+		const comment = (comments[badgeId] || '').trim();
+
+		// The participant needs to know what to change
+		if (action === BADGE_STATUS.CHANGES_REQUESTED && !comment) {
+			setNotification({
+				message: t('comment_required_for_changes'),
+				type: 'error'
+			});
+			return;
+		}
+
+		setProcessingIds([badgeId]);
+		try {
+			const result = await pointsService.updateBadgeStatus(badgeId, action, comment);
+
+			if (!result.success) {
+				throw new Error(result.message || 'Unknown error occurred');
+			}
+
+			setNotification({
+				message: result.offline ? t('changes_saved_offline') : t('badge_status_updated'),
+				type: 'success'
+			});
+			await refreshQueue([badgeId], result.offline);
+		} catch (error) {
+			console.error('Error updating badge status:', error);
+			setNotification({
+				message: t('error_updating_badge_status'),
+				type: 'error'
+			});
+		} finally {
+			setProcessingIds([]);
+		}
+	};
+
+	// Approve every selected request
+	const handleBulkApprove = async () => {
+		if (selectedIds.length === 0) return;
+
+		setProcessingIds(selectedIds);
+		try {
+			const result = await pointsService.bulkUpdateBadgeStatus(
+				selectedIds,
+				BADGE_STATUS.APPROVED,
+				bulkComment.trim()
+			);
+			const reviewedIds = result.updated.map(item => item.badgeId);
+
+			setNotification({
+				message: result.success
+					? t('badges_approved_count', { total: reviewedIds.length })
+					: t('badges_partially_approved', { total: reviewedIds.length, failed: result.failed.length }),
+				type: result.success ? 'success' : 'error'
+			});
+			setBulkComment('');
+			await refreshQueue(reviewedIds, result.updated.some(item => item.offline));
+		} catch (error) {
+			console.error('Error approving badges:', error);
+			setNotification({
+				message: t('error_updating_badge_status'),
+				type: 'error'
+			});
+		} finally {
+			setProcessingIds([]);
+		}
+	};
+
+	const toggleSelected = (badgeId) => {
+		setSelectedIds(prev => (
+			prev.includes(badgeId) ? prev.filter(id => id !== badgeId) : [...prev, badgeId]
+		));
+	};
+
+	const toggleSelectAll = () => {
+		setSelectedIds(prev => (
+			prev.length === pendingBadges.length ? [] : pendingBadges.map(badge => badge.id)
+		));
+	};
+
+	// Render a pending badge request
+	const renderBadgeRequest = (request) => {
+		const badge = findBadge(badgeSystem, request.territoire_chasse);
+		const maxStars = getBadgeMaxStars(badgeSystem, request.territoire_chasse);
+		const stars = parseInt(request.etoiles, 10) || 0;
+		const processing = processingIds.includes(request.id);
+
+		return (
+			<div key={request.id} className={`badge-request ${selectedIds.includes(request.id) ? 'selected' : ''}`}>
+				<input
+					type="checkbox"
+					className="badge-select"
+					checked={selectedIds.includes(request.id)}
+					onChange={() => toggleSelected(request.id)}
+					aria-label={`${request.first_name} ${request.last_name}`}
+				/>
+				{badge && <img src={getBadgeImageUrl(badge)} alt={badge.name} className="badge-image" />}
+				<div className="badge-request-details">
+					<h2>
+						{request.first_name} {request.last_name}
+						{request.participant_id && (
+							<Link to={`/badge-history/${request.participant_id}`} className="history-link">
+								{t('badge_history')}
+							</Link>
+						)}
+					</h2>
+					<p>{t(badgeSystem.badge_label)}: {request.territoire_chasse}</p>
+					<p>
+						{t('stars')}: <span className="stars">{getStarSymbols(maxStars, stars).join('')}</span> ({stars} / {maxStars})
+					</p>
+					{!badge && <p className="unknown-badge">{t('badge_not_in_program')}</p>}
+					{badge?.requirements.length > 0 && (
+						<details>
+							<summary>{t('badge_requirements')}</summary>
+							<ul>
+								{badge.requirements.map((requirement, index) => (
+									<li key={index}>{requirement}</li>
+								))}
+							</ul>
+						</details>
+					)}
+					<p>{t('objectif')}: {request.objectif}</p>
+					<p>{t('description')}: {request.description}</p>
+					<p>{t('date')}: {request.date_obtention}</p>
+
+					<div className="review-comment">
+						<label htmlFor={`comment-${request.id}`}>{t('reviewer_comment')}:</label>
+						<textarea
+							id={`comment-${request.id}`}
+							rows={2}
+							value={comments[request.id] || ''}
+							onChange={(e) => setComments(prev => ({ ...prev, [request.id]: e.target.value }))}
+						/>
+					</div>
+
+					<div className="badge-actions">
+						<button
+							type="button"
+							className="approve-btn"
+							onClick={() => handleBadgeAction(request.id, BADGE_STATUS.APPROVED)}
+							disabled={processing}
+						>
+							{t('approve')}
+						</button>
+						<button
+							type="button"
+							className="request-changes-btn"
+							onClick={() => handleBadgeAction(request.id, BADGE_STATUS.CHANGES_REQUESTED)}
+							disabled={processing}
+						>
+							{t('request_changes')}
+						</button>
+						<button
+							type="button"
+							className="reject-btn"
+							onClick={() => handleBadgeAction(request.id, BADGE_STATUS.REJECTED)}
+							disabled={processing}
+						>
+							{t('reject')}
+						</button>
+					</div>
+				</div>
+			</div>
+		);
+	};
+
+	if (loading) {
+		return <LoadingSpinner fullScreen text={t('loading')} />;
+	}
+
+	return (
+		<div className="approve-badges-page">
+			{notification.message && (
+				<Notification
+					message={notification.message}
+					type={notification.type}
+					onClose={() => setNotification({ message: '', type: '' })}
+				/>
+			)}
+
+			<div className="page-header">
+				<Link to="/dashboard" className="back-link">{t('back_to_dashboard')}</Link>
+				<h1>{t('approve_badges')}</h1>
+				<p className="badge-program-name">
+					{badgeSystem.name}
+					<Link to="/badge-summary" className="summary-link">{t('badge_summary')}</Link>
+				</p>
+			</div>
+
+			{pendingBadges.length === 0 ? (
+				<p className="no-data">{t('no_pending_badges')}</p>
+			) : (
+				<>
+					<div className="bulk-actions">
+						<label className="select-all">
+							<input
+								type="checkbox"
+								checked={selectedIds.length === pendingBadges.length}
+								onChange={toggleSelectAll}
+							/>
+							{t('select_all')} ({selectedIds.length} / {pendingBadges.length})
+						</label>
+						<input
+							type="text"
+							className="bulk-comment"
+							value={bulkComment}
+							onChange={(e) => setBulkComment(e.target.value)}
+							placeholder={t('reviewer_comment')}
+							aria-label={t('reviewer_comment')}
+						/>
+						<button
+							type="button"
+							className="approve-btn"
+							onClick={handleBulkApprove}
+							disabled={selectedIds.length === 0 || processingIds.length > 0}
+						>
+							{t('approve_selected')}
+						</button>
+					</div>
+
+					<div className="badge-requests">
+						{pendingBadges.map(renderBadgeRequest)}
+					</div>
+				</>
+			)}
+		</div>
+	);
+};
+
+export default ApproveBadges;
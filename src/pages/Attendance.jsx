@@ -4,6 +4,7 @@ import { Link } from 'react-router-dom';
 import { useTranslation } from 'react-i18next';
 import LoadingSpinner from '../components/common/LoadingSpinner/LoadingSpinner';
 import Notification from '../components/common/Notification/Notification';
+import CheckInScanner from '../components/common/CheckInScanner/CheckInScanner';
 import { attendanceService } from '../api/attendanceService';
 import { participantService } from '../api/participantService';
 import { groupsService } from '../api/groupsService';
@@ -20,6 +21,8 @@ const Attendance = () => {
 	const [participants, setParticipants] = useState([]);
 	const [attendanceData, setAttendanceData] = useState({});
 	const [guests, setGuests] = useState([]);
+	const [absenceNotices, setAbsenceNotices] = useState({});
+	const [scanning, setScanning] = useState(false);
 	const [groups, setGroups] = useState([]);
 	const [selectedParticipant, setSelectedParticipant] = useState(null);
 	const [selectedGroup, setSelectedGroup] = useState(null);
@@ -101,10 +104,11 @@ const Attendance = () => {
 		if (!currentDate) return;
 		
 		try {
-			const [participantsResponse, attendanceResponse, guestsResponse] = await Promise.all([
+			const [participantsResponse, attendanceResponse, guestsResponse, noticesResponse] = await Promise.all([
 				participantService.getParticipants(),
 				attendanceService.getAttendance(currentDate),
-				attendanceService.getGuestsByDate(currentDate)
+				attendanceService.getGuestsByDate(currentDate),
+				attendanceService.getAbsenceNotices(currentDate).catch(() => [])
 			]);
 
 			// Handle participants
@@ -113,7 +117,12 @@ const Attendance = () => {
 			}
 
 			// Handle attendance data
-			setAttendanceData(attendanceResponse || {});
+			const attendance = attendanceResponse || {};
+			setAttendanceData(attendance);
+
+			// Absences declared by the guardians
+			const notices = Object.fromEntries(noticesResponse.map(notice => [notice.participant_id, notice]));
+			setAbsenceNotices(notices);
 
 			// Handle guests
 			setGuests(Array.isArray(guestsResponse) ? guestsResponse : []);
@@ -223,11 +232,11 @@ const Attendance = () => {
 
 			if (selectedParticipant) {
 				participantIds = [selectedParticipant.id];
-				previousStatuses[selectedParticipant.id] = attendanceData[selectedParticipant.id] || 'present';
+				previousStatuses[selectedParticipant.id] = getRecordedStatus(selectedParticipant.id);
 			} else if (selectedGroup) {
 				participantIds = selectedGroup.participants.map(p => p.id);
 				participantIds.forEach(id => {
-					previousStatuses[id] = attendanceData[id] || 'present';
+					previousStatuses[id] = getRecordedStatus(id);
 				});
 			}
 
@@ -242,7 +251,8 @@ const Attendance = () => {
 			const response = await attendanceService.updateAttendance(
 				participantIds,
 				status,
-				currentDate
+				currentDate,
+				previousStatuses
 			);
 
 			if (response.success) {
@@ -253,12 +263,8 @@ const Attendance = () => {
 					type: 'success'
 				});
 			} else {
-				// Rollback on failure
-				const rollbackData = { ...attendanceData };
-				participantIds.forEach(id => {
-					rollbackData[id] = previousStatuses[id];
-				});
-				setAttendanceData(rollbackData);
+				// Rollback on failure, statuses pre-filled from absence notices are shown again
+				setAttendanceData(attendanceData);
 				
 				throw new Error(response.message || 'Failed to update attendance');
 			}
@@ -317,15 +323,39 @@ const Attendance = () => {
 		return localDate.toLocaleDateString(t('locale'), options);
 	};
 
-	// Get participant status
+	// Mark present a participant whose card is scanned at arrival
+	const recordArrival = async (participant) => {
+		if (attendanceData[participant.id] === 'present') return;
+		const previousStatus = getRecordedStatus(participant.id);
+
+		setAttendanceData(prev => ({ ...prev, [participant.id]: 'present' }));
+		try {
+			await attendanceService.updateAttendance(
+				[participant.id],
+				'present',
+				currentDate,
+				{ [participant.id]: previousStatus }
+			);
+		} catch (error) {
+			setAttendanceData(prev => ({ ...prev, [participant.id]: attendanceData[participant.id] }));
+			throw error;
+		}
+	};
+
+	// Status recorded on the server, the base an offline change is checked against for conflicts
+	const getRecordedStatus = (participantId) => attendanceData[participantId] || 'present';
+
+	// Get participant status, pre-filled as excused for absences declared by the guardians
+	// until a leader records it
 	const getParticipantStatus = (participantId) => {
-		return attendanceData[participantId] || 'present';
+		return attendanceData[participantId] || (absenceNotices[participantId] ? 'excused' : 'present');
 	};
 
 	// Render participant row
 	const renderParticipant = (participant) => {
 		const status = getParticipantStatus(participant.id);
 		const isSelected = selectedParticipant && selectedParticipant.id === participant.id;
+		const notice = absenceNotices[participant.id];
 
 		return (
 			<div
@@ -340,6 +370,11 @@ const Attendance = () => {
 						{participant.is_leader && <span className="badge leader">{t('leader')}</span>}
 						{participant.is_second_leader && <span className="badge second-leader">{t('second_leader')}</span>}
 					</span>
+					{notice && (
+						<span className="absence-notice" title={notice.submitted_by_name || ''}>
+							{t('absence_declared', { reason: notice.reason })}
+						</span>
+					)}
 				</div>
 				<span className={`participant-status ${status}`}>
 					{t(status)}
@@ -388,8 +423,23 @@ const Attendance = () => {
 			<div className="page-header">
 				<Link to="/dashboard" className="back-link">{t('back_to_dashboard')}</Link>
 				<h1>{t('attendance')}</h1>
+				<div className="check-in-actions">
+					<button type="button" onClick={() => setScanning(true)}>
+						{t('check_in_scan')}
+					</button>
+					<Link to="/check-in-cards">{t('check_in_cards')}</Link>
+				</div>
 			</div>
 
+			{scanning && (
+				<CheckInScanner
+					participants={participants}
+					date={currentDate}
+					onArrival={recordArrival}
+					onClose={() => setScanning(false)}
+				/>
+			)}
+
 			<div className="date-navigation">
 				<label htmlFor="date-select">{t('select_date')}:</label>
 				<select
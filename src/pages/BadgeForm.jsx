@@ -0,0 +1,451 @@
+// src/pages/BadgeForm.jsx
+import React, { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import LoadingSpinner from '../components/common/LoadingSpinner/LoadingSpinner';
+import Notification from '../components/common/Notification/Notification';
+import { participantService } from '../api/participantService';
+import { pointsService } from '../api/pointsService';
+import { organizationService } from '../api/organizationService';
+import {
+	BADGE_STATUS,
+	findBadge,
+	getBadgeImageUrl,
+	getBadgeMaxStars,
+	getBadgeSystemFromSettings,
+	getStarSymbols
+} from '../lib/badgeSystems';
+import { escapeHtml } from '../lib/html';
+import './BadgeForm.css';
+
+const EMPTY_FORM = {
+	territoire_chasse: '',
+	objectif: '',
+	description: '',
+	fierte: false,
+	raison: '',
+	date_obtention: ''
+};
+
+const BadgeForm = () => {
+	const { t } = useTranslation();
+	const { id: participantId } = useParams();
+
+	const [loading, setLoading] = useState(true);
+	const [submitting, setSubmitting] = useState(false);
+	const [notification, setNotification] = useState({ message: '', type: '' });
+	const [participant, setParticipant] = useState(null);
+	const [badgeSystem, setBadgeSystem] = useState(getBadgeSystemFromSettings(null));
+	const [badgeProgress, setBadgeProgress] = useState([]);
+	const [currentStars, setCurrentStars] = useState(0);
+	const [hasPending, setHasPending] = useState(false);
+	const [formData, setFormData] = useState(EMPTY_FORM);
+	const [revisingId, setRevisingId] = useState(null);
+
+	// Load participant, badge program and progress
+	useEffect(() => {
+		const fetchData = async () => {
+			setLoading(true);
+			try {
+				const [participantResponse, settings] = await Promise.all([
+					participantService.getParticipant(participantId),
+					organizationService.getOrganizationSettings().catch(() => ({}))
+				]);
+
+				if (!participantResponse?.participant) {
+					throw new Error('Participant not found');
+				}
+
+				setParticipant(participantResponse.participant);
+				setBadgeSystem(getBadgeSystemFromSettings(settings));
+				await fetchBadgeProgress();
+			} catch (error) {
+				console.error('Error loading badge form:', error);
+				setNotification({
+					message: t('error_loading_badge_form'),
+					type: 'error'
+				});
+			} finally {
+				setLoading(false);
+			}
+		};
+
+		fetchData();
+	}, [participantId, t]);
+
+	const fetchBadgeProgress = async () => {
+		const response = await pointsService.getBadgeProgress(participantId);
+		setBadgeProgress(response?.badges || []);
+	};
+
+	// Handle form field changes
+	const handleChange = (field, value) => {
+		setFormData(prev => ({
+			...prev,
+			[field]: value
+		}));
+	};
+
+	// Load the stars already earned for the selected badge
+	const handleBadgeChange = async (badgeName) => {
+		handleChange('territoire_chasse', badgeName);
+
+		try {
+			const data = await pointsService.getCurrentStars(participantId, badgeName);
+			setCurrentStars(data.current_stars);
+			setHasPending(data.has_pending);
+		} catch (error) {
+			console.error('Error fetching current stars:', error);
+			// Fall back on the progress already loaded
+			setCurrentStars(getApprovedStars(badgeName));
+			setHasPending(getPendingStars(badgeName) > 0);
+		}
+	};
+
+	const getApprovedStars = (badgeName) => {
+		const badge = badgeProgress.find(b => b.territoire_chasse === badgeName && b.status === BADGE_STATUS.APPROVED);
+		return badge ? parseInt(badge.etoiles, 10) || 0 : 0;
+	};
+
+	const getPendingStars = (badgeName) => {
+		return badgeProgress.filter(b => b.territoire_chasse === badgeName && b.status === BADGE_STATUS.PENDING).length;
+	};
+
+	const changesRequested = badgeProgress.filter(b => b.status === BADGE_STATUS.CHANGES_REQUESTED);
+
+	// Load a request sent back by a reviewer so it can be corrected and resubmitted
+	const handleRevise = (request) => {
+		setFormData({
+			territoire_chasse: request.territoire_chasse || '',
+			objectif: request.objectif || '',
+			description: request.description || '',
+			fierte: Boolean(request.fierte),
+			raison: request.raison || '',
+			date_obtention: request.date_obtention ? String(request.date_obtention).split('T')[0] : ''
+		});
+		setRevisingId(request.id);
+		setCurrentStars(getApprovedStars(request.territoire_chasse));
+		setHasPending(false);
+	};
+
+	const cancelRevision = () => {
+		setFormData(EMPTY_FORM);
+		setRevisingId(null);
+		setCurrentStars(0);
+	};
+
+	const selectedBadge = findBadge(badgeSystem, formData.territoire_chasse);
+	const maxStarsReached = Boolean(selectedBadge) && currentStars >= getBadgeMaxStars(badgeSystem, selectedBadge.name);
+
+	// Submit the badge progress for approval
+	const handleSubmit = async (e) => {
+		e.preventDefault();
+
+		if (!selectedBadge || maxStarsReached || (hasPending && !revisingId)) {
+			return;
+		}
+
+		setSubmitting(true);
+		try {
+			const result = await pointsService.saveBadgeProgress({
+				...formData,
+				participant_id: participantId,
+				currentStars,
+				etoiles: 1,
+				...(revisingId && { badge_id: revisingId })
+			});
+
+			if (result.success === false) {
+				throw new Error(result.message || 'Failed to save badge progress');
+			}
+
+			setNotification({
+				message: result.offline ? t('changes_saved_offline') : t('badge_progress_submitted_for_approval'),
+				type: 'success'
+			});
+			setFormData(EMPTY_FORM);
+			setRevisingId(null);
+			setCurrentStars(0);
+			setHasPending(false);
+			await fetchBadgeProgress();
+		} catch (error) {
+			console.error('Error saving badge progress:', error);
+			setNotification({
+				message: `${t('error_saving_badge_progress')}: ${error.message}`,
+				type: 'error'
+			});
+		} finally {
+			setSubmitting(false);
+		}
+	};
+
+	// Open a printable application form
+	const printBadgeForm = () => {
+		const printWindow = window.open('', '_blank');
+		if (!printWindow) return;
+
+		const participantName = participant ? `${participant.first_name} ${participant.last_name}` : '';
+		const requirements = selectedBadge?.requirements || [];
+
+		printWindow.document.write(`
+			<html>
+				<head>
+					<title>${escapeHtml(t('badge_application_form'))}</title>
+					<style>
+						@page { size: letter; margin: 0.5in; }
+						body { font-family: Arial, sans-serif; font-size: 14pt; }
+						h1, h2 { text-align: center; }
+						.form-field { margin-bottom: 20px; }
+						.form-field label { display: block; font-weight: bold; margin-bottom: 5px; }
+						.input-line { border-bottom: 1px solid black; min-height: 30px; width: 100%; word-wrap: break-word; }
+						.long-input { min-height: 90px; }
+						.signature-line { border-top: 1px solid black; width: 50%; margin-top: 50px; }
+					</style>
+				</head>
+				<body>
+					<h1>${escapeHtml(t('badge_application_form'))}</h1>
+					<h2>${escapeHtml(participantName)}</h2>
+					<div class="form-field">
+						<label>${escapeHtml(t(badgeSystem.badge_label))}:</label>
+						<div class="input-line">${escapeHtml(formData.territoire_chasse)}</div>
+					</div>
+					${requirements.length > 0 ? `
+						<div class="form-field">
+							<label>${escapeHtml(t('badge_requirements'))}:</label>
+							<ul>${requirements.map(r => `<li>${escapeHtml(r)}</li>`).join('')}</ul>
+						</div>
+					` : ''}
+					<div class="form-field">
+						<label>${escapeHtml(t('objectif_proie'))}:</label>
+						<div class="input-line long-input">${escapeHtml(formData.objectif)}</div>
+					</div>
+					<div class="form-field">
+						<label>${escapeHtml(t('description'))}:</label>
+						<div class="input-line long-input">${escapeHtml(formData.description)}</div>
+					</div>
+					<div class="form-field">
+						<input type="checkbox" ${formData.fierte ? 'checked' : ''} disabled>
+						${escapeHtml(t('fierte'))}
+					</div>
+					<div class="form-field">
+						<label>${escapeHtml(t('raison'))}:</label>
+						<div class="input-line long-input">${escapeHtml(formData.raison)}</div>
+					</div>
+					<div class="form-field">
+						<label>${escapeHtml(t('date_obtention'))}:</label>
+						<div class="input-line">${escapeHtml(formData.date_obtention)}</div>
+					</div>
+					<div class="form-field">
+						<label>${escapeHtml(t('signature_participant'))}:</label>
+						<div class="signature-line"></div>
+					</div>
+					<div class="form-field">
+						<label>${escapeHtml(t('signature_parent'))}:</label>
+						<div class="signature-line"></div>
+					</div>
+				</body>
+			</html>
+		`);
+		printWindow.document.close();
+		printWindow.print();
+	};
+
+	// Render one badge of the program with its stars
+	const renderBadgeItem = (badge) => {
+		const approved = badgeProgress.find(b => b.territoire_chasse === badge.name && b.status === BADGE_STATUS.APPROVED);
+		const stars = approved ? parseInt(approved.etoiles, 10) || 0 : 0;
+
+		return (
+			<div key={badge.id} className="badge-item">
+				<img src={getBadgeImageUrl(badge)} alt={badge.name} />
+				<h3>{badge.name}</h3>
+				<div className="stars">
+					{getStarSymbols(badge.max_stars, stars, getPendingStars(badge.name)).join('')}
+				</div>
+				{approved && (
+					<>
+						<p>{t('date')}: {approved.date_obtention}</p>
+						<details>
+							<summary>{t('details')}</summary>
+							<p>{t('objectif')}: {approved.objectif}</p>
+							<p>{t('description')}: {approved.description}</p>
+							<p>{t('fierte')}: {approved.fierte ? t('yes') : t('no')}</p>
+							<p>{t('raison')}: {approved.raison}</p>
+						</details>
+					</>
+				)}
+			</div>
+		);
+	};
+
+	if (loading) {
+		return <LoadingSpinner fullScreen text={t('loading')} />;
+	}
+
+	let submitLabel = t('save_badge_progress');
+	if (maxStarsReached) {
+		submitLabel = t('max_stars_reached');
+	} else if (hasPending && !revisingId) {
+		submitLabel = t('pending_submission_exists');
+	} else if (revisingId) {
+		submitLabel = t('resubmit_badge_progress');
+	}
+
+	return (
+		<div className="badge-form-page">
+			{notification.message && (
+				<Notification
+					message={notification.message}
+					type={notification.type}
+					onClose={() => setNotification({ message: '', type: '' })}
+				/>
+			)}
+
+			<div className="page-header">
+				<Link to="/parent-dashboard" className="back-link">{t('back_to_dashboard')}</Link>
+				<h1>{t('badge_progress_form')}</h1>
+				<h2>{participant ? `${participant.first_name} ${participant.last_name}` : t('participant_name')}</h2>
+			</div>
+
+			<div className="badge-form-toolbar">
+				<button type="button" className="print-view-btn" onClick={printBadgeForm}>
+					{t('print_badge_form')}
+				</button>
+				<Link to={`/badge-history/${participantId}`} className="history-link">
+					{t('badge_history')}
+				</Link>
+			</div>
+
+			{changesRequested.length > 0 && (
+				<div className="changes-requested">
+					<h3>{t('changes_requested')}</h3>
+					{changesRequested.map(request => (
+						<div key={request.id} className="changes-requested-item">
+							<p>
+								<strong>{request.territoire_chasse}</strong>
+								{request.reviewer_name && ` — ${request.reviewer_name}`}
+							</p>
+							{(request.reviewer_comment || request.comment) && (
+								<blockquote>{request.reviewer_comment || request.comment}</blockquote>
+							)}
+							<button
+								type="button"
+								onClick={() => handleRevise(request)}
+								disabled={revisingId === request.id}
+							>
+								{t('revise_request')}
+							</button>
+						</div>
+					))}
+				</div>
+			)}
+
+			<form className="badge-form" onSubmit={handleSubmit}>
+				<div className="form-group">
+					<label htmlFor="territoire_chasse">{t(badgeSystem.badge_label)}:</label>
+					<select
+						id="territoire_chasse"
+						value={formData.territoire_chasse}
+						onChange={(e) => handleBadgeChange(e.target.value)}
+						disabled={Boolean(revisingId)}
+						required
+					>
+						<option value="" disabled>...</option>
+						{badgeSystem.badges.map(badge => (
+							<option key={badge.id} value={badge.name}>{badge.name}</option>
+						))}
+					</select>
+				</div>
+
+				{selectedBadge && (
+					<div className="star-info">
+						{t('current_stars')}: {currentStars} / {selectedBadge.max_stars}
+						{selectedBadge.requirements.length > 0 && (
+							<div className="badge-requirements">
+								<strong>{t('badge_requirements')}:</strong>
+								<ul>
+									{selectedBadge.requirements.map((requirement, index) => (
+										<li key={index}>{requirement}</li>
+									))}
+								</ul>
+							</div>
+						)}
+					</div>
+				)}
+
+				<div className="form-group">
+					<label htmlFor="objectif">{t('objectif_proie')}:</label>
+					<textarea
+						id="objectif"
+						value={formData.objectif}
+						onChange={(e) => handleChange('objectif', e.target.value)}
+						required
+					/>
+				</div>
+
+				<div className="form-group">
+					<label htmlFor="description">{t('description')}:</label>
+					<textarea
+						id="description"
+						value={formData.description}
+						onChange={(e) => handleChange('description', e.target.value)}
+						required
+					/>
+				</div>
+
+				<div className="form-group checkbox-group">
+					<label htmlFor="fierte">
+						<input
+							type="checkbox"
+							id="fierte"
+							checked={formData.fierte}
+							onChange={(e) => handleChange('fierte', e.target.checked)}
+						/>
+						{t('fierte')}
+					</label>
+				</div>
+
+				<div className="form-group">
+					<label htmlFor="raison">{t('raison')}:</label>
+					<textarea
+						id="raison"
+						value={formData.raison}
+						onChange={(e) => handleChange('raison', e.target.value)}
+						required
+					/>
+				</div>
+
+				<div className="form-group">
+					<label htmlFor="date_obtention">{t('date_obtention')}:</label>
+					<input
+						type="date"
+						id="date_obtention"
+						value={formData.date_obtention}
+						onChange={(e) => handleChange('date_obtention', e.target.value)}
+						required
+					/>
+				</div>
+
+				<button
+					type="submit"
+					className="submit-btn"
+					disabled={submitting || !selectedBadge || maxStarsReached || (hasPending && !revisingId)}
+				>
+					{submitting ? t('saving') : submitLabel}
+				</button>
+				{revisingId && (
+					<button type="button" className="cancel-btn" onClick={cancelRevision}>
+						{t('cancel')}
+					</button>
+				)}
+			</form>
+
+			<h2>{t('existing_badge_progress')}</h2>
+			<div className="badge-grid">
+				{badgeSystem.badges.map(renderBadgeItem)}
+			</div>
+		</div>
+	);
+};
+
+export default BadgeForm;
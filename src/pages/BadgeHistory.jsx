@@ -0,0 +1,199 @@
+// src/pages/BadgeHistory.jsx
+import React, { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import LoadingSpinner from '../components/common/LoadingSpinner/LoadingSpinner';
+import Notification from '../components/common/Notification/Notification';
+import { useAuth } from '../contexts/AuthContext';
+import { participantService } from '../api/participantService';
+import { pointsService } from '../api/pointsService';
+import { organizationService } from '../api/organizationService';
+import {
+	BADGE_STATUS,
+	getBadgeImageUrl,
+	getBadgeSystemFromSettings,
+	getStarSymbols
+} from '../lib/badgeSystems';
+import './BadgeHistory.css';
+
+// Translation key and marker of each timeline event
+const EVENT_DISPLAY = {
+	submitted: { label: 'badge_event_submitted', icon: '📝' },
+	resubmitted: { label: 'badge_event_resubmitted', icon: '🔁' },
+	[BADGE_STATUS.PENDING]: { label: 'badge_event_submitted', icon: '📝' },
+	[BADGE_STATUS.APPROVED]: { label: 'badge_event_approved', icon: '⭐' },
+	[BADGE_STATUS.REJECTED]: { label: 'badge_event_rejected', icon: '✖' },
+	[BADGE_STATUS.CHANGES_REQUESTED]: { label: 'badge_event_changes_requested', icon: '✎' }
+};
+
+const BadgeHistory = () => {
+	const { t } = useTranslation();
+	const { id: participantId } = useParams();
+	const { currentUser } = useAuth();
+
+	const [loading, setLoading] = useState(true);
+	const [notification, setNotification] = useState({ message: '', type: '' });
+	const [participant, setParticipant] = useState(null);
+	const [badgeSystem, setBadgeSystem] = useState(getBadgeSystemFromSettings(null));
+	const [badgeProgress, setBadgeProgress] = useState([]);
+	const [history, setHistory] = useState([]);
+	const [badgeFilter, setBadgeFilter] = useState('');
+
+	const isStaff = ['admin', 'animation'].includes(currentUser?.role);
+
+	// Load participant, progress and history
+	useEffect(() => {
+		const fetchData = async () => {
+			setLoading(true);
+			try {
+				const [participantResponse, settings, progressResponse, historyResponse] = await Promise.all([
+					participantService.getParticipant(participantId),
+					organizationService.getOrganizationSettings().catch(() => ({})),
+					pointsService.getBadgeProgress(participantId).catch(() => ({ badges: [] })),
+					pointsService.getBadgeHistory(participantId)
+				]);
+
+				setParticipant(participantResponse?.participant || null);
+				setBadgeSystem(getBadgeSystemFromSettings(settings));
+				setBadgeProgress(progressResponse?.badges || []);
+				setHistory(sortEvents(historyResponse?.history || []));
+			} catch (error) {
+				console.error('Error loading badge history:', error);
+				setNotification({
+					message: t('error_loading_badge_history'),
+					type: 'error'
+				});
+			} finally {
+				setLoading(false);
+			}
+		};
+
+		fetchData();
+	}, [participantId, t]);
+
+	// Most recent events first
+	const sortEvents = (events) => [...events].sort(
+		(a, b) => new Date(getEventDate(b)) - new Date(getEventDate(a))
+	);
+
+	const getEventDate = (event) => event.created_at || event.changed_at || event.date_obtention;
+
+	const formatDateTime = (value) => {
+		if (!value) return '';
+		const date = new Date(value);
+		if (Number.isNaN(date.getTime())) return value;
+		return date.toLocaleString(t('locale'), {
+			year: 'numeric',
+			month: 'long',
+			day: 'numeric',
+			hour: '2-digit',
+			minute: '2-digit'
+		});
+	};
+
+	const getApprovedStars = (badgeName) => {
+		return badgeProgress
+			.filter(b => b.territoire_chasse === badgeName && b.status === BADGE_STATUS.APPROVED)
+			.reduce((max, b) => Math.max(max, parseInt(b.etoiles, 10) || 0), 0);
+	};
+
+	const getPendingStars = (badgeName) => {
+		return badgeProgress.filter(b => b.territoire_chasse === badgeName && b.status === BADGE_STATUS.PENDING).length;
+	};
+
+	// Render one event of the timeline
+	const renderEvent = (event, index) => {
+		const eventType = event.action || event.status;
+		const display = EVENT_DISPLAY[eventType] || { label: eventType, icon: '•' };
+		const comment = event.comment || event.reviewer_comment;
+
+		return (
+			<li key={event.id || index} className={`timeline-event status-${event.status || eventType}`}>
+				<span className="timeline-marker" aria-hidden="true">{display.icon}</span>
+				<div className="timeline-content">
+					<div className="timeline-header">
+						<strong>{t(display.label)}</strong>
+						<span className="timeline-badge">{event.territoire_chasse}</span>
+						{event.etoiles && <span className="timeline-stars">{'⭐'.repeat(parseInt(event.etoiles, 10) || 0)}</span>}
+					</div>
+					<div className="timeline-meta">
+						{formatDateTime(getEventDate(event))}
+						{event.reviewer_name && ` · ${event.reviewer_name}`}
+					</div>
+					{comment && <blockquote className="timeline-comment">{comment}</blockquote>}
+				</div>
+			</li>
+		);
+	};
+
+	if (loading) {
+		return <LoadingSpinner fullScreen text={t('loading')} />;
+	}
+
+	const filteredHistory = badgeFilter
+		? history.filter(event => event.territoire_chasse === badgeFilter)
+		: history;
+
+	return (
+		<div className="badge-history-page">
+			{notification.message && (
+				<Notification
+					message={notification.message}
+					type={notification.type}
+					onClose={() => setNotification({ message: '', type: '' })}
+				/>
+			)}
+
+			<div className="page-header">
+				<Link to={isStaff ? '/badge-summary' : '/parent-dashboard'} className="back-link">
+					{isStaff ? t('back_to_badge_summary') : t('back_to_dashboard')}
+				</Link>
+				<h1>{t('badge_history')}</h1>
+				{participant && <h2>{participant.first_name} {participant.last_name}</h2>}
+			</div>
+
+			<div className="badge-progress-overview">
+				{badgeSystem.badges.map(badge => (
+					<button
+						type="button"
+						key={badge.id}
+						className={`badge-progress-card ${badgeFilter === badge.name ? 'active' : ''}`}
+						onClick={() => setBadgeFilter(prev => (prev === badge.name ? '' : badge.name))}
+					>
+						<img src={getBadgeImageUrl(badge)} alt="" />
+						<span className="badge-name">{badge.name}</span>
+						<span className="stars">
+							{getStarSymbols(badge.max_stars, getApprovedStars(badge.name), getPendingStars(badge.name)).join('')}
+						</span>
+					</button>
+				))}
+			</div>
+
+			<div className="timeline-section">
+				<h3>
+					{t('badge_timeline')}
+					{badgeFilter && (
+						<button type="button" className="clear-filter-btn" onClick={() => setBadgeFilter('')}>
+							{badgeFilter} ×
+						</button>
+					)}
+				</h3>
+				{filteredHistory.length === 0 ? (
+					<p className="no-data">{t('no_badge_history')}</p>
+				) : (
+					<ol className="timeline">
+						{filteredHistory.map(renderEvent)}
+					</ol>
+				)}
+			</div>
+
+			{!isStaff && (
+				<Link to={`/badge-form/${participantId}`} className="badge-form-link">
+					{t('manage_badge_progress')}
+				</Link>
+			)}
+		</div>
+	);
+};
+
+export default BadgeHistory;
@@ -0,0 +1,167 @@
+// src/pages/BadgeSummary.jsx
+import React, { useState, useEffect, useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import LoadingSpinner from '../components/common/LoadingSpinner/LoadingSpinner';
+import Notification from '../components/common/Notification/Notification';
+import { pointsService } from '../api/pointsService';
+import { organizationService } from '../api/organizationService';
+import { BADGE_STATUS, getBadgeSystemFromSettings } from '../lib/badgeSystems';
+import './BadgeSummary.css';
+
+const BadgeSummary = () => {
+	const { t } = useTranslation();
+
+	const [loading, setLoading] = useState(true);
+	const [notification, setNotification] = useState({ message: '', type: '' });
+	const [badgeSystem, setBadgeSystem] = useState(getBadgeSystemFromSettings(null));
+	const [summary, setSummary] = useState([]);
+	const [search, setSearch] = useState('');
+
+	// Load the badge program and the summary of every participant
+	useEffect(() => {
+		const fetchData = async () => {
+			setLoading(true);
+			try {
+				const [settings, summaryResponse] = await Promise.all([
+					organizationService.getOrganizationSettings().catch(() => ({})),
+					pointsService.getBadgeSummary()
+				]);
+
+				setBadgeSystem(getBadgeSystemFromSettings(settings));
+				setSummary(Array.isArray(summaryResponse?.summary) ? summaryResponse.summary : []);
+			} catch (error) {
+				console.error('Error loading badge summary:', error);
+				setNotification({
+					message: t('error_loading_badge_summary'),
+					type: 'error'
+				});
+			} finally {
+				setLoading(false);
+			}
+		};
+
+		fetchData();
+	}, [t]);
+
+	// One row per participant with approved stars and open requests per badge
+	const participants = useMemo(() => {
+		const byParticipant = {};
+
+		summary.forEach(row => {
+			const id = row.participant_id;
+			if (!byParticipant[id]) {
+				byParticipant[id] = {
+					id,
+					first_name: row.first_name,
+					last_name: row.last_name,
+					badges: {},
+					pending: 0,
+					changesRequested: 0
+				};
+			}
+
+			const participant = byParticipant[id];
+			const badge = participant.badges[row.territoire_chasse] || { stars: 0, pending: false };
+
+			if (row.status === BADGE_STATUS.APPROVED) {
+				badge.stars = Math.max(badge.stars, parseInt(row.etoiles, 10) || 0);
+			} else if (row.status === BADGE_STATUS.PENDING) {
+				badge.pending = true;
+				participant.pending += 1;
+			} else if (row.status === BADGE_STATUS.CHANGES_REQUESTED) {
+				participant.changesRequested += 1;
+			}
+
+			participant.badges[row.territoire_chasse] = badge;
+		});
+
+		return Object.values(byParticipant).sort((a, b) =>
+			`${a.last_name} ${a.first_name}`.localeCompare(`${b.last_name} ${b.first_name}`)
+		);
+	}, [summary]);
+
+	if (loading) {
+		return <LoadingSpinner fullScreen text={t('loading')} />;
+	}
+
+	const searchTerm = search.trim().toLowerCase();
+	const filteredParticipants = searchTerm
+		? participants.filter(p => `${p.first_name} ${p.last_name}`.toLowerCase().includes(searchTerm))
+		: participants;
+
+	return (
+		<div className="badge-summary-page">
+			{notification.message && (
+				<Notification
+					message={notification.message}
+					type={notification.type}
+					onClose={() => setNotification({ message: '', type: '' })}
+				/>
+			)}
+
+			<div className="page-header">
+				<Link to="/approve-badges" className="back-link">{t('back_to_approve_badges')}</Link>
+				<h1>{t('badge_summary')}</h1>
+				<p className="badge-program-name">{badgeSystem.name}</p>
+			</div>
+
+			<input
+				type="search"
+				className="summary-search"
+				value={search}
+				onChange={(e) => setSearch(e.target.value)}
+				placeholder={t('search_participant')}
+				aria-label={t('search_participant')}
+			/>
+
+			{filteredParticipants.length === 0 ? (
+				<p className="no-data">{t('no_badge_history')}</p>
+			) : (
+				<div className="summary-table-container">
+					<table className="summary-table">
+						<thead>
+							<tr>
+								<th>{t('participant_name')}</th>
+								{badgeSystem.badges.map(badge => (
+									<th key={badge.id} title={badge.name}>{badge.name}</th>
+								))}
+								<th>{t('pending')}</th>
+							</tr>
+						</thead>
+						<tbody>
+							{filteredParticipants.map(participant => (
+								<tr key={participant.id}>
+									<td>
+										<Link to={`/badge-history/${participant.id}`}>
+											{participant.first_name} {participant.last_name}
+										</Link>
+									</td>
+									{badgeSystem.badges.map(badge => {
+										const progress = participant.badges[badge.name];
+										return (
+											<td key={badge.id} className="stars-cell">
+												{progress?.stars || 0} / {badge.max_stars}
+												{progress?.pending && <span className="pending-marker" title={t('pending')}> 🕒</span>}
+											</td>
+										);
+									})}
+									<td>
+										{participant.pending}
+										{participant.changesRequested > 0 && (
+											<span className="changes-marker" title={t('changes_requested')}>
+												{' '}(✎ {participant.changesRequested})
+											</span>
+										)}
+									</td>
+								</tr>
+							))}
+						</tbody>
+					</table>
+				</div>
+			)}
+		</div>
+	);
+};
+
+export default BadgeSummary;
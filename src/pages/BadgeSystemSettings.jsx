@@ -0,0 +1,310 @@
+// src/pages/BadgeSystemSettings.jsx
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import LoadingSpinner from '../components/common/LoadingSpinner/LoadingSpinner';
+import Notification from '../components/common/Notification/Notification';
+import { organizationService } from '../api/organizationService';
+import {
+	BADGE_SYSTEM_SETTING_KEY,
+	LOUVETEAUX_BADGE_SYSTEM,
+	getBadgeImageUrl,
+	getBadgeSystemFromSettings,
+	normalizeBadgeSystem
+} from '../lib/badgeSystems';
+import './BadgeSystemSettings.css';
+
+// Labels available for the badges of a program
+const BADGE_LABELS = ['territoire_chasse', 'badge'];
+
+const BadgeSystemSettings = () => {
+	const { t } = useTranslation();
+
+	const [loading, setLoading] = useState(true);
+	const [saving, setSaving] = useState(false);
+	const [notification, setNotification] = useState({ message: '', type: '' });
+	const [system, setSystem] = useState(null);
+	const [savedBadgeNames, setSavedBadgeNames] = useState([]);
+
+	// Load the current badge program
+	useEffect(() => {
+		const fetchData = async () => {
+			setLoading(true);
+			try {
+				const settings = await organizationService.getOrganizationSettings().catch(() => ({}));
+				const badgeSystem = getBadgeSystemFromSettings(settings);
+				setSystem(toEditable(badgeSystem));
+				setSavedBadgeNames(badgeSystem.badges.map(badge => badge.name));
+			} catch (error) {
+				console.error('Error loading badge program:', error);
+				setNotification({
+					message: t('error_loading_badge_program'),
+					type: 'error'
+				});
+			} finally {
+				setLoading(false);
+			}
+		};
+
+		fetchData();
+	}, [t]);
+
+	// Requirements are edited one per line
+	const toEditable = (badgeSystem) => ({
+		...badgeSystem,
+		badges: badgeSystem.badges.map(badge => ({
+			...badge,
+			requirementsText: badge.requirements.join('\n')
+		}))
+	});
+
+	const handleSystemChange = (field, value) => {
+		setSystem(prev => ({
+			...prev,
+			[field]: value
+		}));
+	};
+
+	const handleBadgeChange = (index, field, value) => {
+		setSystem(prev => ({
+			...prev,
+			badges: prev.badges.map((badge, i) => (i === index ? { ...badge, [field]: value } : badge))
+		}));
+	};
+
+	const addBadge = () => {
+		setSystem(prev => ({
+			...prev,
+			badges: [...prev.badges, { id: '', name: '', image: '', max_stars: prev.max_stars, requirementsText: '' }]
+		}));
+	};
+
+	const removeBadge = (index) => {
+		setSystem(prev => ({
+			...prev,
+			badges: prev.badges.filter((_, i) => i !== index)
+		}));
+	};
+
+	const moveBadge = (index, offset) => {
+		const target = index + offset;
+		if (target < 0 || target >= system.badges.length) return;
+
+		setSystem(prev => {
+			const badges = [...prev.badges];
+			const [moved] = badges.splice(index, 1);
+			badges.splice(target, 0, moved);
+			return { ...prev, badges };
+		});
+	};
+
+	// Replace the program with the Louveteaux hunting territories
+	const loadLouveteauxProgram = () => {
+		setSystem(toEditable(normalizeBadgeSystem(LOUVETEAUX_BADGE_SYSTEM)));
+	};
+
+	// Save the program in the organization settings
+	const handleSubmit = async (e) => {
+		e.preventDefault();
+
+		const badges = system.badges.filter(badge => badge.name.trim());
+		const names = badges.map(badge => badge.name.trim());
+
+		if (badges.length === 0 || new Set(names).size !== names.length) {
+			setNotification({
+				message: t('badge_program_invalid'),
+				type: 'error'
+			});
+			return;
+		}
+
+		setSaving(true);
+		try {
+			const badgeSystem = normalizeBadgeSystem({
+				id: system.id,
+				name: system.name.trim(),
+				badge_label: system.badge_label,
+				max_stars: system.max_stars,
+				badges: badges.map(badge => ({
+					id: badge.id,
+					name: badge.name.trim(),
+					image: badge.image.trim(),
+					max_stars: badge.max_stars,
+					requirements: badge.requirementsText.split('\n').map(line => line.trim()).filter(Boolean)
+				}))
+			});
+
+			await organizationService.updateOrganizationSetting(BADGE_SYSTEM_SETTING_KEY, badgeSystem);
+			setSystem(toEditable(badgeSystem));
+			setSavedBadgeNames(badgeSystem.badges.map(badge => badge.name));
+			setNotification({
+				message: t('badge_program_saved'),
+				type: 'success'
+			});
+		} catch (error) {
+			console.error('Error saving badge program:', error);
+			setNotification({
+				message: t('error_saving_badge_program'),
+				type: 'error'
+			});
+		} finally {
+			setSaving(false);
+		}
+	};
+
+	if (loading || !system) {
+		return <LoadingSpinner fullScreen text={t('loading')} />;
+	}
+
+	return (
+		<div className="badge-system-page">
+			{notification.message && (
+				<Notification
+					message={notification.message}
+					type={notification.type}
+					onClose={() => setNotification({ message: '', type: '' })}
+				/>
+			)}
+
+			<div className="page-header">
+				<Link to="/admin" className="back-link">{t('back_to_admin')}</Link>
+				<h1>{t('badge_program')}</h1>
+			</div>
+
+			<form onSubmit={handleSubmit} className="badge-system-form">
+				<div className="form-row">
+					<div className="form-group">
+						<label htmlFor="program-name">{t('badge_program_name')}:</label>
+						<input
+							type="text"
+							id="program-name"
+							value={system.name}
+							onChange={(e) => handleSystemChange('name', e.target.value)}
+							required
+						/>
+					</div>
+					<div className="form-group">
+						<label htmlFor="badge-label">{t('badge_label')}:</label>
+						<select
+							id="badge-label"
+							value={system.badge_label}
+							onChange={(e) => handleSystemChange('badge_label', e.target.value)}
+						>
+							{BADGE_LABELS.map(label => (
+								<option key={label} value={label}>{t(label)}</option>
+							))}
+						</select>
+					</div>
+					<div className="form-group">
+						<label htmlFor="max-stars">{t('default_max_stars')}:</label>
+						<input
+							type="number"
+							id="max-stars"
+							min="1"
+							max="10"
+							value={system.max_stars}
+							onChange={(e) => handleSystemChange('max_stars', e.target.value)}
+						/>
+					</div>
+				</div>
+
+				<p className="badge-rename-hint">{t('badge_rename_hint')}</p>
+
+				<div className="badge-definitions">
+					{system.badges.map((badge, index) => (
+						<div key={badge.id || `new-${index}`} className="badge-definition">
+							<img src={getBadgeImageUrl(badge)} alt={badge.name} className="badge-preview" />
+							<div className="badge-definition-fields">
+								<div className="form-row">
+									<div className="form-group">
+										<label htmlFor={`badge-name-${index}`}>{t('name')}:</label>
+										<input
+											type="text"
+											id={`badge-name-${index}`}
+											value={badge.name}
+											onChange={(e) => handleBadgeChange(index, 'name', e.target.value)}
+										/>
+										{badge.id && savedBadgeNames.length > 0 && !savedBadgeNames.includes(badge.name) && (
+											<span className="field-warning">{t('badge_renamed_warning')}</span>
+										)}
+									</div>
+									<div className="form-group">
+										<label htmlFor={`badge-image-${index}`}>{t('image')}:</label>
+										<input
+											type="text"
+											id={`badge-image-${index}`}
+											value={badge.image}
+											onChange={(e) => handleBadgeChange(index, 'image', e.target.value)}
+											placeholder="kaa.jpg"
+										/>
+									</div>
+									<div className="form-group stars-field">
+										<label htmlFor={`badge-stars-${index}`}>{t('stars')}:</label>
+										<input
+											type="number"
+											id={`badge-stars-${index}`}
+											min="1"
+											max="10"
+											value={badge.max_stars}
+											onChange={(e) => handleBadgeChange(index, 'max_stars', e.target.value)}
+										/>
+									</div>
+								</div>
+								<div className="form-group">
+									<label htmlFor={`badge-requirements-${index}`}>{t('badge_requirements')}:</label>
+									<textarea
+										id={`badge-requirements-${index}`}
+										rows={3}
+										value={badge.requirementsText}
+										onChange={(e) => handleBadgeChange(index, 'requirementsText', e.target.value)}
+										placeholder={t('one_requirement_per_line')}
+									/>
+								</div>
+							</div>
+							<div className="badge-definition-actions">
+								<button
+									type="button"
+									onClick={() => moveBadge(index, -1)}
+									disabled={index === 0}
+									aria-label={t('move_up')}
+								>
+									▲
+								</button>
+								<button
+									type="button"
+									onClick={() => moveBadge(index, 1)}
+									disabled={index === system.badges.length - 1}
+									aria-label={t('move_down')}
+								>
+									▼
+								</button>
+								<button
+									type="button"
+									className="delete-badge-btn"
+									onClick={() => removeBadge(index)}
+									aria-label={t('Delete')}
+								>
+									×
+								</button>
+							</div>
+						</div>
+					))}
+				</div>
+
+				<div className="form-actions">
+					<button type="button" className="add-badge-btn" onClick={addBadge}>
+						+ {t('add_badge')}
+					</button>
+					<button type="button" onClick={loadLouveteauxProgram}>
+						{t('load_louveteaux_program')}
+					</button>
+					<button type="submit" className="save-btn" disabled={saving}>
+						{saving ? t('saving') : t('save')}
+					</button>
+				</div>
+			</form>
+		</div>
+	);
+};
+
+export default BadgeSystemSettings;
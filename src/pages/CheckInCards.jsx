@@ -0,0 +1,172 @@
+// src/pages/CheckInCards.jsx
+import React, { useState, useEffect, useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import QRCode from 'qrcode';
+import LoadingSpinner from '../components/common/LoadingSpinner/LoadingSpinner';
+import Notification from '../components/common/Notification/Notification';
+import { participantService } from '../api/participantService';
+import { organizationService } from '../api/organizationService';
+import { getCheckInCode } from '../lib/checkIn';
+import { escapeHtml } from '../lib/html';
+import './CheckInCards.css';
+
+const QR_CODE_OPTIONS = { width: 240, margin: 1, errorCorrectionLevel: 'M' };
+
+/**
+ * Printable QR cards read by the attendance scanner at arrival and dismissal
+ */
+const CheckInCards = () => {
+	const { t } = useTranslation();
+	const [loading, setLoading] = useState(true);
+	const [participants, setParticipants] = useState([]);
+	const [groupFilter, setGroupFilter] = useState('');
+	const [qrCodes, setQrCodes] = useState({});
+	const [organizationName, setOrganizationName] = useState('');
+	const [notification, setNotification] = useState({ message: '', type: '' });
+
+	useEffect(() => {
+		const fetchData = async () => {
+			setLoading(true);
+			try {
+				const [response, settings] = await Promise.all([
+					participantService.getParticipants(),
+					organizationService.getOrganizationSettings().catch(() => ({}))
+				]);
+				setParticipants(response.participants || []);
+				setOrganizationName(settings?.organization_info?.name || '');
+			} catch (error) {
+				console.error('Error loading participants:', error);
+				setNotification({
+					message: t('error_loading_data'),
+					type: 'error'
+				});
+			} finally {
+				setLoading(false);
+			}
+		};
+
+		fetchData();
+	}, [t]);
+
+	useEffect(() => {
+		const generateCodes = async () => {
+			try {
+				const entries = await Promise.all(participants.map(async participant => [
+					participant.id,
+					await QRCode.toDataURL(getCheckInCode(participant.id), QR_CODE_OPTIONS)
+				]));
+				setQrCodes(Object.fromEntries(entries));
+			} catch (error) {
+				console.error('Error generating QR codes:', error);
+			}
+		};
+
+		generateCodes();
+	}, [participants]);
+
+	const groupNames = useMemo(() => (
+		[...new Set(participants.map(p => p.group_name).filter(Boolean))].sort((a, b) => a.localeCompare(b))
+	), [participants]);
+
+	const visibleParticipants = useMemo(() => (
+		participants
+			.filter(p => !groupFilter || p.group_name === groupFilter)
+			.sort((a, b) => a.last_name.localeCompare(b.last_name))
+	), [participants, groupFilter]);
+
+	const printCards = () => {
+		const printWindow = window.open('', '_blank');
+		if (!printWindow) return;
+
+		printWindow.document.write(`
+			<html>
+				<head>
+					<title>${escapeHtml(t('check_in_cards'))}</title>
+					<style>
+						@page { size: letter; margin: 0.4in; }
+						body { font-family: Arial, sans-serif; margin: 0; }
+						.cards { display: grid; grid-template-columns: repeat(3, 1fr); gap: 0.2in; }
+						.card { border: 1px dashed #999; padding: 0.15in; text-align: center; page-break-inside: avoid; }
+						.card img { width: 1.6in; height: 1.6in; }
+						.name { font-size: 13pt; font-weight: bold; margin: 0.05in 0 0; }
+						.group, .organization { font-size: 9pt; color: #555; margin: 0.03in 0 0; }
+					</style>
+				</head>
+				<body>
+					<div class="cards">
+						${visibleParticipants.map(participant => `
+							<div class="card">
+								<img src="${qrCodes[participant.id] || ''}" alt="">
+								<p class="name">${escapeHtml(participant.first_name)} ${escapeHtml(participant.last_name)}</p>
+								${participant.group_name ? `<p class="group">${escapeHtml(participant.group_name)}</p>` : ''}
+								${organizationName ? `<p class="organization">${escapeHtml(organizationName)}</p>` : ''}
+							</div>
+						`).join('')}
+					</div>
+				</body>
+			</html>
+		`);
+		// Print once the QR code images are decoded
+		printWindow.onload = () => printWindow.print();
+		printWindow.document.close();
+	};
+
+	if (loading) {
+		return <LoadingSpinner fullScreen text={t('loading')} />;
+	}
+
+	return (
+		<div className="check-in-cards-page">
+			{notification.message && (
+				<Notification
+					message={notification.message}
+					type={notification.type}
+					onClose={() => setNotification({ message: '', type: '' })}
+				/>
+			)}
+
+			<div className="page-header">
+				<Link to="/attendance" className="back-link">{t('back_to_attendance')}</Link>
+				<h1>{t('check_in_cards')}</h1>
+				<p className="page-description">{t('check_in_cards_description')}</p>
+			</div>
+
+			<div className="check-in-cards-toolbar">
+				<select
+					value={groupFilter}
+					onChange={(e) => setGroupFilter(e.target.value)}
+					aria-label={t('filter_by_group')}
+				>
+					<option value="">{t('all_groups')}</option>
+					{groupNames.map(name => (
+						<option key={name} value={name}>{name}</option>
+					))}
+				</select>
+				<button
+					type="button"
+					onClick={printCards}
+					disabled={visibleParticipants.length === 0 || visibleParticipants.some(p => !qrCodes[p.id])}
+				>
+					{t('print')}
+				</button>
+			</div>
+
+			{visibleParticipants.length === 0 ? (
+				<p className="no-data">{t('no_participants_found')}</p>
+			) : (
+				<div className="check-in-cards">
+					{visibleParticipants.map(participant => (
+						<div key={participant.id} className="check-in-card">
+							{qrCodes[participant.id] && <img src={qrCodes[participant.id]} alt="" />}
+							<strong>{participant.first_name} {participant.last_name}</strong>
+							{participant.group_name && <span className="group-name">{participant.group_name}</span>}
+						</div>
+					))}
+				</div>
+			)}
+		</div>
+	);
+};
+
+export default CheckInCards;
@@ -1,12 +1,14 @@
 // src/pages/Dashboard.jsx
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useTranslation } from 'react-i18next';
 import { useAuth } from '../contexts/AuthContext';
 import LoadingSpinner from '../components/common/LoadingSpinner/LoadingSpinner';
 import Notification from '../components/common/Notification/Notification';
 import LanguageToggle from '../components/common/LanguageToggle/LanguageToggle';
-import { participantService } from '../api/participantService';
+import AbsenceAlerts from '../components/common/AbsenceAlerts/AbsenceAlerts';
+import { selectParticipants } from '../api/participantService';
+import { useApiQuery } from '../hooks/useApiQuery';
 import { organizationService } from '../api/organizationService';
 import './Dashboard.css';
 
@@ -15,58 +17,56 @@ const Dashboard = () => {
 	const { currentUser, logout } = useAuth();
 	const navigate = useNavigate();
 
-	const [groups, setGroups] = useState([]);
-	const [participants, setParticipants] = useState([]);
-	const [loading, setLoading] = useState(true);
+	const [settingsLoading, setSettingsLoading] = useState(true);
 	const [notification, setNotification] = useState({ message: '', type: '' });
 	const [organizationName, setOrganizationName] = useState('Scouts');
 	const [organizationLogo, setOrganizationLogo] = useState('');
 
-	useEffect(() => {
-		const fetchData = async () => {
-			setLoading(true);
-			try {
-				// Fetch participants data
-				const participantsResponse = await participantService.getParticipants();
-				console.log("Participants in dashboard: ",participantsResponse);
-				if (participantsResponse.success && Array.isArray(participantsResponse.data)) {
-					setParticipants(participantsResponse.data);
-				}
+	// Kept up to date with the query cache: points given elsewhere show up without reloading
+	const {
+		data: participants = [],
+		loading: participantsLoading,
+		error: participantsError
+	} = useApiQuery('participants', null, { select: selectParticipants });
 
-				// Organize participants into groups
-				const groupsMap = new Map();
+	const loading = settingsLoading || participantsLoading;
 
-				participantsResponse.participants.forEach(participant => {
-					if (!participant.group_id) return;
+	// Organize participants into groups
+	const groups = useMemo(() => {
+		const groupsMap = new Map();
 
-					if (!groupsMap.has(participant.group_id)) {
-						groupsMap.set(participant.group_id, {
-							id: participant.group_id,
-							name: participant.group_name || 'Unknown Group',
-							participants: [],
-							totalPoints: 0
-						});
-					}
+		participants.forEach(participant => {
+			if (!participant.group_id) return;
 
-					const group = groupsMap.get(participant.group_id);
-					group.participants.push(participant);
-					group.totalPoints += (parseInt(participant.total_points) || 0);
+			if (!groupsMap.has(participant.group_id)) {
+				groupsMap.set(participant.group_id, {
+					id: participant.group_id,
+					name: participant.group_name || 'Unknown Group',
+					participants: [],
+					totalPoints: 0
 				});
+			}
 
-				// Convert map to array and sort by name
-				const groupsArray = Array.from(groupsMap.values()).sort((a, b) => 
-					a.name.localeCompare(b.name)
-				);
+			const group = groupsMap.get(participant.group_id);
+			group.participants.push(participant);
+			group.totalPoints += (parseInt(participant.total_points) || 0);
+		});
 
-				setGroups(groupsArray);
+		// Convert map to array and sort by name
+		return Array.from(groupsMap.values()).sort((a, b) => 
+			a.name.localeCompare(b.name)
+		);
+	}, [participants]);
 
+	useEffect(() => {
+		const fetchSettings = async () => {
+			try {
 				// Fetch organization settings
 				const settings = await organizationService.getOrganizationSettings();
 				if (settings && settings.organization_info) {
 					setOrganizationName(settings.organization_info.name || 'Scouts');
 					setOrganizationLogo(settings.organization_info.logo || '');
 				}
-
 			} catch (error) {
 				console.error('Error fetching dashboard data:', error);
 				setNotification({
@@ -74,13 +74,22 @@ const Dashboard = () => {
 					type: 'error'
 				});
 			} finally {
-				setLoading(false);
+				setSettingsLoading(false);
 			}
 		};
 
-		fetchData();
+		fetchSettings();
 	}, []);
 
+	useEffect(() => {
+		if (participantsError) {
+			setNotification({
+				message: t('error_loading_dashboard'),
+				type: 'error'
+			});
+		}
+	}, [participantsError]);
+
 	const handleLogout = async () => {
 		try {
 			await logout();
@@ -234,8 +243,10 @@ const Dashboard = () => {
 					<Link to="/parent-contact-list" className="dashboard-link">{t('parent_contact_list')}</Link>
 					<Link to="/manage-users-participants" className="dashboard-link">{t('manage_participants')}</Link>
 					<Link to="/mailing-list" className="dashboard-link">{t('mailing_list')}</Link>
-					<Link to="/calendars" className="dashboard-link">{t('calendars')}</Link>
+					<Link to="/fundraisers" className="dashboard-link">{t('fundraisers')}</Link>
+					<Link to="/events" className="dashboard-link">{t('events')}</Link>
 					<Link to="/reports" className="dashboard-link">{t('reports')}</Link>
+					<Link to="/emergency-sheets" className="dashboard-link">{t('emergency_sheets')}</Link>
 					<Link to="/group-participant-report" className="dashboard-link">{t('feuille_participants')}</Link>
 
 					{currentUser?.role === 'admin' && (
@@ -243,6 +254,8 @@ const Dashboard = () => {
 					)}
 				</div>
 
+				<AbsenceAlerts />
+
 				<div id="points-list">
 					{renderPointsList()}
 				</div>
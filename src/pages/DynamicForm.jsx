@@ -0,0 +1,172 @@
+// src/pages/DynamicForm.jsx
+import React, { useState, useEffect } from 'react';
+import { Link, useParams, useNavigate, useSearchParams } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import { useAuth } from '../contexts/AuthContext';
+import LoadingSpinner from '../components/common/LoadingSpinner/LoadingSpinner';
+import Notification from '../components/common/Notification/Notification';
+import JsonFormRenderer from '../components/common/JsonFormRenderer/JsonFormRenderer';
+import { organizationService } from '../api/organizationService';
+import { participantService } from '../api/participantService';
+import { formSubmissionService } from '../api/formSubmissionService';
+import { reregistrationService } from '../api/reregistrationService';
+import { normalizeFormFormat } from '../lib/formFormats';
+import { getSubmittedValues, validateFormValues } from '../lib/formRules';
+import './DynamicForm.css';
+
+const DynamicForm = () => {
+	const { t } = useTranslation();
+	const { currentUser } = useAuth();
+	const { formType, participantId } = useParams();
+	const navigate = useNavigate();
+	// Opened from a re-registration campaign: the form is prefilled with last season's answers
+	const [searchParams] = useSearchParams();
+	const campaignId = searchParams.get('campaign');
+
+	const [loading, setLoading] = useState(true);
+	const [saving, setSaving] = useState(false);
+	const [notification, setNotification] = useState({ message: '', type: '' });
+	const [fields, setFields] = useState(null);
+	const [participant, setParticipant] = useState(null);
+	const [values, setValues] = useState({});
+	const [initialValues, setInitialValues] = useState({});
+	const [errors, setErrors] = useState({});
+	const [submitted, setSubmitted] = useState(false);
+
+	const dashboardPath = currentUser?.role === 'parent' ? '/parent-dashboard' : '/dashboard';
+
+	useEffect(() => {
+		const fetchData = async () => {
+			setLoading(true);
+			try {
+				const [formFormats, formData, participantResponse] = await Promise.all([
+					organizationService.getOrganizationFormFormats(),
+					(campaignId
+						? reregistrationService.getSectionDraft(campaignId, participantId, formType)
+						: formSubmissionService.getFormSubmission(participantId, formType)
+					).catch(() => ({})),
+					participantService.getParticipant(participantId).catch(() => null)
+				]);
+
+				if (!formFormats?.[formType]) {
+					setNotification({ message: t('form_not_found'), type: 'error' });
+					return;
+				}
+
+				// Fields added to this participant's form only, kept from the legacy forms
+				const formFields = normalizeFormFormat(formFormats[formType]).fields;
+				const customFields = (formData.custom_form?.fields || [])
+					.filter(customField => !formFields.some(field => field.name === customField.name));
+
+				setFields([...formFields, ...customFields]);
+				setValues(formData);
+				setInitialValues(formData);
+				setParticipant(participantResponse?.participant || null);
+			} catch (error) {
+				console.error('Error loading form:', error);
+				setNotification({ message: t('error_loading_form'), type: 'error' });
+			} finally {
+				setLoading(false);
+			}
+		};
+
+		fetchData();
+	}, [formType, participantId, campaignId, t]);
+
+	const hasChanges = JSON.stringify(values) !== JSON.stringify(initialValues);
+
+	// Errors follow the answers once the form was submitted
+	const handleChange = (nextValues) => {
+		setValues(nextValues);
+		if (submitted) setErrors(validateFormValues(fields, nextValues));
+	};
+
+	const handleUploadFile = (field, file) => {
+		return formSubmissionService.uploadFormFile(formType, participantId, field.name, file);
+	};
+
+	const handleSubmit = async (e) => {
+		e.preventDefault();
+		setSubmitted(true);
+
+		const formErrors = validateFormValues(fields, values);
+		setErrors(formErrors);
+		if (Object.keys(formErrors).length > 0) {
+			setNotification({ message: t('form_has_errors'), type: 'error' });
+			return;
+		}
+
+		setSaving(true);
+		try {
+			const submission = getSubmittedValues(fields, values);
+			const result = campaignId
+				? await reregistrationService.confirmSection(campaignId, participantId, formType, submission, hasChanges)
+				: await formSubmissionService.saveFormSubmission(formType, participantId, submission);
+
+			setNotification({
+				message: result.offline
+					? t('form_saved_offline')
+					: campaignId ? t('reregistration_section_confirmed') : t('form_saved_successfully'),
+				type: 'success'
+			});
+			setTimeout(() => navigate(dashboardPath), 2000);
+		} catch (error) {
+			console.error('Error saving form:', error);
+			setNotification({ message: t('error_saving_form'), type: 'error' });
+		} finally {
+			setSaving(false);
+		}
+	};
+
+	if (loading) {
+		return <LoadingSpinner fullScreen text={t('loading')} />;
+	}
+
+	const submitLabel = campaignId && !hasChanges ? t('reregistration_confirm_unchanged') : t('save');
+
+	return (
+		<div className="dynamic-form-page">
+			{notification.message && (
+				<Notification
+					message={notification.message}
+					type={notification.type}
+					onClose={() => setNotification({ message: '', type: '' })}
+				/>
+			)}
+
+			<div className="page-header">
+				<Link to={dashboardPath} className="back-link">{t('back_to_dashboard')}</Link>
+				<h1>{t(formType)}</h1>
+				{participant && <p className="form-participant">{participant.first_name} {participant.last_name}</p>}
+			</div>
+
+			{campaignId && fields && (
+				<div className="reregistration-notice">
+					{Object.keys(initialValues).length > 0 ? t('reregistration_draft_notice') : t('reregistration_missing_notice')}
+				</div>
+			)}
+
+			{fields && (
+				<form onSubmit={handleSubmit} className="dynamic-form" noValidate>
+					<JsonFormRenderer
+						fields={fields}
+						values={values}
+						onChange={handleChange}
+						errors={errors}
+						onUploadFile={handleUploadFile}
+						disabled={saving}
+						idPrefix={formType}
+					/>
+
+					<div className="form-actions">
+						<button type="submit" className="submit-btn" disabled={saving}>
+							{saving ? t('saving') : submitLabel}
+						</button>
+					</div>
+				</form>
+			)}
+		</div>
+	);
+};
+
+export default DynamicForm;
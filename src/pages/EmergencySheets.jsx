@@ -0,0 +1,371 @@
+// src/pages/EmergencySheets.jsx
+import React, { useState, useEffect, useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import LoadingSpinner from '../components/common/LoadingSpinner/LoadingSpinner';
+import Notification from '../components/common/Notification/Notification';
+import { participantService } from '../api/participantService';
+import { reportsService } from '../api/reportsService';
+import { organizationService } from '../api/organizationService';
+import { buildEmergencySheets, embedPhotos } from '../lib/emergencySheets';
+import { escapeHtml } from '../lib/html';
+import './EmergencySheets.css';
+
+const getAge = (birthDate) => {
+	if (!birthDate) return null;
+	const birth = new Date(`${String(birthDate).split('T')[0]}T00:00:00`);
+	if (Number.isNaN(birth.getTime())) return null;
+
+	const now = new Date();
+	let age = now.getFullYear() - birth.getFullYear();
+	if (now.getMonth() < birth.getMonth() || (now.getMonth() === birth.getMonth() && now.getDate() < birth.getDate())) {
+		age--;
+	}
+	return age;
+};
+
+const EmergencySheets = () => {
+	const { t } = useTranslation();
+	const locale = t('locale');
+
+	const [loading, setLoading] = useState(true);
+	const [generating, setGenerating] = useState(false);
+	const [participants, setParticipants] = useState([]);
+	const [selectedIds, setSelectedIds] = useState([]);
+	const [groupFilter, setGroupFilter] = useState('');
+	const [saved, setSaved] = useState(null);
+	const [organizationName, setOrganizationName] = useState('');
+	const [notification, setNotification] = useState({ message: '', type: '' });
+
+	useEffect(() => {
+		const fetchData = async () => {
+			setLoading(true);
+
+			// Sheets generated before are on this device, even without a connection
+			const savedSheets = await reportsService.getSavedEmergencySheets();
+			if (savedSheets) {
+				setSaved(savedSheets);
+				setSelectedIds(savedSheets.participant_ids.map(String));
+			}
+
+			try {
+				const response = await participantService.getParticipants();
+				setParticipants(response.participants || []);
+			} catch (error) {
+				console.error('Error loading participants:', error);
+
+				if (savedSheets) {
+					setParticipants(savedSheets.sheets.map(sheet => ({
+						id: sheet.participant_id,
+						first_name: sheet.first_name,
+						last_name: sheet.last_name,
+						group_name: sheet.group_name
+					})));
+				} else {
+					setNotification({
+						message: t('error_loading_data'),
+						type: 'error'
+					});
+				}
+			}
+
+			try {
+				const settings = await organizationService.getOrganizationSettings();
+				setOrganizationName(settings?.organization_info?.name || '');
+			} catch (error) {
+				console.error('Error loading organization settings:', error);
+			}
+
+			setLoading(false);
+		};
+
+		fetchData();
+	}, [t]);
+
+	const groupNames = useMemo(() => (
+		[...new Set(participants.map(p => p.group_name).filter(Boolean))].sort((a, b) => a.localeCompare(b))
+	), [participants]);
+
+	const visibleParticipants = useMemo(() => (
+		participants
+			.filter(p => !groupFilter || p.group_name === groupFilter)
+			.sort((a, b) => a.last_name.localeCompare(b.last_name))
+	), [participants, groupFilter]);
+
+	const toggleParticipant = (participantId) => {
+		const id = String(participantId);
+		setSelectedIds(prev => (prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]));
+	};
+
+	const selectVisible = (selected) => {
+		const visibleIds = visibleParticipants.map(p => String(p.id));
+		setSelectedIds(prev => (selected
+			? [...new Set([...prev, ...visibleIds])]
+			: prev.filter(id => !visibleIds.includes(id))));
+	};
+
+	const handleGenerate = async () => {
+		if (selectedIds.length === 0) return;
+
+		setGenerating(true);
+		try {
+			const { reports } = await reportsService.getEmergencySheetReports();
+			const selected = participants.filter(p => selectedIds.includes(String(p.id)));
+			const sheets = await embedPhotos(buildEmergencySheets(selected, reports));
+
+			setSaved(await reportsService.saveEmergencySheets(sheets, selectedIds));
+			setNotification({
+				message: t('emergency_sheets_generated', { total: sheets.length }),
+				type: 'success'
+			});
+		} catch (error) {
+			console.error('Error generating emergency sheets:', error);
+			setNotification({
+				message: error.isOffline ? t('emergency_sheets_offline_error') : t('error_generating_emergency_sheets'),
+				type: 'error'
+			});
+		} finally {
+			setGenerating(false);
+		}
+	};
+
+	const handleClearSaved = async () => {
+		if (!window.confirm(t('confirm_clear_emergency_sheets'))) return;
+
+		await reportsService.clearSavedEmergencySheets();
+		setSaved(null);
+		setNotification({
+			message: t('emergency_sheets_cleared'),
+			type: 'success'
+		});
+	};
+
+	const formatDate = (value) => {
+		if (!value) return '';
+		const [year, month, day] = String(value).split('T')[0].split('-').map(Number);
+		return new Date(year, month - 1, day).toLocaleDateString(locale);
+	};
+
+	const getSwimmingNote = (level) => {
+		if (level === 'ne_sait_pas_nager') return t('doit_porter_vfi');
+		if (level === 'eau_peu_profonde') return t('eau_peu_profonde');
+		return '';
+	};
+
+	const renderSheet = (sheet) => {
+		const age = getAge(sheet.date_naissance);
+		const rows = [
+			[t('allergies'), `${sheet.allergies || t('none')}${sheet.epipen ? ` — ${t('epipen').toUpperCase()}` : ''}`, Boolean(sheet.allergies || sheet.epipen)],
+			[t('medication'), sheet.medication || t('none'), Boolean(sheet.medication)],
+			[t('health_issues'), sheet.health_issues || t('none'), Boolean(sheet.health_issues)],
+			[t('injuries'), sheet.injuries || t('none'), false],
+			[t('swimming_level'), getSwimmingNote(sheet.swimming_level) || '—', Boolean(getSwimmingNote(sheet.swimming_level))],
+			[t('medecin'), [sheet.doctor_name, sheet.doctor_phone].filter(Boolean).join(' — ') || '—', false],
+			[t('health_card_number'), sheet.health_card_number || '—', false]
+		];
+
+		return `
+			<div class="sheet">
+				<div class="sheet-header">
+					${sheet.photo_url
+						? `<img src="${escapeHtml(sheet.photo_url)}" alt="" class="photo" />`
+						: '<div class="photo no-photo"></div>'}
+					<div>
+						<h1>${escapeHtml(`${sheet.first_name} ${sheet.last_name}`)}</h1>
+						<p>
+							${sheet.group_name ? `${escapeHtml(sheet.group_name)}<br>` : ''}
+							${sheet.date_naissance ? `${escapeHtml(formatDate(sheet.date_naissance))}${age !== null ? ` (${escapeHtml(t('age'))}: ${age})` : ''}` : ''}
+						</p>
+						<p class="organization">${escapeHtml(organizationName)} — ${escapeHtml(t('emergency_sheet'))}</p>
+					</div>
+				</div>
+				<table>
+					${rows.map(([label, value, important]) => `
+						<tr class="${important ? 'important' : ''}">
+							<th>${escapeHtml(label)}</th>
+							<td>${escapeHtml(value)}</td>
+						</tr>
+					`).join('')}
+				</table>
+				<h2>${escapeHtml(t('emergency_contacts'))}</h2>
+				<table>
+					${sheet.emergency_contacts.length === 0
+						? `<tr><td>${escapeHtml(t('none'))}</td></tr>`
+						: sheet.emergency_contacts.map(contact => `
+							<tr>
+								<th>${escapeHtml(contact.name)}${contact.relationship ? ` (${escapeHtml(contact.relationship)})` : ''}</th>
+								<td>${escapeHtml(contact.phones.join(' / '))}</td>
+							</tr>
+						`).join('')}
+				</table>
+				<p class="generated">${escapeHtml(t('generated_on', { date: new Date(saved.generated_at).toLocaleString(locale) }))}</p>
+			</div>
+		`;
+	};
+
+	const printSheets = (sheets) => {
+		const printWindow = window.open('', '_blank');
+		if (!printWindow) return;
+
+		printWindow.document.write(`
+			<html>
+				<head>
+					<title>${escapeHtml(t('emergency_sheets'))}</title>
+					<style>
+						@page { size: letter; margin: 0.5in; }
+						body { font-family: Arial, sans-serif; font-size: 12pt; }
+						h1 { margin: 0 0 0.2em; font-size: 20pt; }
+						h2 { font-size: 14pt; margin: 1em 0 0.3em; }
+						.sheet { page-break-after: always; }
+						.sheet:last-child { page-break-after: auto; }
+						.sheet-header { display: flex; gap: 20px; align-items: flex-start; margin-bottom: 15px; }
+						.sheet-header p { margin: 0.2em 0; }
+						.photo { width: 1.5in; height: 1.8in; object-fit: cover; border: 1px solid black; }
+						.no-photo { background: #f2f2f2; }
+						.organization { font-size: 10pt; color: #555; }
+						table { width: 100%; border-collapse: collapse; }
+						th, td { border: 1px solid black; padding: 6px; text-align: left; vertical-align: top; }
+						th { background-color: #f2f2f2; width: 35%; }
+						tr.important td { font-weight: bold; }
+						.generated { font-size: 9pt; color: #555; margin-top: 15px; }
+					</style>
+				</head>
+				<body>${sheets.map(renderSheet).join('')}</body>
+			</html>
+		`);
+		printWindow.document.close();
+		printWindow.print();
+	};
+
+	if (loading) {
+		return <LoadingSpinner fullScreen text={t('loading')} />;
+	}
+
+	return (
+		<div className="emergency-sheets-page">
+			{notification.message && (
+				<Notification
+					message={notification.message}
+					type={notification.type}
+					onClose={() => setNotification({ message: '', type: '' })}
+				/>
+			)}
+
+			<div className="page-header">
+				<Link to="/dashboard" className="back-link">{t('back_to_dashboard')}</Link>
+				<h1>{t('emergency_sheets')}</h1>
+				<p className="page-description">{t('emergency_sheets_description')}</p>
+			</div>
+
+			{saved && (
+				<div className="saved-sheets-banner">
+					<span>
+						{t('emergency_sheets_saved', {
+							total: saved.sheets.length,
+							date: new Date(saved.generated_at).toLocaleString(locale)
+						})}
+					</span>
+					<button type="button" className="secondary" onClick={handleClearSaved}>
+						{t('clear_saved_emergency_sheets')}
+					</button>
+				</div>
+			)}
+
+			<section className="attendee-selection">
+				<div className="selection-toolbar">
+					<select
+						value={groupFilter}
+						onChange={(e) => setGroupFilter(e.target.value)}
+						aria-label={t('filter_by_group')}
+					>
+						<option value="">{t('all_groups')}</option>
+						{groupNames.map(name => (
+							<option key={name} value={name}>{name}</option>
+						))}
+					</select>
+					<button type="button" className="secondary" onClick={() => selectVisible(true)}>
+						{t('select_all')}
+					</button>
+					<button type="button" className="secondary" onClick={() => selectVisible(false)}>
+						{t('select_none')}
+					</button>
+					<span className="selected-count">{t('selected_participants', { total: selectedIds.length })}</span>
+				</div>
+
+				<ul className="attendee-list">
+					{visibleParticipants.map(participant => (
+						<li key={participant.id}>
+							<label>
+								<input
+									type="checkbox"
+									checked={selectedIds.includes(String(participant.id))}
+									onChange={() => toggleParticipant(participant.id)}
+								/>
+								{participant.first_name} {participant.last_name}
+								{participant.group_name && <span className="group-name">{participant.group_name}</span>}
+							</label>
+						</li>
+					))}
+				</ul>
+
+				<button
+					type="button"
+					className="generate-button"
+					onClick={handleGenerate}
+					disabled={generating || selectedIds.length === 0}
+				>
+					{generating ? t('loading') : t('generate_emergency_sheets')}
+				</button>
+			</section>
+
+			{saved && saved.sheets.length > 0 ? (
+				<section className="sheets-preview">
+					<div className="sheets-preview-header">
+						<h2>{t('emergency_sheets')}</h2>
+						<button type="button" onClick={() => printSheets(saved.sheets)}>
+							{t('print_all')}
+						</button>
+					</div>
+
+					<div className="sheet-cards">
+						{saved.sheets.map(sheet => (
+							<article key={sheet.participant_id} className={`sheet-card ${sheet.allergies || sheet.epipen ? 'has-allergies' : ''}`}>
+								<div className="sheet-card-header">
+									{sheet.photo_url && <img src={sheet.photo_url} alt="" className="sheet-photo" />}
+									<div>
+										<h3>{sheet.first_name} {sheet.last_name}</h3>
+										{sheet.group_name && <span className="group-name">{sheet.group_name}</span>}
+									</div>
+								</div>
+								<dl>
+									<dt>{t('allergies')}</dt>
+									<dd>
+										{sheet.allergies || t('none')}
+										{sheet.epipen && <strong className="epipen"> {t('epipen')}</strong>}
+									</dd>
+									<dt>{t('medication')}</dt>
+									<dd>{sheet.medication || t('none')}</dd>
+									<dt>{t('emergency_contacts')}</dt>
+									<dd>
+										{sheet.emergency_contacts.length === 0
+											? t('none')
+											: sheet.emergency_contacts.map(contact => (
+												<div key={contact.name}>{contact.name} — {contact.phones.join(' / ')}</div>
+											))}
+									</dd>
+								</dl>
+								<button type="button" className="secondary" onClick={() => printSheets([sheet])}>
+									{t('print')}
+								</button>
+							</article>
+						))}
+					</div>
+				</section>
+			) : (
+				<p className="no-data">{t('no_emergency_sheets')}</p>
+			)}
+		</div>
+	);
+};
+
+export default EmergencySheets;
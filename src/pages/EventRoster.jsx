@@ -0,0 +1,173 @@
+// src/pages/EventRoster.jsx
+import React, { useState, useEffect, useMemo } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import LoadingSpinner from '../components/common/LoadingSpinner/LoadingSpinner';
+import { useApiQuery } from '../hooks/useApiQuery';
+import {
+	REGISTRATION_STATUS,
+	formatEventDates,
+	getHealthFlags,
+	getRemainingPlaces
+} from '../lib/events';
+import './EventRoster.css';
+
+// Registrations come in while families sign up, the roster is refreshed on its own
+const REFRESH_INTERVAL = 30 * 1000;
+
+const STATUS_FILTERS = ['all', ...Object.values(REGISTRATION_STATUS)];
+
+const selectRoster = response => ({
+	event: response.event || null,
+	registrations: (response.registrations || []).map(registration => ({
+		...registration,
+		flags: getHealthFlags(registration)
+	}))
+});
+
+const EventRoster = () => {
+	const { t } = useTranslation();
+	const { eventId } = useParams();
+
+	const { data: roster, loading, isOffline, updatedAt, refetch } = useApiQuery('event-roster', { event_id: eventId }, {
+		select: selectRoster,
+		staleTime: REFRESH_INTERVAL
+	});
+
+	const [statusFilter, setStatusFilter] = useState(REGISTRATION_STATUS.CONFIRMED);
+	const [flaggedOnly, setFlaggedOnly] = useState(false);
+
+	useEffect(() => {
+		const interval = setInterval(refetch, REFRESH_INTERVAL);
+
+		return () => clearInterval(interval);
+	}, [refetch]);
+
+	const registrations = roster?.registrations || [];
+
+	const counts = useMemo(() => registrations.reduce((totals, registration) => ({
+		...totals,
+		[registration.status]: (totals[registration.status] || 0) + 1
+	}), {}), [registrations]);
+
+	const rows = registrations
+		.filter(registration => statusFilter === 'all' || registration.status === statusFilter)
+		.filter(registration => !flaggedOnly || registration.flags.length > 0)
+		.sort((a, b) => `${a.last_name} ${a.first_name}`.localeCompare(`${b.last_name} ${b.first_name}`));
+
+	if (loading) {
+		return <LoadingSpinner fullScreen text={t('loading')} />;
+	}
+
+	const event = roster?.event;
+
+	if (!event) {
+		return (
+			<div className="event-roster-page">
+				<div className="page-header">
+					<Link to="/events" className="back-link">{t('back_to_events')}</Link>
+				</div>
+				<p className="error">{t('event_not_found')}</p>
+			</div>
+		);
+	}
+
+	const remaining = getRemainingPlaces({ ...event, confirmed_count: counts[REGISTRATION_STATUS.CONFIRMED] || 0 });
+
+	return (
+		<div className="event-roster-page">
+			<div className="page-header">
+				<Link to="/events" className="back-link">{t('back_to_events')}</Link>
+				<h1>{event.name}</h1>
+				<p className="event-roster-dates">
+					{formatEventDates(event, t('locale'))}{event.location && ` · ${event.location}`}
+				</p>
+			</div>
+
+			{isOffline && updatedAt && (
+				<p className="event-roster-offline">
+					{t('event_roster_offline', { time: new Date(updatedAt).toLocaleTimeString(t('locale'), { hour: '2-digit', minute: '2-digit' }) })}
+				</p>
+			)}
+
+			<div className="event-roster-summary">
+				<div className="summary-item">
+					<span className="summary-value">{counts[REGISTRATION_STATUS.CONFIRMED] || 0}</span>
+					<span>{t('event_status_confirmed')}</span>
+				</div>
+				<div className="summary-item">
+					<span className="summary-value">{counts[REGISTRATION_STATUS.WAITLISTED] || 0}</span>
+					<span>{t('event_status_waitlisted')}</span>
+				</div>
+				{remaining !== null && (
+					<div className="summary-item">
+						<span className="summary-value">{remaining}</span>
+						<span>{t('event_places_left', { count: remaining })}</span>
+					</div>
+				)}
+				<div className="summary-item">
+					<span className="summary-value">
+						{registrations.filter(registration => registration.status === REGISTRATION_STATUS.CONFIRMED && registration.flags.length > 0).length}
+					</span>
+					<span>{t('event_flagged_participants')}</span>
+				</div>
+			</div>
+
+			<div className="event-roster-filters">
+				<select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)} aria-label={t('event_status')}>
+					{STATUS_FILTERS.map(status => (
+						<option key={status} value={status}>
+							{status === 'all' ? t('all') : t(`event_status_${status}`)}
+						</option>
+					))}
+				</select>
+				<label className="checkbox-label">
+					<input type="checkbox" checked={flaggedOnly} onChange={(e) => setFlaggedOnly(e.target.checked)} />
+					{t('event_flagged_only')}
+				</label>
+			</div>
+
+			{rows.length === 0 ? (
+				<p className="no-registrations">{t('event_no_registrations')}</p>
+			) : (
+				<table className="event-roster-table">
+					<thead>
+						<tr>
+							<th>{t('participant')}</th>
+							<th>{t('group')}</th>
+							<th>{t('event_status')}</th>
+							<th>{t('event_health_dietary')}</th>
+							<th>{t('notes')}</th>
+						</tr>
+					</thead>
+					<tbody>
+						{rows.map(registration => (
+							<tr key={registration.id} className={registration.flags.length > 0 ? 'flagged' : ''}>
+								<td>{registration.first_name} {registration.last_name}</td>
+								<td>{registration.group_name || '-'}</td>
+								<td>
+									<span className={`registration-status ${registration.status}`}>
+										{t(`event_status_${registration.status}`)}
+									</span>
+									{registration.registered_at && (
+										<small>{new Date(registration.registered_at).toLocaleDateString(t('locale'))}</small>
+									)}
+								</td>
+								<td>
+									{registration.flags.map(flag => (
+										<span key={flag.key} className={`health-flag ${flag.key}`}>
+											{t(flag.key)}{flag.value && `: ${flag.value}`}
+										</span>
+									))}
+								</td>
+								<td>{registration.notes}</td>
+							</tr>
+						))}
+					</tbody>
+				</table>
+			)}
+		</div>
+	);
+};
+
+export default EventRoster;
@@ -0,0 +1,569 @@
+// src/pages/FormFormatBuilder.jsx
+import React, { useState, useEffect, useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import LoadingSpinner from '../components/common/LoadingSpinner/LoadingSpinner';
+import Notification from '../components/common/Notification/Notification';
+import JsonFormRenderer from '../components/common/JsonFormRenderer/JsonFormRenderer';
+import { organizationService } from '../api/organizationService';
+import {
+	FORM_FIELD_TYPES,
+	OPTION_FIELD_TYPES,
+	cleanFormField,
+	createFormField,
+	diffFormFormats,
+	normalizeFormFormat,
+	validateFormFormat
+} from '../lib/formFormats';
+import { isSimpleCondition, validateFormValues } from '../lib/formRules';
+import './FormFormatBuilder.css';
+
+// Published fields keep their name, see lib/formFormats.js
+const toEditable = (structure) => {
+	const format = normalizeFormFormat(structure);
+	return {
+		...format,
+		fields: format.fields.map(field => ({ ...field, locked: Boolean(field.name) }))
+	};
+};
+
+const FormFormatBuilder = () => {
+	const { t } = useTranslation();
+
+	const [loading, setLoading] = useState(true);
+	const [publishing, setPublishing] = useState(false);
+	const [notification, setNotification] = useState({ message: '', type: '' });
+	const [formFormats, setFormFormats] = useState({});
+	const [formType, setFormType] = useState('');
+	const [newFormType, setNewFormType] = useState('');
+	const [draft, setDraft] = useState({ fields: [] });
+	const [versions, setVersions] = useState([]);
+	const [selectedIndex, setSelectedIndex] = useState(null);
+	const [previewValues, setPreviewValues] = useState({});
+	const [previewErrors, setPreviewErrors] = useState({});
+	const [publishNote, setPublishNote] = useState('');
+	const [fieldErrors, setFieldErrors] = useState([]);
+
+	// Load the published form formats
+	useEffect(() => {
+		const fetchData = async () => {
+			setLoading(true);
+			try {
+				const formats = await organizationService.getOrganizationFormFormats();
+				setFormFormats(formats || {});
+				const firstType = Object.keys(formats || {})[0];
+				if (firstType) setFormType(firstType);
+			} catch (error) {
+				console.error('Error loading form formats:', error);
+				setNotification({
+					message: t('error_loading_form_formats'),
+					type: 'error'
+				});
+			} finally {
+				setLoading(false);
+			}
+		};
+
+		fetchData();
+	}, [t]);
+
+	// Edit the published version of the selected form and list its earlier versions
+	useEffect(() => {
+		if (!formType) return;
+
+		setDraft(toEditable(formFormats[formType]));
+		setSelectedIndex(null);
+		setPreviewValues({});
+		setPreviewErrors({});
+		setFieldErrors([]);
+
+		organizationService.getFormFormatVersions(formType)
+			.then(setVersions)
+			.catch(() => setVersions([]));
+		// Only reset the editor when another form is selected, not after publishing
+	}, [formType]);
+
+	const published = useMemo(() => normalizeFormFormat(formFormats[formType]), [formFormats, formType]);
+
+	const pendingChanges = useMemo(() => {
+		const fields = draft.fields.map(cleanFormField);
+		const diff = diffFormFormats(published, { fields });
+		return {
+			...diff,
+			modified: JSON.stringify(fields) !== JSON.stringify(published.fields.map(cleanFormField))
+		};
+	}, [published, draft]);
+
+	const fieldNames = draft.fields.map(field => field.name).filter(Boolean);
+
+	const addFormType = () => {
+		const type = newFormType.trim().toLowerCase().replace(/[^a-z0-9_]+/g, '_');
+		if (!type) return;
+
+		if (!formFormats[type]) {
+			setFormFormats(prev => ({ ...prev, [type]: { fields: [] } }));
+		}
+		setFormType(type);
+		setNewFormType('');
+	};
+
+	const handleFieldChange = (index, field, value) => {
+		setDraft(prev => ({
+			...prev,
+			fields: prev.fields.map((item, i) => (i === index ? { ...item, [field]: value } : item))
+		}));
+	};
+
+	// Fields depending on a renamed field follow it
+	const handleNameChange = (index, name) => {
+		const previousName = draft.fields[index].name;
+		setDraft(prev => ({
+			...prev,
+			fields: prev.fields.map((item, i) => {
+				if (i === index) return { ...item, name };
+				if (previousName && item.dependsOn?.field === previousName) {
+					return { ...item, dependsOn: { ...item.dependsOn, field: name } };
+				}
+				return item;
+			})
+		}));
+	};
+
+	const handleTypeChange = (index, type) => {
+		const current = draft.fields[index];
+		const defaults = createFormField(type, fieldNames);
+		setDraft(prev => ({
+			...prev,
+			fields: prev.fields.map((item, i) => (i === index ? {
+				...defaults,
+				...item,
+				type,
+				options: OPTION_FIELD_TYPES.includes(type) ? (current.options?.length ? current.options : defaults.options) : undefined
+			} : item))
+		}));
+	};
+
+	const handleOptionChange = (index, optionIndex, key, value) => {
+		const options = draft.fields[index].options.map((option, i) => (i === optionIndex ? { ...option, [key]: value } : option));
+		handleFieldChange(index, 'options', options);
+	};
+
+	const addOption = (index) => {
+		const options = draft.fields[index].options || [];
+		handleFieldChange(index, 'options', [...options, { value: `option_${options.length + 1}`, label: '' }]);
+	};
+
+	const removeOption = (index, optionIndex) => {
+		handleFieldChange(index, 'options', draft.fields[index].options.filter((_, i) => i !== optionIndex));
+	};
+
+	const handleDependsOnChange = (index, key, value) => {
+		const dependsOn = { ...(draft.fields[index].dependsOn || {}), [key]: value };
+		handleFieldChange(index, 'dependsOn', dependsOn.field ? dependsOn : undefined);
+	};
+
+	const addField = (type = 'text') => {
+		setDraft(prev => ({
+			...prev,
+			fields: [...prev.fields, createFormField(type, prev.fields.map(field => field.name).filter(Boolean))]
+		}));
+		setSelectedIndex(draft.fields.length);
+	};
+
+	const removeField = (index) => {
+		setDraft(prev => ({
+			...prev,
+			fields: prev.fields.filter((_, i) => i !== index)
+		}));
+		setSelectedIndex(null);
+	};
+
+	const moveField = (index, offset) => {
+		const target = index + offset;
+		if (target < 0 || target >= draft.fields.length) return;
+
+		setDraft(prev => {
+			const fields = [...prev.fields];
+			const [moved] = fields.splice(index, 1);
+			fields.splice(target, 0, moved);
+			return { ...prev, fields };
+		});
+		if (selectedIndex === index) setSelectedIndex(target);
+	};
+
+	// Load an earlier version into the editor, it is only published again on request
+	const loadVersion = (version) => {
+		setDraft(toEditable(version.form_structure));
+		setSelectedIndex(null);
+		setFieldErrors([]);
+		setNotification({
+			message: t('form_version_loaded', { version: version.version }),
+			type: 'info'
+		});
+	};
+
+	const handlePublish = async () => {
+		const errors = validateFormFormat(draft);
+		setFieldErrors(errors);
+		if (errors.length > 0) {
+			setSelectedIndex(errors[0].index);
+			setNotification({
+				message: t('form_format_invalid'),
+				type: 'error'
+			});
+			return;
+		}
+
+		const formStructure = { ...draft, fields: draft.fields.map(cleanFormField) };
+		const diff = diffFormFormats(published, formStructure);
+
+		if (diff.removed.length > 0 || diff.changed.length > 0) {
+			const fields = [...diff.removed, ...diff.changed].join(', ');
+			if (!window.confirm(t('confirm_publish_form_format', { fields }))) return;
+		}
+
+		setPublishing(true);
+		try {
+			await organizationService.publishFormFormat(formType, formStructure, publishNote.trim());
+			setFormFormats(prev => ({ ...prev, [formType]: formStructure }));
+			setDraft(toEditable(formStructure));
+			setPublishNote('');
+			setNotification({
+				message: t('form_format_published'),
+				type: 'success'
+			});
+			organizationService.getFormFormatVersions(formType)
+				.then(setVersions)
+				.catch(() => {});
+		} catch (error) {
+			console.error('Error publishing form format:', error);
+			setNotification({
+				message: t('error_publishing_form_format'),
+				type: 'error'
+			});
+		} finally {
+			setPublishing(false);
+		}
+	};
+
+	const renderFieldEditor = (field, index) => {
+		const earlierFields = draft.fields.slice(0, index).filter(item => item.name && item.type !== 'infoText');
+		const controllingField = earlierFields.find(item => item.name === field.dependsOn?.field);
+
+		return (
+			<div className="field-editor">
+				<div className="form-row">
+					<div className="form-group">
+						<label htmlFor="field-type">{t('form_field_type')}:</label>
+						<select
+							id="field-type"
+							value={field.type}
+							disabled={field.type === 'section'}
+							onChange={(e) => handleTypeChange(index, e.target.value)}
+						>
+							{[...FORM_FIELD_TYPES, ...(field.type === 'section' ? ['section'] : [])].map(type => (
+								<option key={type} value={type}>{t(`form_field_type_${type}`)}</option>
+							))}
+						</select>
+					</div>
+					{field.type !== 'infoText' && (
+						<div className="form-group">
+							<label htmlFor="field-name">{t('form_field_name')}:</label>
+							<input
+								type="text"
+								id="field-name"
+								value={field.name || ''}
+								readOnly={field.locked}
+								onChange={(e) => handleNameChange(index, e.target.value)}
+							/>
+							{field.locked && <span className="field-hint">{t('form_field_name_locked')}</span>}
+						</div>
+					)}
+				</div>
+
+				{field.type !== 'infoText' && (
+					<>
+						<div className="form-group">
+							<label htmlFor="field-label">{t('form_field_label')}:</label>
+							<input
+								type="text"
+								id="field-label"
+								value={field.label || ''}
+								onChange={(e) => handleFieldChange(index, 'label', e.target.value)}
+							/>
+							<span className="field-hint">{t('form_translation_key_hint')}</span>
+						</div>
+						<label className="checkbox-label">
+							<input
+								type="checkbox"
+								checked={Boolean(field.required)}
+								onChange={(e) => handleFieldChange(index, 'required', e.target.checked)}
+							/>
+							{t('form_field_required')}
+						</label>
+					</>
+				)}
+
+				{OPTION_FIELD_TYPES.includes(field.type) && (
+					<fieldset className="options-editor">
+						<legend>{t('form_field_options')}</legend>
+						{(field.options || []).map((option, optionIndex) => (
+							<div key={optionIndex} className="option-row">
+								<input
+									type="text"
+									value={option.value}
+									placeholder={t('form_option_value')}
+									aria-label={t('form_option_value')}
+									onChange={(e) => handleOptionChange(index, optionIndex, 'value', e.target.value)}
+								/>
+								<input
+									type="text"
+									value={option.label || ''}
+									placeholder={t('form_field_label')}
+									aria-label={t('form_field_label')}
+									onChange={(e) => handleOptionChange(index, optionIndex, 'label', e.target.value)}
+								/>
+								<button type="button" onClick={() => removeOption(index, optionIndex)} aria-label={t('Delete')}>
+									×
+								</button>
+							</div>
+						))}
+						<button type="button" className="secondary" onClick={() => addOption(index)}>
+							+ {t('form_add_option')}
+						</button>
+					</fieldset>
+				)}
+
+				{field.type === 'section' && (
+					<p className="field-hint">{t('form_section_fields_kept', { count: (field.fields || []).length })}</p>
+				)}
+
+				{field.type !== 'infoText' && !isSimpleCondition(field.dependsOn) && (
+					<p className="field-hint">{t('form_advanced_condition_kept')}</p>
+				)}
+
+				{field.type !== 'infoText' && isSimpleCondition(field.dependsOn) && (
+					<div className="form-row">
+						<div className="form-group">
+							<label htmlFor="field-depends-on">{t('form_field_depends_on')}:</label>
+							<select
+								id="field-depends-on"
+								value={field.dependsOn?.field || ''}
+								onChange={(e) => handleDependsOnChange(index, 'field', e.target.value)}
+							>
+								<option value="">{t('none')}</option>
+								{earlierFields.map(item => (
+									<option key={item.name} value={item.name}>{t(item.label || item.name)}</option>
+								))}
+							</select>
+						</div>
+						{field.dependsOn?.field && (
+							<div className="form-group">
+								<label htmlFor="field-depends-on-value">{t('form_field_depends_on_value')}:</label>
+								{controllingField?.type === 'checkbox' || OPTION_FIELD_TYPES.includes(controllingField?.type) ? (
+									<select
+										id="field-depends-on-value"
+										value={field.dependsOn.value ?? ''}
+										onChange={(e) => handleDependsOnChange(index, 'value', e.target.value)}
+									>
+										<option value="">...</option>
+										{controllingField.type === 'checkbox' ? (
+											<>
+												<option value="yes">{t('yes')}</option>
+												<option value="no">{t('no')}</option>
+											</>
+										) : controllingField.options.map(option => (
+											<option key={option.value} value={option.value}>{t(option.label || option.value)}</option>
+										))}
+									</select>
+								) : (
+									<input
+										type="text"
+										id="field-depends-on-value"
+										value={field.dependsOn.value ?? ''}
+										onChange={(e) => handleDependsOnChange(index, 'value', e.target.value)}
+									/>
+								)}
+							</div>
+						)}
+					</div>
+				)}
+
+				<div className="form-group">
+					<label htmlFor="field-info-text">{field.type === 'infoText' ? t('form_info_text') : t('form_field_help_text')}:</label>
+					<textarea
+						id="field-info-text"
+						rows={2}
+						value={field.infoText || ''}
+						onChange={(e) => handleFieldChange(index, 'infoText', e.target.value)}
+					/>
+				</div>
+			</div>
+		);
+	};
+
+	if (loading) {
+		return <LoadingSpinner fullScreen text={t('loading')} />;
+	}
+
+	const selectedField = selectedIndex !== null ? draft.fields[selectedIndex] : null;
+	const previewFields = draft.fields.map(cleanFormField);
+	const hasPendingChanges = pendingChanges.modified;
+
+	return (
+		<div className="form-format-builder-page">
+			{notification.message && (
+				<Notification
+					message={notification.message}
+					type={notification.type}
+					onClose={() => setNotification({ message: '', type: '' })}
+				/>
+			)}
+
+			<div className="page-header">
+				<Link to="/admin" className="back-link">{t('back_to_admin')}</Link>
+				<h1>{t('form_formats')}</h1>
+			</div>
+
+			<div className="form-type-toolbar">
+				<select value={formType} onChange={(e) => setFormType(e.target.value)} aria-label={t('form_type')}>
+					{!formType && <option value="">{t('form_type')}</option>}
+					{Object.keys(formFormats).map(type => (
+						<option key={type} value={type}>{t(type)}</option>
+					))}
+				</select>
+				<input
+					type="text"
+					value={newFormType}
+					placeholder={t('new_form_type')}
+					aria-label={t('new_form_type')}
+					onChange={(e) => setNewFormType(e.target.value)}
+				/>
+				<button type="button" className="secondary" onClick={addFormType} disabled={!newFormType.trim()}>
+					+ {t('add_form_type')}
+				</button>
+			</div>
+
+			{formType && (
+				<div className="form-builder-layout">
+					<section className="form-builder-editor">
+						<h2>{t('form_fields')}</h2>
+						{draft.fields.length === 0 && <p className="no-data">{t('no_form_fields')}</p>}
+						<ol className="form-field-list">
+							{draft.fields.map((field, index) => {
+								const errors = fieldErrors.filter(error => error.index === index);
+								return (
+									<li
+										key={index}
+										className={`form-field-item ${selectedIndex === index ? 'selected' : ''} ${errors.length ? 'has-error' : ''}`}
+									>
+										<button type="button" className="form-field-summary" onClick={() => setSelectedIndex(selectedIndex === index ? null : index)}>
+											<span className="field-type-badge">{t(`form_field_type_${field.type}`)}</span>
+											<span className="field-summary-label">
+												{field.type === 'infoText' ? t(field.infoText || '…') : (t(field.label || field.name) || '…')}
+											</span>
+											{field.required && <span className="required-marker">*</span>}
+											{field.dependsOn?.field && <span className="field-dependency">↳ {field.dependsOn.field}</span>}
+										</button>
+										<div className="form-field-actions">
+											<button type="button" onClick={() => moveField(index, -1)} disabled={index === 0} aria-label={t('move_up')}>
+												▲
+											</button>
+											<button type="button" onClick={() => moveField(index, 1)} disabled={index === draft.fields.length - 1} aria-label={t('move_down')}>
+												▼
+											</button>
+											<button type="button" className="delete-field-btn" onClick={() => removeField(index)} aria-label={t('Delete')}>
+												×
+											</button>
+										</div>
+										{errors.map(error => (
+											<span key={error.error} className="field-error">{t(error.error)}</span>
+										))}
+										{selectedIndex === index && selectedField && renderFieldEditor(selectedField, index)}
+									</li>
+								);
+							})}
+						</ol>
+
+						<div className="add-field-actions">
+							<button type="button" onClick={() => addField('text')}>+ {t('form_add_field')}</button>
+							<button type="button" className="secondary" onClick={() => addField('infoText')}>
+								+ {t('form_add_info_text')}
+							</button>
+						</div>
+
+						<div className="publish-panel">
+							<h2>{t('publish_form_format')}</h2>
+							{hasPendingChanges ? (
+								<ul className="pending-changes">
+									{pendingChanges.added.length > 0 && <li>{t('form_fields_added')}: {pendingChanges.added.join(', ')}</li>}
+									{pendingChanges.removed.length > 0 && <li className="warning">{t('form_fields_removed')}: {pendingChanges.removed.join(', ')}</li>}
+									{pendingChanges.changed.length > 0 && <li className="warning">{t('form_fields_type_changed')}: {pendingChanges.changed.join(', ')}</li>}
+								</ul>
+							) : (
+								<p className="field-hint">{t('form_no_pending_changes')}</p>
+							)}
+							<p className="field-hint">{t('form_publish_hint')}</p>
+							<input
+								type="text"
+								value={publishNote}
+								placeholder={t('form_version_note')}
+								aria-label={t('form_version_note')}
+								onChange={(e) => setPublishNote(e.target.value)}
+							/>
+							<button type="button" onClick={handlePublish} disabled={publishing || !hasPendingChanges}>
+								{publishing ? t('saving') : t('publish_form_format')}
+							</button>
+						</div>
+
+						<div className="form-versions">
+							<h2>{t('form_versions')}</h2>
+							{versions.length === 0 ? (
+								<p className="no-data">{t('no_form_versions')}</p>
+							) : (
+								<ul>
+									{versions.map(version => (
+										<li key={version.version}>
+											<span>
+												<strong>v{version.version}</strong>
+												{version.published_at && ` · ${new Date(version.published_at).toLocaleDateString(t('locale'))}`}
+												{version.published_by && ` · ${version.published_by}`}
+												{version.note && <em> · {version.note}</em>}
+											</span>
+											<button type="button" className="secondary" onClick={() => loadVersion(version)}>
+												{t('load_form_version')}
+											</button>
+										</li>
+									))}
+								</ul>
+							)}
+						</div>
+					</section>
+
+					<section className="form-builder-preview">
+						<h2>{t('form_preview')}</h2>
+						<form
+							onSubmit={(e) => {
+								e.preventDefault();
+								setPreviewErrors(validateFormValues(previewFields, previewValues));
+							}}
+							className="preview-form"
+							noValidate
+						>
+							<JsonFormRenderer
+								fields={previewFields}
+								values={previewValues}
+								onChange={setPreviewValues}
+								errors={previewErrors}
+								idPrefix="preview"
+							/>
+							<button type="submit" className="secondary">{t('form_check_answers')}</button>
+						</form>
+					</section>
+				</div>
+			)}
+		</div>
+	);
+};
+
+export default FormFormatBuilder;
@@ -0,0 +1,759 @@
+// src/pages/Fundraisers.jsx
+import React, { useState, useEffect, useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import LoadingSpinner from '../components/common/LoadingSpinner/LoadingSpinner';
+import Notification from '../components/common/Notification/Notification';
+import { useAuth } from '../contexts/AuthContext';
+import { fundraiserService } from '../api/fundraiserService';
+import { organizationService } from '../api/organizationService';
+import {
+	PAYMENT_METHODS,
+	STOCK_MOVEMENT_TYPES,
+	formatCurrency,
+	groupByFamily,
+	sumTotals
+} from '../lib/fundraiserLedger';
+import { escapeHtml } from '../lib/html';
+import './Fundraisers.css';
+
+const EMPTY_CAMPAIGN = {
+	name: '',
+	item_name: '',
+	unit_price: '',
+	start_date: '',
+	end_date: '',
+	archived: false
+};
+
+const EMPTY_LEDGER = { participants: [], stock_movements: [], payments: [] };
+
+const today = () => new Date().toLocaleDateString('en-CA');
+
+const Fundraisers = () => {
+	const { t } = useTranslation();
+	const { currentUser } = useAuth();
+
+	const [loading, setLoading] = useState(true);
+	const [saving, setSaving] = useState(false);
+	const [notification, setNotification] = useState({ message: '', type: '' });
+	const [organizationName, setOrganizationName] = useState('');
+	const [campaigns, setCampaigns] = useState([]);
+	const [campaignId, setCampaignId] = useState('');
+	const [ledger, setLedger] = useState(EMPTY_LEDGER);
+	const [campaignForm, setCampaignForm] = useState(null);
+	const [showOutstandingOnly, setShowOutstandingOnly] = useState(false);
+	const [selectedParticipantId, setSelectedParticipantId] = useState(null);
+
+	// Entry forms of the selected participant
+	const [stockForm, setStockForm] = useState({ type: STOCK_MOVEMENT_TYPES.ISSUED, quantity: '', date: today() });
+	const [paymentForm, setPaymentForm] = useState({ amount: '', date: today(), method: 'cash', collected_by: '', note: '' });
+
+	const locale = t('locale');
+
+	// Load campaigns
+	useEffect(() => {
+		const fetchData = async () => {
+			setLoading(true);
+			try {
+				const [settings, campaignsResponse] = await Promise.all([
+					organizationService.getOrganizationSettings().catch(() => ({})),
+					fundraiserService.getCampaigns()
+				]);
+
+				const list = campaignsResponse?.campaigns || [];
+				setOrganizationName(settings?.organization_info?.name || '');
+				setCampaigns(list);
+
+				const active = list.find(c => !c.archived) || list[0];
+				if (active) {
+					setCampaignId(String(active.id));
+				}
+			} catch (error) {
+				console.error('Error loading fundraisers:', error);
+				setNotification({
+					message: t('error_loading_fundraisers'),
+					type: 'error'
+				});
+			} finally {
+				setLoading(false);
+			}
+		};
+
+		fetchData();
+	}, [t]);
+
+	// Load the ledger of the selected campaign
+	useEffect(() => {
+		if (!campaignId) {
+			setLedger(EMPTY_LEDGER);
+			return;
+		}
+
+		fetchLedger(campaignId);
+		setSelectedParticipantId(null);
+	}, [campaignId]);
+
+	const fetchLedger = async (id) => {
+		try {
+			const response = await fundraiserService.getLedger(id);
+			setLedger({
+				participants: response.participants || [],
+				stock_movements: response.stock_movements || [],
+				payments: response.payments || []
+			});
+		} catch (error) {
+			console.error('Error loading fundraiser ledger:', error);
+			setNotification({
+				message: t('error_loading_fundraisers'),
+				type: 'error'
+			});
+		}
+	};
+
+	const campaign = campaigns.find(c => String(c.id) === String(campaignId)) || null;
+
+	const families = useMemo(() => groupByFamily(ledger, campaign), [ledger, campaign]);
+	const grandTotals = useMemo(() => sumTotals(families.map(family => family.totals)), [families]);
+
+	const visibleFamilies = showOutstandingOnly
+		? families.filter(family => family.totals.balance !== 0 || family.totals.issued === 0)
+		: families;
+
+	const selectedMember = families
+		.flatMap(family => family.members)
+		.find(member => String(member.participant_id) === String(selectedParticipantId)) || null;
+
+	const money = (amount) => formatCurrency(amount, locale);
+
+	// Campaign form
+	const openCampaignForm = (existing = null) => {
+		setCampaignForm(existing
+			? {
+				...EMPTY_CAMPAIGN,
+				...existing,
+				start_date: existing.start_date ? String(existing.start_date).split('T')[0] : '',
+				end_date: existing.end_date ? String(existing.end_date).split('T')[0] : ''
+			}
+			: EMPTY_CAMPAIGN);
+	};
+
+	const handleCampaignSubmit = async (e) => {
+		e.preventDefault();
+
+		setSaving(true);
+		try {
+			const result = await fundraiserService.saveCampaign({
+				...campaignForm,
+				unit_price: parseFloat(campaignForm.unit_price) || 0
+			});
+
+			const campaignsResponse = await fundraiserService.getCampaigns();
+			setCampaigns(campaignsResponse?.campaigns || []);
+			if (result.campaign?.id) {
+				setCampaignId(String(result.campaign.id));
+			}
+
+			setCampaignForm(null);
+			setNotification({
+				message: t('fundraiser_saved'),
+				type: 'success'
+			});
+		} catch (error) {
+			console.error('Error saving fundraiser:', error);
+			setNotification({
+				message: t('error_saving_fundraiser'),
+				type: 'error'
+			});
+		} finally {
+			setSaving(false);
+		}
+	};
+
+	// Select a participant to record stock or payments
+	const selectParticipant = (participantId) => {
+		setSelectedParticipantId(prev => (String(prev) === String(participantId) ? null : participantId));
+		setStockForm({ type: STOCK_MOVEMENT_TYPES.ISSUED, quantity: '', date: today() });
+		setPaymentForm({ amount: '', date: today(), method: 'cash', collected_by: currentUser?.fullName || '', note: '' });
+	};
+
+	const handleStockSubmit = async (e) => {
+		e.preventDefault();
+
+		const quantity = parseInt(stockForm.quantity, 10);
+		if (!quantity || quantity <= 0) return;
+
+		setSaving(true);
+		try {
+			const result = await fundraiserService.recordStockMovement({
+				campaign_id: campaign.id,
+				participant_id: selectedParticipantId,
+				type: stockForm.type,
+				quantity,
+				date: stockForm.date
+			});
+
+			setNotification({
+				message: result.offline ? t('changes_saved_offline') : t('stock_movement_recorded'),
+				type: 'success'
+			});
+			setStockForm(prev => ({ ...prev, quantity: '' }));
+			await fetchLedger(campaign.id);
+		} catch (error) {
+			console.error('Error recording stock movement:', error);
+			setNotification({
+				message: t('error_recording_stock_movement'),
+				type: 'error'
+			});
+		} finally {
+			setSaving(false);
+		}
+	};
+
+	const handlePaymentSubmit = async (e) => {
+		e.preventDefault();
+
+		const amount = parseFloat(paymentForm.amount);
+		if (!amount || amount <= 0) return;
+
+		setSaving(true);
+		try {
+			const result = await fundraiserService.recordPayment({
+				campaign_id: campaign.id,
+				participant_id: selectedParticipantId,
+				amount,
+				date: paymentForm.date,
+				method: paymentForm.method,
+				collected_by: paymentForm.collected_by,
+				note: paymentForm.note
+			});
+
+			setNotification({
+				message: result.offline ? t('changes_saved_offline') : t('payment_recorded'),
+				type: 'success'
+			});
+			setPaymentForm(prev => ({ ...prev, amount: '', note: '' }));
+			await fetchLedger(campaign.id);
+		} catch (error) {
+			console.error('Error recording payment:', error);
+			setNotification({
+				message: t('error_recording_payment'),
+				type: 'error'
+			});
+		} finally {
+			setSaving(false);
+		}
+	};
+
+	const handleDeleteEntry = async (entryType, entryId) => {
+		try {
+			await fundraiserService.deleteLedgerEntry(campaign.id, entryType, entryId);
+			await fetchLedger(campaign.id);
+		} catch (error) {
+			console.error('Error deleting fundraiser entry:', error);
+			setNotification({
+				message: t('error_deleting_fundraiser_entry'),
+				type: 'error'
+			});
+		}
+	};
+
+	const formatDate = (value) => {
+		if (!value) return '';
+		const [year, month, day] = String(value).split('T')[0].split('-').map(Number);
+		return new Date(year, month - 1, day).toLocaleDateString(locale);
+	};
+
+	const openPrintWindow = (title, body) => {
+		const printWindow = window.open('', '_blank');
+		if (!printWindow) return;
+
+		printWindow.document.write(`
+			<html>
+				<head>
+					<title>${escapeHtml(title)}</title>
+					<style>
+						@page { size: letter; margin: 0.5in; }
+						body { font-family: Arial, sans-serif; font-size: 12pt; }
+						h1, h2 { text-align: center; margin: 0.3em 0; }
+						table { width: 100%; border-collapse: collapse; margin-top: 15px; }
+						th, td { border: 1px solid black; padding: 5px; text-align: left; }
+						th { background-color: #f2f2f2; }
+						.amount { text-align: right; }
+						.total-row { font-weight: bold; }
+						.receipt { page-break-after: always; }
+						.receipt:last-child { page-break-after: auto; }
+						.receipt-meta { display: flex; justify-content: space-between; margin-top: 10px; }
+						.signature-line { border-top: 1px solid black; width: 50%; margin-top: 50px; padding-top: 4px; }
+					</style>
+				</head>
+				<body>${body}</body>
+			</html>
+		`);
+		printWindow.document.close();
+		printWindow.print();
+	};
+
+	// Printable receipt of a family
+	const renderReceipt = (family) => `
+		<div class="receipt">
+			<h1>${escapeHtml(organizationName)}</h1>
+			<h2>${escapeHtml(t('fundraiser_receipt'))} — ${escapeHtml(campaign.name)}</h2>
+			<div class="receipt-meta">
+				<span><strong>${escapeHtml(t('family'))}:</strong> ${escapeHtml(family.name)}</span>
+				<span><strong>${escapeHtml(t('date'))}:</strong> ${escapeHtml(formatDate(today()))}</span>
+			</div>
+			<table>
+				<thead>
+					<tr>
+						<th>${escapeHtml(t('participant_name'))}</th>
+						<th>${escapeHtml(campaign.item_name || t('items'))}</th>
+						<th class="amount">${escapeHtml(t('unit_price'))}</th>
+						<th class="amount">${escapeHtml(t('amount_due'))}</th>
+					</tr>
+				</thead>
+				<tbody>
+					${family.members.map(member => `
+						<tr>
+							<td>${escapeHtml(`${member.first_name} ${member.last_name}`)}</td>
+							<td>${member.totals.sold}</td>
+							<td class="amount">${escapeHtml(money(campaign.unit_price))}</td>
+							<td class="amount">${escapeHtml(money(member.totals.amountDue))}</td>
+						</tr>
+					`).join('')}
+				</tbody>
+			</table>
+			<table>
+				<thead>
+					<tr>
+						<th>${escapeHtml(t('date'))}</th>
+						<th>${escapeHtml(t('payment_method'))}</th>
+						<th>${escapeHtml(t('collected_by'))}</th>
+						<th class="amount">${escapeHtml(t('amount_paid'))}</th>
+					</tr>
+				</thead>
+				<tbody>
+					${family.members.flatMap(member => member.totals.payments).map(payment => `
+						<tr>
+							<td>${escapeHtml(formatDate(payment.date))}</td>
+							<td>${escapeHtml(t(`payment_method_${payment.method}`))}</td>
+							<td>${escapeHtml(payment.collected_by)}</td>
+							<td class="amount">${escapeHtml(money(payment.amount))}</td>
+						</tr>
+					`).join('')}
+					<tr class="total-row">
+						<td colspan="3">${escapeHtml(t('total_paid'))}</td>
+						<td class="amount">${escapeHtml(money(family.totals.paid))}</td>
+					</tr>
+					<tr class="total-row">
+						<td colspan="3">${escapeHtml(t('balance'))}</td>
+						<td class="amount">${escapeHtml(money(family.totals.balance))}</td>
+					</tr>
+				</tbody>
+			</table>
+			<div class="signature-line">${escapeHtml(t('signature'))}</div>
+		</div>
+	`;
+
+	const printReceipt = (family) => {
+		openPrintWindow(`${t('fundraiser_receipt')} — ${family.name}`, renderReceipt(family));
+	};
+
+	const printAllReceipts = () => {
+		openPrintWindow(t('fundraiser_receipt'), families.filter(f => f.totals.issued > 0).map(renderReceipt).join(''));
+	};
+
+	// Printable summary of the whole campaign
+	const printSummary = () => {
+		const rows = families.flatMap(family => family.members).map(member => `
+			<tr>
+				<td>${escapeHtml(`${member.first_name} ${member.last_name}`)}</td>
+				<td>${member.totals.issued}</td>
+				<td>${member.totals.returned}</td>
+				<td>${member.totals.sold}</td>
+				<td class="amount">${escapeHtml(money(member.totals.amountDue))}</td>
+				<td class="amount">${escapeHtml(money(member.totals.paid))}</td>
+				<td class="amount">${escapeHtml(money(member.totals.balance))}</td>
+			</tr>
+		`).join('');
+
+		openPrintWindow(campaign.name, `
+			<h1>${escapeHtml(campaign.name)}</h1>
+			<table>
+				<thead>
+					<tr>
+						<th>${escapeHtml(t('name'))}</th>
+						<th>${escapeHtml(t('stock_issued'))}</th>
+						<th>${escapeHtml(t('stock_returned'))}</th>
+						<th>${escapeHtml(t('sold'))}</th>
+						<th class="amount">${escapeHtml(t('amount_due'))}</th>
+						<th class="amount">${escapeHtml(t('amount_paid'))}</th>
+						<th class="amount">${escapeHtml(t('balance'))}</th>
+					</tr>
+				</thead>
+				<tbody>
+					${rows}
+					<tr class="total-row">
+						<td>${escapeHtml(t('total'))}</td>
+						<td>${grandTotals.issued}</td>
+						<td>${grandTotals.returned}</td>
+						<td>${grandTotals.sold}</td>
+						<td class="amount">${escapeHtml(money(grandTotals.amountDue))}</td>
+						<td class="amount">${escapeHtml(money(grandTotals.paid))}</td>
+						<td class="amount">${escapeHtml(money(grandTotals.balance))}</td>
+					</tr>
+				</tbody>
+			</table>
+		`);
+	};
+
+	// Stock and payment entries of the selected participant
+	const renderEntryPanel = () => {
+		if (!selectedMember) return null;
+
+		return (
+			<tr className="entry-panel-row">
+				<td colSpan={8}>
+					<div className="entry-panel">
+						<form onSubmit={handleStockSubmit} className="entry-form">
+							<h3>{t('record_stock')}</h3>
+							<select
+								value={stockForm.type}
+								onChange={(e) => setStockForm(prev => ({ ...prev, type: e.target.value }))}
+								aria-label={t('stock_movement_type')}
+							>
+								<option value={STOCK_MOVEMENT_TYPES.ISSUED}>{t('stock_issued')}</option>
+								<option value={STOCK_MOVEMENT_TYPES.RETURNED}>{t('stock_returned')}</option>
+							</select>
+							<input
+								type="number"
+								min="1"
+								value={stockForm.quantity}
+								onChange={(e) => setStockForm(prev => ({ ...prev, quantity: e.target.value }))}
+								placeholder={t('quantity')}
+								aria-label={t('quantity')}
+								required
+							/>
+							<input
+								type="date"
+								value={stockForm.date}
+								onChange={(e) => setStockForm(prev => ({ ...prev, date: e.target.value }))}
+								aria-label={t('date')}
+								required
+							/>
+							<button type="submit" disabled={saving}>{t('save')}</button>
+						</form>
+
+						<form onSubmit={handlePaymentSubmit} className="entry-form">
+							<h3>{t('record_payment')}</h3>
+							<input
+								type="number"
+								min="0.01"
+								step="0.01"
+								value={paymentForm.amount}
+								onChange={(e) => setPaymentForm(prev => ({ ...prev, amount: e.target.value }))}
+								placeholder={t('amount')}
+								aria-label={t('amount')}
+								required
+							/>
+							<input
+								type="date"
+								value={paymentForm.date}
+								onChange={(e) => setPaymentForm(prev => ({ ...prev, date: e.target.value }))}
+								aria-label={t('date')}
+								required
+							/>
+							<select
+								value={paymentForm.method}
+								onChange={(e) => setPaymentForm(prev => ({ ...prev, method: e.target.value }))}
+								aria-label={t('payment_method')}
+							>
+								{PAYMENT_METHODS.map(method => (
+									<option key={method} value={method}>{t(`payment_method_${method}`)}</option>
+								))}
+							</select>
+							<input
+								type="text"
+								value={paymentForm.collected_by}
+								onChange={(e) => setPaymentForm(prev => ({ ...prev, collected_by: e.target.value }))}
+								placeholder={t('collected_by')}
+								aria-label={t('collected_by')}
+								required
+							/>
+							<input
+								type="text"
+								value={paymentForm.note}
+								onChange={(e) => setPaymentForm(prev => ({ ...prev, note: e.target.value }))}
+								placeholder={t('notes')}
+								aria-label={t('notes')}
+							/>
+							<button type="submit" disabled={saving}>{t('save')}</button>
+						</form>
+
+						<div className="entry-history">
+							<h3>{t('entries')}</h3>
+							<ul>
+								{selectedMember.totals.movements.map(movement => (
+									<li key={`stock-${movement.id}`}>
+										{formatDate(movement.date)} — {t(movement.type === STOCK_MOVEMENT_TYPES.ISSUED ? 'stock_issued' : 'stock_returned')}: {movement.quantity}
+										{movement.id && (
+											<button
+												type="button"
+												className="delete-entry-btn"
+												onClick={() => handleDeleteEntry('stock', movement.id)}
+												aria-label={t('Delete')}
+											>
+												×
+											</button>
+										)}
+									</li>
+								))}
+								{selectedMember.totals.payments.map(payment => (
+									<li key={`payment-${payment.id}`}>
+										{formatDate(payment.date)} — {money(payment.amount)} ({t(`payment_method_${payment.method}`)}, {payment.collected_by})
+										{payment.note && <em> {payment.note}</em>}
+										{payment.id && (
+											<button
+												type="button"
+												className="delete-entry-btn"
+												onClick={() => handleDeleteEntry('payment', payment.id)}
+												aria-label={t('Delete')}
+											>
+												×
+											</button>
+										)}
+									</li>
+								))}
+							</ul>
+						</div>
+					</div>
+				</td>
+			</tr>
+		);
+	};
+
+	if (loading) {
+		return <LoadingSpinner fullScreen text={t('loading')} />;
+	}
+
+	return (
+		<div className="fundraisers-page">
+			{notification.message && (
+				<Notification
+					message={notification.message}
+					type={notification.type}
+					onClose={() => setNotification({ message: '', type: '' })}
+				/>
+			)}
+
+			<div className="page-header">
+				<Link to="/dashboard" className="back-link">{t('back_to_dashboard')}</Link>
+				<h1>{t('fundraisers')}</h1>
+			</div>
+
+			<div className="campaign-bar">
+				<label htmlFor="campaign-select">{t('fundraiser_campaign')}:</label>
+				<select
+					id="campaign-select"
+					value={campaignId}
+					onChange={(e) => setCampaignId(e.target.value)}
+				>
+					{campaigns.length === 0 && <option value="">—</option>}
+					{campaigns.map(c => (
+						<option key={c.id} value={c.id}>
+							{c.name}{c.archived ? ` (${t('archived')})` : ''}
+						</option>
+					))}
+				</select>
+				{campaign && (
+					<button type="button" onClick={() => openCampaignForm(campaign)}>{t('edit')}</button>
+				)}
+				<button type="button" onClick={() => openCampaignForm()}>+ {t('new_fundraiser')}</button>
+			</div>
+
+			{campaignForm && (
+				<form onSubmit={handleCampaignSubmit} className="campaign-form">
+					<div className="form-row">
+						<div className="form-group">
+							<label htmlFor="campaign-name">{t('name')}:</label>
+							<input
+								type="text"
+								id="campaign-name"
+								value={campaignForm.name}
+								onChange={(e) => setCampaignForm(prev => ({ ...prev, name: e.target.value }))}
+								placeholder={t('fundraiser_name_placeholder')}
+								required
+							/>
+						</div>
+						<div className="form-group">
+							<label htmlFor="campaign-item">{t('item_sold')}:</label>
+							<input
+								type="text"
+								id="campaign-item"
+								value={campaignForm.item_name}
+								onChange={(e) => setCampaignForm(prev => ({ ...prev, item_name: e.target.value }))}
+								placeholder={t('item_sold_placeholder')}
+								required
+							/>
+						</div>
+						<div className="form-group">
+							<label htmlFor="campaign-price">{t('unit_price')}:</label>
+							<input
+								type="number"
+								id="campaign-price"
+								min="0"
+								step="0.01"
+								value={campaignForm.unit_price}
+								onChange={(e) => setCampaignForm(prev => ({ ...prev, unit_price: e.target.value }))}
+								required
+							/>
+						</div>
+					</div>
+					<div className="form-row">
+						<div className="form-group">
+							<label htmlFor="campaign-start">{t('start_date')}:</label>
+							<input
+								type="date"
+								id="campaign-start"
+								value={campaignForm.start_date}
+								onChange={(e) => setCampaignForm(prev => ({ ...prev, start_date: e.target.value }))}
+							/>
+						</div>
+						<div className="form-group">
+							<label htmlFor="campaign-end">{t('end_date')}:</label>
+							<input
+								type="date"
+								id="campaign-end"
+								value={campaignForm.end_date}
+								onChange={(e) => setCampaignForm(prev => ({ ...prev, end_date: e.target.value }))}
+							/>
+						</div>
+						<div className="form-group checkbox-group">
+							<label htmlFor="campaign-archived">
+								<input
+									type="checkbox"
+									id="campaign-archived"
+									checked={Boolean(campaignForm.archived)}
+									onChange={(e) => setCampaignForm(prev => ({ ...prev, archived: e.target.checked }))}
+								/>
+								{t('archived')}
+							</label>
+						</div>
+					</div>
+					<div className="form-actions">
+						<button type="submit" disabled={saving}>{saving ? t('saving') : t('save')}</button>
+						<button type="button" className="cancel-btn" onClick={() => setCampaignForm(null)}>{t('cancel')}</button>
+					</div>
+				</form>
+			)}
+
+			{campaign ? (
+				<>
+					<div className="campaign-summary">
+						<div><span>{t('sold')}</span><strong>{grandTotals.sold} {campaign.item_name}</strong></div>
+						<div><span>{t('amount_due')}</span><strong>{money(grandTotals.amountDue)}</strong></div>
+						<div><span>{t('amount_paid')}</span><strong>{money(grandTotals.paid)}</strong></div>
+						<div><span>{t('outstanding_balance')}</span><strong>{money(grandTotals.balance)}</strong></div>
+					</div>
+
+					<div className="table-toolbar">
+						<label>
+							<input
+								type="checkbox"
+								checked={showOutstandingOnly}
+								onChange={(e) => setShowOutstandingOnly(e.target.checked)}
+							/>
+							{t('show_outstanding_only')}
+						</label>
+						<button type="button" onClick={printSummary}>{t('print_view')}</button>
+						<button type="button" onClick={printAllReceipts}>{t('print_all_receipts')}</button>
+					</div>
+
+					<div className="ledger-table-container">
+						<table className="ledger-table">
+							<thead>
+								<tr>
+									<th>{t('name')}</th>
+									<th>{t('stock_issued')}</th>
+									<th>{t('stock_returned')}</th>
+									<th>{t('sold')}</th>
+									<th>{t('amount_due')}</th>
+									<th>{t('amount_paid')}</th>
+									<th>{t('balance')}</th>
+									<th></th>
+								</tr>
+							</thead>
+							<tbody>
+								{visibleFamilies.map(family => (
+									<React.Fragment key={family.id}>
+										{family.members.length > 1 && (
+											<tr className="family-row">
+												<td>{t('family')} {family.name}</td>
+												<td>{family.totals.issued}</td>
+												<td>{family.totals.returned}</td>
+												<td>{family.totals.sold}</td>
+												<td>{money(family.totals.amountDue)}</td>
+												<td>{money(family.totals.paid)}</td>
+												<td className={family.totals.balance > 0 ? 'balance-due' : ''}>{money(family.totals.balance)}</td>
+												<td>
+													<button type="button" className="receipt-btn" onClick={() => printReceipt(family)}>
+														{t('receipt')}
+													</button>
+												</td>
+											</tr>
+										)}
+										{family.members.map(member => (
+											<React.Fragment key={member.participant_id}>
+												<tr className={`member-row ${family.members.length > 1 ? 'sibling' : ''} ${String(selectedParticipantId) === String(member.participant_id) ? 'selected' : ''}`}>
+													<td>
+														<button
+															type="button"
+															className="member-name-btn"
+															onClick={() => selectParticipant(member.participant_id)}
+														>
+															{member.first_name} {member.last_name}
+														</button>
+													</td>
+													<td>{member.totals.issued}</td>
+													<td>{member.totals.returned}</td>
+													<td>{member.totals.sold}</td>
+													<td>{money(member.totals.amountDue)}</td>
+													<td>{money(member.totals.paid)}</td>
+													<td className={member.totals.balance > 0 ? 'balance-due' : ''}>{money(member.totals.balance)}</td>
+													<td>
+														{family.members.length === 1 && (
+															<button type="button" className="receipt-btn" onClick={() => printReceipt(family)}>
+																{t('receipt')}
+															</button>
+														)}
+													</td>
+												</tr>
+												{String(selectedParticipantId) === String(member.participant_id) && renderEntryPanel()}
+											</React.Fragment>
+										))}
+									</React.Fragment>
+								))}
+							</tbody>
+							<tfoot>
+								<tr className="total-row">
+									<td>{t('total')}</td>
+									<td>{grandTotals.issued}</td>
+									<td>{grandTotals.returned}</td>
+									<td>{grandTotals.sold}</td>
+									<td>{money(grandTotals.amountDue)}</td>
+									<td>{money(grandTotals.paid)}</td>
+									<td>{money(grandTotals.balance)}</td>
+									<td></td>
+								</tr>
+							</tfoot>
+						</table>
+					</div>
+				</>
+			) : (
+				<p className="no-data">{t('no_fundraisers')}</p>
+			)}
+		</div>
+	);
+};
+
+export default Fundraisers;
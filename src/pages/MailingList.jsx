@@ -0,0 +1,426 @@
+// src/pages/MailingList.jsx
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { Link } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import LoadingSpinner from '../components/common/LoadingSpinner/LoadingSpinner';
+import Notification from '../components/common/Notification/Notification';
+import { useApiQuery } from '../hooks/useApiQuery';
+import { emailService } from '../api/emailService';
+import { fundraiserService } from '../api/fundraiserService';
+import { organizationService } from '../api/organizationService';
+import {
+	EMAIL_ROLES,
+	MERGE_FIELDS,
+	RECIPIENT_MODES,
+	buildMessages,
+	computeBalances,
+	findUnknownFields,
+	selectRecipients
+} from '../lib/bulkEmail';
+import { DEFAULT_MAIL_TRANSPORT, getMailTransport, getMailTransportNames } from '../lib/mailTransport';
+import './MailingList.css';
+
+const selectEmailLog = response => [...(response.emails || [])]
+	.sort((a, b) => String(b.sent_at).localeCompare(String(a.sent_at)));
+
+// Balances of the fundraisers still open, for the balance merge field
+async function fetchBalances() {
+	const { campaigns = [] } = await fundraiserService.getCampaigns();
+	const openCampaigns = campaigns.filter(campaign => !campaign.archived);
+	const ledgers = await Promise.all(openCampaigns.map(async campaign => ({
+		campaign,
+		ledger: await fundraiserService.getLedger(campaign.id)
+	})));
+	return computeBalances(ledgers);
+}
+
+const MailingList = () => {
+	const { t } = useTranslation();
+	const bodyRef = useRef(null);
+
+	const [loading, setLoading] = useState(true);
+	const [sending, setSending] = useState(false);
+	const [notification, setNotification] = useState({ message: '', type: '' });
+	const [recipients, setRecipients] = useState([]);
+	const [balances, setBalances] = useState({});
+	const [organizationName, setOrganizationName] = useState('');
+
+	const [mode, setMode] = useState('roles');
+	const [roles, setRoles] = useState(['parent']);
+	const [groupIds, setGroupIds] = useState([]);
+	const [participantIds, setParticipantIds] = useState([]);
+	const [participantSearch, setParticipantSearch] = useState('');
+	const [subject, setSubject] = useState('');
+	const [body, setBody] = useState('');
+	const [transportName, setTransportName] = useState(DEFAULT_MAIL_TRANSPORT);
+	const [previewIndex, setPreviewIndex] = useState(0);
+	const [expandedLogId, setExpandedLogId] = useState(null);
+
+	// Logging a sending invalidates the query, the log is refreshed with it
+	const { data: emailLog } = useApiQuery('email-log', null, { select: selectEmailLog, staleTime: 60 * 1000 });
+
+	useEffect(() => {
+		const fetchData = async () => {
+			setLoading(true);
+			try {
+				const [recipientsList, settings, balancesByParticipant] = await Promise.all([
+					emailService.getEmailRecipients(),
+					organizationService.getOrganizationSettings().catch(() => null),
+					fetchBalances().catch(() => ({}))
+				]);
+				setRecipients(recipientsList);
+				setOrganizationName(settings?.organization_info?.name || '');
+				setBalances(balancesByParticipant);
+			} catch (error) {
+				console.error('Error loading email recipients:', error);
+				setNotification({
+					message: t('error_loading_email_recipients'),
+					type: 'error'
+				});
+			} finally {
+				setLoading(false);
+			}
+		};
+
+		fetchData();
+	}, [t]);
+
+	// Groups and participants to choose from, taken from the guardians
+	const { groups, participants } = useMemo(() => {
+		const groupsById = new Map();
+		const participantsById = new Map();
+
+		recipients.forEach(recipient => (recipient.participants || []).forEach(participant => {
+			participantsById.set(String(participant.id), participant);
+			if (participant.group_id) {
+				groupsById.set(String(participant.group_id), { id: String(participant.group_id), name: participant.group_name });
+			}
+		}));
+
+		return {
+			groups: [...groupsById.values()].sort((a, b) => (a.name || '').localeCompare(b.name || '')),
+			participants: [...participantsById.values()]
+				.sort((a, b) => `${a.last_name} ${a.first_name}`.localeCompare(`${b.last_name} ${b.first_name}`))
+		};
+	}, [recipients]);
+
+	const entries = useMemo(
+		() => selectRecipients(recipients, { mode, roles, groupIds, participantIds }),
+		[recipients, mode, roles, groupIds, participantIds]
+	);
+
+	const mergeOptions = {
+		subject,
+		body,
+		balances,
+		organizationName,
+		locale: t('locale'),
+		conjunction: t('and')
+	};
+
+	const previewEntry = entries[Math.min(previewIndex, entries.length - 1)];
+	const preview = previewEntry ? buildMessages([previewEntry], mergeOptions)[0] : null;
+	const unknownFields = findUnknownFields(`${subject} ${body}`);
+
+	const searchTerm = participantSearch.trim().toLowerCase();
+	const visibleParticipants = searchTerm
+		? participants.filter(participant => `${participant.first_name} ${participant.last_name}`.toLowerCase().includes(searchTerm))
+		: participants;
+
+	const toggleValue = (setter, value) => {
+		setter(prev => (prev.includes(value) ? prev.filter(item => item !== value) : [...prev, value]));
+		setPreviewIndex(0);
+	};
+
+	// Insert a merge field where the cursor is in the message
+	const insertMergeField = (field) => {
+		const textarea = bodyRef.current;
+		const placeholder = `{{${field}}}`;
+		const start = textarea ? textarea.selectionStart : body.length;
+		const end = textarea ? textarea.selectionEnd : body.length;
+
+		setBody(body.slice(0, start) + placeholder + body.slice(end));
+		requestAnimationFrame(() => {
+			if (!textarea) return;
+			textarea.focus();
+			textarea.setSelectionRange(start + placeholder.length, start + placeholder.length);
+		});
+	};
+
+	const handleSubmit = async (e) => {
+		e.preventDefault();
+
+		if (!subject.trim() || !body.trim()) {
+			setNotification({ message: t('email_subject_and_body_required'), type: 'error' });
+			return;
+		}
+		if (entries.length === 0) {
+			setNotification({ message: t('select_at_least_one_recipient'), type: 'error' });
+			return;
+		}
+		if (unknownFields.length > 0) {
+			setNotification({ message: t('email_unknown_merge_fields', { fields: unknownFields.join(', ') }), type: 'error' });
+			return;
+		}
+		if (!window.confirm(t('confirm_send_emails', { count: entries.length }))) return;
+
+		setSending(true);
+		try {
+			const messages = buildMessages(entries, { ...mergeOptions, subject: subject.trim(), body: body.trim() });
+			const results = await getMailTransport(transportName).send(messages, { fromName: organizationName });
+			const failed = results.filter(result => result.status !== 'sent');
+
+			// A sending that could not be logged was still sent, the leader is told without losing the message
+			const logged = await emailService.logEmail({
+				subject: subject.trim(),
+				body: body.trim(),
+				transport: transportName,
+				recipients: messages.map((message, index) => ({
+					email: message.to,
+					participant_ids: message.participant_ids,
+					status: results[index]?.status || 'failed',
+					error: results[index]?.error || null
+				}))
+			}).then(() => true, () => false);
+
+			if (failed.length > 0) {
+				setNotification({
+					message: t('emails_partially_sent', { sent: results.length - failed.length, failed: failed.length }),
+					type: 'error'
+				});
+			} else {
+				setNotification(logged
+					? { message: t('emails_sent', { count: results.length }), type: 'success' }
+					: { message: t('error_logging_email'), type: 'error' });
+				setSubject('');
+				setBody('');
+			}
+		} catch (error) {
+			console.error('Error sending emails:', error);
+			setNotification({ message: t('error_sending_emails'), type: 'error' });
+		} finally {
+			setSending(false);
+		}
+	};
+
+	if (loading) {
+		return <LoadingSpinner fullScreen text={t('loading')} />;
+	}
+
+	return (
+		<div className="mailing-list-page">
+			{notification.message && (
+				<Notification
+					message={notification.message}
+					type={notification.type}
+					onClose={() => setNotification({ message: '', type: '' })}
+				/>
+			)}
+
+			<div className="page-header">
+				<Link to="/dashboard" className="back-link">{t('back_to_dashboard')}</Link>
+				<h1>{t('mailing_list')}</h1>
+			</div>
+
+			<form onSubmit={handleSubmit} className="email-composer">
+				<section className="email-recipients">
+					<h2>{t('recipients')}</h2>
+					<div className="recipient-modes">
+						{RECIPIENT_MODES.map(recipientMode => (
+							<label key={recipientMode}>
+								<input
+									type="radio"
+									name="recipient-mode"
+									checked={mode === recipientMode}
+									onChange={() => {
+										setMode(recipientMode);
+										setPreviewIndex(0);
+									}}
+								/>
+								{t(`email_recipients_by_${recipientMode}`)}
+							</label>
+						))}
+					</div>
+
+					<div className="recipient-choices">
+						{mode === 'roles' && EMAIL_ROLES.map(role => (
+							<label key={role}>
+								<input type="checkbox" checked={roles.includes(role)} onChange={() => toggleValue(setRoles, role)} />
+								{t(role)}
+							</label>
+						))}
+
+						{mode === 'groups' && groups.map(group => (
+							<label key={group.id}>
+								<input type="checkbox" checked={groupIds.includes(group.id)} onChange={() => toggleValue(setGroupIds, group.id)} />
+								{group.name}
+							</label>
+						))}
+
+						{mode === 'participants' && (
+							<>
+								<input
+									type="search"
+									className="participant-search"
+									value={participantSearch}
+									onChange={(e) => setParticipantSearch(e.target.value)}
+									placeholder={t('search_participant')}
+									aria-label={t('search_participant')}
+								/>
+								{visibleParticipants.map(participant => (
+									<label key={participant.id}>
+										<input
+											type="checkbox"
+											checked={participantIds.includes(String(participant.id))}
+											onChange={() => toggleValue(setParticipantIds, String(participant.id))}
+										/>
+										{participant.first_name} {participant.last_name}
+										{participant.group_name && <span className="participant-group">{participant.group_name}</span>}
+									</label>
+								))}
+							</>
+						)}
+					</div>
+
+					<p className="recipient-count">{t('email_recipient_count', { count: entries.length })}</p>
+				</section>
+
+				<section className="email-message">
+					<h2>{t('message')}</h2>
+					<div className="form-group">
+						<label htmlFor="email-subject">{t('email_subject')}</label>
+						<input
+							type="text"
+							id="email-subject"
+							value={subject}
+							onChange={(e) => setSubject(e.target.value)}
+							required
+						/>
+					</div>
+
+					<div className="form-group">
+						<label htmlFor="email-body">{t('email_body')}</label>
+						<div className="merge-fields">
+							<span>{t('email_merge_fields')}</span>
+							{MERGE_FIELDS.map(field => (
+								<button key={field} type="button" className="secondary" onClick={() => insertMergeField(field)}>
+									{t(`merge_field_${field}`)}
+								</button>
+							))}
+						</div>
+						<textarea
+							id="email-body"
+							ref={bodyRef}
+							rows={10}
+							value={body}
+							onChange={(e) => setBody(e.target.value)}
+							required
+						/>
+					</div>
+					{unknownFields.length > 0 && (
+						<p className="email-warning">{t('email_unknown_merge_fields', { fields: unknownFields.join(', ') })}</p>
+					)}
+				</section>
+
+				{preview && (
+					<section className="email-preview">
+						<div className="email-preview-header">
+							<h2>{t('email_preview')}</h2>
+							<div className="email-preview-navigation">
+								<button
+									type="button"
+									className="secondary"
+									onClick={() => setPreviewIndex(index => Math.max(0, index - 1))}
+									disabled={previewIndex === 0}
+									aria-label={t('previous')}
+								>
+									&lsaquo;
+								</button>
+								<span>{Math.min(previewIndex, entries.length - 1) + 1} / {entries.length}</span>
+								<button
+									type="button"
+									className="secondary"
+									onClick={() => setPreviewIndex(index => Math.min(entries.length - 1, index + 1))}
+									disabled={previewIndex >= entries.length - 1}
+									aria-label={t('next')}
+								>
+									&rsaquo;
+								</button>
+							</div>
+						</div>
+						<p><strong>{t('email_to')}</strong> {preview.name ? `${preview.name} <${preview.to}>` : preview.to}</p>
+						<p><strong>{t('email_subject')}:</strong> {preview.subject}</p>
+						<pre>{preview.body}</pre>
+					</section>
+				)}
+
+				<div className="email-send">
+					<label>
+						{t('email_transport')}
+						<select value={transportName} onChange={(e) => setTransportName(e.target.value)}>
+							{getMailTransportNames().map(name => (
+								<option key={name} value={name}>{t(`mail_transport_${name}`)}</option>
+							))}
+						</select>
+					</label>
+					<button type="submit" disabled={sending || entries.length === 0}>
+						{sending ? t('sending') : t('send_emails', { count: entries.length })}
+					</button>
+				</div>
+			</form>
+
+			<section className="email-log">
+				<h2>{t('email_log')}</h2>
+				{!emailLog || emailLog.length === 0 ? (
+					<p className="no-data">{t('no_emails_sent')}</p>
+				) : (
+					<ul>
+						{emailLog.map(email => {
+							const failed = (email.recipients || []).filter(recipient => recipient.status !== 'sent');
+							const expanded = expandedLogId === email.id;
+
+							return (
+								<li key={email.id}>
+									<div className="email-log-header">
+										<strong>{email.subject}</strong>
+										{email.transport && email.transport !== DEFAULT_MAIL_TRANSPORT && (
+											<span className="email-log-transport">{t(`mail_transport_${email.transport}`)}</span>
+										)}
+										<span className="email-log-date">
+											{new Date(email.sent_at).toLocaleString(t('locale'), { dateStyle: 'medium', timeStyle: 'short' })}
+										</span>
+									</div>
+									<p className="email-log-meta">
+										{t('email_recipient_count', { count: (email.recipients || []).length })}
+										{failed.length > 0 && ` · ${t('email_failed_count', { count: failed.length })}`}
+										{email.sent_by && ` · ${t('sent_by', { name: email.sent_by })}`}
+									</p>
+									<button
+										type="button"
+										className="secondary"
+										onClick={() => setExpandedLogId(expanded ? null : email.id)}
+										aria-expanded={expanded}
+									>
+										{expanded ? t('hide_recipients') : t('show_recipients', { count: (email.recipients || []).length })}
+									</button>
+									{expanded && (
+										<ul className="email-log-recipients">
+											{email.recipients.map(recipient => (
+												<li key={recipient.email} className={recipient.status !== 'sent' ? 'failed' : ''}>
+													{recipient.email}
+													{recipient.status !== 'sent' && ` · ${recipient.error || t('delivery_status_failed')}`}
+												</li>
+											))}
+										</ul>
+									)}
+								</li>
+							);
+						})}
+					</ul>
+				)}
+			</section>
+		</div>
+	);
+};
+
+export default MailingList;
@@ -0,0 +1,322 @@
+// src/pages/ManageEvents.jsx
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import LoadingSpinner from '../components/common/LoadingSpinner/LoadingSpinner';
+import Notification from '../components/common/Notification/Notification';
+import { organizationService } from '../api/organizationService';
+import { eventsService } from '../api/eventsService';
+import {
+	EMPTY_EVENT,
+	EVENT_TYPES,
+	formatEventDates,
+	getRemainingPlaces,
+	getRequiredFormChoices,
+	getRequiredFormLabelKey,
+	isRegistrationOpen
+} from '../lib/events';
+import './ManageEvents.css';
+
+const toFormValues = event => ({
+	...EMPTY_EVENT,
+	...event,
+	start_date: String(event.start_date || '').slice(0, 10),
+	end_date: String(event.end_date || '').slice(0, 10),
+	deadline: String(event.deadline || '').slice(0, 10),
+	capacity: event.capacity ?? '',
+	cost: event.cost ?? '',
+	required_forms: event.required_forms || []
+});
+
+const ManageEvents = () => {
+	const { t } = useTranslation();
+
+	const [loading, setLoading] = useState(true);
+	const [saving, setSaving] = useState(false);
+	const [notification, setNotification] = useState({ message: '', type: '' });
+	const [events, setEvents] = useState([]);
+	const [formChoices, setFormChoices] = useState([]);
+	const [form, setForm] = useState(null);
+
+	const loadEvents = async () => {
+		setEvents(await eventsService.getEvents());
+	};
+
+	useEffect(() => {
+		const fetchData = async () => {
+			setLoading(true);
+			try {
+				const [formFormats] = await Promise.all([
+					organizationService.getOrganizationFormFormats(),
+					loadEvents()
+				]);
+				setFormChoices(getRequiredFormChoices(formFormats));
+			} catch (error) {
+				console.error('Error loading events:', error);
+				setNotification({
+					message: t('error_loading_events'),
+					type: 'error'
+				});
+			} finally {
+				setLoading(false);
+			}
+		};
+
+		fetchData();
+	}, [t]);
+
+	const handleChange = (field, value) => {
+		setForm(prev => ({ ...prev, [field]: value }));
+	};
+
+	const toggleRequiredForm = (formType, checked) => {
+		setForm(prev => ({
+			...prev,
+			required_forms: checked
+				? formChoices.filter(choice => choice === formType || prev.required_forms.includes(choice))
+				: prev.required_forms.filter(choice => choice !== formType)
+		}));
+	};
+
+	const handleSubmit = async (e) => {
+		e.preventDefault();
+
+		if (form.end_date && form.end_date < form.start_date) {
+			setNotification({ message: t('event_end_before_start'), type: 'error' });
+			return;
+		}
+
+		setSaving(true);
+		try {
+			await eventsService.saveEvent({
+				...form,
+				name: form.name.trim(),
+				end_date: form.end_date || form.start_date,
+				deadline: form.deadline || null,
+				capacity: form.capacity === '' ? null : Number(form.capacity),
+				cost: form.cost === '' ? null : Number(form.cost)
+			});
+			await loadEvents();
+			setForm(null);
+			setNotification({ message: t('event_saved'), type: 'success' });
+		} catch (error) {
+			console.error('Error saving event:', error);
+			setNotification({ message: t('error_saving_event'), type: 'error' });
+		} finally {
+			setSaving(false);
+		}
+	};
+
+	const handleCancelEvent = async (event) => {
+		if (!window.confirm(t('confirm_cancel_event', { name: event.name }))) return;
+
+		try {
+			await eventsService.cancelEvent(event.id);
+			await loadEvents();
+			setNotification({ message: t('event_cancelled'), type: 'success' });
+		} catch (error) {
+			console.error('Error cancelling event:', error);
+			setNotification({ message: t('error_cancelling_event'), type: 'error' });
+		}
+	};
+
+	if (loading) {
+		return <LoadingSpinner fullScreen text={t('loading')} />;
+	}
+
+	const renderForm = () => (
+		<form onSubmit={handleSubmit} className="event-form">
+			<h2>{form.id ? t('edit_event') : t('new_event')}</h2>
+
+			<div className="form-row">
+				<div className="form-group">
+					<label htmlFor="event-name">{t('name')}:</label>
+					<input
+						type="text"
+						id="event-name"
+						value={form.name}
+						onChange={(e) => handleChange('name', e.target.value)}
+						required
+					/>
+				</div>
+				<div className="form-group">
+					<label htmlFor="event-type">{t('type')}:</label>
+					<select id="event-type" value={form.type} onChange={(e) => handleChange('type', e.target.value)}>
+						{EVENT_TYPES.map(type => (
+							<option key={type} value={type}>{t(`event_type_${type}`)}</option>
+						))}
+					</select>
+				</div>
+			</div>
+
+			<div className="form-row">
+				<div className="form-group">
+					<label htmlFor="event-start">{t('event_start_date')}:</label>
+					<input
+						type="date"
+						id="event-start"
+						value={form.start_date}
+						onChange={(e) => handleChange('start_date', e.target.value)}
+						required
+					/>
+				</div>
+				<div className="form-group">
+					<label htmlFor="event-end">{t('event_end_date')}:</label>
+					<input
+						type="date"
+						id="event-end"
+						value={form.end_date}
+						min={form.start_date}
+						onChange={(e) => handleChange('end_date', e.target.value)}
+					/>
+				</div>
+				<div className="form-group">
+					<label htmlFor="event-deadline">{t('event_deadline')}:</label>
+					<input
+						type="date"
+						id="event-deadline"
+						value={form.deadline}
+						max={form.start_date}
+						onChange={(e) => handleChange('deadline', e.target.value)}
+					/>
+				</div>
+			</div>
+
+			<div className="form-row">
+				<div className="form-group">
+					<label htmlFor="event-location">{t('event_location')}:</label>
+					<input
+						type="text"
+						id="event-location"
+						value={form.location}
+						onChange={(e) => handleChange('location', e.target.value)}
+					/>
+				</div>
+				<div className="form-group">
+					<label htmlFor="event-capacity">{t('event_capacity')}:</label>
+					<input
+						type="number"
+						id="event-capacity"
+						min="1"
+						value={form.capacity}
+						onChange={(e) => handleChange('capacity', e.target.value)}
+						placeholder={t('event_unlimited')}
+					/>
+				</div>
+				<div className="form-group">
+					<label htmlFor="event-cost">{t('event_cost')}:</label>
+					<input
+						type="number"
+						id="event-cost"
+						min="0"
+						step="0.01"
+						value={form.cost}
+						onChange={(e) => handleChange('cost', e.target.value)}
+					/>
+				</div>
+			</div>
+
+			<fieldset className="event-required-forms">
+				<legend>{t('event_required_forms')}</legend>
+				{formChoices.map(formType => (
+					<label key={formType} className="checkbox-label">
+						<input
+							type="checkbox"
+							checked={form.required_forms.includes(formType)}
+							onChange={(e) => toggleRequiredForm(formType, e.target.checked)}
+						/>
+						{t(getRequiredFormLabelKey(formType))}
+					</label>
+				))}
+			</fieldset>
+
+			<div className="form-group">
+				<label htmlFor="event-description">{t('description')}:</label>
+				<textarea
+					id="event-description"
+					rows={4}
+					value={form.description}
+					onChange={(e) => handleChange('description', e.target.value)}
+				/>
+			</div>
+
+			<div className="form-actions">
+				<button type="button" className="secondary" onClick={() => setForm(null)}>
+					{t('cancel')}
+				</button>
+				<button type="submit" disabled={saving}>
+					{saving ? t('saving') : t('save')}
+				</button>
+			</div>
+		</form>
+	);
+
+	return (
+		<div className="manage-events-page">
+			{notification.message && (
+				<Notification
+					message={notification.message}
+					type={notification.type}
+					onClose={() => setNotification({ message: '', type: '' })}
+				/>
+			)}
+
+			<div className="page-header">
+				<Link to="/dashboard" className="back-link">{t('back_to_dashboard')}</Link>
+				<h1>{t('events')}</h1>
+			</div>
+
+			{form ? renderForm() : (
+				<button type="button" className="new-event-button" onClick={() => setForm({ ...EMPTY_EVENT })}>
+					{t('new_event')}
+				</button>
+			)}
+
+			{events.length === 0 ? (
+				<p className="no-events">{t('no_events')}</p>
+			) : (
+				<ul className="events-list">
+					{events.map(event => {
+						const remaining = getRemainingPlaces(event);
+
+						return (
+							<li key={event.id} className={event.cancelled ? 'cancelled' : ''}>
+								<div className="event-info">
+									<h3>
+										{event.name}
+										<span className="event-type">{t(`event_type_${event.type}`)}</span>
+										{event.cancelled && <span className="event-cancelled">{t('event_cancelled_label')}</span>}
+									</h3>
+									<p>{formatEventDates(event, t('locale'))}{event.location && ` · ${event.location}`}</p>
+									<p className="event-counts">
+										{t('event_confirmed_count', { count: Number(event.confirmed_count) || 0 })}
+										{remaining !== null && ` · ${t('event_places_left', { count: remaining })}`}
+										{Number(event.waitlisted_count) > 0 && ` · ${t('event_waitlisted_count', { count: Number(event.waitlisted_count) })}`}
+									</p>
+									{!event.cancelled && !isRegistrationOpen(event) && (
+										<p className="event-closed">{t('event_registration_closed')}</p>
+									)}
+								</div>
+								<div className="event-actions">
+									<Link to={`/events/${event.id}`}>{t('event_roster')}</Link>
+									{!event.cancelled && (
+										<>
+											<button type="button" className="secondary" onClick={() => setForm(toFormValues(event))}>
+												{t('edit')}
+											</button>
+											<button type="button" className="secondary" onClick={() => handleCancelEvent(event)}>
+												{t('cancel_event')}
+											</button>
+										</>
+									)}
+								</div>
+							</li>
+						);
+					})}
+				</ul>
+			)}
+		</div>
+	);
+};
+
+export default ManageEvents;
@@ -1,10 +1,18 @@
 // src/pages/ManageHonors.jsx
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { Link } from 'react-router-dom';
 import { useTranslation } from 'react-i18next';
 import LoadingSpinner from '../components/common/LoadingSpinner/LoadingSpinner';
 import Notification from '../components/common/Notification/Notification';
 import { pointsService } from '../api/pointsService';
+import { attendanceService } from '../api/attendanceService';
+import { reportsService } from '../api/reportsService';
+import {
+	getAttendanceRates,
+	getRecentHonorDate,
+	rankHonorCandidates
+} from '../lib/honorRotation';
+import { getSeasonStart } from '../lib/season';
 import './ManageHonors.css';
 
 const ManageHonors = () => {
@@ -18,6 +26,10 @@ const ManageHonors = () => {
 	const [allParticipants, setAllParticipants] = useState([]);
 	const [groupedParticipants, setGroupedParticipants] = useState({});
 	const [selectedParticipants, setSelectedParticipants] = useState([]);
+	// Attendance on the date and over the season, used to suggest who to honor
+	const [attendance, setAttendance] = useState({});
+	const [attendanceRates, setAttendanceRates] = useState({});
+	const [showAllSuggestions, setShowAllSuggestions] = useState(false);
 
 	// Initialize data
 	useEffect(() => {
@@ -42,8 +54,14 @@ const ManageHonors = () => {
 	// Fetch honors and participants data
 	const fetchData = async () => {
 		try {
-			const data = await pointsService.getHonorsAndParticipants(currentDate);
-			
+			const [data, dateAttendance, attendanceReport] = await Promise.all([
+				pointsService.getHonorsAndParticipants(currentDate),
+				attendanceService.getAttendance(currentDate).catch(() => ({})),
+				reportsService.getAttendanceReport(getSeasonStart(currentDate), currentDate).catch(() => null)
+			]);
+			setAttendance(dateAttendance || {});
+			setAttendanceRates(getAttendanceRates(attendanceReport?.report));
+
 			if (data.success) {
 				setAllParticipants(data.participants || []);
 				setAllHonors(data.honors || []);
@@ -170,6 +188,29 @@ const ManageHonors = () => {
 		}
 	};
 
+	// Present participants not honored today, least honored first
+	const isToday = currentDate === new Date().toLocaleDateString('en-CA');
+	const suggestions = useMemo(() => (isToday ? rankHonorCandidates({
+		participants: allParticipants,
+		honors: allHonors,
+		attendance,
+		attendanceRates,
+		date: currentDate
+	}) : []), [isToday, allParticipants, allHonors, attendance, attendanceRates, currentDate]);
+
+	const describeSuggestion = (suggestion) => {
+		const details = [
+			suggestion.daysSinceLastHonor === null
+				? t('never_honored')
+				: t('last_honored_days_ago', { count: suggestion.daysSinceLastHonor }),
+			t('season_honors_count', { count: suggestion.seasonHonors })
+		];
+		if (suggestion.attendanceRate !== null) {
+			details.push(t('suggestion_attendance_rate', { rate: Math.round(suggestion.attendanceRate * 100) }));
+		}
+		return details.join(' - ');
+	};
+
 	// Award honors to selected participants
 	const awardHonors = async () => {
 		if (selectedParticipants.length === 0) {
@@ -180,6 +221,17 @@ const ManageHonors = () => {
 			return;
 		}
 
+		// Confirm before honoring again someone honored a few meetings ago
+		const recentlyHonored = selectedParticipants
+			.map(participant => ({ participant, date: getRecentHonorDate(participant.participant_id, allHonors, currentDate) }))
+			.filter(item => item.date);
+		if (recentlyHonored.length > 0) {
+			const names = recentlyHonored
+				.map(({ participant, date }) => `${participant.first_name} ${participant.last_name} (${formatDate(date.slice(0, 10))})`)
+				.join(', ');
+			if (!window.confirm(t('confirm_recent_honor', { names }))) return;
+		}
+
 		try {
 			const honors = selectedParticipants.map(participant => ({
 				participant_id: participant.participant_id,
@@ -233,6 +285,7 @@ const ManageHonors = () => {
 	const renderParticipant = (participant) => {
 		const canBeHonored = !participant.honored_today;
 		const isSelected = isParticipantSelected(participant);
+		const recentHonorDate = canBeHonored && getRecentHonorDate(participant.participant_id, allHonors, currentDate);
 
 		return (
 			<div
@@ -249,6 +302,9 @@ const ManageHonors = () => {
 					<div className="participant-stats">
 						<span className="total-honors">{participant.total_honors} {t('total_honors')}</span>
 						{participant.honored_today && <span className="honored-today">{t('honored_today')}</span>}
+						{recentHonorDate && (
+							<span className="honored-recently">{t('honored_recently', { date: formatDate(recentHonorDate.slice(0, 10)) })}</span>
+						)}
 					</div>
 				</div>
 				{canBeHonored && (
@@ -341,6 +397,36 @@ const ManageHonors = () => {
 				</div>
 			</div>
 
+			{suggestions.length > 0 && (
+				<section className="honor-suggestions">
+					<h2>{t('honor_suggestions')}</h2>
+					<p className="suggestions-hint">{t('honor_suggestions_hint')}</p>
+					<ol>
+						{(showAllSuggestions ? suggestions : suggestions.slice(0, 5)).map(suggestion => {
+							const { participant } = suggestion;
+							const isSelected = isParticipantSelected(participant);
+
+							return (
+								<li key={participant.participant_id} className={isSelected ? 'selected' : ''}>
+									<div className="suggestion-info">
+										<span className="participant-name">{participant.first_name} {participant.last_name}</span>
+										<span className="suggestion-details">{describeSuggestion(suggestion)}</span>
+									</div>
+									<button type="button" onClick={() => handleParticipantSelect(participant)}>
+										{isSelected ? t('deselect') : t('select')}
+									</button>
+								</li>
+							);
+						})}
+					</ol>
+					{suggestions.length > 5 && (
+						<button type="button" className="toggle-suggestions" onClick={() => setShowAllSuggestions(!showAllSuggestions)}>
+							{showAllSuggestions ? t('show_less') : t('show_all_suggestions', { count: suggestions.length })}
+						</button>
+					)}
+				</section>
+			)}
+
 			<div className="honors-content">
 				{Object.keys(groupedParticipants).length === 0 ? (
 					<div className="no-data">
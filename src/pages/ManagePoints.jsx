@@ -1,5 +1,5 @@
 // src/pages/ManagePoints.jsx
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { Link } from 'react-router-dom';
 import { useTranslation } from 'react-i18next';
 import LoadingSpinner from '../components/common/LoadingSpinner/LoadingSpinner';
@@ -7,6 +7,14 @@ import Notification from '../components/common/Notification/Notification';
 import { participantService } from '../api/participantService';
 import { groupsService } from '../api/groupsService';
 import { pointsService } from '../api/pointsService';
+import {
+	DEFAULT_POINT_CATEGORY,
+	POINT_CATEGORIES,
+	buildLedgerEntries,
+	canReverseBatch,
+	getPointsByParticipant,
+	groupLedgerBatches
+} from '../lib/pointsLedger';
 import './ManagePoints.css';
 
 const ManagePoints = () => {
@@ -17,10 +25,20 @@ const ManagePoints = () => {
 	const [loading, setLoading] = useState(true);
 	const [notification, setNotification] = useState({ message: '', type: '' });
 	const [selectedItem, setSelectedItem] = useState(null);
-	const [pendingUpdates, setPendingUpdates] = useState([]);
+	// Updates batched before being sent, with the totals shown before the first of them
+	const pendingUpdatesRef = useRef([]);
+	const baseTotalsRef = useRef({});
 	const [currentSort, setCurrentSort] = useState({ key: 'group', order: 'asc' });
 	const [currentFilter, setCurrentFilter] = useState('');
 	const [updateTimeout, setUpdateTimeout] = useState(null);
+	// Category, reason and meeting recorded with each tap in the points ledger
+	const [entryDetails, setEntryDetails] = useState({
+		category: DEFAULT_POINT_CATEGORY,
+		reason: '',
+		meetingDate: new Date().toLocaleDateString('en-CA')
+	});
+	const [lastBatch, setLastBatch] = useState(null);
+	const [history, setHistory] = useState(null);
 
 	// Initialize data
 	useEffect(() => {
@@ -106,6 +124,20 @@ const ManagePoints = () => {
 		}
 	};
 
+	// Add or remove the points of ledger entries on the totals shown
+	const applyPointsLocally = (entries, sign = 1) => {
+		const changes = getPointsByParticipant(entries, sign);
+		setParticipants(prev => prev.map(participant => (
+			String(participant.id) in changes
+				? { ...participant, total_points: parseInt(participant.total_points || 0) + changes[String(participant.id)] }
+				: participant
+		)));
+	};
+
+	const handleEntryDetailChange = (field, value) => {
+		setEntryDetails(prev => ({ ...prev, [field]: value }));
+	};
+
 	// Handle points update
 	const handlePointsChange = async (pointsToAdd) => {
 		if (!selectedItem) {
@@ -117,27 +149,26 @@ const ManagePoints = () => {
 		}
 
 		try {
-			let updates = [];
-
-			if (selectedItem.type === 'group') {
-				// Update all participants in the group
-				const group = groupedParticipants[selectedItem.id];
-				updates = group.participants.map(participant => ({
-					participant_id: participant.id,
-					points_change: pointsToAdd,
-					reason: `Group ${group.name} points update`
-				}));
-			} else {
-				// Update individual participant
-				updates = [{
-					participant_id: selectedItem.id,
-					points_change: pointsToAdd,
-					reason: 'Manual points update'
-				}];
-			}
+			// Points given to a group go to each of its participants, as one batch of the ledger
+			const isGroup = selectedItem.type === 'group';
+			const participantIds = isGroup
+				? groupedParticipants[selectedItem.id].participants.map(participant => participant.id)
+				: [selectedItem.id];
+			const updates = buildLedgerEntries(participantIds, pointsToAdd, {
+				category: entryDetails.category,
+				reason: entryDetails.reason.trim(),
+				meetingDate: entryDetails.meetingDate,
+				groupId: isGroup ? selectedItem.id : null
+			});
 
-			// Add to pending updates
-			setPendingUpdates(prev => [...prev, ...updates]);
+			// Add to pending updates, remembering the totals they were given from
+			pendingUpdatesRef.current = [...pendingUpdatesRef.current, ...updates];
+			updates.forEach(update => {
+				if (!(update.participant_id in baseTotalsRef.current)) {
+					const participant = participants.find(p => p.id === update.participant_id);
+					baseTotalsRef.current[update.participant_id] = parseInt(participant?.total_points || 0);
+				}
+			});
 
 			// Clear existing timeout
 			if (updateTimeout) {
@@ -146,8 +177,15 @@ const ManagePoints = () => {
 
 			// Set new timeout to batch updates
 			const newTimeout = setTimeout(async () => {
+				const batch = pendingUpdatesRef.current;
+				const baseTotals = baseTotalsRef.current;
+				pendingUpdatesRef.current = [];
+				baseTotalsRef.current = {};
+				// Every tap of the batch was undone before being sent
+				if (batch.length === 0) return;
+
 				try {
-					await pointsService.updatePoints(pendingUpdates);
+					await pointsService.updatePoints(batch, baseTotals);
 					
 					// Refresh data
 					const participantsResponse = await participantService.getParticipants();
@@ -159,8 +197,6 @@ const ManagePoints = () => {
 						message: t('points_updated_successfully'),
 						type: 'success'
 					});
-
-					setPendingUpdates([]);
 				} catch (error) {
 					console.error('Error updating points:', error);
 					setNotification({
@@ -171,31 +207,10 @@ const ManagePoints = () => {
 			}, 1000); // Wait 1 second before sending updates
 
 			setUpdateTimeout(newTimeout);
+			setLastBatch(updates);
 
 			// Update UI optimistically
-			if (selectedItem.type === 'group') {
-				const updatedParticipants = participants.map(participant => {
-					if (groupedParticipants[selectedItem.id].participants.find(p => p.id === participant.id)) {
-						return {
-							...participant,
-							total_points: parseInt(participant.total_points || 0) + pointsToAdd
-						};
-					}
-					return participant;
-				});
-				setParticipants(updatedParticipants);
-			} else {
-				const updatedParticipants = participants.map(participant => {
-					if (participant.id === selectedItem.id) {
-						return {
-							...participant,
-							total_points: parseInt(participant.total_points || 0) + pointsToAdd
-						};
-					}
-					return participant;
-				});
-				setParticipants(updatedParticipants);
-			}
+			applyPointsLocally(updates);
 
 		} catch (error) {
 			console.error('Error handling points change:', error);
@@ -206,6 +221,121 @@ const ManagePoints = () => {
 		}
 	};
 
+	// Undo the last tap: dropped if not sent yet, reversed in the ledger otherwise
+	const handleUndo = async () => {
+		if (!lastBatch?.length) return;
+
+		const entries = lastBatch;
+		const batchId = entries[0].batch_id;
+		setLastBatch(null);
+		applyPointsLocally(entries, -1);
+
+		if (pendingUpdatesRef.current.some(update => update.batch_id === batchId)) {
+			pendingUpdatesRef.current = pendingUpdatesRef.current.filter(update => update.batch_id !== batchId);
+			setNotification({ message: t('points_undone'), type: 'success' });
+			return;
+		}
+
+		try {
+			await pointsService.reversePoints(batchId, entries.map(entry => entry.participant_id), t('points_undo_reason'));
+			setNotification({ message: t('points_undone'), type: 'success' });
+		} catch (error) {
+			console.error('Error undoing points:', error);
+			applyPointsLocally(entries);
+			setNotification({ message: t('error_undoing_points'), type: 'error' });
+		}
+	};
+
+	// Ledger of the selected participant, or of the participants of the selected group
+	const openHistory = async () => {
+		const item = selectedItem;
+		setHistory({ item, batches: [], loading: true });
+		try {
+			const entries = await pointsService.getPointsHistory(
+				item.type === 'group' ? { groupId: item.id } : { participantId: item.id }
+			);
+			setHistory({ item, batches: groupLedgerBatches(entries), loading: false });
+		} catch (error) {
+			console.error('Error loading points history:', error);
+			setHistory(null);
+			setNotification({ message: t('error_loading_points_history'), type: 'error' });
+		}
+	};
+
+	const handleReverse = async (batch) => {
+		const points = batch.points * batch.remainingIds.length;
+		if (!window.confirm(t('confirm_reverse_points', { points }))) return;
+
+		try {
+			const result = await pointsService.reversePoints(batch.batch_id, batch.remainingIds);
+			applyPointsLocally(batch.remainingIds.map(participantId => ({ participant_id: participantId, points_change: batch.points })), -1);
+			setHistory(prev => prev && {
+				...prev,
+				batches: prev.batches.map(item => (
+					item.batch_id === batch.batch_id ? { ...item, remainingIds: [], reversed: true } : item
+				))
+			});
+			setNotification({
+				message: result.offline ? t('points_reversed_offline') : t('points_reversed'),
+				type: 'success'
+			});
+		} catch (error) {
+			console.error('Error reversing points:', error);
+			setNotification({ message: t('error_reversing_points'), type: 'error' });
+		}
+	};
+
+	const renderHistory = () => (
+		<div className="points-history-overlay" onClick={() => setHistory(null)}>
+			<div className="points-history" onClick={(e) => e.stopPropagation()} role="dialog" aria-modal="true">
+				<div className="points-history-header">
+					<h2>
+						{t('points_history')}: {history.item.type === 'group'
+							? history.item.name
+							: `${history.item.first_name} ${history.item.last_name}`}
+					</h2>
+					<button type="button" className="close-history" onClick={() => setHistory(null)}>
+						{t('close')}
+					</button>
+				</div>
+
+				{history.loading ? (
+					<LoadingSpinner text={t('loading')} />
+				) : history.batches.length === 0 ? (
+					<p className="no-history">{t('no_points_history')}</p>
+				) : (
+					<ul className="points-history-list">
+						{history.batches.map(batch => (
+							<li key={batch.batch_id} className={batch.reversed ? 'reversed' : ''}>
+								<span className={`history-points ${batch.points < 0 ? 'negative' : 'positive'}`}>
+									{batch.points > 0 ? '+' : ''}{batch.points}
+								</span>
+								<div className="history-details">
+									<span>
+										<strong>{t(`points_category_${batch.category}`)}</strong>
+										{batch.reason && ` - ${batch.reason}`}
+									</span>
+									<small>
+										{batch.meeting_date && new Date(`${String(batch.meeting_date).slice(0, 10)}T00:00:00`).toLocaleDateString(t('locale'))}
+										{batch.author_name && ` - ${batch.author_name}`}
+										{batch.participantIds.length > 1 && ` - ${t('points_participant_count', { count: batch.participantIds.length })}`}
+									</small>
+									{batch.reverses_batch_id && <small className="history-tag">{t('points_reversal')}</small>}
+									{batch.reversed && <small className="history-tag">{t('points_reversed_label')}</small>}
+								</div>
+								{canReverseBatch(batch) && (
+									<button type="button" className="reverse-btn" onClick={() => handleReverse(batch)}>
+										{t('reverse_points')}
+									</button>
+								)}
+							</li>
+						))}
+					</ul>
+				)}
+			</div>
+		</div>
+	);
+
 	// Sorting functions
 	const sortParticipants = (key, order = 'asc') => {
 		setCurrentSort({ key, order });
@@ -301,6 +431,7 @@ const ManagePoints = () => {
 			<div className="page-header">
 				<Link to="/dashboard" className="back-link">{t('back_to_dashboard')}</Link>
 				<h1>{t('manage_points')}</h1>
+				<Link to="/scoreboard" className="scoreboard-link">{t('scoreboard')}</Link>
 			</div>
 
 			<div className="controls">
@@ -366,8 +497,35 @@ const ManagePoints = () => {
 				)}
 			</div>
 
+			{history && renderHistory()}
+
 			{/* Points Control Buttons */}
 			<div className="points-controls fixed-bottom">
+				<div className="points-entry-details">
+					<select
+						value={entryDetails.category}
+						onChange={(e) => handleEntryDetailChange('category', e.target.value)}
+						aria-label={t('points_category')}
+					>
+						{POINT_CATEGORIES.map(category => (
+							<option key={category} value={category}>{t(`points_category_${category}`)}</option>
+						))}
+					</select>
+					<input
+						type="text"
+						value={entryDetails.reason}
+						onChange={(e) => handleEntryDetailChange('reason', e.target.value)}
+						placeholder={t('points_reason')}
+						aria-label={t('points_reason')}
+					/>
+					<input
+						type="date"
+						value={entryDetails.meetingDate}
+						onChange={(e) => handleEntryDetailChange('meetingDate', e.target.value)}
+						aria-label={t('meeting_date')}
+					/>
+				</div>
+
 				<div className="points-buttons">
 					<button
 						className="point-btn add"
@@ -413,6 +571,15 @@ const ManagePoints = () => {
 					</button>
 				</div>
 
+				<div className="points-actions">
+					<button type="button" onClick={handleUndo} disabled={!lastBatch}>
+						{t('undo_last_points')}
+					</button>
+					<button type="button" onClick={openHistory} disabled={!selectedItem}>
+						{t('points_history')}
+					</button>
+				</div>
+
 				{selectedItem && (
 					<div className="selected-info">
 						{selectedItem.type === 'group' ? (
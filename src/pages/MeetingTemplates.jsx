@@ -0,0 +1,381 @@
+// src/pages/MeetingTemplates.jsx
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import LoadingSpinner from '../components/common/LoadingSpinner/LoadingSpinner';
+import Notification from '../components/common/Notification/Notification';
+import { meetingService } from '../api/meetingService';
+import { organizationService } from '../api/organizationService';
+import { addDurationToTime, durationToMinutes, formatMinutesToHHMM } from '../lib/meetingSchedule';
+import {
+	MEETING_TEMPLATES_SETTING_KEY,
+	getMeetingTemplatesFromSettings
+} from '../lib/meetingTemplates';
+import './MeetingTemplates.css';
+
+const MeetingTemplates = () => {
+	const { t } = useTranslation();
+
+	const [loading, setLoading] = useState(true);
+	const [saving, setSaving] = useState(false);
+	const [notification, setNotification] = useState({ message: '', type: '' });
+	const [activityCatalog, setActivityCatalog] = useState([]);
+	const [defaultTemplateId, setDefaultTemplateId] = useState('');
+	const [templates, setTemplates] = useState([]);
+	const [selectedId, setSelectedId] = useState('');
+
+	// Load templates and the activity catalog
+	useEffect(() => {
+		const fetchData = async () => {
+			setLoading(true);
+			try {
+				const [settings, catalog] = await Promise.all([
+					organizationService.getOrganizationSettings().catch(() => ({})),
+					meetingService.getActivitesRencontre().catch(() => [])
+				]);
+
+				const templatesSetting = getMeetingTemplatesFromSettings(settings);
+				setTemplates(templatesSetting.templates);
+				setDefaultTemplateId(templatesSetting.default_template_id);
+				setSelectedId(templatesSetting.templates[0]?.id || '');
+				setActivityCatalog(catalog);
+			} catch (error) {
+				console.error('Error loading meeting templates:', error);
+				setNotification({
+					message: t('error_loading_meeting_templates'),
+					type: 'error'
+				});
+			} finally {
+				setLoading(false);
+			}
+		};
+
+		fetchData();
+	}, [t]);
+
+	const selectedTemplate = templates.find(template => template.id === selectedId) || null;
+
+	// Update the selected template
+	const updateSelectedTemplate = (changes) => {
+		setTemplates(prev => prev.map(template =>
+			template.id === selectedId ? { ...template, ...changes } : template
+		));
+	};
+
+	// Update one activity of the selected template
+	const handleActivityChange = (index, field, value) => {
+		const updatedActivities = selectedTemplate.activities.map((activity, i) => {
+			if (i !== index) return activity;
+
+			const updated = { ...activity, [field]: value };
+			if (field === 'activity') {
+				const catalogActivity = activityCatalog.find(a => a.activity === value);
+				if (catalogActivity) {
+					updated.type = catalogActivity.type || updated.type;
+					if (catalogActivity.estimated_time_max) {
+						updated.duration = formatMinutesToHHMM(catalogActivity.estimated_time_max);
+					}
+				}
+			}
+			return updated;
+		});
+
+		updateSelectedTemplate({ activities: updatedActivities });
+	};
+
+	// Normalize durations typed as minutes ("30") into "HH:MM"
+	const handleDurationBlur = (index) => {
+		const minutes = durationToMinutes(selectedTemplate.activities[index].duration);
+		if (!Number.isNaN(minutes)) {
+			handleActivityChange(index, 'duration', formatMinutesToHHMM(minutes));
+		}
+	};
+
+	const addActivity = () => {
+		updateSelectedTemplate({
+			activities: [...selectedTemplate.activities, { activity: '', type: '', duration: '00:10', responsable: '', materiel: '' }]
+		});
+	};
+
+	const removeActivity = (index) => {
+		updateSelectedTemplate({
+			activities: selectedTemplate.activities.filter((_, i) => i !== index)
+		});
+	};
+
+	const moveActivity = (index, offset) => {
+		const target = index + offset;
+		if (target < 0 || target >= selectedTemplate.activities.length) return;
+
+		const updatedActivities = [...selectedTemplate.activities];
+		const [moved] = updatedActivities.splice(index, 1);
+		updatedActivities.splice(target, 0, moved);
+		updateSelectedTemplate({ activities: updatedActivities });
+	};
+
+	// Create an empty template and select it
+	const handleAddTemplate = () => {
+		const template = {
+			id: `template_${Date.now()}`,
+			name: t('new_meeting_template'),
+			start_time: selectedTemplate?.start_time || '18:45',
+			activities: []
+		};
+		setTemplates(prev => [...prev, template]);
+		setSelectedId(template.id);
+	};
+
+	const handleDuplicateTemplate = () => {
+		const template = {
+			...selectedTemplate,
+			id: `template_${Date.now()}`,
+			name: `${selectedTemplate.name} (${t('copy')})`,
+			activities: selectedTemplate.activities.map(activity => ({ ...activity }))
+		};
+		setTemplates(prev => [...prev, template]);
+		setSelectedId(template.id);
+	};
+
+	// At least one template must remain to seed new meetings
+	const handleDeleteTemplate = () => {
+		if (templates.length <= 1) return;
+
+		const remaining = templates.filter(template => template.id !== selectedId);
+		setTemplates(remaining);
+		if (defaultTemplateId === selectedId) {
+			setDefaultTemplateId(remaining[0].id);
+		}
+		setSelectedId(remaining[0].id);
+	};
+
+	// Save every template in the organization settings
+	const handleSave = async () => {
+		if (templates.some(template => !template.name.trim())) {
+			setNotification({
+				message: t('meeting_template_name_required'),
+				type: 'error'
+			});
+			return;
+		}
+
+		setSaving(true);
+		try {
+			await organizationService.updateOrganizationSetting(MEETING_TEMPLATES_SETTING_KEY, {
+				default_template_id: defaultTemplateId,
+				templates
+			});
+			setNotification({
+				message: t('meeting_templates_saved'),
+				type: 'success'
+			});
+		} catch (error) {
+			console.error('Error saving meeting templates:', error);
+			setNotification({
+				message: t('error_saving_meeting_template'),
+				type: 'error'
+			});
+		} finally {
+			setSaving(false);
+		}
+	};
+
+	// Start time of each activity, computed from the template start time
+	const getActivityStartTimes = (template) => {
+		let currentTime = template.start_time || '00:00';
+		return template.activities.map(activity => {
+			const startTime = currentTime;
+			currentTime = addDurationToTime(currentTime, activity.duration);
+			return startTime;
+		});
+	};
+
+	if (loading) {
+		return <LoadingSpinner fullScreen text={t('loading')} />;
+	}
+
+	const startTimes = selectedTemplate ? getActivityStartTimes(selectedTemplate) : [];
+
+	return (
+		<div className="meeting-templates-page">
+			{notification.message && (
+				<Notification
+					message={notification.message}
+					type={notification.type}
+					onClose={() => setNotification({ message: '', type: '' })}
+				/>
+			)}
+
+			<div className="page-header">
+				<Link to="/preparation-reunions" className="back-link">{t('back_to_preparation_reunions')}</Link>
+				<h1>{t('manage_meeting_templates')}</h1>
+			</div>
+
+			<datalist id="template-activity-catalog">
+				{activityCatalog.map(a => (
+					<option key={a.id} value={a.activity} />
+				))}
+			</datalist>
+
+			<div className="templates-layout">
+				<aside className="templates-list">
+					<ul>
+						{templates.map(template => (
+							<li key={template.id}>
+								<button
+									type="button"
+									className={`template-item ${template.id === selectedId ? 'selected' : ''}`}
+									onClick={() => setSelectedId(template.id)}
+								>
+									{template.name || t('untitled')}
+									{template.id === defaultTemplateId && (
+										<span className="default-badge">{t('default')}</span>
+									)}
+								</button>
+							</li>
+						))}
+					</ul>
+					<button type="button" className="add-template-btn" onClick={handleAddTemplate}>
+						+ {t('new_meeting_template')}
+					</button>
+				</aside>
+
+				{selectedTemplate && (
+					<section className="template-editor">
+						<div className="form-row">
+							<div className="form-group">
+								<label htmlFor="template-name">{t('template_name')}:</label>
+								<input
+									type="text"
+									id="template-name"
+									value={selectedTemplate.name}
+									onChange={(e) => updateSelectedTemplate({ name: e.target.value })}
+									required
+								/>
+							</div>
+							<div className="form-group">
+								<label htmlFor="template-start-time">{t('start_time')}:</label>
+								<input
+									type="time"
+									id="template-start-time"
+									value={selectedTemplate.start_time || ''}
+									onChange={(e) => updateSelectedTemplate({ start_time: e.target.value })}
+								/>
+							</div>
+						</div>
+
+						<label className="default-template-toggle">
+							<input
+								type="checkbox"
+								checked={defaultTemplateId === selectedId}
+								onChange={() => setDefaultTemplateId(selectedId)}
+								disabled={defaultTemplateId === selectedId}
+							/>
+							{t('use_as_default_template')}
+						</label>
+
+						<table className="template-activities-table">
+							<thead>
+								<tr>
+									<th>{t('time')}</th>
+									<th>{t('duration')}</th>
+									<th>{t('activity')}</th>
+									<th>{t('type')}</th>
+									<th>{t('materiel')}</th>
+									<th></th>
+								</tr>
+							</thead>
+							<tbody>
+								{selectedTemplate.activities.map((activity, index) => (
+									<tr key={index}>
+										<td className="computed-time">{startTimes[index]}</td>
+										<td>
+											<input
+												type="text"
+												className="template-duration"
+												value={activity.duration || ''}
+												onChange={(e) => handleActivityChange(index, 'duration', e.target.value)}
+												onBlur={() => handleDurationBlur(index)}
+												placeholder="00:00"
+											/>
+										</td>
+										<td>
+											<input
+												type="text"
+												list="template-activity-catalog"
+												value={activity.activity || ''}
+												onChange={(e) => handleActivityChange(index, 'activity', e.target.value)}
+												placeholder={t('select_activity')}
+											/>
+										</td>
+										<td>
+											<input
+												type="text"
+												value={activity.type || ''}
+												onChange={(e) => handleActivityChange(index, 'type', e.target.value)}
+											/>
+										</td>
+										<td>
+											<input
+												type="text"
+												value={activity.materiel || ''}
+												onChange={(e) => handleActivityChange(index, 'materiel', e.target.value)}
+											/>
+										</td>
+										<td className="row-actions">
+											<button
+												type="button"
+												onClick={() => moveActivity(index, -1)}
+												disabled={index === 0}
+												aria-label={t('move_up')}
+											>
+												▲
+											</button>
+											<button
+												type="button"
+												onClick={() => moveActivity(index, 1)}
+												disabled={index === selectedTemplate.activities.length - 1}
+												aria-label={t('move_down')}
+											>
+												▼
+											</button>
+											<button
+												type="button"
+												className="delete-row-btn"
+												onClick={() => removeActivity(index)}
+												aria-label={t('Delete')}
+											>
+												×
+											</button>
+										</td>
+									</tr>
+								))}
+							</tbody>
+						</table>
+
+						<div className="form-actions">
+							<button type="button" className="add-row-btn" onClick={addActivity}>
+								+ {t('add_activity')}
+							</button>
+							<button type="button" onClick={handleDuplicateTemplate}>
+								{t('duplicate_template')}
+							</button>
+							<button
+								type="button"
+								className="delete-template-btn"
+								onClick={handleDeleteTemplate}
+								disabled={templates.length <= 1}
+							>
+								{t('delete_template')}
+							</button>
+							<button type="button" className="save-btn" onClick={handleSave} disabled={saving}>
+								{saving ? t('saving') : t('save')}
+							</button>
+						</div>
+					</section>
+				)}
+			</div>
+		</div>
+	);
+};
+
+export default MeetingTemplates;
@@ -0,0 +1,271 @@
+// src/pages/OfflineConflicts.jsx
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import Notification from '../components/common/Notification/Notification';
+import { participantService } from '../api/participantService';
+import {
+	MUTATION_STATUS,
+	discardMutation,
+	getQueueStatus,
+	refreshQueueStatus,
+	resolveConflict,
+	retryMutation,
+	subscribeToQueue
+} from '../api/offlineQueueService';
+import { CONFLICT_CHOICES } from '../api/offlineConflictService';
+import './OfflineConflicts.css';
+
+const OfflineConflicts = () => {
+	const { t } = useTranslation();
+
+	const [queueStatus, setQueueStatus] = useState(getQueueStatus());
+	const [participantNames, setParticipantNames] = useState({});
+	const [resolutions, setResolutions] = useState({});
+	const [resolvingId, setResolvingId] = useState(null);
+	const [notification, setNotification] = useState({ message: '', type: '' });
+
+	useEffect(() => {
+		refreshQueueStatus();
+		return subscribeToQueue(setQueueStatus);
+	}, []);
+
+	// Attendance and points conflicts are listed by participant
+	useEffect(() => {
+		const fetchParticipants = async () => {
+			try {
+				const response = await participantService.getParticipants();
+				const names = {};
+				(response.participants || []).forEach(participant => {
+					names[participant.id] = `${participant.first_name} ${participant.last_name}`;
+				});
+				setParticipantNames(names);
+			} catch (error) {
+				console.error('Error loading participants:', error);
+			}
+		};
+
+		fetchParticipants();
+	}, []);
+
+	const conflicts = queueStatus.items.filter(item => item.status === MUTATION_STATUS.CONFLICT && item.conflict);
+	// Changes the server kept refusing, the ones made after them wait until they are retried or discarded
+	const failedChanges = queueStatus.items.filter(item => item.status === MUTATION_STATUS.FAILED);
+
+	const getChoice = (recordId, key) => resolutions[recordId]?.[key] ?? CONFLICT_CHOICES.MINE;
+
+	const setChoice = (recordId, key, choice) => {
+		setResolutions(prev => ({
+			...prev,
+			[recordId]: { ...prev[recordId], [key]: choice }
+		}));
+	};
+
+	const setAllChoices = (record, choice) => {
+		setResolutions(prev => ({
+			...prev,
+			[record.id]: Object.fromEntries(record.conflict.fields.map(field => [field.key, choice]))
+		}));
+	};
+
+	const handleResolve = async (record) => {
+		setResolvingId(record.id);
+		try {
+			const resolution = Object.fromEntries(
+				record.conflict.fields.map(field => [field.key, getChoice(record.id, field.key)])
+			);
+			await resolveConflict(record.id, resolution);
+
+			setResolutions(prev => {
+				const { [record.id]: _resolved, ...rest } = prev;
+				return rest;
+			});
+			setNotification({
+				message: t('conflict_resolved'),
+				type: 'success'
+			});
+		} catch (error) {
+			console.error('Error resolving conflict:', error);
+			setNotification({
+				message: t('error_resolving_conflict'),
+				type: 'error'
+			});
+		} finally {
+			setResolvingId(null);
+		}
+	};
+
+	const handleDiscard = async (record) => {
+		if (!window.confirm(t('confirm_discard_offline_change'))) return;
+		await discardMutation(record.id);
+	};
+
+	const formatValue = (entity, value) => {
+		if (value === null || value === undefined || value === '') return '—';
+		if (entity === 'attendance') return t(value);
+		if (typeof value === 'boolean') return value ? t('yes') : t('no');
+		if (typeof value === 'object') return JSON.stringify(value);
+		return String(value);
+	};
+
+	const getFieldLabel = (entity, key) => {
+		if (entity === 'attendance' || entity === 'points') {
+			return participantNames[key] || `#${key}`;
+		}
+		return t(key);
+	};
+
+	const renderChoiceCell = (record, field) => {
+		const choice = getChoice(record.id, field.key);
+		const name = `conflict-${record.id}-${field.key}`;
+
+		return (
+			<td className="choice-cell">
+				<label>
+					<input
+						type="radio"
+						name={name}
+						checked={choice === CONFLICT_CHOICES.MINE}
+						onChange={() => setChoice(record.id, field.key, CONFLICT_CHOICES.MINE)}
+					/>
+					{t('keep_mine')}
+				</label>
+				<label>
+					<input
+						type="radio"
+						name={name}
+						checked={choice === CONFLICT_CHOICES.THEIRS}
+						onChange={() => setChoice(record.id, field.key, CONFLICT_CHOICES.THEIRS)}
+					/>
+					{t('keep_theirs')}
+				</label>
+				{/* Points can also be merged by entering the change still to apply */}
+				{record.conflict.entity === 'points' && (
+					<label>
+						<input
+							type="radio"
+							name={name}
+							checked={typeof choice === 'object'}
+							onChange={() => setChoice(record.id, field.key, { value: field.change })}
+						/>
+						{t('merge_points')}
+						{typeof choice === 'object' && (
+							<input
+								type="number"
+								className="merge-input"
+								value={choice.value}
+								onChange={(e) => setChoice(record.id, field.key, { value: e.target.value })}
+								aria-label={t('points')}
+							/>
+						)}
+					</label>
+				)}
+			</td>
+		);
+	};
+
+	return (
+		<div className="offline-conflicts-page">
+			{notification.message && (
+				<Notification
+					message={notification.message}
+					type={notification.type}
+					onClose={() => setNotification({ message: '', type: '' })}
+				/>
+			)}
+
+			<div className="page-header">
+				<Link to="/dashboard" className="back-link">{t('back_to_dashboard')}</Link>
+				<h1>{t('offline_conflicts')}</h1>
+				<p className="page-description">{t('offline_conflicts_description')}</p>
+			</div>
+
+			{failedChanges.map(record => (
+				<section key={record.id} className="conflict-card failed-change">
+					<div className="conflict-header">
+						<h2>{t('offline_change_failed', { endpoint: record.endpoint || record.action })}</h2>
+						<span>{t('change_made_on', { date: new Date(record.timestamp).toLocaleString(t('locale')) })}</span>
+					</div>
+					<p className="conflict-message">{t('offline_change_failed_description')}</p>
+					{record.lastError && <p className="conflict-message">{record.lastError}</p>}
+					<div className="conflict-actions">
+						<button type="button" className="secondary" onClick={() => handleDiscard(record)}>
+							{t('discard')}
+						</button>
+						{record.url && (
+							<button type="button" onClick={() => retryMutation(record.id)}>
+								{t('retry')}
+							</button>
+						)}
+					</div>
+				</section>
+			))}
+
+			{conflicts.length === 0 && failedChanges.length === 0 ? (
+				<p className="no-data">{t('no_offline_conflicts')}</p>
+			) : (
+				conflicts.map(record => (
+					<section key={record.id} className="conflict-card">
+						<div className="conflict-header">
+							<h2>{t(`conflict_entity_${record.conflict.entity}`)}</h2>
+							<span>
+								{t('change_made_on', { date: new Date(record.timestamp).toLocaleString(t('locale')) })}
+								{record.data?.date && ` · ${record.data.date}`}
+							</span>
+						</div>
+
+						{record.conflict.message && <p className="conflict-message">{record.conflict.message}</p>}
+
+						<table className="conflict-table">
+							<thead>
+								<tr>
+									<th>{record.conflict.entity === 'participant' ? t('field') : t('participant_name')}</th>
+									<th>{t('version_before')}</th>
+									<th>{t('version_theirs')}</th>
+									<th>{t('version_mine')}</th>
+									<th>{t('keep')}</th>
+								</tr>
+							</thead>
+							<tbody>
+								{record.conflict.fields.map(field => (
+									<tr key={field.key}>
+										<td>{getFieldLabel(record.conflict.entity, field.key)}</td>
+										<td>{formatValue(record.conflict.entity, field.base)}</td>
+										<td className="theirs">{formatValue(record.conflict.entity, field.theirs)}</td>
+										<td className="mine">
+											{formatValue(record.conflict.entity, field.mine)}
+											{record.conflict.entity === 'points' && ` (${field.change > 0 ? '+' : ''}${field.change})`}
+										</td>
+										{renderChoiceCell(record, field)}
+									</tr>
+								))}
+							</tbody>
+						</table>
+
+						<div className="conflict-actions">
+							<button type="button" className="secondary" onClick={() => setAllChoices(record, CONFLICT_CHOICES.MINE)}>
+								{t('keep_all_mine')}
+							</button>
+							<button type="button" className="secondary" onClick={() => setAllChoices(record, CONFLICT_CHOICES.THEIRS)}>
+								{t('keep_all_theirs')}
+							</button>
+							<button
+								type="button"
+								onClick={() => handleResolve(record)}
+								disabled={resolvingId === record.id}
+							>
+								{resolvingId === record.id ? t('saving') : t('apply_resolution')}
+							</button>
+						</div>
+					</section>
+				))
+			)}
+
+			{queueStatus.pending > 0 && (
+				<p className="queue-waiting">{t('offline_queue_pending', { total: queueStatus.pending })}</p>
+			)}
+		</div>
+	);
+};
+
+export default OfflineConflicts;
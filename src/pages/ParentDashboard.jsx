@@ -6,12 +6,26 @@ import { useAuth } from '../contexts/AuthContext';
 import LoadingSpinner from '../components/common/LoadingSpinner/LoadingSpinner';
 import Notification from '../components/common/Notification/Notification';
 import LanguageToggle from '../components/common/LanguageToggle/LanguageToggle';
+import AbsenceNoticeForm from '../components/common/AbsenceNoticeForm/AbsenceNoticeForm';
+import EventRegistration from '../components/common/EventRegistration/EventRegistration';
 import { participantService } from '../api/participantService';
 import { organizationService } from '../api/organizationService';
+import { reregistrationService } from '../api/reregistrationService';
+import { attendanceService } from '../api/attendanceService';
+import { getConsentVersion, getRiskAcceptanceConsent } from '../lib/riskAcceptance';
+import { findMeetingTemplate, getMeetingTemplatesFromSettings } from '../lib/meetingTemplates';
+import { buildICalendar, buildMeetingEvents, downloadICalendar, getSubscriptionUrl } from '../lib/icalendar';
+import {
+	SECTION_STATUS_ICONS,
+	getCampaignDeadline,
+	getSectionLabelKey,
+	getSectionPath,
+	isSectionDone
+} from '../lib/reregistration';
 import './ParentDashboard.css';
 
 const ParentDashboard = () => {
-	const { t } = useTranslation();
+	const { t, i18n } = useTranslation();
 	const { currentUser, logout } = useAuth();
 	const [participants, setParticipants] = useState([]);
 	const [loading, setLoading] = useState(true);
@@ -20,6 +34,14 @@ const ParentDashboard = () => {
 	const [organizationName, setOrganizationName] = useState('Scouts');
 	const [showInstallButton, setShowInstallButton] = useState(false);
 	const [deferredPrompt, setDeferredPrompt] = useState(null);
+	const [consentVersion, setConsentVersion] = useState(null);
+	const [reregistration, setReregistration] = useState(null);
+	const [meetingDates, setMeetingDates] = useState([]);
+	const [absenceNotices, setAbsenceNotices] = useState([]);
+	const [reunionDates, setReunionDates] = useState([]);
+	const [calendarOptions, setCalendarOptions] = useState({});
+	const [calendarFeeds, setCalendarFeeds] = useState(null);
+	const [downloadingCalendar, setDownloadingCalendar] = useState(false);
 
 	useEffect(() => {
 		const fetchData = async () => {
@@ -39,6 +61,33 @@ const ParentDashboard = () => {
 					setOrganizationName(settings.organization_info.name);
 				}
 
+				// Meetings without an activity plan last as long as the default template
+				setCalendarOptions({
+					organizationId: organizationService.getCurrentOrganizationId(),
+					organizationName: settings?.organization_info?.name || 'Scouts',
+					template: findMeetingTemplate(getMeetingTemplatesFromSettings(settings)),
+					defaultLocation: settings?.organization_info?.endroit || ''
+				});
+
+				// Risk acceptances signed for an earlier wording must be signed again
+				setConsentVersion(await getConsentVersion(getRiskAcceptanceConsent(settings), i18n).catch(() => null));
+
+				// Sections to review for the re-registration campaign in progress, if any
+				setReregistration(await reregistrationService.getFamilyCampaign().catch(() => null));
+
+				// Upcoming meetings the participants can be declared absent from
+				const today = new Date().toLocaleDateString('en-CA');
+				const [reunionDatesResponse, notices, feeds] = await Promise.all([
+					attendanceService.getReunionDates().catch(() => ({ dates: [] })),
+					attendanceService.getAbsenceNotices().catch(() => []),
+					attendanceService.getCalendarFeeds().catch(() => null)
+				]);
+				const allDates = [...new Set((reunionDatesResponse.dates || []).map(date => String(date).slice(0, 10)))].sort();
+				setReunionDates(allDates);
+				setMeetingDates(allDates.filter(date => date >= today));
+				setCalendarFeeds(feeds);
+				setAbsenceNotices(notices.filter(notice => notice.date >= today));
+
 				// Check if there are any guardian participants to link
 				const guardianParticipants = JSON.parse(localStorage.getItem("guardianParticipants"));
 				if (guardianParticipants && guardianParticipants.length > 0) {
@@ -73,7 +122,7 @@ const ParentDashboard = () => {
 		return () => {
 			window.removeEventListener('beforeinstallprompt', handleBeforeInstallPrompt);
 		};
-	}, [t]);
+	}, [t, i18n]);
 
 	const showLinkParticipantsDialog = (guardianParticipants) => {
 		// Create a modal dialog to ask user if they want to link these participants
@@ -276,6 +325,64 @@ const ParentDashboard = () => {
 			});
 	};
 
+	// Missing, signed for an earlier wording, or signed for the current one
+	const renderRiskAcceptanceLink = (participant) => {
+		const signed = participant.has_acceptation_risque === 1 || participant.has_acceptation_risque === true;
+		const current = signed && (!consentVersion || participant.acceptation_risque_version === consentVersion);
+		const status = !signed ? "❌" : current ? "✅" : "⚠️";
+
+		return (
+			<Link
+				to={`/acceptation-risque/${participant.id}`}
+				className={`form-link ${signed && !current ? 'needs-consent' : ''}`}
+			>
+				{status} {t('formulaire_acceptation_risque')}
+			</Link>
+		);
+	};
+
+	// Meetings of the season as an .ics file to import in a calendar app
+	const downloadCalendar = async () => {
+		setDownloadingCalendar(true);
+		try {
+			const preparations = await attendanceService.getMeetingPreparations().catch(() => []);
+			const events = buildMeetingEvents(reunionDates, preparations, calendarOptions);
+			downloadICalendar(
+				buildICalendar(events, { name: calendarOptions.organizationName, cancelledLabel: t('calendar_cancelled_prefix') }),
+				'reunions.ics'
+			);
+		} catch (error) {
+			console.error('Error generating calendar:', error);
+			setNotification({
+				message: t('error_generating_calendar'),
+				type: 'error'
+			});
+		} finally {
+			setDownloadingCalendar(false);
+		}
+	};
+
+	// Sections copied from last season for the re-registration campaign, to confirm or edit
+	const renderReregistrationSections = (participant) => {
+		const entry = reregistration?.participants.find(item => String(item.participant_id) === String(participant.id));
+		if (!entry) return null;
+
+		return (
+			<div className="reregistration-sections">
+				<h4>{t('reregistration_season', { season: reregistration.campaign.season })}</h4>
+				{Object.entries(entry.sections || {}).map(([section, status]) => (
+					<Link
+						key={section}
+						to={getSectionPath(section, participant.id, reregistration.campaign.id)}
+						className={`form-link ${isSectionDone(status) ? '' : 'needs-consent'}`}
+					>
+						{SECTION_STATUS_ICONS[status] || '❌'} {t(getSectionLabelKey(section))}
+					</Link>
+				))}
+			</div>
+		);
+	};
+
 	if (loading) {
 		return <LoadingSpinner fullScreen text={t('loading')} />;
 	}
@@ -348,6 +455,47 @@ const ParentDashboard = () => {
 					</ul>
 				</nav>
 
+				{reregistration && (
+					<section className="reregistration-banner">
+						<h2>{t('reregistration_season', { season: reregistration.campaign.season })}</h2>
+						<p>
+							{t('reregistration_parent_intro', {
+								deadline: getCampaignDeadline(reregistration.campaign).toLocaleDateString(t('locale'))
+							})}
+						</p>
+						{reregistration.campaign.message && (
+							<p className="reregistration-message">{reregistration.campaign.message}</p>
+						)}
+					</section>
+				)}
+
+				<section className="meeting-calendar">
+					<h2>{t('meeting_calendar')}</h2>
+					<p>{t('meeting_calendar_description')}</p>
+					<div className="meeting-calendar-actions">
+						<button
+							type="button"
+							className="dashboard-button"
+							onClick={downloadCalendar}
+							disabled={downloadingCalendar}
+						>
+							{downloadingCalendar ? t('loading') : t('download_ics')}
+						</button>
+						{calendarFeeds?.familyUrl && (
+							<a href={getSubscriptionUrl(calendarFeeds.familyUrl)} className="dashboard-button">
+								{t('subscribe_family_calendar')}
+							</a>
+						)}
+						{calendarFeeds?.organizationUrl && (
+							<a href={getSubscriptionUrl(calendarFeeds.organizationUrl)} className="dashboard-button">
+								{t('subscribe_organization_calendar')}
+							</a>
+						)}
+					</div>
+				</section>
+
+				<EventRegistration participants={participants} consentVersion={consentVersion} />
+
 				{/* Participants list */}
 				<section className="participants-section">
 					<h2>{t('your_participants')}</h2>
@@ -367,8 +515,21 @@ const ParentDashboard = () => {
 										{t('edit')}
 									</Link>
 
+									{renderReregistrationSections(participant)}
+
+									<AbsenceNoticeForm
+										participant={participant}
+										meetingDates={meetingDates}
+										notices={absenceNotices.filter(notice => String(notice.participant_id) === String(participant.id))}
+										onChange={(notices) => setAbsenceNotices(prev => [
+											...prev.filter(notice => String(notice.participant_id) !== String(participant.id)),
+											...notices
+										])}
+									/>
+
 									<div className="participant-actions">
 										{renderFormButtons(participant)}
+										{renderRiskAcceptanceLink(participant)}
 
 										<Link 
 											to={`/badge-form/${participant.id}`}
@@ -0,0 +1,911 @@
+// src/pages/PreparationReunions.jsx
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import LoadingSpinner from '../components/common/LoadingSpinner/LoadingSpinner';
+import Notification from '../components/common/Notification/Notification';
+import { meetingService } from '../api/meetingService';
+import { pointsService } from '../api/pointsService';
+import { organizationService } from '../api/organizationService';
+import {
+	addDurationToTime,
+	cascadeActivityTimes,
+	durationToMinutes,
+	formatMinutesToHHMM,
+	getNextMeetingDate,
+	moveActivity,
+	recalculatePositions
+} from '../lib/meetingSchedule';
+import {
+	MEETING_TEMPLATES_SETTING_KEY,
+	buildActivitiesFromTemplate,
+	createTemplateFromActivities,
+	findMeetingTemplate,
+	getMeetingTemplatesFromSettings
+} from '../lib/meetingTemplates';
+import { escapeHtml } from '../lib/html';
+import { parseJsonList } from '../lib/jsonFields';
+import './PreparationReunions.css';
+
+const PreparationReunions = () => {
+	const { t } = useTranslation();
+
+	const [loading, setLoading] = useState(true);
+	const [saving, setSaving] = useState(false);
+	const [notification, setNotification] = useState({ message: '', type: '' });
+	const [organizationInfo, setOrganizationInfo] = useState({});
+	const [animateurs, setAnimateurs] = useState([]);
+	const [activityCatalog, setActivityCatalog] = useState([]);
+	const [recentHonors, setRecentHonors] = useState([]);
+	const [availableDates, setAvailableDates] = useState([]);
+	const [reminder, setReminder] = useState(null);
+	const [quickEditMode, setQuickEditMode] = useState(false);
+	const [draggedIndex, setDraggedIndex] = useState(null);
+	const [dropTargetIndex, setDropTargetIndex] = useState(null);
+	const [description, setDescription] = useState('');
+	const [meetingTemplates, setMeetingTemplates] = useState(getMeetingTemplatesFromSettings(null));
+	const [selectedTemplateId, setSelectedTemplateId] = useState('');
+	const [newTemplateName, setNewTemplateName] = useState('');
+	const [savingTemplate, setSavingTemplate] = useState(false);
+	// Saving is blocked while the preparation of the date could not be loaded, so it is not replaced
+	const [loadFailed, setLoadFailed] = useState(false);
+
+	// Meeting form state
+	const [meeting, setMeeting] = useState({
+		animateur_responsable: '',
+		date: '',
+		louveteau_dhonneur: [],
+		endroit: '',
+		notes: '',
+		cancelled: false
+	});
+	const [activities, setActivities] = useState([]);
+
+	// Reminder form state
+	const [reminderForm, setReminderForm] = useState({
+		reminder_text: '',
+		reminder_date: '',
+		is_recurring: false
+	});
+
+	// Initialize data
+	useEffect(() => {
+		const initializeData = async () => {
+			setLoading(true);
+			try {
+				const [settings, animateursList, catalog, honorsResponse, dates, savedReminder] = await Promise.all([
+					organizationService.getOrganizationSettings().catch(() => ({})),
+					meetingService.getAnimateurs(),
+					meetingService.getActivitesRencontre(),
+					pointsService.getRecentHonors().catch(() => ({ honors: [] })),
+					meetingService.getReunionDates().catch(() => []),
+					meetingService.getReminder()
+				]);
+
+				const info = settings?.organization_info || {};
+				const templatesSetting = getMeetingTemplatesFromSettings(settings);
+				setOrganizationInfo(info);
+				setMeetingTemplates(templatesSetting);
+				setSelectedTemplateId(templatesSetting.default_template_id);
+				setAnimateurs(animateursList);
+				setActivityCatalog(catalog);
+				setRecentHonors(honorsResponse?.honors || []);
+				setReminder(savedReminder);
+
+				if (savedReminder) {
+					setReminderForm({
+						reminder_text: savedReminder.reminder_text || '',
+						reminder_date: savedReminder.reminder_date || '',
+						is_recurring: Boolean(savedReminder.is_recurring)
+					});
+				}
+
+				const nextMeetingDate = getNextMeetingDate(info.meeting_day);
+				const sortedDates = sortDates(dates.includes(nextMeetingDate) ? dates : [...dates, nextMeetingDate]);
+				setAvailableDates(sortedDates);
+
+				await loadMeeting(nextMeetingDate, {
+					info,
+					animateursList,
+					catalog,
+					honors: honorsResponse?.honors || [],
+					savedReminder,
+					templatesSetting
+				});
+			} catch (error) {
+				console.error('Error initializing preparation reunions:', error);
+				setNotification({
+					message: t('error_loading_preparation_reunions'),
+					type: 'error'
+				});
+			} finally {
+				setLoading(false);
+			}
+		};
+
+		initializeData();
+	}, [t]);
+
+	// Sort dates in descending order
+	const sortDates = (dates) => [...new Set(dates)].sort((a, b) => new Date(b) - new Date(a));
+
+	// Saved activities override the default template rows at their position
+	// The legacy planner only saved modified rows; a contiguous 0..n-1 list is a complete schedule
+	const mergeWithTemplate = (savedActivities, catalog, templatesSetting) => {
+		const positions = savedActivities.map(a => parseInt(a.position, 10));
+		const isCompleteSchedule = savedActivities.length > 0 && positions.every((position, index) => position === index);
+
+		if (isCompleteSchedule) {
+			return recalculatePositions(savedActivities.map((saved, index) => ({
+				...saved,
+				id: saved.id || `activity-${index}`,
+				isDefault: saved.isDefault === undefined ? false : saved.isDefault
+			})));
+		}
+
+		const merged = buildActivitiesFromTemplate(findMeetingTemplate(templatesSetting), catalog);
+
+		savedActivities.forEach((saved, index) => {
+			const position = Number.isInteger(parseInt(saved.position, 10)) ? parseInt(saved.position, 10) : index;
+			merged[position] = {
+				...(merged[position] || {}),
+				...saved,
+				id: saved.id || `activity-${position}`,
+				isDefault: saved.isDefault === undefined ? false : saved.isDefault
+			};
+		});
+
+		return recalculatePositions(merged.filter(Boolean));
+	};
+
+	// Append the reminder to the notes while it is still relevant, once: saved notes may already hold it
+	const appendReminder = (notes, savedReminder) => {
+		if (!savedReminder || !savedReminder.reminder_text) {
+			return notes;
+		}
+
+		const reminderLine = `${t('reminder_text')}: ${savedReminder.reminder_text}`;
+		if (notes.includes(reminderLine)) {
+			return notes;
+		}
+
+		const reminderDate = new Date(savedReminder.reminder_date);
+		if (savedReminder.is_recurring || reminderDate >= new Date()) {
+			return `${notes}\n\n${reminderLine}`.trim();
+		}
+
+		return notes;
+	};
+
+	// Load the preparation saved for a date, or start a new meeting
+	const loadMeeting = async (date, context = {}) => {
+		const info = context.info || organizationInfo;
+		const catalog = context.catalog || activityCatalog;
+		const honors = context.honors || recentHonors;
+		const animateursList = context.animateursList || animateurs;
+		const savedReminder = context.savedReminder !== undefined ? context.savedReminder : reminder;
+		const templatesSetting = context.templatesSetting || meetingTemplates;
+		const templateId = context.templateId || selectedTemplateId;
+
+		setLoadFailed(false);
+		try {
+			const response = await meetingService.getReunionPreparation(date);
+			const preparation = response?.preparation || null;
+
+			if (preparation) {
+				const savedActivities = parseJsonList(preparation.activities);
+
+				let honorNames = preparation.louveteau_dhonneur || [];
+				if (typeof honorNames === 'string') {
+					honorNames = honorNames.split(',').map(name => name.trim()).filter(Boolean);
+				}
+
+				setMeeting({
+					animateur_responsable: preparation.animateur_responsable || '',
+					date: preparation.date || date,
+					louveteau_dhonneur: honorNames,
+					endroit: preparation.endroit || info.endroit || '',
+					notes: appendReminder(preparation.notes || '', savedReminder),
+					cancelled: Boolean(preparation.cancelled)
+				});
+				setActivities(mergeWithTemplate(savedActivities, catalog, templatesSetting));
+				return;
+			}
+		} catch (error) {
+			// A preparation may be saved for the date: starting a new meeting would replace it on save
+			console.error('Error loading meeting data:', error);
+			setLoadFailed(true);
+			setNotification({
+				message: t('error_loading_meeting_data'),
+				type: 'error'
+			});
+			return;
+		}
+
+		// No preparation saved for this date
+		const defaultAnimateur = animateursList.find(a => a.full_name === info.animateur_responsable);
+		setMeeting({
+			animateur_responsable: defaultAnimateur?.id || '',
+			date,
+			louveteau_dhonneur: honors.map(h => `${h.first_name} ${h.last_name}`),
+			endroit: info.endroit || '',
+			notes: appendReminder('', savedReminder),
+			cancelled: false
+		});
+		setActivities(buildActivitiesFromTemplate(findMeetingTemplate(templatesSetting, templateId), catalog));
+	};
+
+	// Handle date selection
+	const handleDateChange = async (date) => {
+		if (!date) return;
+		setAvailableDates(prev => sortDates([...prev, date]));
+		await loadMeeting(date);
+	};
+
+	// Start a new meeting on the next meeting day
+	const handleNewMeeting = async () => {
+		await handleDateChange(getNextMeetingDate(organizationInfo.meeting_day));
+	};
+
+	// Replace the current schedule with the selected template
+	const handleApplyTemplate = () => {
+		const template = findMeetingTemplate(meetingTemplates, selectedTemplateId);
+		setActivities(buildActivitiesFromTemplate(template, activityCatalog));
+	};
+
+	// Save the current schedule as a new organization template
+	const handleSaveAsTemplate = async () => {
+		const name = newTemplateName.trim();
+		if (!name) return;
+
+		setSavingTemplate(true);
+		try {
+			const template = createTemplateFromActivities(name, activities);
+			const updatedTemplates = {
+				...meetingTemplates,
+				templates: [...meetingTemplates.templates, template]
+			};
+
+			await organizationService.updateOrganizationSetting(MEETING_TEMPLATES_SETTING_KEY, updatedTemplates);
+			setMeetingTemplates(updatedTemplates);
+			setSelectedTemplateId(template.id);
+			setNewTemplateName('');
+			setNotification({
+				message: t('meeting_template_saved'),
+				type: 'success'
+			});
+		} catch (error) {
+			console.error('Error saving meeting template:', error);
+			setNotification({
+				message: t('error_saving_meeting_template'),
+				type: 'error'
+			});
+		} finally {
+			setSavingTemplate(false);
+		}
+	};
+
+	// Handle meeting field changes
+	const handleMeetingChange = (field, value) => {
+		setMeeting(prev => ({
+			...prev,
+			[field]: value
+		}));
+	};
+
+	// Handle activity field changes, cascading start times when needed
+	const handleActivityChange = (index, field, value) => {
+		setActivities(prev => {
+			const updated = [...prev];
+			updated[index] = {
+				...updated[index],
+				[field]: value,
+				isDefault: false
+			};
+
+			if (field === 'activity') {
+				const catalogActivity = activityCatalog.find(a => a.activity === value);
+				if (catalogActivity) {
+					updated[index] = {
+						...updated[index],
+						description: catalogActivity.description || '',
+						duration: catalogActivity.estimated_time_max
+							? formatMinutesToHHMM(catalogActivity.estimated_time_max)
+							: updated[index].duration
+					};
+					return cascadeActivityTimes(updated, index);
+				}
+			}
+
+			if (field === 'time' || (field === 'duration' && !Number.isNaN(durationToMinutes(value)))) {
+				return cascadeActivityTimes(updated, index);
+			}
+
+			return updated;
+		});
+	};
+
+	// Normalize durations typed as minutes ("30") into "HH:MM"
+	const handleDurationBlur = (index) => {
+		const minutes = durationToMinutes(activities[index].duration);
+		if (!Number.isNaN(minutes)) {
+			handleActivityChange(index, 'duration', formatMinutesToHHMM(minutes));
+		}
+	};
+
+	// Insert an empty row after the given index
+	const addActivityRow = (index) => {
+		setActivities(prev => {
+			const previous = prev[index];
+			const newActivity = {
+				id: `activity-${Date.now()}`,
+				time: previous?.time ? addDurationToTime(previous.time, previous.duration) : '',
+				duration: '00:00',
+				activity: '',
+				responsable: '',
+				materiel: '',
+				isDefault: false
+			};
+
+			const updated = [...prev];
+			updated.splice(index + 1, 0, newActivity);
+			return cascadeActivityTimes(recalculatePositions(updated), index);
+		});
+	};
+
+	// Remove a row and close the gap in the schedule
+	const deleteActivityRow = (index) => {
+		setActivities(prev => {
+			const updated = prev.filter((_, i) => i !== index);
+			return cascadeActivityTimes(recalculatePositions(updated), Math.max(index - 1, 0));
+		});
+	};
+
+	// Drag-and-drop reordering
+	const handleDragStart = (e, index) => {
+		setDraggedIndex(index);
+		e.dataTransfer.effectAllowed = 'move';
+		// Firefox requires data to be set for the drag to start
+		e.dataTransfer.setData('text/plain', String(index));
+	};
+
+	const handleDragOver = (e, index) => {
+		e.preventDefault();
+		e.dataTransfer.dropEffect = 'move';
+		if (dropTargetIndex !== index) {
+			setDropTargetIndex(index);
+		}
+	};
+
+	const handleDrop = (e, index) => {
+		e.preventDefault();
+		if (draggedIndex !== null) {
+			setActivities(prev => moveActivity(prev, draggedIndex, index));
+		}
+		handleDragEnd();
+	};
+
+	const handleDragEnd = () => {
+		setDraggedIndex(null);
+		setDropTargetIndex(null);
+	};
+
+	// Touch screens do not fire drag events, so rows can also be moved with buttons
+	const moveActivityBy = (index, offset) => {
+		setActivities(prev => moveActivity(prev, index, index + offset));
+	};
+
+	// Save the meeting preparation
+	const handleSubmit = async (e) => {
+		e.preventDefault();
+
+		if (!meeting.date || loadFailed) {
+			setNotification({
+				message: t('error_saving_reunion_preparation'),
+				type: 'error'
+			});
+			return;
+		}
+
+		setSaving(true);
+		try {
+			// Every row is saved: rows can be reordered, so their positions always change together
+			const formData = {
+				organization_id: organizationService.getCurrentOrganizationId(),
+				animateur_responsable: meeting.animateur_responsable,
+				date: meeting.date,
+				louveteau_dhonneur: meeting.louveteau_dhonneur.filter(name => name.trim()),
+				endroit: meeting.endroit,
+				activities: recalculatePositions(activities),
+				notes: meeting.notes,
+				// Shown as a cancelled event in the calendar feeds
+				cancelled: meeting.cancelled
+			};
+
+			const result = await meetingService.saveReunionPreparation(formData);
+
+			if (result.success === false) {
+				throw new Error(result.message || 'Failed to save reunion preparation');
+			}
+
+			setNotification({
+				message: t('reunion_preparation_saved'),
+				type: 'success'
+			});
+			setAvailableDates(prev => sortDates([...prev, meeting.date]));
+		} catch (error) {
+			console.error('Error saving reunion preparation:', error);
+			setNotification({
+				message: t('error_saving_reunion_preparation'),
+				type: 'error'
+			});
+		} finally {
+			setSaving(false);
+		}
+	};
+
+	// Save the reminder settings
+	const handleReminderSubmit = async (e) => {
+		e.preventDefault();
+
+		try {
+			const reminderData = {
+				...reminderForm,
+				organization_id: organizationService.getCurrentOrganizationId()
+			};
+
+			await meetingService.saveReminder(reminderData);
+			setReminder(reminderData);
+			setNotification({
+				message: t('reminder_saved_successfully'),
+				type: 'success'
+			});
+		} catch (error) {
+			console.error('Error saving reminder:', error);
+			setNotification({
+				message: t('error_saving_reminder'),
+				type: 'error'
+			});
+		}
+	};
+
+	// Format date for display
+	const formatDate = (dateString) => {
+		const [year, month, day] = dateString.split('-').map(Number);
+		const date = new Date(year, month - 1, day);
+		const options = { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' };
+		return date.toLocaleDateString(t('locale'), options);
+	};
+
+	// Open the printable version of the meeting
+	const printPreparation = () => {
+		const animateur = animateurs.find(a => String(a.id) === String(meeting.animateur_responsable));
+
+		const printContent = `
+			<div class="print-preparation">
+				<h1>${escapeHtml(organizationInfo.name || '')}</h1>
+				<h2>${escapeHtml(t('preparation_reunions'))}</h2>
+				<div class="print-header">
+					<p><strong>${escapeHtml(t('animateur_responsable'))}:</strong> ${escapeHtml(animateur?.full_name || '')}</p>
+					<p><strong>${escapeHtml(t('date'))}:</strong> ${escapeHtml(meeting.date ? formatDate(meeting.date) : '')}</p>
+				</div>
+				<div class="print-header">
+					<div>
+						<p><strong>${escapeHtml(t('louveteau_dhonneur'))}:</strong></p>
+						<ul>${meeting.louveteau_dhonneur.map(name => `<li>${escapeHtml(name)}</li>`).join('')}</ul>
+					</div>
+					<p><strong>${escapeHtml(t('endroit'))}:</strong> ${escapeHtml(meeting.endroit)}</p>
+				</div>
+				<table>
+					<thead>
+						<tr>
+							<th>${escapeHtml(t('time'))}</th>
+							<th>${escapeHtml(t('duration'))}</th>
+							<th>${escapeHtml(t('description'))}</th>
+							<th>${escapeHtml(t('responsable'))}</th>
+							<th>${escapeHtml(t('materiel'))}</th>
+						</tr>
+					</thead>
+					<tbody>
+						${activities.map(a => `
+							<tr>
+								<td>${escapeHtml(a.time)}</td>
+								<td>${escapeHtml(a.duration)}</td>
+								<td>${escapeHtml(a.activity)}</td>
+								<td>${escapeHtml(a.responsable)}</td>
+								<td>${escapeHtml(a.materiel)}</td>
+							</tr>
+						`).join('')}
+					</tbody>
+				</table>
+				<div class="print-notes">
+					<h3>${escapeHtml(t('notes'))}:</h3>
+					<p>${escapeHtml(meeting.notes).replace(/\n/g, '<br>')}</p>
+					<div class="note-line"></div>
+					<div class="note-line"></div>
+				</div>
+				<div class="print-next-week">
+					<h3>${escapeHtml(t('next_week'))}:</h3>
+					<div class="note-line"></div>
+					<div class="note-line"></div>
+				</div>
+			</div>
+		`;
+
+		const printWindow = window.open('', '_blank');
+		if (!printWindow) return;
+
+		printWindow.document.write(`
+			<html>
+				<head>
+					<title>${escapeHtml(t('preparation_reunions'))}</title>
+					<style>
+						body { font-family: Arial, sans-serif; line-height: 1.1; }
+						.print-preparation { max-width: 800px; margin: 0 auto; }
+						h1, h2 { text-align: center; margin: auto; }
+						.print-header { display: flex; justify-content: space-between; }
+						table { width: 100%; border-collapse: collapse; margin-top: 20px; }
+						th, td { border: 1px solid black; padding: 5px; text-align: left; }
+						.print-notes, .print-next-week { margin-top: 20px; }
+						.note-line { height: 1.8em; border-bottom: 1px solid #ccc; margin-bottom: 10px; }
+						@media print {
+							body { font-size: 12pt; }
+							.print-preparation { max-width: 100%; }
+						}
+					</style>
+				</head>
+				<body>${printContent}</body>
+			</html>
+		`);
+		printWindow.document.close();
+		printWindow.print();
+	};
+
+	// Render an activity row
+	const renderActivityRow = (activity, index) => {
+		const classNames = [
+			'activity-row',
+			activity.isDefault ? 'default' : '',
+			draggedIndex === index ? 'dragging' : '',
+			dropTargetIndex === index && draggedIndex !== index ? 'drop-target' : ''
+		].filter(Boolean).join(' ');
+
+		return (
+			<tr
+				key={activity.id || index}
+				className={classNames}
+				draggable
+				onDragStart={(e) => handleDragStart(e, index)}
+				onDragOver={(e) => handleDragOver(e, index)}
+				onDrop={(e) => handleDrop(e, index)}
+				onDragEnd={handleDragEnd}
+				data-position={index}
+			>
+				<td className="drag-cell">
+					<span className="drag-handle" title={t('drag_to_reorder')}>⋮⋮</span>
+					<div className="move-buttons">
+						<button
+							type="button"
+							onClick={() => moveActivityBy(index, -1)}
+							disabled={index === 0}
+							aria-label={t('move_up')}
+						>
+							▲
+						</button>
+						<button
+							type="button"
+							onClick={() => moveActivityBy(index, 1)}
+							disabled={index === activities.length - 1}
+							aria-label={t('move_down')}
+						>
+							▼
+						</button>
+					</div>
+				</td>
+				<td>
+					<div className="activity-time-container">
+						<input
+							type="time"
+							className="activity-time"
+							value={activity.time || ''}
+							onChange={(e) => handleActivityChange(index, 'time', e.target.value)}
+						/>
+						<input
+							type="text"
+							className="activity-duration"
+							value={activity.duration || ''}
+							onChange={(e) => handleActivityChange(index, 'duration', e.target.value)}
+							onBlur={() => handleDurationBlur(index)}
+							placeholder="00:00"
+						/>
+					</div>
+				</td>
+				<td>
+					<div className="activity-container">
+						<input
+							type="text"
+							className="activity-select"
+							list="activity-catalog"
+							value={activity.activity || ''}
+							onChange={(e) => handleActivityChange(index, 'activity', e.target.value)}
+							placeholder={t('select_activity')}
+						/>
+						{activity.description && (
+							<button
+								type="button"
+								className="description-btn"
+								onClick={() => setDescription(activity.description)}
+								title={t('description')}
+							>
+								?
+							</button>
+						)}
+					</div>
+					<div className="responsable-container">
+						<input
+							type="text"
+							className="activity-responsable"
+							list="animateurs-list"
+							value={activity.responsable || ''}
+							onChange={(e) => handleActivityChange(index, 'responsable', e.target.value)}
+							placeholder={t('enter_responsable_name')}
+						/>
+						<input
+							type="text"
+							className="activity-materiel"
+							value={activity.materiel || ''}
+							onChange={(e) => handleActivityChange(index, 'materiel', e.target.value)}
+							placeholder={t('materiel')}
+						/>
+					</div>
+					{quickEditMode && (
+						<div className="actions">
+							<button type="button" className="add-row-btn" onClick={() => addActivityRow(index)}>
+								+ {t('Add')}
+							</button>
+							<button type="button" className="delete-row-btn" onClick={() => deleteActivityRow(index)}>
+								- {t('Delete')}
+							</button>
+						</div>
+					)}
+				</td>
+			</tr>
+		);
+	};
+
+	if (loading) {
+		return <LoadingSpinner fullScreen text={t('loading')} />;
+	}
+
+	return (
+		<div className="preparation-reunions-page">
+			{notification.message && (
+				<Notification
+					message={notification.message}
+					type={notification.type}
+					onClose={() => setNotification({ message: '', type: '' })}
+				/>
+			)}
+
+			<div className="page-header">
+				<Link to="/dashboard" className="back-link">{t('back_to_dashboard')}</Link>
+				<h1>{t('preparation_reunions')}</h1>
+			</div>
+
+			<div className="date-navigation">
+				<label htmlFor="date-select">{t('select_date')}:</label>
+				<select
+					id="date-select"
+					value={meeting.date}
+					onChange={(e) => handleDateChange(e.target.value)}
+				>
+					{availableDates.map(date => (
+						<option key={date} value={date}>
+							{formatDate(date)}
+						</option>
+					))}
+				</select>
+				<button type="button" className="new-meeting-btn" onClick={handleNewMeeting}>
+					{t('new_meeting')}
+				</button>
+			</div>
+
+			<div className="template-navigation">
+				<label htmlFor="template-select">{t('meeting_template')}:</label>
+				<select
+					id="template-select"
+					value={selectedTemplateId}
+					onChange={(e) => setSelectedTemplateId(e.target.value)}
+				>
+					{meetingTemplates.templates.map(template => (
+						<option key={template.id} value={template.id}>
+							{template.name}
+						</option>
+					))}
+				</select>
+				<button type="button" className="apply-template-btn" onClick={handleApplyTemplate}>
+					{t('apply_template')}
+				</button>
+				<Link to="/meeting-templates" className="manage-templates-link">
+					{t('manage_meeting_templates')}
+				</Link>
+			</div>
+
+			<datalist id="activity-catalog">
+				{activityCatalog.map(a => (
+					<option key={a.id} value={a.activity} />
+				))}
+			</datalist>
+			<datalist id="animateurs-list">
+				{animateurs.map(a => (
+					<option key={a.id} value={a.full_name} />
+				))}
+			</datalist>
+
+			<form onSubmit={handleSubmit} className="reunion-form">
+				<div className="form-row">
+					<div className="form-group">
+						<label htmlFor="animateur-responsable">{t('animateur_responsable')}:</label>
+						<select
+							id="animateur-responsable"
+							value={meeting.animateur_responsable}
+							onChange={(e) => handleMeetingChange('animateur_responsable', e.target.value)}
+							required
+						>
+							<option value="">{t('select_animateur')}</option>
+							{animateurs.map(a => (
+								<option key={a.id} value={a.id}>{a.full_name}</option>
+							))}
+						</select>
+					</div>
+					<div className="form-group">
+						<label htmlFor="meeting-date">{t('date')}:</label>
+						<input
+							type="date"
+							id="meeting-date"
+							value={meeting.date}
+							onChange={(e) => handleMeetingChange('date', e.target.value)}
+							required
+						/>
+					</div>
+				</div>
+
+				<div className="form-row">
+					<div className="form-group">
+						<label htmlFor="louveteau-dhonneur">{t('louveteau_dhonneur')}:</label>
+						<textarea
+							id="louveteau-dhonneur"
+							rows={3}
+							value={meeting.louveteau_dhonneur.join('\n')}
+							onChange={(e) => handleMeetingChange('louveteau_dhonneur', e.target.value.split('\n'))}
+						/>
+					</div>
+					<div className="form-group">
+						<label htmlFor="endroit">{t('endroit')}:</label>
+						<input
+							type="text"
+							id="endroit"
+							value={meeting.endroit}
+							onChange={(e) => handleMeetingChange('endroit', e.target.value)}
+							required
+						/>
+						<label className="meeting-cancelled">
+							<input
+								type="checkbox"
+								checked={meeting.cancelled}
+								onChange={(e) => handleMeetingChange('cancelled', e.target.checked)}
+							/>
+							{t('meeting_cancelled')}
+						</label>
+					</div>
+				</div>
+
+				<div className="activities-table-container">
+					<table className="activities-table">
+						<thead>
+							<tr>
+								<th aria-label={t('drag_to_reorder')}></th>
+								<th>{t('heure_et_duree')}</th>
+								<th>{t('activite_responsable_materiel')}</th>
+							</tr>
+						</thead>
+						<tbody>
+							{activities.map(renderActivityRow)}
+						</tbody>
+					</table>
+				</div>
+
+				<div className="form-group">
+					<label htmlFor="notes">{t('notes')}:</label>
+					<textarea
+						id="notes"
+						rows={4}
+						value={meeting.notes}
+						onChange={(e) => handleMeetingChange('notes', e.target.value)}
+					/>
+				</div>
+
+				<div className="form-actions">
+					<button type="submit" className="save-btn" disabled={saving || loadFailed}>
+						{saving ? t('saving') : t('save')}
+					</button>
+					<button type="button" className="print-btn" onClick={printPreparation}>
+						{t('print')}
+					</button>
+					<button type="button" className="quick-edit-btn" onClick={() => setQuickEditMode(prev => !prev)}>
+						{t('toggle_quick_edit_mode')}
+					</button>
+				</div>
+
+				<div className="save-template-row">
+					<input
+						type="text"
+						value={newTemplateName}
+						onChange={(e) => setNewTemplateName(e.target.value)}
+						placeholder={t('template_name')}
+						aria-label={t('template_name')}
+					/>
+					<button
+						type="button"
+						className="save-template-btn"
+						onClick={handleSaveAsTemplate}
+						disabled={savingTemplate || !newTemplateName.trim()}
+					>
+						{savingTemplate ? t('saving') : t('save_as_template')}
+					</button>
+				</div>
+			</form>
+
+			<div className="reminder-section">
+				<h2>{t('set_reminder')}</h2>
+				<form onSubmit={handleReminderSubmit} className="reminder-form">
+					<div className="form-group">
+						<label htmlFor="reminder-text">{t('reminder_text')}:</label>
+						<textarea
+							id="reminder-text"
+							rows={3}
+							value={reminderForm.reminder_text}
+							onChange={(e) => setReminderForm(prev => ({ ...prev, reminder_text: e.target.value }))}
+						/>
+					</div>
+
+					<div className="form-group">
+						<label htmlFor="reminder-date">{t('reminder_date')}:</label>
+						<input
+							type="date"
+							id="reminder-date"
+							value={reminderForm.reminder_date}
+							onChange={(e) => setReminderForm(prev => ({ ...prev, reminder_date: e.target.value }))}
+							required
+						/>
+					</div>
+
+					<div className="form-group">
+						<label htmlFor="recurring-reminder">
+							<input
+								type="checkbox"
+								id="recurring-reminder"
+								checked={reminderForm.is_recurring}
+								onChange={(e) => setReminderForm(prev => ({ ...prev, is_recurring: e.target.checked }))}
+							/>
+							{t('recurring_reminder')}
+						</label>
+					</div>
+
+					<button type="submit" className="save-btn">{t('save_reminder')}</button>
+				</form>
+			</div>
+
+			{description && (
+				<div className="description-modal" onClick={() => setDescription('')}>
+					<div className="modal-content" onClick={(e) => e.stopPropagation()}>
+						<button type="button" className="close" onClick={() => setDescription('')}>×</button>
+						<p>{description}</p>
+					</div>
+				</div>
+			)}
+		</div>
+	);
+};
+
+export default PreparationReunions;
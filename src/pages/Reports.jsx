@@ -0,0 +1,202 @@
+// src/pages/Reports.jsx
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import LoadingSpinner from '../components/common/LoadingSpinner/LoadingSpinner';
+import Notification from '../components/common/Notification/Notification';
+import { reportsService } from '../api/reportsService';
+import { pointsService } from '../api/pointsService';
+import { organizationService } from '../api/organizationService';
+import { getSeasonStart } from '../lib/season';
+import { EXPORT_FORMATS, buildReportTable, exportTable, selectColumns } from '../lib/reportExport';
+import './Reports.css';
+
+// Rows shown on the page, exports hold every row
+const PREVIEW_ROWS = 100;
+
+const REPORTS = [
+	{ id: 'attendance', labelKey: 'attendance_report', dateFilter: true, load: ({ startDate, endDate }) => reportsService.getAttendanceReport(startDate || null, endDate || null) },
+	{ id: 'health', labelKey: 'health_report', load: () => reportsService.getHealthReport() },
+	{ id: 'allergies', labelKey: 'allergies_report', load: () => reportsService.getAllergiesReport() },
+	{ id: 'medication', labelKey: 'medication_report', load: () => reportsService.getMedicationReport() },
+	{ id: 'vaccines', labelKey: 'vaccine_report', load: () => reportsService.getVaccineReport() },
+	{ id: 'health_contacts', labelKey: 'health_contact_report', load: () => reportsService.getHealthContactReport() },
+	{ id: 'leave_alone', labelKey: 'leave_alone_report', load: () => reportsService.getLeaveAloneReport() },
+	{ id: 'media_authorization', labelKey: 'media_authorization_report', load: () => reportsService.getMediaAuthorizationReport() },
+	{ id: 'participant_age', labelKey: 'participant_age_report', load: () => reportsService.getParticipantAgeReport() },
+	{ id: 'participant_documents', labelKey: 'view_participant_documents', load: () => reportsService.getParticipantsWithDocuments() },
+	{ id: 'missing_documents', labelKey: 'missing_documents_report', load: () => reportsService.getMissingDocumentsReport() },
+	{ id: 'honors', labelKey: 'honors_report', load: () => pointsService.getHonorsReport() },
+	{ id: 'points', labelKey: 'points_report', load: () => pointsService.getPointsReport() }
+];
+
+const Reports = () => {
+	const { t } = useTranslation();
+	const today = new Date().toLocaleDateString('en-CA');
+	const [reportId, setReportId] = useState(REPORTS[0].id);
+	const [startDate, setStartDate] = useState(getSeasonStart(today));
+	const [endDate, setEndDate] = useState(today);
+	const [table, setTable] = useState(null);
+	const [selectedColumns, setSelectedColumns] = useState([]);
+	const [loading, setLoading] = useState(true);
+	const [exporting, setExporting] = useState(null);
+	const [organizationName, setOrganizationName] = useState('');
+	const [notification, setNotification] = useState({ message: '', type: '' });
+
+	const report = REPORTS.find(item => item.id === reportId);
+
+	useEffect(() => {
+		organizationService.getOrganizationSettings()
+			.then(settings => setOrganizationName(settings?.organization_info?.name || ''))
+			.catch(error => console.error('Error loading organization settings:', error));
+	}, []);
+
+	useEffect(() => {
+		const fetchReport = async () => {
+			setLoading(true);
+			try {
+				const params = report.dateFilter ? { startDate, endDate } : {};
+				const response = await report.load(params);
+				const reportTable = buildReportTable(report.id, response, t, params);
+				setTable(reportTable);
+				setSelectedColumns(reportTable.columns.map(item => item.key));
+			} catch (error) {
+				console.error(`Error loading ${report.id} report:`, error);
+				setTable(null);
+				setNotification({
+					message: t('error_loading_report'),
+					type: 'error'
+				});
+			} finally {
+				setLoading(false);
+			}
+		};
+
+		fetchReport();
+	}, [report, startDate, endDate, t]);
+
+	const toggleColumn = (key) => {
+		setSelectedColumns(prev => (prev.includes(key) ? prev.filter(item => item !== key) : [...prev, key]));
+	};
+
+	const handleExport = async (format) => {
+		setExporting(format);
+		try {
+			await exportTable(selectColumns(table, selectedColumns), format, {
+				organizationName,
+				title: t(report.labelKey),
+				period: report.dateFilter
+					? `${t('report_period')}: ${new Date(`${startDate}T00:00:00`).toLocaleDateString(t('locale'))} – ${new Date(`${endDate}T00:00:00`).toLocaleDateString(t('locale'))}`
+					: ''
+			}, t);
+		} catch (error) {
+			console.error(`Error exporting ${report.id} report:`, error);
+			setNotification({
+				message: t('error_exporting_report'),
+				type: 'error'
+			});
+		} finally {
+			setExporting(null);
+		}
+	};
+
+	const visibleTable = table ? selectColumns(table, selectedColumns) : null;
+
+	return (
+		<div className="reports-page">
+			{notification.message && (
+				<Notification
+					message={notification.message}
+					type={notification.type}
+					onClose={() => setNotification({ message: '', type: '' })}
+				/>
+			)}
+
+			<div className="page-header">
+				<Link to="/dashboard" className="back-link">{t('back_to_dashboard')}</Link>
+				<h1>{t('reports')}</h1>
+			</div>
+
+			<div className="report-filters">
+				<select value={reportId} onChange={(e) => setReportId(e.target.value)} aria-label={t('report')}>
+					{REPORTS.map(item => (
+						<option key={item.id} value={item.id}>{t(item.labelKey)}</option>
+					))}
+				</select>
+
+				{report.dateFilter && (
+					<>
+						<label>
+							{t('start_date')}
+							<input type="date" value={startDate} max={endDate} onChange={(e) => setStartDate(e.target.value)} />
+						</label>
+						<label>
+							{t('end_date')}
+							<input type="date" value={endDate} min={startDate} onChange={(e) => setEndDate(e.target.value)} />
+						</label>
+					</>
+				)}
+			</div>
+
+			{loading ? (
+				<LoadingSpinner text={t('loading')} />
+			) : !table || table.rows.length === 0 ? (
+				<p className="no-data">{t('no_data_available')}</p>
+			) : (
+				<>
+					<fieldset className="report-columns">
+						<legend>{t('report_columns')}</legend>
+						{table.columns.map(item => (
+							<label key={item.key}>
+								<input
+									type="checkbox"
+									checked={selectedColumns.includes(item.key)}
+									onChange={() => toggleColumn(item.key)}
+								/>
+								{item.label}
+							</label>
+						))}
+					</fieldset>
+
+					<div className="report-export">
+						{EXPORT_FORMATS.map(format => (
+							<button
+								key={format}
+								type="button"
+								onClick={() => handleExport(format)}
+								disabled={Boolean(exporting) || selectedColumns.length === 0}
+							>
+								{exporting === format ? t('exporting') : t(`export_${format}`)}
+							</button>
+						))}
+					</div>
+
+					<div className="report-table-wrapper">
+						<table className="report-table">
+							<thead>
+								<tr>
+									{visibleTable.columns.map(item => <th key={item.key}>{item.label}</th>)}
+								</tr>
+							</thead>
+							<tbody>
+								{visibleTable.rows.slice(0, PREVIEW_ROWS).map((row, index) => (
+									<tr key={index}>
+										{visibleTable.columns.map(item => <td key={item.key}>{row[item.key]}</td>)}
+									</tr>
+								))}
+							</tbody>
+						</table>
+					</div>
+
+					{table.rows.length > PREVIEW_ROWS && (
+						<p className="report-preview-note">
+							{t('report_preview_rows', { count: PREVIEW_ROWS, total: table.rows.length })}
+						</p>
+					)}
+				</>
+			)}
+		</div>
+	);
+};
+
+export default Reports;
@@ -0,0 +1,299 @@
+// src/pages/ReregistrationCampaign.jsx
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import LoadingSpinner from '../components/common/LoadingSpinner/LoadingSpinner';
+import Notification from '../components/common/Notification/Notification';
+import { organizationService } from '../api/organizationService';
+import { reregistrationService } from '../api/reregistrationService';
+import {
+	SECTION_STATUS_ICONS,
+	getCampaignDeadline,
+	getCampaignSectionChoices,
+	getFamilyProgress,
+	getSectionLabelKey,
+	isFamilyComplete
+} from '../lib/reregistration';
+import { getUpcomingSeason } from '../lib/season';
+import './ReregistrationCampaign.css';
+
+const FAMILY_FILTERS = ['all', 'incomplete', 'complete'];
+
+const ReregistrationCampaign = () => {
+	const { t } = useTranslation();
+
+	const [loading, setLoading] = useState(true);
+	const [saving, setSaving] = useState(false);
+	const [notification, setNotification] = useState({ message: '', type: '' });
+	const [campaign, setCampaign] = useState(null);
+	const [families, setFamilies] = useState([]);
+	const [sectionChoices, setSectionChoices] = useState([]);
+	const [filter, setFilter] = useState('all');
+	const [form, setForm] = useState({
+		season: getUpcomingSeason(),
+		deadline: '',
+		sections: [],
+		message: ''
+	});
+
+	const loadCampaign = async () => {
+		const activeCampaign = await reregistrationService.getActiveCampaign();
+		setCampaign(activeCampaign);
+		setFamilies(activeCampaign ? await reregistrationService.getCampaignStatus(activeCampaign.id) : []);
+	};
+
+	useEffect(() => {
+		const fetchData = async () => {
+			setLoading(true);
+			try {
+				const [formFormats] = await Promise.all([
+					organizationService.getOrganizationFormFormats(),
+					loadCampaign()
+				]);
+				const choices = getCampaignSectionChoices(formFormats);
+				setSectionChoices(choices);
+				setForm(prev => ({ ...prev, sections: choices }));
+			} catch (error) {
+				console.error('Error loading re-registration campaign:', error);
+				setNotification({
+					message: t('error_loading_reregistration'),
+					type: 'error'
+				});
+			} finally {
+				setLoading(false);
+			}
+		};
+
+		fetchData();
+	}, [t]);
+
+	const handleChange = (field, value) => {
+		setForm(prev => ({ ...prev, [field]: value }));
+	};
+
+	const toggleSection = (section, checked) => {
+		setForm(prev => ({
+			...prev,
+			sections: checked
+				? sectionChoices.filter(choice => choice === section || prev.sections.includes(choice))
+				: prev.sections.filter(choice => choice !== section)
+		}));
+	};
+
+	const handleLaunch = async (e) => {
+		e.preventDefault();
+
+		if (form.sections.length === 0) {
+			setNotification({ message: t('reregistration_sections_required'), type: 'error' });
+			return;
+		}
+		if (!window.confirm(t('confirm_launch_reregistration', { season: form.season }))) return;
+
+		setSaving(true);
+		try {
+			await reregistrationService.launchCampaign({
+				season: form.season.trim(),
+				deadline: form.deadline,
+				sections: form.sections,
+				message: form.message.trim()
+			});
+			await loadCampaign();
+			setNotification({ message: t('reregistration_launched'), type: 'success' });
+		} catch (error) {
+			console.error('Error launching re-registration campaign:', error);
+			setNotification({ message: t('error_launching_reregistration'), type: 'error' });
+		} finally {
+			setSaving(false);
+		}
+	};
+
+	const handleClose = async () => {
+		if (!window.confirm(t('confirm_close_reregistration'))) return;
+
+		setSaving(true);
+		try {
+			await reregistrationService.closeCampaign(campaign.id);
+			setCampaign(null);
+			setFamilies([]);
+			setNotification({ message: t('reregistration_closed'), type: 'success' });
+		} catch (error) {
+			console.error('Error closing re-registration campaign:', error);
+			setNotification({ message: t('error_closing_reregistration'), type: 'error' });
+		} finally {
+			setSaving(false);
+		}
+	};
+
+	if (loading) {
+		return <LoadingSpinner fullScreen text={t('loading')} />;
+	}
+
+	const completeFamilies = families.filter(isFamilyComplete);
+	const incompleteFamilies = families.filter(family => !isFamilyComplete(family));
+	const visibleFamilies = filter === 'complete' ? completeFamilies : filter === 'incomplete' ? incompleteFamilies : families;
+	const progress = families.length ? Math.round((completeFamilies.length / families.length) * 100) : 0;
+
+	// One email to every family still missing sections, in blind copy
+	const reminderEmails = incompleteFamilies.map(family => family.email).filter(Boolean);
+	const reminderLink = campaign && `mailto:?bcc=${encodeURIComponent(reminderEmails.join(','))}`
+		+ `&subject=${encodeURIComponent(t('reregistration_reminder_subject', { season: campaign.season }))}`;
+
+	return (
+		<div className="reregistration-campaign-page">
+			{notification.message && (
+				<Notification
+					message={notification.message}
+					type={notification.type}
+					onClose={() => setNotification({ message: '', type: '' })}
+				/>
+			)}
+
+			<div className="page-header">
+				<Link to="/admin" className="back-link">{t('back_to_admin')}</Link>
+				<h1>{t('reregistration_campaign')}</h1>
+			</div>
+
+			{!campaign && (
+				<form onSubmit={handleLaunch} className="reregistration-launch">
+					<p>{t('reregistration_launch_intro')}</p>
+
+					<div className="form-row">
+						<div className="form-group">
+							<label htmlFor="season">{t('reregistration_season_label')}:</label>
+							<input
+								type="text"
+								id="season"
+								value={form.season}
+								onChange={(e) => handleChange('season', e.target.value)}
+								required
+							/>
+						</div>
+						<div className="form-group">
+							<label htmlFor="deadline">{t('reregistration_deadline')}:</label>
+							<input
+								type="date"
+								id="deadline"
+								value={form.deadline}
+								onChange={(e) => handleChange('deadline', e.target.value)}
+								required
+							/>
+						</div>
+					</div>
+
+					<fieldset className="reregistration-section-choices">
+						<legend>{t('reregistration_sections')}</legend>
+						{sectionChoices.map(section => (
+							<label key={section} className="checkbox-label">
+								<input
+									type="checkbox"
+									checked={form.sections.includes(section)}
+									onChange={(e) => toggleSection(section, e.target.checked)}
+								/>
+								{t(getSectionLabelKey(section))}
+							</label>
+						))}
+					</fieldset>
+
+					<div className="form-group">
+						<label htmlFor="message">{t('reregistration_message')}:</label>
+						<textarea
+							id="message"
+							rows={4}
+							value={form.message}
+							onChange={(e) => handleChange('message', e.target.value)}
+						/>
+					</div>
+
+					<div className="form-actions">
+						<button type="submit" disabled={saving}>
+							{saving ? t('saving') : t('launch_reregistration')}
+						</button>
+					</div>
+				</form>
+			)}
+
+			{campaign && (
+				<>
+					<section className="reregistration-summary">
+						<h2>{t('reregistration_season', { season: campaign.season })}</h2>
+						<p>{t('reregistration_deadline')}: {getCampaignDeadline(campaign).toLocaleDateString(t('locale'))}</p>
+						<div className="reregistration-progress" role="progressbar" aria-valuenow={progress} aria-valuemin={0} aria-valuemax={100}>
+							<div className="reregistration-progress-bar" style={{ width: `${progress}%` }} />
+						</div>
+						<p>
+							{t('reregistration_families_complete', { complete: completeFamilies.length, total: families.length })}
+						</p>
+						<div className="reregistration-actions">
+							{reminderEmails.length > 0 && (
+								<a href={reminderLink} className="reminder-link">
+									{t('reregistration_remind_families', { count: reminderEmails.length })}
+								</a>
+							)}
+							<button type="button" className="secondary" onClick={handleClose} disabled={saving}>
+								{t('close_reregistration')}
+							</button>
+						</div>
+					</section>
+
+					<div className="reregistration-filter">
+						{FAMILY_FILTERS.map(value => (
+							<button
+								key={value}
+								type="button"
+								className={filter === value ? 'active' : 'secondary'}
+								onClick={() => setFilter(value)}
+							>
+								{t(`reregistration_filter_${value}`)}
+							</button>
+						))}
+					</div>
+
+					{visibleFamilies.length === 0 ? (
+						<p className="no-families">{t('reregistration_no_families')}</p>
+					) : (
+						<table className="reregistration-table">
+							<thead>
+								<tr>
+									<th>{t('family')}</th>
+									<th>{t('participant')}</th>
+									<th>{t('reregistration_sections')}</th>
+									<th>{t('reregistration_progress')}</th>
+								</tr>
+							</thead>
+							<tbody>
+								{visibleFamilies.map((family, familyIndex) => {
+									const { done, total } = getFamilyProgress(family);
+									const participants = family.participants || [];
+
+									return participants.map((participant, index) => (
+										<tr key={`${familyIndex}-${participant.id}`} className={isFamilyComplete(family) ? 'complete' : ''}>
+											{index === 0 && (
+												<td rowSpan={participants.length}>
+													<strong>{family.name}</strong>
+													{family.email && <div className="family-email">{family.email}</div>}
+												</td>
+											)}
+											<td>{participant.first_name} {participant.last_name}</td>
+											<td>
+												<ul className="section-statuses">
+													{Object.entries(participant.sections || {}).map(([section, status]) => (
+														<li key={section} title={t(`reregistration_status_${status}`)}>
+															{SECTION_STATUS_ICONS[status] || '❌'} {t(getSectionLabelKey(section))}
+														</li>
+													))}
+												</ul>
+											</td>
+											{index === 0 && <td rowSpan={participants.length}>{done}/{total}</td>}
+										</tr>
+									));
+								})}
+							</tbody>
+						</table>
+					)}
+				</>
+			)}
+		</div>
+	);
+};
+
+export default ReregistrationCampaign;
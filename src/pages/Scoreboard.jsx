@@ -0,0 +1,145 @@
+// src/pages/Scoreboard.jsx
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { Link } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import LoadingSpinner from '../components/common/LoadingSpinner/LoadingSpinner';
+import { useApiQuery } from '../hooks/useApiQuery';
+import { getGroupStandings, getStandingChanges } from '../lib/scoreboard';
+import './Scoreboard.css';
+
+// Points given from another device show up within this delay
+const REFRESH_INTERVAL = 15 * 1000;
+const CHANGE_DISPLAY_TIME = 4000;
+const COUNT_DURATION = 1000;
+
+const selectReport = response => response.report;
+
+// Counts from the previous value to the new one
+const AnimatedNumber = ({ value }) => {
+	const [displayed, setDisplayed] = useState(value);
+	const displayedRef = useRef(value);
+
+	useEffect(() => {
+		const from = displayedRef.current;
+		if (from === value) return undefined;
+
+		const start = performance.now();
+		let frame;
+		const step = (now) => {
+			const progress = Math.min((now - start) / COUNT_DURATION, 1);
+			displayedRef.current = Math.round(from + (value - from) * progress);
+			setDisplayed(displayedRef.current);
+			if (progress < 1) frame = requestAnimationFrame(step);
+		};
+		frame = requestAnimationFrame(step);
+
+		return () => cancelAnimationFrame(frame);
+	}, [value]);
+
+	return <>{displayed}</>;
+};
+
+const Scoreboard = () => {
+	const { t } = useTranslation();
+
+	// Read-only: the report is kept in the query cache, so the last standings are shown offline
+	const { data: report, loading, isOffline, updatedAt, refetch } = useApiQuery('points-report', null, {
+		select: selectReport,
+		staleTime: REFRESH_INTERVAL
+	});
+
+	const [changes, setChanges] = useState({});
+	const [isFullscreen, setIsFullscreen] = useState(Boolean(document.fullscreenElement));
+	const previousStandingsRef = useRef(null);
+
+	const standings = useMemo(() => getGroupStandings(report), [report]);
+	const maxTotal = Math.max(...standings.map(group => group.total), 1);
+	// Rows keep their place in the page and are moved to their rank, so a change of rank is animated
+	const rows = useMemo(() => standings
+		.map((group, position) => ({ group, position }))
+		.sort((a, b) => a.group.name.localeCompare(b.group.name)), [standings]);
+
+	useEffect(() => {
+		// Offline, the failed refresh flags the standings as possibly outdated
+		const interval = setInterval(refetch, REFRESH_INTERVAL);
+
+		return () => clearInterval(interval);
+	}, [refetch]);
+
+	// Highlight the groups whose total changed since the last refresh
+	useEffect(() => {
+		const standingChanges = getStandingChanges(previousStandingsRef.current, standings);
+		previousStandingsRef.current = standings;
+		if (Object.keys(standingChanges).length === 0) return undefined;
+
+		setChanges(standingChanges);
+		const timeout = setTimeout(() => setChanges({}), CHANGE_DISPLAY_TIME);
+		return () => clearTimeout(timeout);
+	}, [standings]);
+
+	useEffect(() => {
+		const handleFullscreenChange = () => setIsFullscreen(Boolean(document.fullscreenElement));
+		document.addEventListener('fullscreenchange', handleFullscreenChange);
+		return () => document.removeEventListener('fullscreenchange', handleFullscreenChange);
+	}, []);
+
+	const toggleFullscreen = () => {
+		if (document.fullscreenElement) {
+			document.exitFullscreen();
+		} else {
+			document.documentElement.requestFullscreen().catch(error => {
+				console.error('Error entering full screen:', error);
+			});
+		}
+	};
+
+	if (loading) {
+		return <LoadingSpinner fullScreen text={t('loading')} />;
+	}
+
+	return (
+		<div className={`scoreboard-page ${isFullscreen ? 'fullscreen' : ''}`}>
+			<div className="scoreboard-header">
+				{!isFullscreen && <Link to="/manage-points" className="back-link">{t('manage_points')}</Link>}
+				<h1>{t('scoreboard')}</h1>
+				<button type="button" className="fullscreen-btn" onClick={toggleFullscreen}>
+					{isFullscreen ? t('exit_fullscreen') : t('fullscreen')}
+				</button>
+			</div>
+
+			{standings.length === 0 ? (
+				<p className="scoreboard-empty">{t('no_data_available')}</p>
+			) : (
+				<ol className="scoreboard-list" style={{ '--group-count': standings.length }}>
+					{rows.map(({ group, position }) => (
+						<li
+							key={group.name}
+							className={`scoreboard-row rank-${group.rank} ${group.name in changes ? 'changed' : ''}`}
+							style={{ '--position': position }}
+						>
+							<span className="scoreboard-rank">{group.rank}</span>
+							<span className="scoreboard-group">
+								<span className="scoreboard-name">{group.name}</span>
+								<span className="scoreboard-bar" style={{ width: `${Math.max(group.total, 0) / maxTotal * 100}%` }} />
+							</span>
+							<span className="scoreboard-total"><AnimatedNumber value={group.total} /></span>
+							{group.name in changes && (
+								<span className={`scoreboard-change ${changes[group.name] < 0 ? 'negative' : ''}`}>
+									{changes[group.name] > 0 ? '+' : ''}{changes[group.name]}
+								</span>
+							)}
+						</li>
+					))}
+				</ol>
+			)}
+
+			{isOffline && updatedAt > 0 && (
+				<p className="scoreboard-offline">
+					{t('scoreboard_offline', { time: new Date(updatedAt).toLocaleTimeString(t('locale'), { hour: '2-digit', minute: '2-digit' }) })}
+				</p>
+			)}
+		</div>
+	);
+};
+
+export default Scoreboard;
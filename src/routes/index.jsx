@@ -2,6 +2,7 @@
 import React from 'react';
 import { BrowserRouter, Routes, Route, Navigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
+import OfflineQueueStatus from '../components/common/OfflineQueueStatus/OfflineQueueStatus';
 
 // Lazy load pages for better performance
 const Login = React.lazy(() => import('../pages/Login'));
@@ -14,6 +15,26 @@ const ManagePoints = React.lazy(() => import('../pages/ManagePoints'));
 const ManageHonors = React.lazy(() => import('../pages/ManageHonors'));
 const Attendance = React.lazy(() => import('../pages/Attendance'));
 const FormInscription = React.lazy(() => import('../pages/FormInscription'));
+const PreparationReunions = React.lazy(() => import('../pages/PreparationReunions'));
+const MeetingTemplates = React.lazy(() => import('../pages/MeetingTemplates'));
+const BadgeForm = React.lazy(() => import('../pages/BadgeForm'));
+const ApproveBadges = React.lazy(() => import('../pages/ApproveBadges'));
+const BadgeSystemSettings = React.lazy(() => import('../pages/BadgeSystemSettings'));
+const FormFormatBuilder = React.lazy(() => import('../pages/FormFormatBuilder'));
+const DynamicForm = React.lazy(() => import('../pages/DynamicForm'));
+const AcceptationRisque = React.lazy(() => import('../pages/AcceptationRisque'));
+const ReregistrationCampaign = React.lazy(() => import('../pages/ReregistrationCampaign'));
+const Scoreboard = React.lazy(() => import('../pages/Scoreboard'));
+const CheckInCards = React.lazy(() => import('../pages/CheckInCards'));
+const Reports = React.lazy(() => import('../pages/Reports'));
+const ManageEvents = React.lazy(() => import('../pages/ManageEvents'));
+const EventRoster = React.lazy(() => import('../pages/EventRoster'));
+const MailingList = React.lazy(() => import('../pages/MailingList'));
+const BadgeHistory = React.lazy(() => import('../pages/BadgeHistory'));
+const BadgeSummary = React.lazy(() => import('../pages/BadgeSummary'));
+const Fundraisers = React.lazy(() => import('../pages/Fundraisers'));
+const EmergencySheets = React.lazy(() => import('../pages/EmergencySheets'));
+const OfflineConflicts = React.lazy(() => import('../pages/OfflineConflicts'));
 const NotFound = React.lazy(() => import('../pages/NotFound'));
 
 // Protected route component
@@ -107,6 +128,105 @@ function AppRouter() {
 						} 
 					/>
 
+					<Route 
+						path="/preparation-reunions" 
+						element={
+							<ProtectedRoute requiredRoles={['admin', 'animation']}>
+								<PreparationReunions />
+							</ProtectedRoute>
+						} 
+					/>
+
+					<Route 
+						path="/meeting-templates" 
+						element={
+							<ProtectedRoute requiredRoles={['admin', 'animation']}>
+								<MeetingTemplates />
+							</ProtectedRoute>
+						} 
+					/>
+
+					<Route 
+						path="/badge-form/:id" 
+						element={
+							<ProtectedRoute>
+								<BadgeForm />
+							</ProtectedRoute>
+						} 
+					/>
+
+					<Route 
+						path="/approve-badges" 
+						element={
+							<ProtectedRoute requiredRoles={['admin', 'animation']}>
+								<ApproveBadges />
+							</ProtectedRoute>
+						} 
+					/>
+
+					<Route 
+						path="/badge-history/:id" 
+						element={
+							<ProtectedRoute>
+								<BadgeHistory />
+							</ProtectedRoute>
+						} 
+					/>
+
+					<Route 
+						path="/badge-summary" 
+						element={
+							<ProtectedRoute requiredRoles={['admin', 'animation']}>
+								<BadgeSummary />
+							</ProtectedRoute>
+						} 
+					/>
+
+					<Route 
+						path="/fundraisers" 
+						element={
+							<ProtectedRoute requiredRoles={['admin', 'animation']}>
+								<Fundraisers />
+							</ProtectedRoute>
+						} 
+					/>
+
+					<Route 
+						path="/emergency-sheets" 
+						element={
+							<ProtectedRoute requiredRoles={['admin', 'animation']}>
+								<EmergencySheets />
+							</ProtectedRoute>
+						} 
+					/>
+
+					<Route 
+						path="/offline-conflicts" 
+						element={
+							<ProtectedRoute>
+								<OfflineConflicts />
+							</ProtectedRoute>
+						} 
+					/>
+
+					<Route 
+						path="/badge-system" 
+						element={
+							<ProtectedRoute requiredRoles={['admin']}>
+								<BadgeSystemSettings />
+							</ProtectedRoute>
+						} 
+					/>
+
+					<Route 
+						path="/form-formats" 
+						element={
+							<ProtectedRoute requiredRoles={['admin']}>
+								<FormFormatBuilder />
+							</ProtectedRoute>
+						} 
+					/>
+
 					<Route 
 						path="/formulaire-inscription" 
 						element={
@@ -125,6 +245,87 @@ function AppRouter() {
 						} 
 					/>
 
+					<Route 
+						path="/dynamic-form/:formType/:participantId" 
+						element={
+							<ProtectedRoute>
+								<DynamicForm />
+							</ProtectedRoute>
+						} 
+					/>
+
+					<Route 
+						path="/acceptation-risque/:id" 
+						element={
+							<ProtectedRoute>
+								<AcceptationRisque />
+							</ProtectedRoute>
+						} 
+					/>
+
+					<Route 
+						path="/reregistration" 
+						element={
+							<ProtectedRoute requiredRoles={['admin']}>
+								<ReregistrationCampaign />
+							</ProtectedRoute>
+						} 
+					/>
+
+					<Route 
+						path="/scoreboard" 
+						element={
+							<ProtectedRoute requiredRoles={['admin', 'animation']}>
+								<Scoreboard />
+							</ProtectedRoute>
+						} 
+					/>
+
+					<Route 
+						path="/check-in-cards" 
+						element={
+							<ProtectedRoute requiredRoles={['admin', 'animation']}>
+								<CheckInCards />
+							</ProtectedRoute>
+						} 
+					/>
+
+					<Route 
+						path="/reports" 
+						element={
+							<ProtectedRoute requiredRoles={['admin', 'animation']}>
+								<Reports />
+							</ProtectedRoute>
+						} 
+					/>
+
+					<Route 
+						path="/events" 
+						element={
+							<ProtectedRoute requiredRoles={['admin', 'animation']}>
+								<ManageEvents />
+							</ProtectedRoute>
+						} 
+					/>
+
+					<Route 
+						path="/events/:eventId" 
+						element={
+							<ProtectedRoute requiredRoles={['admin', 'animation']}>
+								<EventRoster />
+							</ProtectedRoute>
+						} 
+					/>
+
+					<Route 
+						path="/mailing-list" 
+						element={
+							<ProtectedRoute requiredRoles={['admin', 'animation']}>
+								<MailingList />
+							</ProtectedRoute>
+						} 
+					/>
+
 					{/* Redirect root to appropriate dashboard */}
 					<Route 
 						path="/" 
@@ -139,6 +340,9 @@ function AppRouter() {
 					<Route path="*" element={<NotFound />} />
 				</Routes>
 			</React.Suspense>
+
+			{/* Changes made offline that are waiting to be sent */}
+			{currentUser && <OfflineQueueStatus />}
 		</BrowserRouter>
 	);
 }